@@ -0,0 +1,1677 @@
+// The Express app, built around injected services so it can run against
+// Firebase and Razorpay in production and against local stand-ins in tests.
+// server.js creates the real services, calls createApp and listens.
+
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const crypto = require('crypto');
+const createEventsRouter = require('./routes/events');
+const createCouponsRouter = require('./routes/coupons');
+const createWebhookEventsRouter = require('./routes/webhookEvents');
+const createReconciliationRouter = require('./routes/reconciliation');
+const createEmailOutboxRouter = require('./routes/emailOutbox');
+const createRemindersRouter = require('./routes/reminders');
+const createRegistrationExportRouter = require('./routes/registrationExport');
+const createAnalyticsRouter = require('./routes/analytics');
+const createStaffRouter = require('./routes/staff');
+const createAuditLogRouter = require('./routes/auditLog');
+const createInvoicesRouter = require('./routes/invoices');
+const createAttendanceRouter = require('./routes/attendance');
+const createNotificationsRouter = require('./routes/notifications');
+const createContactTicketsRouter = require('./routes/contactTickets');
+const createClientErrorsRouter = require('./routes/clientErrors');
+const { parseOffsets, sendDueReminders } = require('./lib/reminders');
+const { reconcilePayments, saveReconciliationReport } = require('./lib/reconciliation');
+const { withLock } = require('./lib/locks');
+const { scheduleJob } = require('./lib/scheduler');
+const {
+    getEvent,
+    toMinorUnits,
+    formatMoney,
+    formatEventSchedule,
+    describeEventLocation
+} = require('./lib/events');
+const {
+    previewCoupon,
+    reserveCoupon,
+    returnCouponUse,
+    recordRedemption,
+    markCouponRedeemed,
+    releaseCoupon
+} = require('./lib/coupons');
+const {
+    refundStatusFromEvent,
+    refundableAmount,
+    applyRefundUpdate,
+    notifyRefund
+} = require('./lib/refunds');
+const {
+    webhookEventId,
+    verifyWebhookSignature,
+    claimWebhookEvent,
+    recordWebhookOutcome,
+    recordRejectedWebhook
+} = require('./lib/webhookLog');
+const { queueAndDeliver, processOutbox } = require('./lib/outbox');
+const { createRepositories, registrantKey, PAID_STATUSES } = require('./lib/repositories');
+const {
+    REGISTRATION_SORTS,
+    USER_SORTS,
+    USER_STATUSES,
+    MAX_PAGE_SIZE,
+    parseListQuery,
+    listRegistrations,
+    listUsers
+} = require('./lib/adminLists');
+const { rules, validateRequest, sendValidationError, fieldErrors } = require('./lib/validation');
+const { createRateStore, createRateLimiter } = require('./lib/rateLimit');
+const { createCaptchaVerifier, requireCaptcha, trapHoneypot } = require('./lib/botProtection');
+const {
+    ROLES,
+    createPermissionGuard,
+    getStaffRole,
+    hasPermission,
+    grantRole,
+    checkOwnerRemains,
+    isBootstrapped,
+    claimBootstrap,
+    completeBootstrap,
+    abandonBootstrap
+} = require('./lib/roles');
+const { recordAuditEvent } = require('./lib/auditLog');
+const { createInvoiceConfig, issueInvoice, invoiceAttachment } = require('./lib/invoices');
+const { createTicketSigner, ticketQrAttachment } = require('./lib/tickets');
+const {
+    requestSeat,
+    takeSeat,
+    joinWaitlist,
+    setWaitlistStatus,
+    releaseSeatAndOffer,
+    processSeatHolds
+} = require('./lib/seats');
+const { createWhatsAppProvider, createNotifier } = require('./lib/notifications');
+const { createFrameResolver, recordClientError } = require('./lib/clientErrors');
+const { requestLogger, logger: defaultLogger } = require('./lib/logger');
+
+// TRUST_PROXY for Express's "trust proxy": true, false, a hop count or a list
+// of addresses. req.ip, which rate limits are counted by, depends on it.
+function trustProxySetting(value) {
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+function createApp({ dataBackend, razorpay, mailTransport, captchaVerifier, rateLimitStore, whatsappProvider, logger = defaultLogger, env = process.env }) {
+    const { db, auth } = dataBackend;
+    const repositories = createRepositories(db);
+
+    // Bot protection for the public endpoints
+    const captcha = captchaVerifier || createCaptchaVerifier(env);
+    const rateStore = rateLimitStore || createRateStore(db, env);
+    const rateLimiter = createRateLimiter({ store: rateStore, env });
+    const honeypotField = env.CONTACT_HONEYPOT_FIELD || 'website';
+
+    const app = express();
+
+    // Behind Vercel's proxy the client address is in X-Forwarded-For
+    app.set('trust proxy', trustProxySetting(env.TRUST_PROXY || (env.VERCEL ? '1' : 'false')));
+
+    // Request ids and access logs, first so every response is covered
+    app.use(requestLogger(logger));
+
+    // Middleware
+    app.use(cors({
+        // origin: ["http://localhost:3000", "http://localhost:5173"],
+        origin: '*', // This will allow all origins for development
+        credentials: true,
+        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+        exposedHeaders: ['X-Request-Id']
+    }));
+
+    // Alternative CORS setup if needed
+    app.use((req, res, next) => {
+        res.header('Access-Control-Allow-Origin', '*');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Request-Id');
+        res.header('Access-Control-Expose-Headers', 'X-Request-Id');
+        next();
+    });
+
+    // Use regular bodyParser for all routes except webhook
+    app.use((req, res, next) => {
+        if (req.originalUrl === '/api/inspiringshereen-webhook') {
+            // Raw body needed for webhook signature verification
+            bodyParser.raw({ type: 'application/json' })(req, res, next);
+        } else if (req.originalUrl === '/api/admin/source-maps') {
+            // Source maps of a whole bundle are well past the default 100kb
+            bodyParser.json({ limit: env.SOURCE_MAP_MAX_SIZE || '10mb' })(req, res, next);
+        } else {
+            bodyParser.json()(req, res, next);
+        }
+    });
+
+    // Email transport - one shared, pooled transport chosen by MAIL_TRANSPORT
+    const transporter = mailTransport.transporter;
+
+    // Everything that sends mail goes through the outbox with this transporter
+    const mailer = { db, transporter };
+
+    // Messages for registrants go out on the channels they chose - email
+    // and/or WhatsApp (WHATSAPP_PROVIDER)
+    const whatsapp = whatsappProvider || createWhatsAppProvider(env);
+    const notifier = createNotifier({ db, mailer, whatsapp, env });
+
+    // Pre-event reminder offsets, e.g. "24h,1h"
+    const reminderOffsets = parseOffsets(env.REMINDER_OFFSETS || undefined);
+
+    // Business details and GST settings printed on invoices (INVOICE_*)
+    const invoiceConfig = createInvoiceConfig(env);
+
+    // Signed QR tickets for check-in at the door (TICKET_SECRET)
+    const tickets = createTicketSigner(env);
+
+    // Events with a capacity: how long a seat is held while an order is paid
+    // for, and how long a waitlist offer stands before it passes on
+    const seatHoldMs = Number(env.SEAT_HOLD_MINUTES || 15) * 60 * 1000;
+    const waitlist = {
+        db,
+        mailer,
+        offerMs: Number(env.WAITLIST_OFFER_HOURS || 24) * 60 * 60 * 1000,
+        paymentUrl: env.WAITLIST_PAYMENT_URL || 'https://inspiringshereen.com/register',
+        from: env.EMAIL_USER
+    };
+
+    // Request schemas shared by the registration and payment routes
+    const participantFields = {
+        email: rules.email({ required: true }),
+        fullName: rules.name({ required: true }),
+        phone: rules.phone({ required: true }),
+        timestamp: rules.date()
+    };
+
+    // Forms that can be behind a CAPTCHA send its token with the data
+    const captchaField = { captchaToken: rules.string({ required: captcha.enabled, max: 4096 }) };
+
+    const listQueryFields = {
+        limit: rules.integer({ min: 1, max: MAX_PAGE_SIZE }),
+        cursor: rules.string({ max: 2000 }),
+        order: rules.enumOf(['asc', 'desc'], { lowercase: true }),
+        from: rules.date(),
+        to: rules.date(),
+        q: rules.string({ max: 200 })
+    };
+
+    const registrationListQuery = {
+        ...listQueryFields,
+        sort: rules.enumOf(REGISTRATION_SORTS),
+        status: rules.string({ max: 50 }),
+        eventId: rules.id()
+    };
+
+    const userListQuery = {
+        ...listQueryFields,
+        sort: rules.enumOf(USER_SORTS),
+        status: rules.enumOf(USER_STATUSES, { lowercase: true })
+    };
+
+    // Razorpay configuration
+    const RAZORPAY_KEY_ID = env.RAZORPAY_KEY_ID;
+    const RAZORPAY_KEY_SECRET = env.RAZORPAY_KEY_SECRET;
+
+
+    // Function to send confirmation emails
+    async function sendConfirmationEmails(userData, referenceId, transactionId) {
+        const event = await getEvent(db, userData.eventId);
+
+        if (!event) {
+            logger.error('Cannot send confirmation emails: event not found', { registrationId: referenceId });
+            return false;
+        }
+
+        const schedule = formatEventSchedule(event);
+        const amountPaid = formatMoney(userData.orderAmount ?? event.price, userData.orderCurrency || event.currency);
+
+        // A missing invoice should not hold up the confirmation; it can be
+        // downloaded later, which issues it then
+        const attachments = [];
+        try {
+            const invoice = await issueInvoice(db, { registrationId: referenceId, registration: userData, event, config: invoiceConfig });
+            if (invoice) {
+                attachments.push(await invoiceAttachment(invoice));
+            }
+        } catch (error) {
+            logger.error('Could not create the invoice', { registrationId: referenceId, error });
+        }
+
+        let ticketHtml = '';
+        if (tickets.enabled) {
+            const token = tickets.issue(referenceId, event.id);
+            let qrImage = '';
+            try {
+                const { cid, attachment } = await ticketQrAttachment(token, referenceId);
+                attachments.push(attachment);
+                qrImage = `<img src="cid:${cid}" alt="Ticket QR code" width="240" height="240" />`;
+            } catch (error) {
+                logger.error('Could not draw the ticket QR code', { registrationId: referenceId, error });
+            }
+            ticketHtml = `
+                <div style="text-align: center; margin: 20px 0;">
+                <h3 style="color: #7C3AED;">Your Ticket</h3>
+                <p>Show this at the entrance.</p>
+                ${qrImage}
+                <p style="font-size: 11px; color: #777; word-break: break-all;">Ticket code: ${token}</p>
+                </div>`;
+        }
+
+        const userMailOptions = {
+            from: env.EMAIL_USER,
+            to: userData.email,
+            subject: `Your Registration is Confirmed! - ${event.title}`,
+            html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+                <h2 style="color: #7C3AED; text-align: center;">Thank You for Registering!</h2>
+                <p>Dear ${userData.fullName},</p>
+                <p>Your payment has been successfully processed and your spot in <strong>${event.title}</strong> is confirmed! 🎉</p>
+
+                <div style="background-color: #F5F3FF; padding: 15px; border-radius: 10px; margin: 20px 0;">
+                <h3 style="color: #7C3AED; margin-top: 0;">Event Details:</h3>
+                <p>📅 <strong>Date:</strong> ${schedule.date}</p>
+                <p>🕦 <strong>Time:</strong> ${schedule.time}</p>
+                <p>📍 <strong>Location:</strong> ${describeEventLocation(event)}</p>
+                <p>💳 <strong>Amount Paid:</strong> ${amountPaid}</p>
+                ${event.meetingLink ? '<p>We\'ll email you the meeting link and any additional instructions before the event starts.</p>' : ''}
+                </div>
+
+                ${ticketHtml}
+
+                ${attachments.some(attachment => attachment.contentType === 'application/pdf') ? '<p>Your invoice is attached to this email for your records.</p>' : ''}
+
+                <p>Get ready to break free from stress, confusion & setbacks and take control of your life with clarity and confidence! ✨</p>
+
+                <p>If you have any questions before the event, feel free to reply to this email or reach out on WhatsApp: <a href="https://wa.me/919951611674">Click here to chat on WhatsApp</a></p>
+
+                <p>Looking forward to helping you transform your life!</p>
+
+                <p style="margin-bottom: 0;">Warm regards,</p>
+                <p style="margin-top: 5px;"><strong>Inspiring Shereen</strong></p>
+                <p style="color: #7C3AED;">Life Coach | Shaping Lives With Holistic Success</p>
+
+                <div style="text-align: center; margin-top: 20px;">
+                    <a href="https://wa.me/919951611674" style="display: inline-block; background-color: #25D366; color: white; text-decoration: none; padding: 10px 20px; border-radius: 5px; font-weight: bold;">
+                        Connect on WhatsApp
+                    </a>
+                </div>
+            </div>
+            `,
+            attachments
+        };
+
+        const adminMailOptions = {
+            from: env.EMAIL_USER,
+            to: env.EMAIL_USER,
+            subject: `New Registration - ${event.title}`,
+            html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                <h2 style="color: #7C3AED;">New Registration!</h2>
+                <p>A new participant has registered for <strong>${event.title}</strong> (${schedule.date}, ${schedule.time}):</p>
+
+                <ul>
+                <li><strong>Full Name:</strong> ${userData.fullName}</li>
+                <li><strong>Email:</strong> ${userData.email}</li>
+                <li><strong>Phone:</strong> ${userData.phone}</li>
+                <li><strong>Reference ID:</strong> ${referenceId}</li>
+                <li><strong>Transaction ID:</strong> ${transactionId}</li>
+                <li><strong>Amount Paid:</strong> ${amountPaid}</li>
+                </ul>
+
+                <p><a href="https://wa.me/${userData.phone.replace(/\D/g, '')}">Contact participant on WhatsApp</a></p>
+            </div>
+            `
+        };
+
+        // Emails go through the outbox, so an SMTP failure is retried rather than lost
+        const context = { registrationId: referenceId, eventId: event.id, transactionId };
+        await notifier.notify({
+            kind: 'confirmation',
+            email: userData.email,
+            phone: userData.phone,
+            mailOptions: userMailOptions,
+            whatsapp: { template: 'confirmation', parameters: [userData.fullName, event.title, schedule.date, schedule.time] },
+            context
+        });
+        await notifier.notifyAdmin({
+            kind: 'adminNotice',
+            mailOptions: adminMailOptions,
+            whatsapp: { template: 'adminAlert', parameters: [event.title, userData.fullName, userData.phone, amountPaid] },
+            context
+        });
+        return true;
+    }
+
+    // Let someone whose payment failed know, with a way back to try again.
+    // Sent once per order, however many attempts on it fail.
+    async function sendPaymentFailureNudge(registrationId, registration, reason) {
+        if (registration.paymentFailureNudgedOrderId === registration.orderId) {
+            return false;
+        }
+
+        const event = await getEvent(db, registration.eventId);
+        if (!event) {
+            return false;
+        }
+
+        const retryUrl = new URL(env.PAYMENT_RETRY_URL || 'https://inspiringshereen.com/register');
+        retryUrl.searchParams.set('event', event.id);
+        retryUrl.searchParams.set('email', registration.email);
+
+        const mailOptions = {
+            from: env.EMAIL_USER,
+            to: registration.email,
+            subject: `Your payment didn't go through - ${event.title}`,
+            html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+                <h2 style="color: #7C3AED; text-align: center;">Your Payment Didn't Go Through</h2>
+                <p>Dear ${registration.fullName},</p>
+                <p>We couldn't complete your payment for <strong>${event.title}</strong>${reason ? ` (${reason})` : ''}. If any amount was debited, your bank will return it.</p>
+
+                <div style="text-align: center; margin: 25px 0;">
+                    <a href="${retryUrl}" style="display: inline-block; background-color: #7C3AED; color: white; text-decoration: none; padding: 12px 24px; border-radius: 5px; font-weight: bold;">
+                        Try Again
+                    </a>
+                </div>
+
+                <p>If the payment keeps failing, reach out on WhatsApp and we'll help: <a href="https://wa.me/919951611674">Click here to chat on WhatsApp</a></p>
+
+                <p style="margin-bottom: 0;">Warm regards,</p>
+                <p style="margin-top: 5px;"><strong>Inspiring Shereen</strong></p>
+                <p style="color: #7C3AED;">Life Coach | Shaping Lives With Holistic Success</p>
+            </div>
+            `
+        };
+
+        await notifier.notify({
+            kind: 'paymentFailed',
+            email: registration.email,
+            phone: registration.phone,
+            mailOptions,
+            whatsapp: { template: 'paymentFailed', parameters: [registration.fullName, event.title, retryUrl.toString()] },
+            context: { registrationId, eventId: event.id, orderId: registration.orderId }
+        });
+        await repositories.registrations.updateAndMirror(registrationId, { paymentFailureNudgedOrderId: registration.orderId });
+        return true;
+    }
+
+    // Function to verify Razorpay signature
+    function verifyRazorpaySignature(orderId, paymentId, signature) {
+        const generatedSignature = crypto
+            .createHmac('sha256', RAZORPAY_KEY_SECRET)
+            .update(orderId + '|' + paymentId)
+            .digest('hex');
+
+        return generatedSignature === signature;
+    }
+
+    // Firebase Auth Middleware
+    const authenticateFirebase = async (req, res, next) => {
+        try {
+            const authHeader = req.headers.authorization;
+
+            if (!authHeader || !authHeader.startsWith('Bearer ')) {
+                return res.status(401).json({ error: 'Unauthorized: No valid authentication token provided' });
+            }
+
+            const token = authHeader.split('Bearer ')[1];
+
+            // Verify the Firebase ID token
+            const decodedToken = await auth.verifyIdToken(token);
+            req.user = decodedToken;
+
+            next();
+        } catch (error) {
+            req.log.warn('Authentication failed', { error: error.message });
+            return res.status(401).json({ error: 'Unauthorized: Invalid token' });
+        }
+    };
+
+    // Admin auth middleware - requirePermission('refunds:create') etc., see lib/roles
+    const requirePermission = createPermissionGuard(auth);
+
+    // Admin actions go to the audit log. A failed write is reported but does
+    // not fail the action, which has already happened by then.
+    const audit = async (req, { action, target, before, after }) => {
+        try {
+            await recordAuditEvent(db, {
+                actor: req.staff || { uid: 'anonymous' },
+                action,
+                target,
+                before,
+                after,
+                ip: req.ip,
+                userAgent: req.get('user-agent')
+            });
+        } catch (error) {
+            req.log.error('Failed to write audit log entry', { action, error });
+        }
+    };
+
+    // What the audit log records about a user account
+    const userSnapshot = async (uid) => {
+        const [userRecord, profile] = await Promise.all([auth.getUser(uid), repositories.users.get(uid)]);
+        return {
+            email: userRecord.email || null,
+            displayName: userRecord.displayName || null,
+            disabled: Boolean(userRecord.disabled),
+            customClaims: userRecord.customClaims || {},
+            profile
+        };
+    };
+
+    // Staff accounts can only be changed by someone who can manage roles, so
+    // an admin cannot disable or delete the owner
+    const checkStaffAccountChange = async (req, uid) => {
+        const targetRole = await getStaffRole(auth, uid);
+        return targetRole && !hasPermission(req.staff.role, 'roles:write')
+            ? `Only an owner can change the account of a ${targetRole}`
+            : null;
+    };
+
+    // Create this person's registration for the event, or refresh the contact
+    // details on the one they already have going (`current`, when the caller
+    // has looked it up). Resolves to the registration id.
+    async function saveRegistrationDetails(event, { email, fullName, phone, timestamp }, current) {
+        const existing = current === undefined
+            ? await repositories.registrations.findCurrent(email, event.id)
+            : current;
+        const details = {
+            fullName,
+            email,
+            phone,
+            eventId: event.id,
+            eventTitle: event.title,
+            timestamp: timestamp || new Date().toISOString()
+        };
+
+        if (existing) {
+            await repositories.registrations.updateAndMirror(existing.id, details);
+            return existing.id;
+        }
+
+        return repositories.registrations.create(details);
+    }
+
+    // Update user registration - no referenceId needed
+    app.post('/api/user/registrations', rateLimiter.byIp('registration'), validateRequest({
+        body: { ...participantFields, ...captchaField, eventId: rules.id({ required: true }) }
+    }), rateLimiter.byEmail('registration'), requireCaptcha(captcha), async (req, res) => {
+        try {
+            const { email, fullName, phone, timestamp, eventId } = req.body;
+
+            const event = await getEvent(db, eventId);
+            if (!event || event.status !== 'published') {
+                return res.status(404).json({ success: false, error: 'Event not found or not open for registration' });
+            }
+
+            const registrationId = await saveRegistrationDetails(event, { email, fullName, phone, timestamp });
+
+            res.json({
+                success: true,
+                registrationId,
+                message: 'Registration updated successfully'
+            });
+        } catch (error) {
+            req.log.error('Error updating registration', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to update registration'
+            });
+        }
+    });
+
+    // The signed-in user's registration history, newest first. Registrations
+    // are filed by email, so only a verified address can read them.
+    app.get('/api/user/registrations', authenticateFirebase, validateRequest({ query: {} }), async (req, res) => {
+        try {
+            if (!req.user.email || !req.user.email_verified) {
+                return res.status(403).json({ success: false, error: 'Verify your email address to see your registrations' });
+            }
+
+            const registrations = await repositories.users.listRegistrations(registrantKey(req.user.email));
+
+            res.json({ success: true, registrations });
+        } catch (error) {
+            req.log.error('Error fetching registration history', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch registrations' });
+        }
+    });
+
+    // Create payment order with Razorpay - no referenceId needed
+    // In server.js, update the create-payment-order endpoint with better error handling
+
+    app.post('/api/create-payment-order', rateLimiter.byIp('order'), validateRequest({
+        body: {
+            ...participantFields,
+            ...captchaField,
+            eventId: rules.id({ required: true }),
+            couponCode: rules.string({ max: 32 })
+        }
+    }), rateLimiter.byEmail('order'), requireCaptcha(captcha), async (req, res) => {
+        try {
+            const { email, fullName, phone, timestamp, eventId, couponCode } = req.body;
+            req.log.info('Creating payment order', { eventId, couponCode: couponCode || null });
+
+            const event = await getEvent(db, eventId);
+            if (!event || event.status !== 'published') {
+                return res.status(404).json({ success: false, error: 'Event not found or not open for registration' });
+            }
+
+            const current = await repositories.registrations.findCurrent(email, event.id);
+            const previous = current && current.registration;
+
+            if (previous && PAID_STATUSES.includes(previous.paymentStatus)) {
+                return res.status(409).json({ success: false, error: 'You have already paid for this event' });
+            }
+
+            const registrationId = await saveRegistrationDetails(event, { email, fullName, phone, timestamp }, current);
+
+            // A new order replaces any earlier unpaid one, so give back the
+            // coupon use that order was holding before checking the new code
+            if (previous && previous.couponCode && previous.orderId) {
+                await releaseCoupon(db, previous.couponCode, previous.orderId);
+            }
+
+            const originalAmount = toMinorUnits(event.price);
+            let amount = originalAmount;
+            let coupon = null;
+
+            if (couponCode) {
+                const preview = await previewCoupon(db, { code: couponCode, event, email, amount: originalAmount });
+
+                if (!preview.valid) {
+                    return res.status(400).json({ success: false, error: preview.error });
+                }
+
+                const reserveError = await reserveCoupon(db, preview.coupon, email);
+                if (reserveError) {
+                    return res.status(400).json({ success: false, error: reserveError });
+                }
+
+                coupon = preview.coupon;
+                amount = preview.finalAmount;
+            }
+
+            // A full event takes no payment; the registration joins the waitlist.
+            // The coupon is checked first so a rejected code never holds a seat.
+            if (event.capacity && !(await requestSeat(db, event, registrationId, { holdMs: seatHoldMs }))) {
+                if (coupon) {
+                    await returnCouponUse(db, coupon.code, email);
+                }
+                const position = await joinWaitlist(db, event.id, registrationId, { email, fullName });
+
+                return res.status(202).json({
+                    success: true,
+                    waitlisted: true,
+                    registrationId,
+                    position,
+                    message: 'This event is full. You are on the waitlist and will be emailed if a seat opens up.'
+                });
+            }
+
+            // Proceed with payment order creation - amount is in paisa for INR
+            const options = {
+                amount,
+                currency: event.currency,
+                receipt: `rcpt_${Date.now()}`, // ✅ Short & unique
+                payment_capture: 1,
+                notes: {
+                    eventId: event.id,
+                    email,
+                    couponCode: coupon ? coupon.code : ''
+                }
+            };
+
+            const couponDetails = coupon ? {
+                couponCode: coupon.code,
+                originalAmount: originalAmount / 100,
+                discountAmount: (originalAmount - amount) / 100
+            } : {};
+
+            req.log.debug('Razorpay order options', { amount, currency: event.currency, receipt: options.receipt });
+
+            // Create Razorpay order
+            try {
+                const order = await razorpay.orders.create(options);
+                req.log.info('Razorpay order created', { orderId: order.id, registrationId });
+
+                if (coupon) {
+                    await recordRedemption(db, coupon.code, order.id, {
+                        email,
+                        eventId: event.id,
+                        discountAmount: couponDetails.discountAmount,
+                        finalAmount: amount / 100
+                    });
+                }
+
+                // Store the order on the registration and the user's copy of it;
+                // payment state from an earlier attempt no longer applies
+                await repositories.registrations.updateAndMirror(registrationId, {
+                    orderId: order.id,
+                    orderAmount: amount / 100,
+                    orderCurrency: event.currency,
+                    orderStatus: "created",
+                    orderTimestamp: new Date().toISOString(),
+                    paymentStatus: null,
+                    paymentFailureReason: null,
+                    transactionId: null,
+                    couponCode: null,
+                    originalAmount: null,
+                    discountAmount: null,
+                    ...couponDetails
+                });
+
+                res.status(200).json({
+                    success: true,
+                    registrationId,
+                    orderId: order.id,
+                    amount,
+                    currency: event.currency,
+                    ...couponDetails,
+                    razorpayKey: RAZORPAY_KEY_ID
+                });
+            } catch (razorpayError) {
+                if (coupon) {
+                    await returnCouponUse(db, coupon.code, email);
+                }
+
+                req.log.error('Razorpay order creation failed', {
+                    statusCode: razorpayError.statusCode || null,
+                    razorpayError: razorpayError.error || null,
+                    error: razorpayError instanceof Error ? razorpayError : razorpayError.message || null
+                });
+
+                // Check if the Razorpay instance is properly initialized
+                if (!razorpay.orders) {
+                    req.log.error('Razorpay orders object not found - invalid configuration');
+                    return res.status(500).json({
+                        success: false,
+                        error: "Payment system configuration error",
+                        details: "Could not initialize Razorpay properly"
+                    });
+                }
+
+                res.status(500).json({
+                    success: false,
+                    error: razorpayError?.error?.description || razorpayError.message || "Unknown Razorpay error",
+                    code: razorpayError?.error?.code || 'unknown'
+                });
+            }
+        } catch (err) {
+            req.log.error('Error creating payment order', { error: err });
+            res.status(500).json({
+                success: false,
+                error: err.message || "Payment order creation failed",
+                stack: env.NODE_ENV === 'development' ? err.stack : undefined
+            });
+        }
+    });
+
+    // Confirm payment
+    app.post('/api/confirm-payment', validateRequest({
+        body: {
+            ...participantFields,
+            // Sent along with the form data; the order already records the event
+            eventId: rules.id(),
+            razorpay_payment_id: rules.id({ required: true }),
+            razorpay_order_id: rules.id({ required: true }),
+            razorpay_signature: rules.string({ required: true, max: 256 })
+        }
+    }), async (req, res) => {
+        try {
+            const {
+                razorpay_payment_id,
+                razorpay_order_id,
+                razorpay_signature
+            } = req.body;
+
+            const { email, fullName, phone, timestamp } = req.body;
+
+            // Verify the signature
+            const isSignatureValid = verifyRazorpaySignature(
+                razorpay_order_id,
+                razorpay_payment_id,
+                razorpay_signature
+            );
+
+            if (!isSignatureValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid payment signature'
+                });
+            }
+
+            // The order was created for exactly one registration
+            const match = await repositories.registrations.findByOrderId(razorpay_order_id);
+
+            if (!match || match.registration.email !== email) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User registration data not found'
+                });
+            }
+
+            // Update rather than set so the order and event details stored at
+            // order creation survive
+            const details = { fullName, phone, timestamp: timestamp || new Date().toISOString() };
+            await repositories.registrations.updateAndMirror(match.id, details);
+
+            await confirmRegistrationPayment(match.id, { ...match.registration, ...details }, razorpay_order_id, razorpay_payment_id);
+
+            res.json({
+                success: true,
+                registrationId: match.id
+            });
+        } catch (error) {
+            req.log.error('Error confirming payment', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Something went wrong during payment confirmation'
+            });
+        }
+    });
+
+    // Mark a registration paid and send the confirmation emails. Shared by the
+    // confirm-payment route, the payment.captured webhook and reconciliation,
+    // which often run at the same moment: only the caller that claims the
+    // confirmation does the work, the others resolve to false.
+    async function confirmRegistrationPayment(registrationId, userData, orderId, paymentId) {
+        // Confirmed before confirmations were claimed
+        const confirmedEarlier = userData.paymentStatus === 'Confirmed' && userData.transactionId === paymentId;
+
+        if (confirmedEarlier || !await repositories.registrations.claimConfirmation(registrationId, paymentId)) {
+            logger.info('Payment already confirmed, skipping confirmation emails', { registrationId, paymentId });
+            return false;
+        }
+
+        // Update the registration and the user's copy of it
+        const paymentUpdate = {
+            paymentConfirmed: true,
+            transactionId: paymentId,
+            paymentStatus: 'Confirmed',
+            orderStatus: 'paid',
+            paymentTimestamp: new Date().toISOString()
+        };
+
+        try {
+            await repositories.registrations.updateAndMirror(registrationId, paymentUpdate);
+
+            // Add to confirmed payments
+            await repositories.payments.saveConfirmed(registrationId, {
+                paymentId,
+                orderId,
+                timestamp: new Date().toISOString()
+            });
+
+            await markCouponRedeemed(db, userData.couponCode, orderId);
+
+            const event = await getEvent(db, userData.eventId);
+            if (event && event.capacity) {
+                await takeSeat(db, event, registrationId);
+            }
+            if (userData.waitlistStatus) {
+                await setWaitlistStatus(db, userData.eventId, registrationId, 'accepted');
+            }
+        } catch (error) {
+            // Nothing has been sent yet; let a retried webhook confirm it
+            await repositories.registrations.releaseConfirmation(registrationId);
+            throw error;
+        }
+
+        // Send confirmation emails
+        await sendConfirmationEmails({ ...userData, ...paymentUpdate }, registrationId, paymentId);
+        return true;
+    }
+
+    // Give up a registration's seat, if its event has a capacity, and offer
+    // it to the next person on the waitlist
+    async function freeSeat(registrationId, registration) {
+        const event = await getEvent(db, registration.eventId);
+        if (event && event.capacity) {
+            await releaseSeatAndOffer(waitlist, event, registrationId);
+        }
+    }
+
+    // Apply one Razorpay webhook event. Throws on failure so the event log
+    // records it as failed and it can be retried or replayed.
+    async function processWebhookEvent(webhookData) {
+        const eventName = webhookData.event;
+
+        if (eventName === 'payment.captured') {
+            const paymentData = webhookData.payload.payment.entity;
+            const match = await repositories.registrations.findByOrderId(paymentData.order_id);
+
+            if (!match) {
+                logger.warn('Webhook: registration not found for order', { orderId: paymentData.order_id });
+                return;
+            }
+
+            const sent = await confirmRegistrationPayment(match.id, match.registration, paymentData.order_id, paymentData.id);
+            if (sent) {
+                logger.info('Webhook: confirmation emails sent', { registrationId: match.id, paymentId: paymentData.id });
+            }
+        } else if (eventName === 'payment.authorized') {
+            // Orders are created with payment_capture, so payment.captured follows
+            // and does the confirmation; only note the intermediate state here
+            const paymentData = webhookData.payload.payment.entity;
+            const match = await repositories.registrations.findByOrderId(paymentData.order_id);
+
+            if (match && match.registration.paymentStatus !== 'Confirmed') {
+                const update = {
+                    paymentStatus: 'Authorized',
+                    transactionId: paymentData.id,
+                    paymentAuthorizedTimestamp: new Date().toISOString()
+                };
+                await repositories.registrations.updateAndMirror(match.id, update);
+            }
+        } else if (eventName.startsWith('refund.')) {
+            const refundData = webhookData.payload.refund.entity;
+            const match = await repositories.registrations.findByPaymentId(refundData.payment_id);
+
+            if (match) {
+                const status = refundStatusFromEvent(eventName, refundData);
+                const { refund, registration: updated } = await applyRefundUpdate(db, match.id, match.registration, refundData, status);
+
+                await notifyRefund(mailer, match.id, match.registration, refund, env.EMAIL_USER);
+                if (updated.paymentStatus === 'Refunded' && match.registration.paymentStatus !== 'Refunded') {
+                    await freeSeat(match.id, match.registration);
+                }
+                logger.info('Webhook: refund updated', { registrationId: match.id, refundId: refund.refundId, status });
+            } else {
+                logger.warn('Webhook: registration not found for refunded payment', { paymentId: refundData.payment_id });
+            }
+        } else if (eventName === 'payment.failed') {
+            // Update payment status for the user
+            const paymentData = webhookData.payload.payment.entity;
+            const match = await repositories.registrations.findByOrderId(paymentData.order_id);
+
+            if (!match) {
+                logger.warn('Webhook: registration not found for failed payment order', { orderId: paymentData.order_id });
+                return;
+            }
+
+            // A failed attempt can arrive after a later attempt on the same order succeeded
+            if (match.registration.paymentStatus === 'Confirmed') {
+                return;
+            }
+
+            // Update payment status in both locations
+            const update = {
+                paymentStatus: 'Failed',
+                paymentFailureReason: paymentData.error_description || 'Unknown error',
+                paymentFailureTimestamp: new Date().toISOString()
+            };
+            await repositories.registrations.updateAndMirror(match.id, update);
+            // The seat hold stays: Razorpay lets the payer retry on the same
+            // order, and the hold runs out by itself if they do not
+            await sendPaymentFailureNudge(match.id, match.registration, paymentData.error_description);
+        } else {
+            logger.info('Webhook: ignoring unhandled event', { event: eventName });
+        }
+    }
+
+    // Claim a logged webhook event, process it and record the outcome
+    async function runWebhookEvent(eventId, webhookData, details) {
+        const { claimed, record } = await claimWebhookEvent(db, eventId, details);
+
+        if (!claimed) {
+            return { skipped: true, status: record && record.status };
+        }
+
+        try {
+            await processWebhookEvent(webhookData);
+            await recordWebhookOutcome(db, eventId, null);
+            return { skipped: false, status: 'processed' };
+        } catch (error) {
+            await recordWebhookOutcome(db, eventId, error);
+            throw error;
+        }
+    }
+
+    // Razorpay webhook - raw body is kept for signature verification and the event log
+    app.post('/api/inspiringshereen-webhook', async (req, res) => {
+        try {
+            const webhook_body = req.body.toString();
+            const eventId = webhookEventId(req.headers, webhook_body);
+            const webhookSecret = env.RAZORPAY_WEBHOOK_SECRET;
+            const signatureValid = verifyWebhookSignature(
+                webhook_body,
+                req.headers['x-razorpay-signature'],
+                webhookSecret
+            );
+
+            const details = { rawBody: webhook_body, signatureValid };
+
+            if (!signatureValid) {
+                const reason = webhookSecret ? 'Invalid or missing signature' : 'RAZORPAY_WEBHOOK_SECRET is not configured';
+                req.log.warn('Rejected webhook', { webhookEventId: eventId, reason });
+                await recordRejectedWebhook(db, eventId, details, reason);
+                return res.status(401).json({ success: false, error: 'Invalid signature' });
+            }
+
+            let webhookData;
+            try {
+                webhookData = JSON.parse(webhook_body);
+            } catch (parseError) {
+                return res.status(400).json({ success: false, error: 'Invalid JSON payload' });
+            }
+
+            req.log.info('Webhook received', { event: webhookData.event, webhookEventId: eventId });
+            details.event = webhookData.event || 'unknown';
+
+            const result = await runWebhookEvent(eventId, webhookData, details);
+            if (result.skipped) {
+                req.log.info('Webhook already handled, skipping', { webhookEventId: eventId, status: result.status });
+            }
+
+            // Send response to Razorpay
+            res.status(200).json({ success: true, duplicate: result.skipped });
+        } catch (error) {
+            req.log.error('Error processing webhook', { error });
+            res.status(500).json({ success: false, error: 'Server error while processing webhook' });
+        }
+    });
+
+    // Webhook event log - listing and replay for admins
+    app.use(createWebhookEventsRouter({ db, authenticateFirebase, requirePermission, runWebhookEvent, audit }));
+
+    // Reconcile stale orders and unverified payments against Razorpay. Resolves
+    // to { skipped: true } if another run (on any instance) holds the lock.
+    async function runReconciliation(trigger) {
+        return withLock(db, 'reconciliation', 15 * 60 * 1000, async () => {
+            const report = await reconcilePayments({
+                db,
+                razorpay,
+                confirmPayment: confirmRegistrationPayment,
+                staleAfterMinutes: Number(env.RECONCILE_STALE_MINUTES || 30),
+                expireAfterHours: Number(env.RECONCILE_EXPIRE_HOURS || 24)
+            });
+            const reportId = await saveReconciliationReport(db, report, trigger);
+
+            logger.info('Reconciliation finished', { reportId, trigger, checked: report.checked, fixed: report.fixed.length, errors: report.errors.length });
+            return { id: reportId, trigger, ...report };
+        });
+    }
+
+    app.use(createReconciliationRouter({ db, authenticateFirebase, requirePermission, runReconciliation, audit }));
+
+    // Payment check endpoint - fixed to be outside webhook handler
+    app.get('/api/check-payment', validateRequest({
+        query: { reference_id: rules.id({ required: true }) }
+    }), async (req, res) => {
+        try {
+            const referenceId = req.query.reference_id;
+
+            // Look up user by order ID (reference ID)
+            const match = await repositories.registrations.findByOrderId(referenceId);
+
+            if (!match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No registration found with the given reference ID'
+                });
+            }
+
+            const userData = match.registration;
+
+            const isConfirmed = userData.paymentStatus === 'Confirmed';
+
+            return res.json({
+                success: isConfirmed,
+                status: userData.paymentStatus || 'PENDING',
+                userData
+            });
+
+        } catch (error) {
+            req.log.error('Error checking payment status', { error });
+            return res.status(500).json({
+                success: false,
+                error: 'Server error while checking payment'
+            });
+        }
+    });
+
+    // Event catalog - public listing and admin CRUD
+    app.use(createEventsRouter({ db, authenticateFirebase, requirePermission, audit }));
+
+    // Discount codes - public validation and admin management
+    app.use(createCouponsRouter({ db, authenticateFirebase, requirePermission, audit }));
+
+    // Invoice downloads for registrants and admins
+    app.use(createInvoicesRouter({ db, authenticateFirebase, requirePermission, invoiceConfig }));
+
+    // Ticket check-in and attendance reports
+    app.use(createAttendanceRouter({ db, authenticateFirebase, requirePermission, tickets, audit }));
+
+    // Registrants' choice of notification channels
+    app.use(createNotificationsRouter({ db, authenticateFirebase, notifier }));
+
+    // Registration export (CSV / XLSX) for admins
+    app.use(createRegistrationExportRouter({ db, authenticateFirebase, requirePermission }));
+
+    // Admin analytics (cached in analyticsCache/)
+    app.use(createAnalyticsRouter({
+        db,
+        authenticateFirebase,
+        requirePermission,
+        timezone: env.ANALYTICS_TIMEZONE || 'Asia/Kolkata',
+        maxAgeSeconds: Number(env.ANALYTICS_CACHE_SECONDS || 300)
+    }));
+
+    // Admin routes - secured with Firebase Auth and Admin Check
+    app.get('/api/admin/registrations', authenticateFirebase, requirePermission('registrations:read'), validateRequest({
+        query: registrationListQuery
+    }), async (req, res) => {
+        try {
+            const { errors, options } = parseListQuery(req.query, { sorts: REGISTRATION_SORTS, defaultSort: 'timestamp' });
+
+            if (errors.length > 0) {
+                return sendValidationError(res, fieldErrors(errors, 'query', Object.keys(registrationListQuery)));
+            }
+
+            const page = await listRegistrations(db, options);
+
+            res.json({
+                success: true,
+                ...page
+            });
+        } catch (error) {
+            req.log.error('Error fetching registrations', { error });
+            res.status(500).json({ error: 'Something went wrong' });
+        }
+    });
+
+    // Issue a full or partial refund for a registration's payment
+    app.post('/api/admin/registrations/:registrationId/refund', authenticateFirebase, requirePermission('refunds:create'), validateRequest({
+        params: { registrationId: rules.id({ required: true }) },
+        body: {
+            amount: rules.number({ positive: true }),
+            reason: rules.string({ max: 500 })
+        }
+    }), async (req, res) => {
+        try {
+            const { registrationId } = req.params;
+            const { amount, reason } = req.body;
+
+            const registration = await repositories.registrations.get(registrationId);
+
+            if (!registration) {
+                return res.status(404).json({ success: false, error: 'Registration not found' });
+            }
+
+            if (!registration.transactionId || !PAID_STATUSES.includes(registration.paymentStatus)) {
+                return res.status(400).json({ success: false, error: 'Registration has no confirmed payment to refund' });
+            }
+
+            const refundable = refundableAmount(registration);
+            const refundAmount = amount === undefined ? refundable : amount;
+
+            if (typeof refundAmount !== 'number' || !Number.isFinite(refundAmount) || refundAmount <= 0) {
+                return res.status(400).json({ success: false, error: 'Refund amount must be a positive number' });
+            }
+
+            if (refundAmount > refundable) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Refund amount exceeds the refundable balance of ${refundable}`
+                });
+            }
+
+            if (!razorpay) {
+                return res.status(500).json({ success: false, error: 'Payment system configuration error' });
+            }
+
+            let refundData;
+            try {
+                refundData = await razorpay.payments.refund(registration.transactionId, {
+                    amount: toMinorUnits(refundAmount),
+                    speed: 'normal',
+                    notes: {
+                        registrationId,
+                        reason: reason || '',
+                        requestedBy: req.user.uid
+                    }
+                });
+            } catch (razorpayError) {
+                req.log.error('Razorpay refund failed', {
+                    registrationId,
+                    statusCode: razorpayError.statusCode || null,
+                    razorpayError: razorpayError.error || null,
+                    error: razorpayError instanceof Error ? razorpayError : razorpayError.message || null
+                });
+                return res.status(502).json({
+                    success: false,
+                    error: razorpayError?.error?.description || razorpayError.message || 'Refund failed',
+                    code: razorpayError?.error?.code || 'unknown'
+                });
+            }
+
+            const status = refundData.status === 'processed' ? 'processed' : 'pending';
+            const { refund, registration: updated } = await applyRefundUpdate(
+                db,
+                registrationId,
+                registration,
+                refundData,
+                status
+            );
+
+            await notifyRefund(mailer, registrationId, registration, refund, env.EMAIL_USER);
+            if (updated.paymentStatus === 'Refunded') {
+                await freeSeat(registrationId, registration);
+            }
+            await audit(req, {
+                action: 'registration.refund',
+                target: { type: 'registration', id: registrationId },
+                before: registration,
+                after: updated
+            });
+
+            res.json({
+                success: true,
+                refund,
+                paymentStatus: updated.paymentStatus,
+                refundedAmount: updated.refundedAmount,
+                pendingRefundAmount: updated.pendingRefundAmount
+            });
+        } catch (error) {
+            req.log.error('Error issuing refund', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to issue refund'
+            });
+        }
+    });
+
+    // Users from Firebase Auth merged with their RTDB profile. Defaults to Auth
+    // (uid) order, which pages without reading every user.
+    app.get('/api/admin/users', authenticateFirebase, requirePermission('users:read'), validateRequest({
+        query: userListQuery
+    }), async (req, res) => {
+        try {
+            const { errors, options } = parseListQuery(req.query, {
+                sorts: USER_SORTS,
+                defaultSort: 'uid',
+                defaultOrder: 'asc',
+                statuses: USER_STATUSES
+            });
+
+            if (errors.length > 0) {
+                return sendValidationError(res, fieldErrors(errors, 'query', Object.keys(userListQuery)));
+            }
+
+            const page = await listUsers({ auth, db }, options);
+
+            res.json({
+                success: true,
+                ...page
+            });
+        } catch (error) {
+            req.log.error('Error fetching users', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to fetch users'
+            });
+        }
+    });
+
+    // Toggle user status (enable/disable)
+    app.put('/api/admin/users/:userId/toggle-status', authenticateFirebase, requirePermission('users:write'), validateRequest({
+        params: { userId: rules.id({ required: true }) },
+        body: { disabled: rules.boolean({ required: true }) }
+    }), async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { disabled } = req.body;
+
+            const staffError = await checkStaffAccountChange(req, userId);
+            if (staffError) {
+                return res.status(403).json({ success: false, error: staffError });
+            }
+
+            const before = await userSnapshot(userId);
+
+            // Update user in Firebase Auth
+            await auth.updateUser(userId, { disabled });
+
+            await audit(req, {
+                action: disabled ? 'user.disable' : 'user.enable',
+                target: { type: 'user', id: userId },
+                before,
+                after: await userSnapshot(userId)
+            });
+
+            res.json({
+                success: true,
+                message: `User ${disabled ? 'disabled' : 'enabled'} successfully`
+            });
+        } catch (error) {
+            req.log.error('Error toggling user status', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to update user status'
+            });
+        }
+    });
+
+    // Delete user account
+    app.delete('/api/admin/users/:userId', authenticateFirebase, requirePermission('users:write'), validateRequest({
+        params: { userId: rules.id({ required: true }) }
+    }), async (req, res) => {
+        try {
+            const { userId } = req.params;
+
+            const staffError = await checkStaffAccountChange(req, userId)
+                || await checkOwnerRemains({ auth, db }, userId);
+            if (staffError) {
+                return res.status(403).json({ success: false, error: staffError });
+            }
+
+            const before = await userSnapshot(userId);
+
+            // Delete user from Firebase Auth
+            await auth.deleteUser(userId);
+
+            // Delete user data from RTDB
+            await repositories.users.remove(userId);
+            await db.ref(`staff/${userId}`).remove();
+
+            await audit(req, {
+                action: 'user.delete',
+                target: { type: 'user', id: userId },
+                before,
+                after: null
+            });
+
+            res.json({
+                success: true,
+                message: 'User deleted successfully'
+            });
+        } catch (error) {
+            req.log.error('Error deleting user', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to delete user'
+            });
+        }
+    });
+
+    // Route to create new user (admin only)
+    app.post('/api/admin/users', authenticateFirebase, requirePermission('users:write'), validateRequest({
+        body: {
+            email: rules.email({ required: true }),
+            // Firebase Auth wants at least 6 characters
+            password: rules.string({ required: true, min: 6, max: 128, trim: false }),
+            fullName: rules.name(),
+            phone: rules.phone(),
+            role: rules.enumOf(ROLES),
+            // Older admin UI; same as role: 'admin'
+            isAdmin: rules.boolean()
+        }
+    }), async (req, res) => {
+        try {
+            const { email, password, fullName, phone, isAdmin } = req.body;
+            const role = req.body.role || (isAdmin ? 'admin' : null);
+
+            if (role && !hasPermission(req.staff.role, 'roles:write')) {
+                return res.status(403).json({ success: false, error: 'Only an owner can create staff accounts' });
+            }
+
+            // Create new user in Firebase Auth
+            const userRecord = await auth.createUser({
+                email,
+                password,
+                displayName: fullName,
+                disabled: false
+            });
+
+            // Give the new account its staff role, if any
+            if (role) {
+                await grantRole({ auth, db }, userRecord.uid, role, { grantedBy: req.staff.uid });
+            }
+
+            // Save additional user data to RTDB
+            await repositories.users.save(userRecord.uid, {
+                fullName: fullName || '',
+                email,
+                phone: phone || '',
+                createdAt: new Date().toISOString()
+            });
+
+            await audit(req, {
+                action: 'user.create',
+                target: { type: 'user', id: userRecord.uid },
+                before: null,
+                after: await userSnapshot(userRecord.uid)
+            });
+
+            res.json({
+                success: true,
+                message: 'User created successfully',
+                userId: userRecord.uid
+            });
+        } catch (error) {
+            req.log.error('Error creating user', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to create user'
+            });
+        }
+    });
+
+    // Staff roles - who has which, grant and revoke
+    app.use(createStaffRouter({ db, auth, authenticateFirebase, requirePermission, audit }));
+
+    // Audit log of admin actions
+    app.use(createAuditLogRouter({ db, authenticateFirebase, requirePermission }));
+
+    // One-time setup of the first owner. Needs ADMIN_SETUP_TOKEN from the
+    // environment and stops working for good once an owner exists; after that
+    // owners grant roles through /api/admin/staff.
+    const setupTokenMatches = (token) => {
+        const expected = env.ADMIN_SETUP_TOKEN;
+        if (!expected) {
+            return false;
+        }
+        const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+        return crypto.timingSafeEqual(digest(token), digest(expected));
+    };
+
+    app.post('/api/setup-admin', rateLimiter.byIp('setup'), validateRequest({
+        body: {
+            adminEmail: rules.email({ required: true }),
+            password: rules.string({ min: 6, max: 128, trim: false }),
+            setupToken: rules.string({ required: true, max: 256 })
+        }
+    }), async (req, res) => {
+        try {
+            const { adminEmail, password, setupToken } = req.body;
+
+            if (!setupTokenMatches(setupToken)) {
+                return res.status(403).json({ success: false, error: 'Unauthorized setup attempt' });
+            }
+
+            if (await isBootstrapped(db) || !(await claimBootstrap(db))) {
+                return res.status(409).json({ success: false, error: 'Admin setup has already been completed' });
+            }
+
+            try {
+                let userRecord;
+                let created = false;
+
+                try {
+                    userRecord = await auth.getUserByEmail(adminEmail);
+                } catch (userError) {
+                    if (userError.code !== 'auth/user-not-found') {
+                        throw userError;
+                    }
+                    if (!password) {
+                        await abandonBootstrap(db);
+                        return res.status(400).json({ success: false, error: 'password is required to create a new account' });
+                    }
+
+                    userRecord = await auth.createUser({
+                        email: adminEmail,
+                        password,
+                        emailVerified: true
+                    });
+                    created = true;
+                }
+
+                await grantRole({ auth, db }, userRecord.uid, 'owner', { grantedBy: 'setup' });
+                await completeBootstrap(db, userRecord.uid);
+                await audit(req, {
+                    action: 'role.grant',
+                    target: { type: 'user', id: userRecord.uid },
+                    before: null,
+                    after: { role: 'owner', via: 'setup' }
+                });
+
+                req.log.info('Admin setup completed', { ownerUid: userRecord.uid });
+                return res.json({
+                    success: true,
+                    message: created ? 'New owner account created' : 'Owner role granted to existing user',
+                    uid: userRecord.uid
+                });
+            } catch (setupError) {
+                // Let a later attempt try again
+                await abandonBootstrap(db);
+                throw setupError;
+            }
+        } catch (error) {
+            req.log.error('Error setting up admin', { error });
+            res.status(500).json({ success: false, error: error.message || 'Failed to setup admin user' });
+        }
+    });
+
+    // Frontend error reports, grouped by fingerprint for the admin view.
+    // release names the build, so its uploaded source maps can be used.
+    const frameResolver = createFrameResolver(db);
+
+    app.post('/api/log-error', rateLimiter.byIp('logError'), validateRequest({
+        body: {
+            message: rules.string({ max: 2000 }),
+            stack: rules.string({ max: 20000, trim: false }),
+            user: rules.object({
+                id: rules.string({ max: 128 }),
+                email: rules.string({ max: 254 })
+            }),
+            context: rules.any(),
+            release: rules.string({ max: 100 }),
+            url: rules.string({ max: 2000 })
+        }
+    }), async (req, res) => {
+        try {
+            const { message, stack, user, context, release, url } = req.body;
+
+            const fingerprint = await recordClientError(db, frameResolver, {
+                message,
+                stack,
+                user,
+                context,
+                release,
+                url,
+                userAgent: req.get('user-agent')
+            });
+            req.log.warn('Client-side error', { fingerprint, release: release || null });
+
+            res.status(200).json({ logged: true, fingerprint });
+        } catch (error) {
+            req.log.error('Error logging client error', { error });
+            res.status(500).json({ logged: false });
+        }
+    });
+
+    // Health check endpoint
+    app.get('/api/health', (req, res) => {
+        const healthStatus = {
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            services: {
+                email: mailTransport.configured ? `configured (${mailTransport.kind})` : 'unconfigured',
+                razorpay: !!RAZORPAY_KEY_ID && !!RAZORPAY_KEY_SECRET ? 'configured' : 'unconfigured',
+                razorpayWebhook: env.RAZORPAY_WEBHOOK_SECRET ? 'configured' : 'unconfigured',
+                database: dataBackend.description,
+                captcha: captcha.description,
+                tickets: tickets.enabled ? 'configured' : 'unconfigured',
+                whatsapp: whatsapp.description,
+                rateLimits: rateStore.kind
+            }
+        };
+
+        res.json(healthStatus);
+    });
+
+    // Email outbox - admins can see stuck messages and resend them
+    app.use(createEmailOutboxRouter({ db, authenticateFirebase, requirePermission, mailer, audit }));
+
+    // Client error groups and source map uploads
+    app.use(createClientErrorsRouter({ db, authenticateFirebase, requirePermission, frameResolver, audit }));
+
+    // Contact form inbox - every submission is a ticket admins can answer
+    app.use(createContactTicketsRouter({ db, authenticateFirebase, requirePermission, mailer, audit, env }));
+
+    // Pre-event reminders - one run at a time across instances
+    const runReminders = () => withLock(db, 'reminders', 10 * 60 * 1000, async () => {
+        const summary = await sendDueReminders({ db, notifier, offsets: reminderOffsets, from: env.EMAIL_USER });
+        if (summary.queued > 0) {
+            logger.info('Reminders queued', { queued: summary.queued, events: summary.events });
+        }
+        return summary;
+    });
+
+    app.use(createRemindersRouter({ db, authenticateFirebase, requirePermission, runReminders, audit }));
+
+    // Free seat holds that ran out and pass freed seats down the waitlists
+    const runSeatHolds = () => withLock(db, 'seat-holds', 5 * 60 * 1000, async () => {
+        const summary = await processSeatHolds(waitlist);
+        if (summary.released > 0 || summary.offered > 0) {
+            logger.info('Seat holds processed', summary);
+        }
+        return summary;
+    });
+
+    // Update the contact form API endpoint in server.js
+    const contactSentResponse = {
+        success: true,
+        message: 'Your message has been sent. We will contact you shortly.'
+    };
+
+    app.post('/api/contact-us', rateLimiter.byIp('contact'), validateRequest({
+        body: {
+            name: rules.name({ required: true }),
+            email: rules.email({ required: true }),
+            subject: rules.string({ required: true, max: 200 }),
+            message: rules.string({ required: true, max: 5000 }),
+            ...captchaField,
+            [honeypotField]: rules.string({ max: 1000, allowEmpty: true })
+        }
+    }), trapHoneypot(honeypotField, contactSentResponse), rateLimiter.byEmail('contact'), requireCaptcha(captcha), async (req, res) => {
+        try {
+            const { name, email, subject, message } = req.body;
+
+            // Keep the submission itself as a ticket, not only the emails about
+            // it - first, so it is never lost to a mail problem
+            const submissionId = await repositories.contacts.create({ name, email, subject, message });
+
+            if (!mailTransport.configured) {
+                req.log.error('Email configuration missing, contact emails left in the outbox', { transport: mailTransport.description, submissionId });
+            }
+
+            // Configure email to admin
+            const adminMailOptions = {
+                from: env.EMAIL_USER, // Use your email as sender
+                replyTo: email, // Ensures replies go back to the sender
+                to: env.EMAIL_USER, // Admin email (your Gmail account)
+                subject: `Contact Form: ${subject}`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                        <h2 style="color: #7C3AED;">New Contact Form Submission</h2>
+                        <p><strong>From:</strong> ${name} (${email})</p>
+                        <p><strong>Subject:</strong> ${subject}</p>
+                        <div style="margin-top: 20px; padding: 15px; background-color: #f7f7f7; border-left: 4px solid #7C3AED;">
+                            <p><strong>Message:</strong></p>
+                            <p>${message.replace(/\n/g, '<br>')}</p>
+                        </div>
+                        <p style="margin-top: 20px; font-size: 12px; color: #666;">
+                            This message was sent from the contact form on your website.
+                        </p>
+                    </div>
+                `
+            };
+
+            // Configure auto-reply email
+            const userMailOptions = {
+                from: env.EMAIL_USER,
+                to: email,
+                subject: `Thank you for contacting Inspiring Shereen`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+                        <h2 style="color: #7C3AED; text-align: center;">We've Received Your Message</h2>
+                        <p>Dear ${name},</p>
+                        <p>Thank you for reaching out to us. We have received your message regarding "${subject}" and will get back to you as soon as possible.</p>
+
+                        <div style="background-color: #F5F3FF; padding: 15px; border-radius: 10px; margin: 20px 0;">
+                            <p style="margin-top: 0;"><strong>Your message:</strong></p>
+                            <p style="font-style: italic;">${message.replace(/\n/g, '<br>')}</p>
+                        </div>
+
+                        <p>If you have any urgent concerns, feel free to reach out directly on WhatsApp: <a href="https://wa.me/919951611674">Click here to chat</a></p>
+
+                        <p style="margin-bottom: 0;">Warm regards,</p>
+                        <p style="margin-top: 5px;"><strong>Inspiring Shereen</strong></p>
+                        <p style="color: #7C3AED;">Life Coach | Shaping Lives With Holistic Success</p>
+
+                        <div style="text-align: center; margin-top: 20px;">
+                            <a href="https://wa.me/919951611674" style="display: inline-block; background-color: #25D366; color: white; text-decoration: none; padding: 10px 20px; border-radius: 5px; font-weight: bold;">
+                                Connect on WhatsApp
+                            </a>
+                        </div>
+                    </div>
+                `
+            };
+
+            // Queue both emails; if SMTP is down right now the outbox retries them
+            const context = { contactEmail: email, submissionId };
+            await queueAndDeliver(mailer, { kind: 'contactAdmin', mailOptions: adminMailOptions, context });
+            await queueAndDeliver(mailer, { kind: 'contactAutoReply', mailOptions: userMailOptions, context });
+
+            req.log.info('Contact form emails queued', { submissionId });
+            return res.status(200).json(contactSentResponse);
+        } catch (error) {
+            req.log.error('Error processing contact form submission', { error });
+            return res.status(500).json({
+                success: false,
+                error: 'Server error. Please try again later.'
+            });
+        }
+
+    });
+
+    // Background jobs: outbox retries, reminders and reconciliation. Started by
+    // server.js once it is listening; tests drive the same functions directly.
+    function startScheduledJobs() {
+        const outboxIntervalSeconds = Number(env.OUTBOX_INTERVAL_SECONDS || 60);
+        if (outboxIntervalSeconds > 0) {
+            scheduleJob('email-outbox', outboxIntervalSeconds * 1000, () => withLock(db, 'email-outbox', 5 * 60 * 1000, async () => {
+                const summary = await processOutbox(mailer);
+                if (summary.due > 0) {
+                    logger.info('Email outbox processed', summary);
+                }
+            }));
+        }
+
+        const reminderIntervalSeconds = Number(env.REMINDER_INTERVAL_SECONDS || 300);
+        if (reminderIntervalSeconds > 0) {
+            scheduleJob('event-reminders', reminderIntervalSeconds * 1000, runReminders);
+        }
+
+        // Shared rate limit counters would otherwise pile up in the database
+        if (rateStore.kind === 'database') {
+            scheduleJob('rate-limit-prune', 60 * 60 * 1000, () => withLock(db, 'rate-limit-prune', 10 * 60 * 1000, () => rateStore.prune()));
+        }
+
+        const seatHoldIntervalSeconds = Number(env.SEAT_HOLD_INTERVAL_SECONDS || 60);
+        if (seatHoldIntervalSeconds > 0) {
+            scheduleJob('seat-holds', seatHoldIntervalSeconds * 1000, runSeatHolds);
+        }
+
+        const reconcileIntervalMinutes = Number(env.RECONCILE_INTERVAL_MINUTES || 30);
+        if (razorpay && reconcileIntervalMinutes > 0) {
+            scheduleJob('payment-reconciliation', reconcileIntervalMinutes * 60 * 1000, () => runReconciliation('schedule'));
+        }
+    }
+
+    return { app, mailer, runReminders, runReconciliation, runSeatHolds, startScheduledJobs };
+}
+
+module.exports = { createApp };
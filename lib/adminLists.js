@@ -0,0 +1,323 @@
+// Paginated, filtered and searchable lists behind the admin registrations
+// and users pages.
+//
+// Pages are cursor based: every response carries an opaque nextCursor that
+// is passed back as ?cursor= for the following page. Cursors encode the
+// position of the last row returned (sort value + id), so rows added or
+// removed between requests do not shift later pages.
+
+const { filterRegistrations } = require('./registrationExport');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Rows read from the database per round trip while filling a filtered page
+const SCAN_CHUNK_SIZE = 200;
+// Firebase Auth returns at most 1000 users per listUsers call
+const AUTH_BATCH_SIZE = 1000;
+// Profile reads in flight at once
+const PROFILE_READ_BATCH_SIZE = 100;
+
+const REGISTRATION_SORTS = ['timestamp', 'paymentTimestamp', 'orderTimestamp', 'orderAmount', 'fullName', 'email'];
+const USER_SORTS = ['uid', 'createdAt', 'lastSignInTime', 'email', 'fullName'];
+const USER_STATUSES = ['active', 'disabled'];
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return position && typeof position === 'object' ? position : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Shared query string handling: limit, cursor, sort, order, status, from,
+// to and q. Resolves to { errors, options }.
+function parseListQuery(query, { sorts, defaultSort, defaultOrder = 'desc', statuses = null }) {
+    const errors = [];
+    const sort = query.sort || defaultSort;
+    const order = (query.order || defaultOrder).toLowerCase();
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+
+    if (!sorts.includes(sort)) {
+        errors.push(`sort must be one of ${sorts.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        errors.push('order must be asc or desc');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        errors.push(`limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    if (query.status && statuses && !statuses.includes(query.status.toLowerCase())) {
+        errors.push(`status must be one of ${statuses.join(', ')}`);
+    }
+    for (const field of ['from', 'to']) {
+        if (query[field] && !isValidDate(query[field])) {
+            errors.push(`${field} must be an ISO 8601 date`);
+        }
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        // A cursor only makes sense for the ordering it was issued for
+        if (!cursor || cursor.s !== sort || cursor.o !== order) {
+            errors.push('cursor is invalid or does not match sort and order');
+        }
+    }
+
+    return {
+        errors,
+        options: {
+            sort,
+            order,
+            limit,
+            cursor,
+            status: query.status ? query.status.toLowerCase() : null,
+            eventId: query.eventId || null,
+            from: query.from ? new Date(query.from) : null,
+            to: query.to ? new Date(query.to) : null,
+            search: query.q ? String(query.q).trim().toLowerCase().slice(0, 100) : ''
+        }
+    };
+}
+
+// Case-insensitive match on name and email; phone numbers also match on
+// digits alone, so "98765 43210" finds "+919876543210".
+function matchesSearch(record, search) {
+    if (!search) {
+        return true;
+    }
+
+    const text = [record.fullName, record.email, record.phone]
+        .filter(Boolean)
+        .map(value => String(value).toLowerCase());
+    if (text.some(value => value.includes(search))) {
+        return true;
+    }
+
+    const digits = search.replace(/\D/g, '');
+    return digits.length >= 3 && !!record.phone && String(record.phone).replace(/\D/g, '').includes(digits);
+}
+
+// Registrations are read in chunks ordered by the sort field, starting right
+// after the cursor, until the page is full. Unfiltered pages cost a single
+// query of limit + 1 rows; filters read further only as far as they need to.
+async function listRegistrations(db, { sort, order, limit, cursor, status, eventId, from, to, search }) {
+    const filters = { paymentStatus: status, eventId, from, to };
+    const hasFilters = !!(status || eventId || from || to || search);
+    const chunkSize = hasFilters ? Math.max(SCAN_CHUNK_SIZE, limit + 1) : limit + 1;
+    const registrations = [];
+    let position = cursor ? { value: cursor.v ?? null, key: cursor.k } : null;
+
+    while (registrations.length <= limit) {
+        let query = db.ref('registrations').orderByChild(sort);
+
+        // The row at the resume position was already seen, so ask for one extra
+        if (order === 'asc') {
+            query = position ? query.startAt(position.value, position.key) : query;
+            query = query.limitToFirst(chunkSize + (position ? 1 : 0));
+        } else {
+            query = position ? query.endAt(position.value, position.key) : query;
+            query = query.limitToLast(chunkSize + (position ? 1 : 0));
+        }
+
+        const snapshot = await query.once('value');
+        const rows = [];
+        snapshot.forEach((child) => {
+            rows.push({ id: child.key, ...child.val() });
+        });
+        if (order === 'desc') {
+            rows.reverse();
+        }
+
+        const fresh = position && rows.length > 0 && rows[0].id === position.key ? rows.slice(1) : rows;
+
+        for (const row of fresh) {
+            if (filterRegistrations([row], filters).length === 1 && matchesSearch(row, search)) {
+                registrations.push(row);
+                if (registrations.length > limit) {
+                    break;
+                }
+            }
+        }
+
+        if (fresh.length < chunkSize || registrations.length > limit) {
+            break;
+        }
+        const last = fresh[fresh.length - 1];
+        position = { value: last[sort] ?? null, key: last.id };
+    }
+
+    const hasMore = registrations.length > limit;
+    const page = registrations.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+        registrations: page,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ s: sort, o: order, v: last[sort] ?? null, k: last.id }) : null
+    };
+}
+
+// Profiles are read one uid at a time, PROFILE_READ_BATCH_SIZE at once:
+// users/ also holds every registrant's history (users/<emailKey>/registrations),
+// so a key range across a batch of uids would download most of it.
+// Resolves to { <uid>: profile or null }.
+async function readUserProfiles(db, uids) {
+    const profiles = {};
+
+    for (let start = 0; start < uids.length; start += PROFILE_READ_BATCH_SIZE) {
+        const batch = uids.slice(start, start + PROFILE_READ_BATCH_SIZE);
+        const snapshots = await Promise.all(batch.map(uid => db.ref(`users/${uid}`).once('value')));
+        batch.forEach((uid, index) => {
+            profiles[uid] = snapshots[index].val();
+        });
+    }
+    return profiles;
+}
+
+// Users without a profile are listed from their Auth record alone; the
+// profile itself is created by npm run migrate:user-profiles
+async function mergeUserProfiles(db, userRecords) {
+    const profiles = await readUserProfiles(db, userRecords.map(record => record.uid));
+
+    return userRecords.map((userRecord) => {
+        const userData = profiles[userRecord.uid] || {};
+
+        return {
+            id: userRecord.uid,
+            email: userRecord.email,
+            fullName: userRecord.displayName || userData.fullName || '',
+            phone: userData.phone || '',
+            disabled: userRecord.disabled || false,
+            emailVerified: userRecord.emailVerified,
+            createdAt: userData.createdAt || userRecord.metadata.creationTime,
+            lastSignInTime: userRecord.metadata.lastSignInTime,
+            registrations: userData.registrations || []
+        };
+    });
+}
+
+function matchesUserFilters(user, { status, from, to, search }) {
+    if (status && (status === 'disabled') !== user.disabled) {
+        return false;
+    }
+
+    if (from || to) {
+        const createdAt = new Date(user.createdAt);
+        if (Number.isNaN(createdAt.getTime()) || (from && createdAt < from) || (to && createdAt > to)) {
+            return false;
+        }
+    }
+
+    return matchesSearch(user, search);
+}
+
+// Dates sort chronologically whatever format they were stored in
+function userSortValue(user, sort) {
+    if (sort === 'createdAt' || sort === 'lastSignInTime') {
+        const time = new Date(user[sort]).getTime();
+        return Number.isNaN(time) ? null : time;
+    }
+    return user[sort] ? String(user[sort]).toLowerCase() : null;
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === null) return -1;
+    if (b === null) return 1;
+    return a < b ? -1 : 1;
+}
+
+// Users come from Firebase Auth, which can only page in uid order. That
+// order is streamed: the cursor remembers the Auth page token and the offset
+// inside that page, and profiles are read a page's worth at a time, so only
+// the rows looked at are read. Any other sort has to see every user first,
+// following the page tokens to the end, and then pages by sort value + uid.
+async function listUsers({ auth, db }, options) {
+    const { sort, order, limit, cursor } = options;
+
+    if (sort === 'uid' && order === 'asc') {
+        const users = [];
+        let pageToken = cursor ? cursor.t || undefined : undefined;
+        let offset = cursor ? Number(cursor.i) || 0 : 0;
+
+        for (;;) {
+            const result = await auth.listUsers(AUTH_BATCH_SIZE, pageToken);
+
+            // One more than the page, to tell whether another page follows
+            for (let start = offset; start < result.users.length; start += limit + 1) {
+                const chunk = await mergeUserProfiles(db, result.users.slice(start, start + limit + 1));
+
+                for (const [position, user] of chunk.entries()) {
+                    if (!matchesUserFilters(user, options)) {
+                        continue;
+                    }
+                    if (users.length === limit) {
+                        return {
+                            users,
+                            hasMore: true,
+                            nextCursor: encodeCursor({ s: sort, o: order, t: pageToken || null, i: start + position })
+                        };
+                    }
+                    users.push(user);
+                }
+            }
+
+            if (!result.pageToken) {
+                return { users, hasMore: false, nextCursor: null };
+            }
+            pageToken = result.pageToken;
+            offset = 0;
+        }
+    }
+
+    const matching = [];
+    let pageToken;
+    do {
+        const result = await auth.listUsers(AUTH_BATCH_SIZE, pageToken);
+        const batch = await mergeUserProfiles(db, result.users);
+        matching.push(...batch.filter(user => matchesUserFilters(user, options)));
+        pageToken = result.pageToken;
+    } while (pageToken);
+
+    const direction = order === 'asc' ? 1 : -1;
+    const keyed = matching
+        .map(user => ({ user, value: sort === 'uid' ? user.id : userSortValue(user, sort) }))
+        .sort((a, b) => direction * (compareValues(a.value, b.value) || compareValues(a.user.id, b.user.id)));
+
+    const start = cursor
+        ? keyed.findIndex(({ user, value }) => direction * (compareValues(value, cursor.v ?? null) || compareValues(user.id, cursor.k)) > 0)
+        : 0;
+    const remaining = start === -1 ? [] : keyed.slice(start);
+    const page = remaining.slice(0, limit);
+    const hasMore = remaining.length > limit;
+    const last = page[page.length - 1];
+
+    return {
+        users: page.map(({ user }) => user),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ s: sort, o: order, v: last.value, k: last.user.id }) : null
+    };
+}
+
+module.exports = {
+    REGISTRATION_SORTS,
+    USER_SORTS,
+    USER_STATUSES,
+    MAX_PAGE_SIZE,
+    AUTH_BATCH_SIZE,
+    encodeCursor,
+    decodeCursor,
+    parseListQuery,
+    matchesSearch,
+    listRegistrations,
+    readUserProfiles,
+    listUsers
+};
@@ -0,0 +1,241 @@
+// Registration funnel and revenue figures for the admin dashboard, computed
+// from registrations/ and confirmedPayments/.
+//
+// Every figure is counted against its own timestamp: registrations started
+// on `createdAt` (or `timestamp` on records from before createdAt was
+// written; timestamp moves whenever the form is sent again), orders on
+// `orderTimestamp`, confirmed payments and revenue on `paymentTimestamp` (or
+// the confirmedPayments entry), failures on `paymentFailureTimestamp` and
+// refunds on the refund's own date. Failures
+// are registrations whose latest attempt failed; one that failed and later
+// went through counts only as confirmed.
+//
+// A scan produces all groupings at once and is cached in
+// analyticsCache/<key> for ANALYTICS_CACHE_SECONDS, so dashboard loads and
+// switching between groupings do not re-read the whole database.
+
+const crypto = require('crypto');
+
+const ANALYTICS_GROUPS = ['day', 'week', 'event', 'coupon'];
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_CACHE_SECONDS = 300;
+const CACHE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const PAID_STATUSES = ['Confirmed', 'Partially Refunded', 'Refunded'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+function toDate(value) {
+    if (!value) {
+        return null;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// YYYY-MM-DD of the calendar day in the given timezone
+function dayKey(date, timezone) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+// Weeks start on Monday and are keyed by that Monday's date
+function weekKey(date, timezone) {
+    const day = new Date(`${dayKey(date, timezone)}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+}
+
+function emptyMetrics() {
+    return {
+        registrationsStarted: 0,
+        ordersCreated: 0,
+        paymentsConfirmed: 0,
+        paymentsFailed: 0,
+        failureReasons: {},
+        grossRevenue: {},
+        refundsProcessed: 0,
+        refundedAmount: {}
+    };
+}
+
+// Shape a bucket for the response, failure reasons most common first
+function finishMetrics(metrics) {
+    const netRevenue = {};
+    for (const currency of new Set([...Object.keys(metrics.grossRevenue), ...Object.keys(metrics.refundedAmount)])) {
+        netRevenue[currency] = roundMoney((metrics.grossRevenue[currency] || 0) - (metrics.refundedAmount[currency] || 0));
+    }
+
+    return {
+        registrationsStarted: metrics.registrationsStarted,
+        ordersCreated: metrics.ordersCreated,
+        paymentsConfirmed: metrics.paymentsConfirmed,
+        paymentsFailed: metrics.paymentsFailed,
+        failureReasons: Object.entries(metrics.failureReasons)
+            .map(([reason, count]) => ({ reason, count }))
+            .sort((a, b) => b.count - a.count),
+        grossRevenue: metrics.grossRevenue,
+        refundsProcessed: metrics.refundsProcessed,
+        refundedAmount: metrics.refundedAmount,
+        netRevenue,
+        conversion: {
+            registrationToOrder: ratio(metrics.ordersCreated, metrics.registrationsStarted),
+            orderToPayment: ratio(metrics.paymentsConfirmed, metrics.ordersCreated),
+            registrationToPayment: ratio(metrics.paymentsConfirmed, metrics.registrationsStarted)
+        }
+    };
+}
+
+const addMoney = (totals, currency, amount) => {
+    totals[currency] = roundMoney((totals[currency] || 0) + amount);
+};
+
+// Pure aggregation over already loaded data
+function buildAnalytics({ registrations = {}, confirmedPayments = {} }, { from = null, to = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const totals = emptyMetrics();
+    const buckets = Object.fromEntries(ANALYTICS_GROUPS.map(group => [group, new Map()]));
+    const inRange = (date) => !!date && (!from || date >= from) && (!to || date <= to);
+
+    const bucket = (group, key, label) => {
+        if (!buckets[group].has(key)) {
+            buckets[group].set(key, { key, label, metrics: emptyMetrics() });
+        }
+        return buckets[group].get(key).metrics;
+    };
+
+    // Everything an occurrence at `date` for this registration counts towards
+    const targets = (registration, date) => [
+        totals,
+        bucket('day', dayKey(date, timezone), null),
+        bucket('week', weekKey(date, timezone), null),
+        bucket('event', registration.eventId || 'unknown', registration.eventTitle || registration.eventId || 'Unknown event'),
+        bucket('coupon', registration.couponCode || 'none', registration.couponCode || 'No coupon')
+    ];
+
+    for (const [id, registration] of Object.entries(registrations)) {
+        const confirmed = confirmedPayments[id] || null;
+        const currency = registration.orderCurrency || 'INR';
+
+        const startedAt = toDate(registration.createdAt || registration.timestamp);
+        if (inRange(startedAt)) {
+            targets(registration, startedAt).forEach(metrics => metrics.registrationsStarted++);
+        }
+
+        const orderedAt = toDate(registration.orderTimestamp);
+        if (registration.orderId && inRange(orderedAt)) {
+            targets(registration, orderedAt).forEach(metrics => metrics.ordersCreated++);
+        }
+
+        const paidAt = toDate(registration.paymentTimestamp) || toDate(confirmed && confirmed.timestamp);
+        if ((confirmed || PAID_STATUSES.includes(registration.paymentStatus)) && inRange(paidAt)) {
+            targets(registration, paidAt).forEach((metrics) => {
+                metrics.paymentsConfirmed++;
+                addMoney(metrics.grossRevenue, currency, Number(registration.orderAmount) || 0);
+            });
+        }
+
+        const failedAt = toDate(registration.paymentFailureTimestamp);
+        if (registration.paymentStatus === 'Failed' && inRange(failedAt)) {
+            const reason = registration.paymentFailureReason || 'Unknown';
+            targets(registration, failedAt).forEach((metrics) => {
+                metrics.paymentsFailed++;
+                metrics.failureReasons[reason] = (metrics.failureReasons[reason] || 0) + 1;
+            });
+        }
+
+        for (const refund of Object.values(registration.refunds || {})) {
+            const refundedAt = toDate(refund.updatedAt || refund.createdAt);
+            if (refund.status === 'processed' && inRange(refundedAt)) {
+                targets(registration, refundedAt).forEach((metrics) => {
+                    metrics.refundsProcessed++;
+                    addMoney(metrics.refundedAmount, refund.currency || currency, Number(refund.amount) || 0);
+                });
+            }
+        }
+    }
+
+    const groups = {};
+    for (const group of ANALYTICS_GROUPS) {
+        groups[group] = [...buckets[group].values()]
+            .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+            .map(({ key, label, metrics }) => ({ key, ...(label ? { label } : {}), ...finishMetrics(metrics) }));
+    }
+
+    return { totals: finishMetrics(totals), groups };
+}
+
+function cacheKey({ from, to, timezone }) {
+    return crypto.createHash('sha256')
+        .update([from ? from.toISOString() : '', to ? to.toISOString() : '', timezone].join('|'))
+        .digest('hex')
+        .slice(0, 32);
+}
+
+// Cached analytics for a date range. Pass refresh to recompute regardless.
+async function getAnalytics(db, {
+    from = null,
+    to = null,
+    timezone = DEFAULT_TIMEZONE,
+    maxAgeSeconds = DEFAULT_CACHE_SECONDS,
+    refresh = false,
+    now = new Date()
+} = {}) {
+    const cacheRef = db.ref(`analyticsCache/${cacheKey({ from, to, timezone })}`);
+
+    if (!refresh && maxAgeSeconds > 0) {
+        const cachedSnapshot = await cacheRef.once('value');
+        const cached = cachedSnapshot.val();
+
+        if (cached && now - new Date(cached.computedAt) < maxAgeSeconds * 1000) {
+            return { ...JSON.parse(cached.data), cached: true };
+        }
+    }
+
+    const [registrationsSnapshot, confirmedSnapshot] = await Promise.all([
+        db.ref('registrations').once('value'),
+        db.ref('confirmedPayments').once('value')
+    ]);
+
+    const result = {
+        computedAt: now.toISOString(),
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null,
+        timezone,
+        ...buildAnalytics(
+            { registrations: registrationsSnapshot.val() || {}, confirmedPayments: confirmedSnapshot.val() || {} },
+            { from, to, timezone }
+        )
+    };
+
+    if (maxAgeSeconds > 0) {
+        // Stored as a string: the database would drop the empty objects and
+        // null rates, and user data is not safe to use as keys
+        await cacheRef.set({ computedAt: result.computedAt, data: JSON.stringify(result) });
+
+        // Ranges nobody asks for again would otherwise pile up
+        const expiredSnapshot = await db.ref('analyticsCache')
+            .orderByChild('computedAt')
+            .endAt(new Date(now.getTime() - CACHE_RETENTION_MS).toISOString())
+            .once('value');
+        const expired = Object.keys(expiredSnapshot.val() || {});
+        if (expired.length > 0) {
+            await db.ref('analyticsCache').update(Object.fromEntries(expired.map(key => [key, null])));
+        }
+    }
+
+    return { ...result, cached: false };
+}
+
+module.exports = {
+    ANALYTICS_GROUPS,
+    DEFAULT_TIMEZONE,
+    dayKey,
+    weekKey,
+    buildAnalytics,
+    getAnalytics
+};
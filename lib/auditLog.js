@@ -0,0 +1,111 @@
+// Append-only audit trail of admin actions. Entries are only ever pushed,
+// never updated or removed by the server:
+//   auditLog/<pushId>  { timestamp, action, actorUid, actorRole, targetType,
+//                        targetId, targetKey, ip, userAgent, before, after }
+// before/after are JSON strings of the target as it was and became, so any
+// shape (arrays, empty objects, keys RTDB would refuse) is kept as it was.
+// actorUid, targetKey ("<type>/<id>") and timestamp are what queries order by.
+
+const { encodeCursor, decodeCursor } = require('./adminLists');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Never written to the log, at any depth
+const REDACTED_KEYS = /password|secret|token|signature/i;
+
+// JSON string of a snapshot with credentials masked; null when there is none
+function snapshotJson(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return JSON.stringify(value, (key, child) => (key && REDACTED_KEYS.test(key) ? '[redacted]' : child));
+}
+
+async function recordAuditEvent(db, { actor, action, target, before, after, ip, userAgent }) {
+    const entryRef = db.ref('auditLog').push();
+    const entry = {
+        timestamp: new Date().toISOString(),
+        action,
+        actorUid: actor.uid,
+        actorRole: actor.role || null,
+        targetType: target.type,
+        targetId: String(target.id),
+        targetKey: `${target.type}/${target.id}`,
+        ip: ip || null,
+        userAgent: userAgent ? String(userAgent).slice(0, 300) : null,
+        before: snapshotJson(before),
+        after: snapshotJson(after)
+    };
+
+    await entryRef.set(entry);
+    return entryRef.key;
+}
+
+const parseSnapshot = (value) => (typeof value === 'string' ? JSON.parse(value) : null);
+
+const toEntry = (id, value) => ({
+    id,
+    ...value,
+    before: parseSnapshot(value.before),
+    after: parseSnapshot(value.after)
+});
+
+// Newest first. Filtering by actor or target reads that actor's / target's
+// entries through their index; otherwise the page is read straight off the
+// timestamp index. Resolves to { entries, hasMore, nextCursor }.
+async function listAuditLog(db, { actor, targetType, targetId, action, from, to, limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+    const ref = db.ref('auditLog');
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+    const position = cursor ? decodeCursor(cursor) : null;
+    const fromIso = from ? new Date(from).toISOString() : null;
+    const toIso = to ? new Date(to).toISOString() : null;
+
+    let query;
+    if (actor) {
+        query = ref.orderByChild('actorUid').equalTo(actor);
+    } else if (targetType && targetId) {
+        query = ref.orderByChild('targetKey').equalTo(`${targetType}/${targetId}`);
+    } else {
+        query = ref.orderByChild('timestamp');
+        if (fromIso) {
+            query = query.startAt(fromIso);
+        }
+        if (position) {
+            query = query.endAt(position.t, position.k);
+        } else if (toIso) {
+            query = query.endAt(toIso);
+        }
+        if (!action && !targetType) {
+            // One extra for hasMore, one for the cursor row itself
+            query = query.limitToLast(pageSize + 2);
+        }
+    }
+
+    const snapshot = await query.once('value');
+    const entries = Object.entries(snapshot.val() || {})
+        .map(([id, value]) => ({ id, value }))
+        .filter(({ id, value }) => (!targetType || value.targetType === targetType)
+            && (!targetId || value.targetId === targetId)
+            && (!action || value.action === action)
+            && (!fromIso || value.timestamp >= fromIso)
+            && (!toIso || value.timestamp <= toIso)
+            && (!position || value.timestamp < position.t || (value.timestamp === position.t && id < position.k)))
+        .sort((a, b) => (b.value.timestamp.localeCompare(a.value.timestamp)) || (b.id < a.id ? -1 : 1));
+
+    const page = entries.slice(0, pageSize);
+    const hasMore = entries.length > pageSize;
+    const last = page[page.length - 1];
+
+    return {
+        entries: page.map(({ id, value }) => toEntry(id, value)),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ t: last.value.timestamp, k: last.id }) : null
+    };
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    snapshotJson,
+    recordAuditEvent,
+    listAuditLog
+};
@@ -0,0 +1,115 @@
+// Bot protection for the public forms: CAPTCHA tokens and a honeypot field.
+//
+// CAPTCHA_PROVIDER picks the verifier, with CAPTCHA_SECRET as its secret key:
+//   recaptcha  Google reCAPTCHA; set CAPTCHA_MIN_SCORE for v3 scores
+//   hcaptcha   hCaptcha
+//   turnstile  Cloudflare Turnstile
+// Unset (or "none") turns CAPTCHA off. The forms send the widget's token as
+// captchaToken. createApp also takes a captchaVerifier directly - anything
+// with verify(token, { ip }) resolving to { success, error } will do.
+
+const axios = require('axios');
+
+const VERIFY_URLS = {
+    recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+    hcaptcha: 'https://api.hcaptcha.com/siteverify',
+    turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+};
+
+const CAPTCHA_PROVIDERS = Object.keys(VERIFY_URLS);
+
+function createCaptchaVerifier(env = process.env, { http = axios } = {}) {
+    const kind = (env.CAPTCHA_PROVIDER || 'none').toLowerCase();
+
+    if (kind === 'none') {
+        return {
+            kind,
+            enabled: false,
+            description: 'disabled',
+            verify: async () => ({ success: true })
+        };
+    }
+
+    if (!VERIFY_URLS[kind]) {
+        throw new Error(`CAPTCHA_PROVIDER must be one of none, ${CAPTCHA_PROVIDERS.join(', ')}, got "${kind}"`);
+    }
+    if (!env.CAPTCHA_SECRET) {
+        throw new Error(`CAPTCHA_SECRET is required for CAPTCHA_PROVIDER=${kind}`);
+    }
+
+    const minScore = env.CAPTCHA_MIN_SCORE ? Number(env.CAPTCHA_MIN_SCORE) : null;
+
+    return {
+        kind,
+        enabled: true,
+        description: minScore === null ? kind : `${kind} (min score ${minScore})`,
+        async verify(token, { ip } = {}) {
+            const form = new URLSearchParams({ secret: env.CAPTCHA_SECRET, response: token });
+            if (ip) {
+                form.set('remoteip', ip);
+            }
+
+            // All three providers share the siteverify request and response format
+            const { data } = await http.post(VERIFY_URLS[kind], form.toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: 10000
+            });
+
+            if (!data || !data.success) {
+                const codes = (data && data['error-codes']) || [];
+                return { success: false, error: codes.join(', ') || 'token rejected' };
+            }
+            if (minScore !== null && typeof data.score === 'number' && data.score < minScore) {
+                return { success: false, error: `score ${data.score} is below ${minScore}` };
+            }
+
+            return { success: true };
+        }
+    };
+}
+
+// Middleware for routes whose schema takes captchaToken (required when the
+// verifier is enabled). The token is removed from the body once checked.
+function requireCaptcha(verifier) {
+    return async (req, res, next) => {
+        if (!verifier.enabled) {
+            return next();
+        }
+
+        try {
+            const outcome = await verifier.verify(req.body.captchaToken, { ip: req.ip });
+
+            if (!outcome.success) {
+                req.log.warn('CAPTCHA rejected', { path: req.originalUrl, reason: outcome.error });
+                return res.status(403).json({ success: false, error: 'CAPTCHA verification failed' });
+            }
+        } catch (error) {
+            req.log.error('CAPTCHA verification error', { error: error.message });
+            return res.status(503).json({ success: false, error: 'Could not verify CAPTCHA. Please try again.' });
+        }
+
+        delete req.body.captchaToken;
+        next();
+    };
+}
+
+// A form field hidden from people but filled in by bots. Filled-in requests get
+// `response` as if they had worked, so the bot learns nothing, and go no further.
+function trapHoneypot(field, response) {
+    return (req, res, next) => {
+        if (req.body[field]) {
+            req.log.warn('Honeypot field filled in', { field, path: req.originalUrl, ip: req.ip });
+            return res.status(200).json(response);
+        }
+
+        delete req.body[field];
+        next();
+    };
+}
+
+module.exports = {
+    CAPTCHA_PROVIDERS,
+    createCaptchaVerifier,
+    requireCaptcha,
+    trapHoneypot
+};
@@ -0,0 +1,301 @@
+// Frontend errors reported to /api/log-error, grouped so one crash seen by a
+// hundred people is one entry with a count.
+//
+//   clientErrorGroups/<fingerprint>    { message, sampleMessage, frames, count,
+//                                        firstSeen, lastSeen, status, users/<key>,
+//                                        userCount, lastRelease, resolvedAt, resolvedBy }
+//   clientErrorSamples/<fingerprint>/<id>  the latest reports as received, with
+//                                        context kept as a JSON string (keys like
+//                                        "window.location" are not valid in RTDB)
+//   sourceMaps/<release>/<file>        { file, map, uploadedAt, uploadedBy }
+//
+// The fingerprint is a hash of the message with ids, numbers and URLs taken
+// out, plus the function and file of the top stack frames.
+// Where a source map was uploaded for the report's release, frames are
+// mapped back to the original sources first, so the same bug groups
+// together across builds. A resolved group that is reported again opens
+// back up.
+
+const crypto = require('crypto');
+const { SourceMapConsumer } = require('source-map-js');
+const { emailKey } = require('./coupons');
+
+const ERROR_STATUSES = ['unresolved', 'resolved'];
+const FINGERPRINT_FRAMES = 3;
+const SAMPLES_PER_GROUP = 20;
+// Affected users are counted up to this many per group
+const MAX_TRACKED_USERS = 1000;
+
+// Release and file names become database keys
+const storageKey = value => String(value).replace(/[.#$[\]/]/g, '_');
+
+// Numbers, hex ids, UUIDs and URLs vary between occurrences of the same error
+function normalizeMessage(message) {
+    return String(message || '')
+        .replace(/https?:\/\/\S+/g, '<url>')
+        .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+        .replace(/\b0x[0-9a-f]+\b|\b[0-9a-f]*\d[0-9a-f]*\b/gi, '<n>')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 500);
+}
+
+// Chrome/Node ("    at fn (file:1:2)") and Firefox/Safari ("fn@file:1:2") frames
+function parseStack(stack) {
+    return String(stack || '')
+        .split('\n')
+        .map((line) => {
+            const chrome = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/.exec(line);
+            const firefox = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/.exec(line);
+            const match = chrome || firefox;
+
+            return match && {
+                function: match[1] || '<anonymous>',
+                file: match[2],
+                line: Number(match[3]),
+                column: Number(match[4])
+            };
+        })
+        .filter(Boolean);
+}
+
+// "https://site/assets/index-4f9a2c1b.js?v=2" -> "index.js", so a rebuilt
+// bundle with a new hash counts as the same file
+function frameFile(file) {
+    const name = String(file).split(/[?#]/)[0].split('/').pop();
+    return name.replace(/[-.][0-9a-f]{8,}(?=\.\w+$)/i, '');
+}
+
+function computeFingerprint(message, frames) {
+    const top = frames
+        .slice(0, FINGERPRINT_FRAMES)
+        .map(frame => `${frame.function}@${frameFile(frame.source || frame.file)}`);
+
+    return crypto
+        .createHash('sha1')
+        .update([normalizeMessage(message), ...top].join('\n'))
+        .digest('hex');
+}
+
+// An uploaded map as sent (JSON text or already parsed): { raw, sourceCount }, or { error } if it is not a usable source map.
+function parseSourceMap(map) {
+    let parsed;
+    try {
+        parsed = typeof map === 'string' ? JSON.parse(map) : map;
+    } catch (error) {
+        return { error: 'map is not valid JSON' };
+    }
+
+    if (!parsed || typeof parsed.mappings !== 'string' || !Array.isArray(parsed.sources)) {
+        return { error: 'map is not a source map (mappings and sources are required)' };
+    }
+    return { raw: typeof map === 'string' ? map : JSON.stringify(map), sourceCount: parsed.sources.length };
+}
+
+async function saveSourceMap(db, { release, file, raw, sourceCount, uploadedBy }) {
+    const name = String(file).split(/[?#]/)[0].split('/').pop();
+    await db.ref(`sourceMaps/${storageKey(release)}/${storageKey(name)}`).set({
+        release,
+        file: name,
+        map: raw,
+        sourceCount,
+        uploadedAt: new Date().toISOString(),
+        uploadedBy
+    });
+    return { release, file: name };
+}
+
+async function listSourceMaps(db) {
+    const snapshot = await db.ref('sourceMaps').once('value');
+
+    return Object.values(snapshot.val() || {})
+        .flatMap(files => Object.values(files).map(({ map, ...entry }) => entry))
+        .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+}
+
+// Map frames of bundles with an uploaded source map back to the original
+// source. Frames without one are returned as they are. Only found maps are
+// cached, so a map uploaded through another instance is picked up.
+function createFrameResolver(db, { cacheSize = 20 } = {}) {
+    const consumers = new Map();
+
+    async function consumerFor(release, file) {
+        const key = `${storageKey(release)}/${storageKey(file)}`;
+
+        if (!consumers.has(key)) {
+            const snapshot = await db.ref(`sourceMaps/${key}`).once('value');
+            if (!snapshot.exists()) {
+                return null;
+            }
+
+            consumers.set(key, new SourceMapConsumer(JSON.parse(snapshot.val().map)));
+            if (consumers.size > cacheSize) {
+                consumers.delete(consumers.keys().next().value);
+            }
+        }
+        return consumers.get(key);
+    }
+
+    return {
+        async resolve(frames, release) {
+            if (!release) {
+                return frames;
+            }
+
+            const resolved = [];
+            for (const frame of frames) {
+                const consumer = await consumerFor(release, String(frame.file).split(/[?#]/)[0].split('/').pop());
+                // Stack columns count from 1, source map columns from 0
+                const original = consumer && consumer.originalPositionFor({ line: frame.line, column: frame.column - 1 });
+
+                resolved.push(original && original.source ? {
+                    ...frame,
+                    function: original.name || frame.function,
+                    source: original.source,
+                    sourceLine: original.line,
+                    sourceColumn: original.column + 1
+                } : frame);
+            }
+            return resolved;
+        },
+
+        // After a new upload the cached copy is out of date
+        forget(release, file) {
+            consumers.delete(`${storageKey(release)}/${storageKey(file)}`);
+        }
+    };
+}
+
+// A user key for the affected-users count: their email, else the id the app sent
+function userKey(user) {
+    if (user && user.email) {
+        return emailKey(user.email);
+    }
+    return user && user.id ? `id:${storageKey(user.id)}` : null;
+}
+
+// Store one report and count it in its group. Resolves to the fingerprint.
+async function recordClientError(db, resolver, { message, stack, user, context, release, url, userAgent, now = new Date() }) {
+    const frames = await resolver.resolve(parseStack(stack), release);
+    const fingerprint = computeFingerprint(message, frames);
+    const at = now.toISOString();
+    const affected = userKey(user);
+
+    await db.ref(`clientErrorGroups/${fingerprint}`).transaction((current) => {
+        const group = current || {
+            fingerprint,
+            message: normalizeMessage(message),
+            frames: frames.slice(0, FINGERPRINT_FRAMES).map(frame => ({
+                function: frame.function,
+                file: frame.source || frameFile(frame.file),
+                line: frame.sourceLine || frame.line
+            })),
+            count: 0,
+            userCount: 0,
+            firstSeen: at,
+            status: 'unresolved'
+        };
+        const users = { ...(group.users || {}) };
+        let userCount = group.userCount || 0;
+
+        if (affected && !users[affected] && userCount < MAX_TRACKED_USERS) {
+            users[affected] = true;
+            userCount++;
+        }
+
+        return {
+            ...group,
+            sampleMessage: String(message || '').slice(0, 2000),
+            count: (group.count || 0) + 1,
+            users,
+            userCount,
+            lastSeen: at,
+            lastRelease: release || group.lastRelease || null,
+            ...(group.status === 'resolved' ? { status: 'unresolved', regressedAt: at } : {})
+        };
+    });
+
+    const samplesRef = db.ref(`clientErrorSamples/${fingerprint}`);
+    await samplesRef.push({
+        message: message || '',
+        stack: stack || '',
+        frames,
+        user: user || null,
+        context: context === undefined ? null : JSON.stringify(context),
+        release: release || null,
+        url: url || null,
+        userAgent: userAgent || null,
+        receivedAt: at
+    });
+
+    // Keep only the latest samples
+    const samples = Object.entries((await samplesRef.once('value')).val() || {})
+        .sort(([, a], [, b]) => new Date(b.receivedAt) - new Date(a.receivedAt));
+    const stale = samples.slice(SAMPLES_PER_GROUP).map(([id]) => [id, null]);
+    if (stale.length > 0) {
+        await samplesRef.update(Object.fromEntries(stale));
+    }
+
+    return fingerprint;
+}
+
+const toGroupSummary = ({ users, ...group }) => group;
+
+async function listErrorGroups(db, { status, sort = 'lastSeen', limit = 50 } = {}) {
+    const snapshot = await db.ref('clientErrorGroups').once('value');
+
+    return Object.values(snapshot.val() || {})
+        .map(toGroupSummary)
+        .filter(group => !status || group.status === status)
+        .sort((a, b) => (sort === 'count'
+            ? b.count - a.count
+            : new Date(b.lastSeen) - new Date(a.lastSeen)))
+        .slice(0, limit);
+}
+
+async function getErrorGroup(db, fingerprint) {
+    const [groupSnapshot, samplesSnapshot] = await Promise.all([
+        db.ref(`clientErrorGroups/${fingerprint}`).once('value'),
+        db.ref(`clientErrorSamples/${fingerprint}`).once('value')
+    ]);
+
+    if (!groupSnapshot.exists()) {
+        return null;
+    }
+
+    const samples = Object.entries(samplesSnapshot.val() || {})
+        .map(([id, sample]) => ({
+            id,
+            ...sample,
+            context: typeof sample.context === 'string' ? JSON.parse(sample.context) : null
+        }))
+        .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+
+    return { group: toGroupSummary(groupSnapshot.val()), samples };
+}
+
+async function setErrorGroupStatus(db, fingerprint, status, staffUid) {
+    const resolved = status === 'resolved';
+
+    await db.ref(`clientErrorGroups/${fingerprint}`).update({
+        status,
+        resolvedAt: resolved ? new Date().toISOString() : null,
+        resolvedBy: resolved ? staffUid : null,
+        regressedAt: null
+    });
+}
+
+module.exports = {
+    ERROR_STATUSES,
+    normalizeMessage,
+    parseStack,
+    computeFingerprint,
+    parseSourceMap,
+    saveSourceMap,
+    listSourceMaps,
+    createFrameResolver,
+    recordClientError,
+    listErrorGroups,
+    getErrorGroup,
+    setErrorGroupStatus
+};
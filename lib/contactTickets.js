@@ -0,0 +1,138 @@
+// Contact form submissions, handled as support tickets.
+//
+//   contactSubmissions/<id>   { name, email, subject, message, createdAt,
+//                               status, assignedTo, updatedAt, closedAt,
+//                               replies/<replyId> { body, staffUid, sentAt, outboxId } }
+//
+// A ticket starts out new, is open once someone takes it, replied after a
+// reply goes out and closed when done. The requester's message plus the
+// replies make up the thread. Submissions from before tickets existed have
+// no status and count as new.
+
+const { queueAndDeliver } = require('./outbox');
+
+const TICKET_STATUSES = ['new', 'open', 'replied', 'closed'];
+
+const escapeHtml = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatBody = text => escapeHtml(text).replace(/\n/g, '<br>');
+
+function toTicket(id, data) {
+    const { replies, ...ticket } = data;
+    const thread = [
+        { from: 'requester', body: data.message, at: data.createdAt },
+        ...Object.entries(replies || {})
+            .map(([replyId, reply]) => ({ id: replyId, from: 'staff', ...reply, at: reply.sentAt }))
+            .sort((a, b) => new Date(a.at) - new Date(b.at))
+    ];
+
+    return { id, ...ticket, status: data.status || 'new', assignedTo: data.assignedTo || null, thread };
+}
+
+async function getTicket(db, id) {
+    const snapshot = await db.ref(`contactSubmissions/${id}`).once('value');
+    return snapshot.exists() ? toTicket(id, snapshot.val()) : null;
+}
+
+// Newest first, without the thread. assignedTo is a staff uid or 'none';
+// q matches the requester's name, email or the subject.
+async function listTickets(db, { status, assignedTo, q, limit = 50 } = {}) {
+    const snapshot = await db.ref('contactSubmissions').once('value');
+    const search = q ? q.toLowerCase() : null;
+
+    return Object.entries(snapshot.val() || {})
+        .map(([id, data]) => {
+            const { thread, ...ticket } = toTicket(id, data);
+            return { ...ticket, replyCount: thread.length - 1 };
+        })
+        .filter(ticket => !status || ticket.status === status)
+        .filter(ticket => !assignedTo || ticket.assignedTo === (assignedTo === 'none' ? null : assignedTo))
+        .filter(ticket => !search || [ticket.name, ticket.email, ticket.subject]
+            .some(value => String(value || '').toLowerCase().includes(search)))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+}
+
+// Give the ticket to a staff member (or nobody, with null). A new ticket
+// becomes open once someone has it.
+async function assignTicket(db, ticket, assignedTo) {
+    const updates = {
+        assignedTo,
+        updatedAt: new Date().toISOString(),
+        ...(ticket.status === 'new' && assignedTo ? { status: 'open' } : {})
+    };
+
+    await db.ref(`contactSubmissions/${ticket.id}`).update(updates);
+    return getTicket(db, ticket.id);
+}
+
+async function setTicketStatus(db, ticket, status) {
+    const now = new Date().toISOString();
+
+    await db.ref(`contactSubmissions/${ticket.id}`).update({
+        status,
+        updatedAt: now,
+        closedAt: status === 'closed' ? now : null
+    });
+    return getTicket(db, ticket.id);
+}
+
+function buildReplyEmail(ticket, body, from) {
+    return {
+        from,
+        to: ticket.email,
+        replyTo: from,
+        subject: `Re: ${ticket.subject}`,
+        html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+            <p>Dear ${escapeHtml(ticket.name)},</p>
+            <p>${formatBody(body)}</p>
+
+            <p style="margin-bottom: 0;">Warm regards,</p>
+            <p style="margin-top: 5px;"><strong>Inspiring Shereen</strong></p>
+            <p style="color: #7C3AED;">Life Coach | Shaping Lives With Holistic Success</p>
+
+            <div style="margin-top: 25px; padding: 15px; background-color: #f7f7f7; border-left: 4px solid #7C3AED; color: #666;">
+                <p style="margin-top: 0;"><strong>Your message:</strong></p>
+                <p>${formatBody(ticket.message)}</p>
+            </div>
+        </div>
+        `
+    };
+}
+
+// Email a reply to the requester and add it to the thread. The email goes
+// through the outbox, so the ticket is updated even if SMTP is down now.
+async function replyToTicket({ db, mailer, ticket, body, staffUid, from }) {
+    const outboxId = await queueAndDeliver(mailer, {
+        kind: 'contactReply',
+        mailOptions: buildReplyEmail(ticket, body, from),
+        context: { ticketId: ticket.id, contactEmail: ticket.email }
+    });
+    const sentAt = new Date().toISOString();
+    const replyRef = db.ref(`contactSubmissions/${ticket.id}/replies`).push();
+
+    await db.ref(`contactSubmissions/${ticket.id}`).update({
+        [`replies/${replyRef.key}`]: { body, staffUid, sentAt, outboxId },
+        status: 'replied',
+        updatedAt: sentAt,
+        closedAt: null,
+        // Whoever answers an unassigned ticket takes it
+        ...(ticket.assignedTo ? {} : { assignedTo: staffUid })
+    });
+
+    return getTicket(db, ticket.id);
+}
+
+module.exports = {
+    TICKET_STATUSES,
+    getTicket,
+    listTickets,
+    assignTicket,
+    setTicketStatus,
+    replyToTicket
+};
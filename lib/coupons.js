@@ -0,0 +1,282 @@
+// Coupon rules, price calculation and usage bookkeeping.
+//
+// Usage is reserved atomically when an order is created, so caps can never be
+// overshot by concurrent checkouts, and released again if that order is
+// abandoned in favour of a new one. Data lives under:
+//   coupons/<CODE>                         coupon definition + usedCount
+//   couponUsage/<CODE>/<emailKey>          per-email usage count
+//   couponRedemptions/<CODE>/<orderId>     one entry per order using the code
+
+const COUPON_TYPES = ['percentage', 'flat'];
+
+// Razorpay refuses orders below ₹1, so a coupon never takes the price lower
+const MIN_ORDER_AMOUNT = 100;
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Collision-free RTDB key for an email address
+const emailKey = (email) => encodeURIComponent(String(email).trim().toLowerCase()).replace(/\./g, '%2E');
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+const decrement = (count) => Math.max((count || 1) - 1, 0);
+
+function validateCouponInput(body, { partial = false } = {}) {
+    const input = body || {};
+    const errors = [];
+    const value = {};
+    const has = (field) => input[field] !== undefined;
+
+    if (!partial) {
+        const code = normalizeCode(input.code);
+        if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+            errors.push('code must be 3-32 characters of letters, digits, "-" or "_"');
+        } else {
+            value.code = code;
+        }
+    }
+
+    if (has('type') || !partial) {
+        if (!COUPON_TYPES.includes(input.type)) {
+            errors.push(`type must be one of ${COUPON_TYPES.join(', ')}`);
+        } else {
+            value.type = input.type;
+        }
+    }
+
+    if (has('value') || !partial) {
+        if (typeof input.value !== 'number' || !Number.isFinite(input.value) || input.value <= 0) {
+            errors.push('value must be a positive number');
+        } else if ((input.type || '') === 'percentage' && input.value > 100) {
+            errors.push('percentage value cannot exceed 100');
+        } else {
+            value.value = input.value;
+        }
+    }
+
+    for (const field of ['validFrom', 'validUntil']) {
+        if (has(field)) {
+            if (input[field] === null) {
+                value[field] = null;
+            } else if (!isValidDate(input[field])) {
+                errors.push(`${field} must be an ISO 8601 date-time`);
+            } else {
+                value[field] = new Date(input[field]).toISOString();
+            }
+        }
+    }
+
+    if (value.validFrom && value.validUntil && value.validFrom >= value.validUntil) {
+        errors.push('validFrom must be before validUntil');
+    }
+
+    for (const field of ['maxUses', 'maxUsesPerEmail']) {
+        if (has(field)) {
+            if (input[field] === null) {
+                value[field] = null;
+            } else if (!Number.isInteger(input[field]) || input[field] <= 0) {
+                errors.push(`${field} must be a positive integer`);
+            } else {
+                value[field] = input[field];
+            }
+        }
+    }
+
+    if (has('eventIds')) {
+        if (input.eventIds === null) {
+            value.eventIds = null;
+        } else if (!Array.isArray(input.eventIds) || input.eventIds.some(id => typeof id !== 'string' || !id)) {
+            errors.push('eventIds must be an array of event ids');
+        } else {
+            value.eventIds = input.eventIds;
+        }
+    }
+
+    if (has('active') || !partial) {
+        if (has('active') && typeof input.active !== 'boolean') {
+            errors.push('active must be a boolean');
+        } else {
+            value.active = has('active') ? input.active : true;
+        }
+    }
+
+    if (has('description')) {
+        if (typeof input.description !== 'string') {
+            errors.push('description must be a string');
+        } else {
+            value.description = input.description;
+        }
+    }
+
+    return { errors, value };
+}
+
+async function getCoupon(db, code) {
+    const normalized = normalizeCode(code);
+    if (!/^[A-Z0-9_-]{1,32}$/.test(normalized)) {
+        return null;
+    }
+
+    const snapshot = await db.ref(`coupons/${normalized}`).once('value');
+    return snapshot.exists() ? { code: normalized, ...snapshot.val() } : null;
+}
+
+async function getEmailUsage(db, code, email) {
+    const snapshot = await db.ref(`couponUsage/${code}/${emailKey(email)}`).once('value');
+    return snapshot.val() || 0;
+}
+
+// Work out the discount for an amount in the smallest currency unit.
+// Returns { discount, finalAmount } in the same unit.
+function calculateDiscount(coupon, amount) {
+    let discount = coupon.type === 'percentage'
+        ? Math.round(amount * coupon.value / 100)
+        : Math.round(coupon.value * 100);
+
+    const floor = Math.min(amount, MIN_ORDER_AMOUNT);
+    discount = Math.max(0, Math.min(discount, amount - floor));
+
+    return { discount, finalAmount: amount - discount };
+}
+
+// Check that a coupon can be applied to this event and email right now.
+// Returns an error message, or null when the coupon is usable.
+function checkCouponRules(coupon, { event, emailUsage = 0, now = new Date() }) {
+    if (!coupon || !coupon.active) {
+        return 'Invalid coupon code';
+    }
+    if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+        return 'This coupon is not active yet';
+    }
+    if (coupon.validUntil && now > new Date(coupon.validUntil)) {
+        return 'This coupon has expired';
+    }
+    if (Array.isArray(coupon.eventIds) && coupon.eventIds.length > 0 && !coupon.eventIds.includes(event.id)) {
+        return 'This coupon is not valid for this event';
+    }
+    if (coupon.maxUses && (coupon.usedCount || 0) >= coupon.maxUses) {
+        return 'This coupon has reached its usage limit';
+    }
+    if (coupon.maxUsesPerEmail && emailUsage >= coupon.maxUsesPerEmail) {
+        return 'You have already used this coupon';
+    }
+    return null;
+}
+
+// Validate a code for an event/email and price it, without reserving anything
+async function previewCoupon(db, { code, event, email, amount }) {
+    const coupon = await getCoupon(db, code);
+    const emailUsage = coupon && email ? await getEmailUsage(db, coupon.code, email) : 0;
+    const error = checkCouponRules(coupon, { event, emailUsage });
+
+    if (error) {
+        return { valid: false, error };
+    }
+
+    return { valid: true, coupon, ...calculateDiscount(coupon, amount) };
+}
+
+// Atomically take one use of the coupon for this email. Returns an error
+// message if a cap was reached in the meantime, otherwise null.
+async function reserveCoupon(db, coupon, email) {
+    const globalResult = await db.ref(`coupons/${coupon.code}/usedCount`).transaction((count) => {
+        const used = count || 0;
+        if (coupon.maxUses && used >= coupon.maxUses) {
+            return undefined;
+        }
+        return used + 1;
+    });
+
+    if (!globalResult.committed) {
+        return 'This coupon has reached its usage limit';
+    }
+
+    const emailResult = await db.ref(`couponUsage/${coupon.code}/${emailKey(email)}`).transaction((count) => {
+        const used = count || 0;
+        if (coupon.maxUsesPerEmail && used >= coupon.maxUsesPerEmail) {
+            return undefined;
+        }
+        return used + 1;
+    });
+
+    if (!emailResult.committed) {
+        await db.ref(`coupons/${coupon.code}/usedCount`).transaction(decrement);
+        return 'You have already used this coupon';
+    }
+
+    return null;
+}
+
+// Undo reserveCoupon, e.g. when the payment order could not be created
+async function returnCouponUse(db, code, email) {
+    await db.ref(`coupons/${code}/usedCount`).transaction(decrement);
+    await db.ref(`couponUsage/${code}/${emailKey(email)}`).transaction(decrement);
+}
+
+async function recordRedemption(db, code, orderId, details) {
+    await db.ref(`couponRedemptions/${code}/${orderId}`).set({
+        ...details,
+        orderId,
+        status: 'reserved',
+        createdAt: new Date().toISOString()
+    });
+}
+
+async function markCouponRedeemed(db, code, orderId) {
+    if (!code || !orderId) {
+        return;
+    }
+
+    await db.ref(`couponRedemptions/${code}/${orderId}`).update({
+        status: 'redeemed',
+        redeemedAt: new Date().toISOString()
+    });
+}
+
+// Give back a reserved use, e.g. when its order was abandoned. Only reserved
+// redemptions are released, so calling this twice is harmless.
+async function releaseCoupon(db, code, orderId) {
+    if (!code || !orderId) {
+        return false;
+    }
+
+    const redemptionRef = db.ref(`couponRedemptions/${code}/${orderId}`);
+    let email = null;
+
+    const result = await redemptionRef.transaction((redemption) => {
+        // RTDB may call this first with a stale null; returning it unchanged
+        // lets the server retry with the real value
+        if (!redemption) {
+            return redemption;
+        }
+        if (redemption.status !== 'reserved') {
+            return undefined;
+        }
+        email = redemption.email;
+        return { ...redemption, status: 'released', releasedAt: new Date().toISOString() };
+    });
+
+    if (!result.committed || !result.snapshot.exists()) {
+        return false;
+    }
+
+    await returnCouponUse(db, code, email);
+    return true;
+}
+
+module.exports = {
+    COUPON_TYPES,
+    MIN_ORDER_AMOUNT,
+    normalizeCode,
+    emailKey,
+    validateCouponInput,
+    getCoupon,
+    calculateDiscount,
+    checkCouponRules,
+    previewCoupon,
+    reserveCoupon,
+    returnCouponUse,
+    recordRedemption,
+    markCouponRedeemed,
+    releaseCoupon
+};
@@ -0,0 +1,75 @@
+// Where the data lives, chosen by DATA_BACKEND:
+//   firebase  Firebase RTDB + Auth from FIREBASE_SERVICE_ACCOUNT (production)
+//   memory    everything in process memory, gone on restart
+//   file      memory, saved to DATA_FILE (default: a JSON file in the temp dir)
+// Without DATA_BACKEND, Firebase is used when a service account is set and
+// the memory backend otherwise - except in production, where a missing
+// service account is a configuration error rather than a silent fallback.
+// memory and file use lib/localAuth for Auth, so they need no network.
+
+const os = require('os');
+const path = require('path');
+const admin = require('firebase-admin');
+const { createMemoryDatabase, createFileDatabase } = require('./memoryDatabase');
+const { createLocalAuth } = require('./localAuth');
+
+const DATA_BACKENDS = ['firebase', 'memory', 'file'];
+
+function initializeFirebase(env) {
+    if (!env.FIREBASE_SERVICE_ACCOUNT) {
+        throw new Error('DATA_BACKEND is firebase but FIREBASE_SERVICE_ACCOUNT is not set');
+    }
+
+    if (admin.apps.length === 0) {
+        const serviceAccount = JSON.parse(env.FIREBASE_SERVICE_ACCOUNT);
+        serviceAccount.private_key = serviceAccount.private_key.replace(/\\n/g, '\n');
+
+        admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount),
+            databaseURL: `https://${serviceAccount.project_id}-default-rtdb.firebaseio.com`
+        });
+    }
+
+    return {
+        kind: 'firebase',
+        description: 'Firebase',
+        db: admin.database(),
+        auth: admin.auth()
+    };
+}
+
+function createDataBackend(env = process.env) {
+    let kind = (env.DATA_BACKEND || '').toLowerCase();
+
+    if (!kind) {
+        if (!env.FIREBASE_SERVICE_ACCOUNT && env.NODE_ENV === 'production') {
+            throw new Error('Firebase service account not found in environment variables');
+        }
+        kind = env.FIREBASE_SERVICE_ACCOUNT ? 'firebase' : 'memory';
+    }
+
+    if (!DATA_BACKENDS.includes(kind)) {
+        throw new Error(`DATA_BACKEND must be one of ${DATA_BACKENDS.join(', ')}, got "${kind}"`);
+    }
+
+    if (kind === 'firebase') {
+        return initializeFirebase(env);
+    }
+
+    const filePath = kind === 'file'
+        ? path.resolve(env.DATA_FILE || path.join(os.tmpdir(), 'inspiringshereen-data.json'))
+        : null;
+    const db = filePath ? createFileDatabase(filePath) : createMemoryDatabase();
+
+    return {
+        kind,
+        description: filePath ? `file (${filePath})` : 'memory',
+        db,
+        auth: createLocalAuth(db, env.LOCAL_AUTH_SECRET ? { secret: env.LOCAL_AUTH_SECRET } : {})
+    };
+}
+
+module.exports = {
+    DATA_BACKENDS,
+    createDataBackend
+};
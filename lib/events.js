@@ -0,0 +1,191 @@
+// Event catalog helpers shared by the event routes, order creation and emails
+
+const EVENT_STATUSES = ['draft', 'published', 'cancelled', 'completed'];
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const isValidUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+};
+
+// Validate an admin-supplied event payload. With `partial` set only the
+// fields present are checked, which is what updates need.
+function validateEventInput(body, { partial = false } = {}) {
+    const input = body || {};
+    const errors = [];
+    const value = {};
+    const has = (field) => input[field] !== undefined;
+
+    if (has('title') || !partial) {
+        if (typeof input.title !== 'string' || !input.title.trim()) {
+            errors.push('title is required');
+        } else {
+            value.title = input.title.trim();
+        }
+    }
+
+    if (has('description')) {
+        if (typeof input.description !== 'string') {
+            errors.push('description must be a string');
+        } else {
+            value.description = input.description;
+        }
+    }
+
+    if (has('startsAt') || !partial) {
+        const startsAt = new Date(input.startsAt);
+        if (!input.startsAt || Number.isNaN(startsAt.getTime())) {
+            errors.push('startsAt must be an ISO 8601 date-time');
+        } else {
+            value.startsAt = startsAt.toISOString();
+        }
+    }
+
+    if (has('timezone') || !partial) {
+        if (typeof input.timezone !== 'string' || !isValidTimeZone(input.timezone)) {
+            errors.push('timezone must be an IANA time zone such as Asia/Kolkata');
+        } else {
+            value.timezone = input.timezone;
+        }
+    }
+
+    if (has('durationMinutes')) {
+        if (!Number.isInteger(input.durationMinutes) || input.durationMinutes <= 0) {
+            errors.push('durationMinutes must be a positive integer');
+        } else {
+            value.durationMinutes = input.durationMinutes;
+        }
+    }
+
+    if (has('price') || !partial) {
+        if (typeof input.price !== 'number' || !Number.isFinite(input.price) || input.price < 0) {
+            errors.push('price must be a non-negative number');
+        } else {
+            value.price = Math.round(input.price * 100) / 100;
+        }
+    }
+
+    if (has('currency') || !partial) {
+        const currency = typeof input.currency === 'string' ? input.currency.toUpperCase() : 'INR';
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            errors.push('currency must be a 3-letter ISO 4217 code');
+        } else {
+            value.currency = currency;
+        }
+    }
+
+    if (has('venue')) {
+        if (typeof input.venue !== 'string') {
+            errors.push('venue must be a string');
+        } else {
+            value.venue = input.venue.trim();
+        }
+    }
+
+    if (has('meetingLink')) {
+        if (input.meetingLink !== '' && !isValidUrl(input.meetingLink)) {
+            errors.push('meetingLink must be an http(s) URL');
+        } else {
+            value.meetingLink = input.meetingLink;
+        }
+    }
+
+    // No capacity (or null, to remove one) means unlimited seats
+    if (has('capacity')) {
+        if (input.capacity !== null && (!Number.isInteger(input.capacity) || input.capacity <= 0)) {
+            errors.push('capacity must be a positive integer');
+        } else {
+            value.capacity = input.capacity;
+        }
+    }
+
+    if (has('status') || !partial) {
+        const status = input.status || 'draft';
+        if (!EVENT_STATUSES.includes(status)) {
+            errors.push(`status must be one of ${EVENT_STATUSES.join(', ')}`);
+        } else {
+            value.status = status;
+        }
+    }
+
+    if (!partial && !value.venue && !value.meetingLink) {
+        errors.push('Either venue or meetingLink is required');
+    }
+
+    return { errors, value };
+}
+
+async function getEvent(db, eventId) {
+    if (!eventId || typeof eventId !== 'string' || /[.#$[\]/]/.test(eventId)) {
+        return null;
+    }
+
+    const snapshot = await db.ref(`events/${eventId}`).once('value');
+    return snapshot.exists() ? { id: eventId, ...snapshot.val() } : null;
+}
+
+// Public view of an event - the meeting link only goes to paid participants
+function toPublicEvent(event) {
+    const { meetingLink, ...publicEvent } = event;
+    return publicEvent;
+}
+
+// Razorpay expects amounts in the smallest currency unit (paisa for INR)
+function toMinorUnits(amount) {
+    return Math.round(amount * 100);
+}
+
+function formatMoney(amount, currency = 'INR') {
+    return new Intl.NumberFormat('en-IN', {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 2
+    }).format(amount);
+}
+
+// Human readable date/time parts in the event's own time zone
+function formatEventSchedule(event) {
+    const startsAt = new Date(event.startsAt);
+    const timeZone = event.timezone || 'Asia/Kolkata';
+
+    return {
+        date: new Intl.DateTimeFormat('en-IN', { timeZone, dateStyle: 'full' }).format(startsAt),
+        time: new Intl.DateTimeFormat('en-IN', {
+            timeZone,
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZoneName: 'short'
+        }).format(startsAt)
+    };
+}
+
+function describeEventLocation(event) {
+    if (event.venue) {
+        return event.venue;
+    }
+    return 'Live online';
+}
+
+module.exports = {
+    EVENT_STATUSES,
+    validateEventInput,
+    getEvent,
+    toPublicEvent,
+    toMinorUnits,
+    formatMoney,
+    formatEventSchedule,
+    describeEventLocation
+};
@@ -0,0 +1,327 @@
+// GST invoices for confirmed payments, rendered to PDF in process (pdfkit).
+//
+// An invoice is issued once per registration and stored with everything
+// printed on it, so downloading it again later gives the same document even
+// if the business details or tax settings have changed since:
+//   invoices/<registrationId>            the invoice; while it is being issued,
+//                                        { status: 'issuing', allocatedNumber }
+//   invoiceCounters/<financial year>     last number used, e.g. 2526 -> 41
+// Numbers run in sequence within each Indian financial year (April-March):
+// INV-2526-00041. Amounts charged already include GST, so the tax is worked
+// back out of the amount paid.
+//
+// Settings (env):
+//   INVOICE_BUSINESS_NAME, INVOICE_BUSINESS_ADDRESS (lines separated by "|"),
+//   INVOICE_BUSINESS_EMAIL, INVOICE_GSTIN, INVOICE_STATE, INVOICE_STATE_CODE
+//   INVOICE_PREFIX     number prefix (default INV)
+//   INVOICE_SAC        service accounting code (default 999293, coaching)
+//   INVOICE_GST_RATE   percent (default 18; 0 for no GST)
+//   INVOICE_GST_TYPE   intra (CGST + SGST, default) or inter (IGST)
+
+const PDFDocument = require('pdfkit');
+
+const GST_TYPES = ['intra', 'inter'];
+// Statuses that mean money was taken, so an invoice belongs to the registration
+const INVOICED_STATUSES = ['Confirmed', 'Partially Refunded', 'Refunded'];
+// An issue that crashed half way can be retried after this
+const STALE_ISSUE_MS = 5 * 60 * 1000;
+
+function createInvoiceConfig(env = process.env) {
+    const gstRate = Number(env.INVOICE_GST_RATE ?? 18);
+    const gstType = (env.INVOICE_GST_TYPE || 'intra').toLowerCase();
+
+    if (!Number.isFinite(gstRate) || gstRate < 0 || gstRate > 100) {
+        throw new Error(`INVOICE_GST_RATE must be a percentage, got "${env.INVOICE_GST_RATE}"`);
+    }
+    if (!GST_TYPES.includes(gstType)) {
+        throw new Error(`INVOICE_GST_TYPE must be one of ${GST_TYPES.join(', ')}, got "${env.INVOICE_GST_TYPE}"`);
+    }
+
+    return {
+        prefix: env.INVOICE_PREFIX || 'INV',
+        sac: env.INVOICE_SAC || '999293',
+        gstRate,
+        gstType,
+        seller: {
+            name: env.INVOICE_BUSINESS_NAME || 'Inspiring Shereen',
+            address: (env.INVOICE_BUSINESS_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean).join('\n'),
+            email: env.INVOICE_BUSINESS_EMAIL || env.EMAIL_USER || '',
+            gstin: env.INVOICE_GSTIN || '',
+            state: env.INVOICE_STATE || '',
+            stateCode: env.INVOICE_STATE_CODE || ''
+        }
+    };
+}
+
+// "2526" for 1 April 2025 - 31 March 2026, by the date in India
+function financialYear(date) {
+    const [year, month] = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata', year: 'numeric', month: '2-digit' })
+        .format(date)
+        .split('-')
+        .map(Number);
+    const start = month >= 4 ? year : year - 1;
+    return `${String(start % 100).padStart(2, '0')}${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+async function nextInvoiceNumber(db, prefix, now) {
+    const year = financialYear(now);
+    const result = await db.ref(`invoiceCounters/${year}`).transaction(last => (last || 0) + 1);
+    return `${prefix}-${year}-${String(result.snapshot.val()).padStart(5, '0')}`;
+}
+
+// Split a GST-inclusive amount into taxable value and tax, in major units
+function gstBreakdown(total, { gstRate, gstType }) {
+    const totalMinor = Math.round(total * 100);
+    const taxableMinor = Math.round(totalMinor * 100 / (100 + gstRate));
+    const taxMinor = totalMinor - taxableMinor;
+    const halfMinor = Math.floor(taxMinor / 2);
+
+    return {
+        taxableAmount: taxableMinor / 100,
+        cgst: gstType === 'intra' ? halfMinor / 100 : 0,
+        sgst: gstType === 'intra' ? (taxMinor - halfMinor) / 100 : 0,
+        igst: gstType === 'inter' ? taxMinor / 100 : 0,
+        totalTax: taxMinor / 100
+    };
+}
+
+function buildInvoice(invoiceNumber, registrationId, registration, event, config, now) {
+    const total = registration.orderAmount ?? (event && event.price) ?? 0;
+    const gst = gstBreakdown(total, config);
+
+    return {
+        invoiceNumber,
+        registrationId,
+        issuedAt: now.toISOString(),
+        financialYear: financialYear(now),
+        seller: config.seller,
+        buyer: {
+            name: registration.fullName || '',
+            email: registration.email || '',
+            phone: registration.phone || ''
+        },
+        item: {
+            description: (event && event.title) || registration.eventTitle || 'Event registration',
+            eventId: registration.eventId || null,
+            startsAt: (event && event.startsAt) || null,
+            sac: config.sac
+        },
+        currency: registration.orderCurrency || (event && event.currency) || 'INR',
+        listPrice: registration.originalAmount ?? total,
+        discountAmount: registration.discountAmount || 0,
+        couponCode: registration.couponCode || null,
+        gstRate: config.gstRate,
+        gstType: config.gstType,
+        ...gst,
+        totalAmount: total,
+        payment: {
+            orderId: registration.orderId || null,
+            transactionId: registration.transactionId || null,
+            paidAt: registration.paymentTimestamp || now.toISOString()
+        }
+    };
+}
+
+async function getInvoice(db, registrationId) {
+    const snapshot = await db.ref(`invoices/${registrationId}`).once('value');
+    const invoice = snapshot.val();
+    return invoice && invoice.invoiceNumber ? invoice : null;
+}
+
+// Issue the registration's invoice, or resolve to the one it already has.
+// Resolves to null while another request is issuing it.
+//
+// The number is recorded on the claim as soon as it is taken from the
+// counter, so an issue that fails after that reuses it on the next try
+// instead of leaving a gap in the series.
+async function issueInvoice(db, { registrationId, registration, event, config, now = new Date() }) {
+    const invoiceRef = db.ref(`invoices/${registrationId}`);
+    const claim = await invoiceRef.transaction((current) => {
+        if (current && (current.invoiceNumber || (current.status === 'issuing' && now - new Date(current.startedAt) <= STALE_ISSUE_MS))) {
+            return undefined;
+        }
+        return { ...(current || {}), status: 'issuing', startedAt: now.toISOString() };
+    });
+
+    if (!claim.committed) {
+        const existing = claim.snapshot.val();
+        return existing && existing.invoiceNumber ? existing : null;
+    }
+
+    let { allocatedNumber, allocatedAt } = claim.snapshot.val();
+
+    try {
+        if (!allocatedNumber) {
+            allocatedNumber = await nextInvoiceNumber(db, config.prefix, now);
+            allocatedAt = now.toISOString();
+            await invoiceRef.update({ allocatedNumber, allocatedAt });
+        }
+
+        // Dated when the number was taken, so it stays in that year's series
+        const invoice = buildInvoice(allocatedNumber, registrationId, registration, event, config, new Date(allocatedAt));
+        await invoiceRef.set(invoice);
+        return invoice;
+    } catch (error) {
+        // Give up the claim but keep any number taken for the retry
+        await (allocatedNumber ? invoiceRef.update({ status: 'failed' }) : invoiceRef.remove());
+        throw error;
+    }
+}
+
+// The built-in PDF fonts have no rupee sign, so amounts read "INR 1,234.00"
+const formatAmount = (amount, currency) => `${currency} ${Number(amount).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+})}`;
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+});
+
+// Resolves to the invoice as a PDF Buffer
+function renderInvoicePdf(invoice) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 50,
+            info: { Title: `Invoice ${invoice.invoiceNumber}`, Author: invoice.seller.name }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { seller, buyer, item, currency } = invoice;
+        const money = (amount) => formatAmount(amount, currency);
+        const right = doc.page.width - doc.page.margins.right;
+        const left = doc.page.margins.left;
+        const width = right - left;
+
+        doc.fillColor('#7C3AED').fontSize(20).font('Helvetica-Bold')
+            .text(seller.gstin && invoice.gstRate > 0 ? 'TAX INVOICE' : 'INVOICE', { align: 'right' });
+        doc.fillColor('#333333').moveDown(0.5);
+
+        const top = doc.y;
+        doc.fontSize(12).font('Helvetica-Bold').text(seller.name, left, top, { width: width / 2 });
+        doc.fontSize(9).font('Helvetica');
+        if (seller.address) {
+            doc.text(seller.address, { width: width / 2 });
+        }
+        if (seller.state) {
+            doc.text(`State: ${seller.state}${seller.stateCode ? ` (${seller.stateCode})` : ''}`, { width: width / 2 });
+        }
+        if (seller.gstin) {
+            doc.text(`GSTIN: ${seller.gstin}`, { width: width / 2 });
+        }
+        if (seller.email) {
+            doc.text(seller.email, { width: width / 2 });
+        }
+        const sellerBottom = doc.y;
+
+        doc.fontSize(9).text(`Invoice No: ${invoice.invoiceNumber}`, left + width / 2, top, { width: width / 2, align: 'right' });
+        doc.text(`Invoice Date: ${formatDate(invoice.issuedAt)}`, { width: width / 2, align: 'right' });
+        doc.text(`Registration: ${invoice.registrationId}`, { width: width / 2, align: 'right' });
+
+        doc.y = Math.max(sellerBottom, doc.y) + 20;
+        doc.font('Helvetica-Bold').fontSize(10).text('Billed To', left);
+        doc.font('Helvetica').fontSize(9).text(buyer.name);
+        doc.text(buyer.email);
+        if (buyer.phone) {
+            doc.text(buyer.phone);
+        }
+
+        // One line item: the event
+        doc.moveDown(1.5);
+        const columns = [left, left + width * 0.6, left + width * 0.72, left + width * 0.8];
+        const header = doc.y;
+        doc.font('Helvetica-Bold').fontSize(9);
+        doc.text('Description', columns[0], header);
+        doc.text('SAC', columns[1], header);
+        doc.text('Qty', columns[2], header);
+        doc.text('Amount', columns[3], header, { width: right - columns[3], align: 'right' });
+        doc.moveTo(left, doc.y + 4).lineTo(right, doc.y + 4).strokeColor('#DDDDDD').stroke();
+
+        const row = doc.y + 10;
+        doc.font('Helvetica');
+        const description = item.startsAt ? `${item.description} (${formatDate(item.startsAt)})` : item.description;
+        doc.text(description, columns[0], row, { width: columns[1] - columns[0] - 10 });
+        const rowBottom = doc.y;
+        doc.text(item.sac, columns[1], row);
+        doc.text('1', columns[2], row);
+        doc.text(money(invoice.listPrice), columns[3], row, { width: right - columns[3], align: 'right' });
+        doc.y = Math.max(rowBottom, doc.y) + 4;
+        doc.moveTo(left, doc.y).lineTo(right, doc.y).strokeColor('#DDDDDD').stroke();
+
+        // Totals
+        doc.moveDown();
+        const totals = [];
+        if (invoice.discountAmount > 0) {
+            totals.push([`Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ''}`, `- ${money(invoice.discountAmount)}`]);
+        }
+        if (invoice.gstRate > 0) {
+            totals.push(['Taxable value', money(invoice.taxableAmount)]);
+            if (invoice.gstType === 'intra') {
+                totals.push([`CGST @ ${invoice.gstRate / 2}%`, money(invoice.cgst)]);
+                totals.push([`SGST @ ${invoice.gstRate / 2}%`, money(invoice.sgst)]);
+            } else {
+                totals.push([`IGST @ ${invoice.gstRate}%`, money(invoice.igst)]);
+            }
+        }
+
+        const labelX = left + width * 0.5;
+        const labelWidth = width * 0.3;
+        const valueX = labelX + labelWidth;
+        for (const [label, value] of totals) {
+            const y = doc.y;
+            doc.text(label, labelX, y, { width: labelWidth });
+            doc.text(value, valueX, y, { width: right - valueX, align: 'right' });
+        }
+        const totalY = doc.y + 4;
+        doc.font('Helvetica-Bold').fontSize(10);
+        doc.text(invoice.gstRate > 0 ? 'Total (incl. GST)' : 'Total', labelX, totalY, { width: labelWidth });
+        doc.text(money(invoice.totalAmount), valueX, totalY, { width: right - valueX, align: 'right' });
+
+        // Payment
+        doc.moveDown(2);
+        doc.font('Helvetica-Bold').fontSize(10).text('Payment', left);
+        doc.font('Helvetica').fontSize(9);
+        doc.text(`Paid online via Razorpay on ${formatDate(invoice.payment.paidAt)}`);
+        if (invoice.payment.transactionId) {
+            doc.text(`Payment ID: ${invoice.payment.transactionId}`);
+        }
+        if (invoice.payment.orderId) {
+            doc.text(`Order ID: ${invoice.payment.orderId}`);
+        }
+
+        doc.moveDown(3);
+        doc.fontSize(8).fillColor('#777777')
+            .text('This is a computer generated invoice and does not need a signature.', left, doc.y, { width, align: 'center' });
+
+        doc.end();
+    });
+}
+
+// Nodemailer attachment for the outbox, which stores mail as JSON
+async function invoiceAttachment(invoice) {
+    const pdf = await renderInvoicePdf(invoice);
+    return {
+        filename: `${invoice.invoiceNumber}.pdf`,
+        content: pdf.toString('base64'),
+        encoding: 'base64',
+        contentType: 'application/pdf'
+    };
+}
+
+module.exports = {
+    INVOICED_STATUSES,
+    createInvoiceConfig,
+    financialYear,
+    gstBreakdown,
+    getInvoice,
+    issueInvoice,
+    renderInvoicePdf,
+    invoiceAttachment
+};
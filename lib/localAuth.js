@@ -0,0 +1,182 @@
+// Local stand-in for the Firebase Admin Auth API, used with the memory and
+// file data backends so the server runs with no Firebase project at all.
+// Covers what the server calls: verifyIdToken, getUser, getUserByEmail,
+// listUsers, createUser, updateUser, deleteUser and setCustomUserClaims.
+//
+// Users are kept in the same database under localAuth/users/<uid>, so the
+// file backend keeps them across restarts. There is no sign-in flow: an ID
+// token for a user comes from createCustomToken(uid) and is signed with
+// LOCAL_AUTH_SECRET (a random secret per process when unset).
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'local';
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+function authError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `${salt}:${crypto.scryptSync(String(password), salt, 32).toString('hex')}`;
+}
+
+// The shape of a firebase-admin UserRecord
+function toUserRecord(uid, stored) {
+    return {
+        uid,
+        email: stored.email || undefined,
+        emailVerified: !!stored.emailVerified,
+        displayName: stored.displayName || undefined,
+        phoneNumber: stored.phoneNumber || undefined,
+        disabled: !!stored.disabled,
+        customClaims: stored.customClaims || undefined,
+        metadata: {
+            creationTime: stored.creationTime,
+            lastSignInTime: stored.lastSignInTime || null
+        }
+    };
+}
+
+function createLocalAuth(db, { secret = crypto.randomBytes(32).toString('hex'), now = () => new Date() } = {}) {
+    const usersRef = db.ref('localAuth/users');
+
+    const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+    async function readUser(uid) {
+        const snapshot = uid ? await usersRef.child(uid).once('value') : null;
+        if (!snapshot || !snapshot.exists()) {
+            throw authError('auth/user-not-found', `There is no user record corresponding to the provided identifier: ${uid}`);
+        }
+        return snapshot.val();
+    }
+
+    async function findUidByEmail(email) {
+        const snapshot = await usersRef.orderByChild('email').equalTo(String(email).toLowerCase()).once('value');
+        const matches = Object.keys(snapshot.val() || {});
+        return matches.length > 0 ? matches[0] : null;
+    }
+
+    return {
+        async getUser(uid) {
+            return toUserRecord(uid, await readUser(uid));
+        },
+
+        async getUserByEmail(email) {
+            const uid = await findUidByEmail(email);
+            if (!uid) {
+                throw authError('auth/user-not-found', `There is no user record corresponding to the provided email: ${email}`);
+            }
+            return this.getUser(uid);
+        },
+
+        // Pages in uid order; the page token is the last uid returned
+        async listUsers(maxResults = 1000, pageToken) {
+            const snapshot = await usersRef.once('value');
+            const all = Object.entries(snapshot.val() || {}).sort(([a], [b]) => (a < b ? -1 : 1));
+            const remaining = pageToken ? all.filter(([uid]) => uid > pageToken) : all;
+            const page = remaining.slice(0, maxResults);
+
+            return {
+                users: page.map(([uid, stored]) => toUserRecord(uid, stored)),
+                pageToken: remaining.length > maxResults ? page[page.length - 1][0] : undefined
+            };
+        },
+
+        async createUser(properties = {}) {
+            const uid = properties.uid || crypto.randomBytes(21).toString('base64url');
+            const email = properties.email ? String(properties.email).toLowerCase() : null;
+
+            if (email && await findUidByEmail(email)) {
+                throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+            }
+            if ((await usersRef.child(uid).once('value')).exists()) {
+                throw authError('auth/uid-already-exists', 'The user with the provided uid already exists.');
+            }
+
+            await usersRef.child(uid).set({
+                email,
+                emailVerified: !!properties.emailVerified,
+                displayName: properties.displayName || null,
+                phoneNumber: properties.phoneNumber || null,
+                disabled: !!properties.disabled,
+                passwordHash: properties.password ? hashPassword(properties.password) : null,
+                creationTime: now().toUTCString()
+            });
+
+            return this.getUser(uid);
+        },
+
+        async updateUser(uid, properties = {}) {
+            await readUser(uid);
+            const update = {};
+
+            for (const field of ['displayName', 'phoneNumber', 'disabled', 'emailVerified']) {
+                if (properties[field] !== undefined) {
+                    update[field] = properties[field];
+                }
+            }
+            if (properties.email !== undefined) {
+                update.email = String(properties.email).toLowerCase();
+            }
+            if (properties.password !== undefined) {
+                update.passwordHash = hashPassword(properties.password);
+            }
+
+            await usersRef.child(uid).update(update);
+            return this.getUser(uid);
+        },
+
+        async deleteUser(uid) {
+            await readUser(uid);
+            await usersRef.child(uid).remove();
+        },
+
+        async setCustomUserClaims(uid, claims) {
+            await readUser(uid);
+            await usersRef.child(uid).update({ customClaims: claims || null });
+        },
+
+        // Locally this token is accepted directly by verifyIdToken
+        async createCustomToken(uid) {
+            await readUser(uid);
+            const issuedAt = Math.floor(now().getTime() / 1000);
+            const payload = Buffer.from(JSON.stringify({ uid, iat: issuedAt, exp: issuedAt + TOKEN_TTL_SECONDS })).toString('base64url');
+
+            await usersRef.child(uid).update({ lastSignInTime: now().toUTCString() });
+            return `${TOKEN_PREFIX}.${payload}.${sign(payload)}`;
+        },
+
+        // Decoded token in the shape firebase-admin returns, custom claims included
+        async verifyIdToken(token) {
+            const [prefix, payload, signature] = String(token).split('.');
+            const expected = payload ? sign(payload) : '';
+
+            if (prefix !== TOKEN_PREFIX || !signature || signature.length !== expected.length ||
+                !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+                throw authError('auth/argument-error', 'Decoding ID token failed: invalid local token');
+            }
+
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (claims.exp <= Math.floor(now().getTime() / 1000)) {
+                throw authError('auth/id-token-expired', 'ID token has expired');
+            }
+
+            const stored = await readUser(claims.uid);
+            return {
+                ...(stored.customClaims || {}),
+                uid: claims.uid,
+                sub: claims.uid,
+                email: stored.email || undefined,
+                email_verified: !!stored.emailVerified,
+                iat: claims.iat,
+                exp: claims.exp
+            };
+        }
+    };
+}
+
+module.exports = { createLocalAuth };
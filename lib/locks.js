@@ -0,0 +1,48 @@
+// Lease-style locks in RTDB so scheduled jobs run on one instance at a time.
+// A lock that is not released (crash, redeploy) simply expires after ttlMs.
+
+const crypto = require('crypto');
+
+async function acquireLock(db, name, ttlMs) {
+    const owner = crypto.randomUUID();
+    const now = Date.now();
+
+    const result = await db.ref(`locks/${name}`).transaction((current) => {
+        if (current && current.expiresAt > now) {
+            return undefined;
+        }
+        return { owner, acquiredAt: now, expiresAt: now + ttlMs };
+    });
+
+    return result.committed ? owner : null;
+}
+
+async function releaseLock(db, name, owner) {
+    await db.ref(`locks/${name}`).transaction((current) => {
+        if (current && current.owner !== owner) {
+            return undefined;
+        }
+        return null;
+    });
+}
+
+// Run fn while holding the named lock. Resolves to { skipped: true } if
+// another run holds it.
+async function withLock(db, name, ttlMs, fn) {
+    const owner = await acquireLock(db, name, ttlMs);
+    if (!owner) {
+        return { skipped: true };
+    }
+
+    try {
+        return { skipped: false, result: await fn() };
+    } finally {
+        await releaseLock(db, name, owner);
+    }
+}
+
+module.exports = {
+    acquireLock,
+    releaseLock,
+    withLock
+};
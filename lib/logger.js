@@ -0,0 +1,157 @@
+// Structured logs: one JSON object per line on stdout,
+//   {"time":"...","level":"info","msg":"...","requestId":"...",...fields}
+// so the platform's log search can filter on any field.
+//
+// LOG_LEVEL is debug, info (default), warn, error or silent. Fields whose
+// name is on the redaction list are replaced at any depth; LOG_REDACT adds
+// names (comma-separated, any case) to the built-in list of contact details
+// and secrets. Errors are logged as { name, message, code, stack }.
+//
+// Every request gets an id - the caller's X-Request-Id if it sent a usable
+// one - which is returned in the X-Request-Id header, carried by req.log
+// and written on the access log line when the response is done.
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_REDACT = [
+    'authorization',
+    'cookie',
+    'password',
+    'secret',
+    'token',
+    'idToken',
+    'captchaToken',
+    'razorpay_signature',
+    'email',
+    'phone',
+    'fullName',
+    'name',
+    'message',
+    'address'
+];
+
+const REDACTED = '[redacted]';
+const REQUEST_ID_PATTERN = /^[\w-]{1,128}$/;
+
+const serializeError = error => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.statusCode !== undefined ? { statusCode: error.statusCode } : {}),
+    stack: error.stack
+});
+
+function createRedactor(names) {
+    const redacted = new Set(names.map(name => name.toLowerCase()));
+
+    const redact = (value, depth = 0) => {
+        if (value instanceof Error) {
+            return serializeError(value);
+        }
+        if (!value || typeof value !== 'object' || depth > 8) {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => redact(item, depth + 1));
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            redacted.has(key.toLowerCase()) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1)
+        ]));
+    };
+
+    return redact;
+}
+
+function createLogger(env = process.env, { stream = process.stdout, fields = {} } = {}) {
+    const levelName = (env.LOG_LEVEL || 'info').toLowerCase();
+    if (!LEVELS[levelName]) {
+        throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')}, got "${levelName}"`);
+    }
+
+    const threshold = LEVELS[levelName];
+    const redact = createRedactor([
+        ...DEFAULT_REDACT,
+        ...String(env.LOG_REDACT || '').split(',').map(name => name.trim()).filter(Boolean)
+    ]);
+
+    const build = (bound) => {
+        const write = (level, msg, extra) => {
+            if (LEVELS[level] < threshold) {
+                return;
+            }
+            const entry = {
+                time: new Date().toISOString(),
+                level,
+                msg,
+                ...redact({ ...bound, ...(extra || {}) })
+            };
+            stream.write(`${JSON.stringify(entry)}\n`);
+        };
+
+        return {
+            level: levelName,
+            debug: (msg, extra) => write('debug', msg, extra),
+            info: (msg, extra) => write('info', msg, extra),
+            warn: (msg, extra) => write('warn', msg, extra),
+            error: (msg, extra) => write('error', msg, extra),
+            // A logger that adds these fields to every line
+            child: more => build({ ...bound, ...more })
+        };
+    };
+
+    return build(fields);
+}
+
+// Request ids, req.log and the access log line. Goes before every other
+// middleware so each response carries the id.
+function requestLogger(logger) {
+    return (req, res, next) => {
+        const incoming = req.get('x-request-id');
+        const startedAt = process.hrtime.bigint();
+        let logged = false;
+
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.setHeader('X-Request-Id', req.id);
+
+        const logAccess = () => {
+            if (logged) {
+                return;
+            }
+            logged = true;
+
+            // Client went away before the response was sent
+            const status = res.writableFinished ? res.statusCode : 499;
+            const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+            req.log[level]('request', {
+                method: req.method,
+                // Without the query string, which can carry search terms and emails
+                path: req.originalUrl.split('?')[0],
+                status,
+                durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+                bytes: Number(res.get('content-length')) || 0,
+                ip: req.ip,
+                userAgent: req.get('user-agent') || null
+            });
+        };
+
+        res.on('finish', logAccess);
+        res.on('close', logAccess);
+        next();
+    };
+}
+
+// For code outside a request (jobs, scripts, startup)
+const logger = createLogger();
+
+module.exports = {
+    LEVELS,
+    DEFAULT_REDACT,
+    createLogger,
+    requestLogger,
+    logger
+};
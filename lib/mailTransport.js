@@ -0,0 +1,111 @@
+// Mail transport chosen by configuration (MAIL_TRANSPORT):
+//   gmail    Gmail with EMAIL_USER / EMAIL_PASSWORD (default, what we ran before)
+//   smtp     any SMTP server: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_REQUIRE_TLS,
+//            SMTP_USER / SMTP_PASSWORD (fall back to EMAIL_USER / EMAIL_PASSWORD)
+//   capture  no network; every message is written to MAIL_CAPTURE_DIR as an
+//            .eml file, or as JSON with MAIL_CAPTURE_FORMAT=json
+// Network transports are pooled, so one set of connections serves the whole
+// process instead of one connection per request.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_TRANSPORTS = ['gmail', 'smtp', 'capture'];
+
+const parseBoolean = (value, fallback) => {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+};
+
+function createCaptureTransport({ dir, format }) {
+    const inner = nodemailer.createTransport(format === 'json'
+        ? { jsonTransport: true }
+        : { streamTransport: true, buffer: true, newline: 'unix' });
+
+    return {
+        async sendMail(mailOptions) {
+            const info = await inner.sendMail(mailOptions);
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${format}`;
+            const filePath = path.join(dir, fileName);
+
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(filePath, info.message);
+
+            return { ...info, capturedTo: filePath };
+        },
+        async verify() {
+            await fs.promises.mkdir(dir, { recursive: true });
+            return true;
+        },
+        close() {
+            inner.close();
+        }
+    };
+}
+
+function createMailTransport(env = process.env) {
+    const kind = (env.MAIL_TRANSPORT || 'gmail').toLowerCase();
+    const poolSize = parseInt(env.SMTP_POOL_SIZE, 10) || 3;
+
+    if (!MAIL_TRANSPORTS.includes(kind)) {
+        throw new Error(`MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(', ')}, got "${kind}"`);
+    }
+
+    if (kind === 'capture') {
+        const format = (env.MAIL_CAPTURE_FORMAT || 'eml').toLowerCase() === 'json' ? 'json' : 'eml';
+        const dir = path.resolve(env.MAIL_CAPTURE_DIR || path.join(os.tmpdir(), 'inspiringshereen-mail'));
+
+        return {
+            kind,
+            configured: true,
+            description: `capture (${format} files in ${dir})`,
+            transporter: createCaptureTransport({ dir, format })
+        };
+    }
+
+    if (kind === 'smtp') {
+        const port = parseInt(env.SMTP_PORT, 10) || 587;
+        const user = env.SMTP_USER || env.EMAIL_USER;
+        const pass = env.SMTP_PASSWORD || env.EMAIL_PASSWORD;
+
+        return {
+            kind,
+            configured: !!env.SMTP_HOST,
+            description: `smtp (${env.SMTP_HOST || 'no host'}:${port})`,
+            transporter: nodemailer.createTransport({
+                pool: true,
+                maxConnections: poolSize,
+                host: env.SMTP_HOST,
+                port,
+                secure: parseBoolean(env.SMTP_SECURE, port === 465),
+                requireTLS: parseBoolean(env.SMTP_REQUIRE_TLS, false),
+                auth: user ? { user, pass } : undefined
+            })
+        };
+    }
+
+    return {
+        kind,
+        configured: !!env.EMAIL_USER && !!env.EMAIL_PASSWORD,
+        description: 'gmail',
+        transporter: nodemailer.createTransport({
+            pool: true,
+            maxConnections: poolSize,
+            service: 'gmail',
+            auth: {
+                user: env.EMAIL_USER,
+                pass: env.EMAIL_PASSWORD
+            }
+        })
+    };
+}
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    createMailTransport
+};
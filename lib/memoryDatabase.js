@@ -0,0 +1,250 @@
+// In-memory stand-in for the subset of the Firebase RTDB Reference API the
+// server uses: ref/child, once('value'), set, update, push, remove,
+// transaction and orderByChild/orderByKey queries with equalTo, startAt,
+// endAt, limitToFirst and limitToLast. Backs the tests and local
+// development (DATA_BACKEND=memory), and with createFileDatabase keeps its
+// contents in a JSON file between restarts (DATA_BACKEND=file).
+
+const fs = require('fs');
+const path = require('path');
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const splitPath = (path) => String(path || '').split('/').filter(Boolean);
+
+function assertStorable(value, path) {
+    if (value === undefined) {
+        throw new Error(`Reference.set failed: value argument contains undefined in property '${path}'`);
+    }
+    if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            assertStorable(child, `${path}/${key}`);
+        }
+    }
+}
+
+// RTDB drops empty objects and nulls; mirror that so reads match production
+function prune(value) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    const result = {};
+    for (const [key, child] of Object.entries(Array.isArray(value) ? { ...value } : value)) {
+        const pruned = prune(child);
+        if (pruned !== null && pruned !== undefined) {
+            result[key] = pruned;
+        }
+    }
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+function createSnapshot(key, value) {
+    const stored = value === undefined ? null : clone(value);
+    return {
+        key,
+        val: () => clone(stored),
+        exists: () => stored !== null,
+        forEach(callback) {
+            for (const [childKey, child] of Object.entries(stored || {})) {
+                if (callback(createSnapshot(childKey, child)) === true) {
+                    return true;
+                }
+            }
+            return false;
+        }
+    };
+}
+
+// onWrite(data) is called after every completed write with the whole tree
+function createMemoryDatabase(initialData = {}, { onWrite = null } = {}) {
+    let root = prune(clone(initialData)) || {};
+    let pushCounter = 0;
+
+    const read = (segments) => segments.reduce(
+        (node, key) => (node && typeof node === 'object' ? node[key] : undefined),
+        root
+    );
+
+    const write = (segments, value) => {
+        const stored = prune(clone(value));
+
+        if (segments.length === 0) {
+            root = stored || {};
+            return;
+        }
+
+        let node = root;
+        for (const key of segments.slice(0, -1)) {
+            if (!node[key] || typeof node[key] !== 'object') {
+                node[key] = {};
+            }
+            node = node[key];
+        }
+
+        const last = segments[segments.length - 1];
+        if (stored === null) {
+            delete node[last];
+        } else {
+            node[last] = stored;
+        }
+
+        root = prune(root) || {};
+    };
+
+    const written = () => {
+        if (onWrite) {
+            onWrite(root);
+        }
+    };
+
+    const nextPushKey = () => {
+        pushCounter++;
+        return '-' + Date.now().toString(36).padStart(9, '0') + pushCounter.toString(36).padStart(6, '0');
+    };
+
+    function applyQuery(value, query) {
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        // Missing children sort as null, first, like in the real database
+        const sortValue = ([key, child]) => (
+            query.orderBy === 'key' ? key : (child && typeof child === 'object' ? child[query.orderBy] ?? null : null)
+        );
+        const compare = (a, b) => {
+            if (a === b) return 0;
+            if (a === null) return -1;
+            if (b === null) return 1;
+            return a < b ? -1 : 1;
+        };
+        // startAt / endAt take an optional key to resume after equal values
+        const position = (entry, bound) => compare(sortValue(entry), bound.value) || (bound.key === undefined ? 0 : compare(entry[0], bound.key));
+
+        let entries = Object.entries(value);
+        if (query.orderBy) {
+            entries.sort((a, b) => compare(sortValue(a), sortValue(b)) || compare(a[0], b[0]));
+        }
+        if (query.equalTo !== undefined) {
+            entries = entries.filter(entry => sortValue(entry) === query.equalTo);
+        }
+        if (query.startAt !== undefined) {
+            entries = entries.filter(entry => position(entry, query.startAt) >= 0);
+        }
+        if (query.endAt !== undefined) {
+            entries = entries.filter(entry => position(entry, query.endAt) <= 0);
+        }
+        if (query.limitToFirst !== undefined) {
+            entries = entries.slice(0, query.limitToFirst);
+        }
+        if (query.limitToLast !== undefined) {
+            entries = entries.slice(-query.limitToLast);
+        }
+
+        return entries.length > 0 ? Object.fromEntries(entries) : null;
+    }
+
+    function createQuery(segments, query) {
+        const path = segments.join('/');
+        const refine = (extra) => createQuery(segments, { ...query, ...extra });
+
+        return {
+            orderByChild: (child) => refine({ orderBy: child }),
+            orderByKey: () => refine({ orderBy: 'key' }),
+            equalTo: (value) => refine({ equalTo: value }),
+            startAt: (value, key) => refine({ startAt: { value, key } }),
+            endAt: (value, key) => refine({ endAt: { value, key } }),
+            limitToFirst: (limit) => refine({ limitToFirst: limit }),
+            limitToLast: (limit) => refine({ limitToLast: limit }),
+            async once(eventType = 'value') {
+                if (eventType !== 'value') {
+                    throw new Error(`Memory database only supports "value" events, got "${eventType}"`);
+                }
+                return createSnapshot(segments[segments.length - 1] || null, applyQuery(read(segments), query));
+            },
+            toString: () => `memory://${path}`
+        };
+    }
+
+    function createRef(path) {
+        const segments = splitPath(path);
+        const ref = createQuery(segments, {});
+
+        return Object.assign(ref, {
+            key: segments.length > 0 ? segments[segments.length - 1] : null,
+            child: (childPath) => createRef([...segments, ...splitPath(childPath)].join('/')),
+            async set(value) {
+                assertStorable(value, segments.join('/'));
+                write(segments, value);
+                written();
+            },
+            async update(values) {
+                for (const [key, value] of Object.entries(values)) {
+                    assertStorable(value, `${segments.join('/')}/${key}`);
+                }
+                for (const [key, value] of Object.entries(values)) {
+                    write([...segments, ...splitPath(key)], value);
+                }
+                written();
+            },
+            async remove() {
+                write(segments, null);
+                written();
+            },
+            push(value) {
+                const childRef = createRef([...segments, nextPushKey()].join('/'));
+                if (value === undefined) {
+                    return childRef;
+                }
+                const pending = childRef.set(value);
+                return Object.assign(childRef, {
+                    then: pending.then.bind(pending),
+                    catch: pending.catch.bind(pending)
+                });
+            },
+            async transaction(updateFn) {
+                const current = read(segments);
+                const next = updateFn(current === undefined ? null : clone(current));
+
+                if (next === undefined) {
+                    return { committed: false, snapshot: createSnapshot(ref.key, current) };
+                }
+
+                write(segments, next);
+                written();
+                return { committed: true, snapshot: createSnapshot(ref.key, read(segments)) };
+            }
+        });
+    }
+
+    return {
+        ref: (path = '') => createRef(path),
+        // Test helper: a deep copy of everything stored
+        dump: () => clone(root)
+    };
+}
+
+// Memory database loaded from, and saved back to, a JSON file. Every write
+// rewrites the file (through a temporary file, so a crash never leaves it
+// half written) - fine for local development, not meant for production load.
+function createFileDatabase(filePath) {
+    let initialData = {};
+
+    try {
+        initialData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Could not read data file ${filePath}: ${error.message}`);
+        }
+    }
+
+    return createMemoryDatabase(initialData, {
+        onWrite(data) {
+            const tempPath = `${filePath}.tmp`;
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tempPath, filePath);
+        }
+    });
+}
+
+module.exports = { createMemoryDatabase, createFileDatabase };
@@ -0,0 +1,206 @@
+// Notification channels: email (through the outbox) and WhatsApp.
+//
+// WHATSAPP_PROVIDER picks how WhatsApp messages go out:
+//   cloud  WhatsApp Business Cloud API template messages, with WHATSAPP_TOKEN
+//          and WHATSAPP_PHONE_NUMBER_ID (WHATSAPP_API_VERSION, default v20.0)
+//   stub   no network; messages are kept in memory (tests, local development)
+// Unset (or "none") turns WhatsApp off. Business-initiated WhatsApp messages
+// must use templates approved in Meta's WhatsApp Manager; the template for
+// each kind of message is named by WHATSAPP_TEMPLATE_<KIND> (see
+// TEMPLATE_DEFAULTS) in WHATSAPP_TEMPLATE_LANGUAGE, and its body placeholders
+// {{1}}, {{2}}, ... are filled in the order the caller passes them.
+//
+// Each registrant picks their channels, stored by email under
+//   notificationPreferences/<registrantKey>   { email, whatsapp, updatedAt }
+// with email on and WhatsApp off until they opt in. Admin alerts go to EMAIL_USER and to
+// every number in WHATSAPP_ADMIN_NUMBERS. WhatsApp sends are not retried
+// like email; each attempt is logged in whatsappMessages/<id>.
+
+const axios = require('axios');
+const { queueAndDeliver } = require('./outbox');
+const { registrantKey } = require('./repositories');
+const { logger } = require('./logger');
+
+const WHATSAPP_PROVIDERS = ['cloud', 'stub'];
+const CHANNELS = ['email', 'whatsapp'];
+const DEFAULT_PREFERENCES = { email: true, whatsapp: false };
+
+const TEMPLATE_DEFAULTS = {
+    confirmation: 'registration_confirmed',
+    reminder: 'event_reminder',
+    paymentFailed: 'payment_failed',
+    adminAlert: 'new_registration'
+};
+
+// "+91 98765 43210" -> "919876543210", the form the Cloud API takes
+const toWhatsAppNumber = phone => String(phone || '').replace(/\D/g, '');
+
+function templateNames(env) {
+    return Object.fromEntries(Object.entries(TEMPLATE_DEFAULTS).map(([kind, fallback]) => {
+        const setting = `WHATSAPP_TEMPLATE_${kind.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+        return [kind, env[setting] || fallback];
+    }));
+}
+
+function createStubProvider() {
+    const sent = [];
+
+    return {
+        kind: 'stub',
+        enabled: true,
+        description: 'stub (messages kept in memory)',
+        sent,
+        async sendTemplate(to, template) {
+            sent.push({ to, ...template });
+            return { messageId: `wamid.stub-${sent.length}` };
+        }
+    };
+}
+
+function createWhatsAppProvider(env = process.env, { http = axios } = {}) {
+    const kind = (env.WHATSAPP_PROVIDER || 'none').toLowerCase();
+
+    if (kind === 'none') {
+        return {
+            kind,
+            enabled: false,
+            description: 'disabled',
+            sendTemplate: async () => {
+                throw new Error('WhatsApp is not configured');
+            }
+        };
+    }
+
+    if (!WHATSAPP_PROVIDERS.includes(kind)) {
+        throw new Error(`WHATSAPP_PROVIDER must be one of none, ${WHATSAPP_PROVIDERS.join(', ')}, got "${kind}"`);
+    }
+    if (kind === 'stub') {
+        return createStubProvider();
+    }
+    if (!env.WHATSAPP_TOKEN || !env.WHATSAPP_PHONE_NUMBER_ID) {
+        throw new Error('WHATSAPP_TOKEN and WHATSAPP_PHONE_NUMBER_ID are required for WHATSAPP_PROVIDER=cloud');
+    }
+
+    const url = `https://graph.facebook.com/${env.WHATSAPP_API_VERSION || 'v20.0'}/${env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
+
+    return {
+        kind,
+        enabled: true,
+        description: `cloud (${env.WHATSAPP_PHONE_NUMBER_ID})`,
+        async sendTemplate(to, { name, language, parameters }) {
+            const { data } = await http.post(url, {
+                messaging_product: 'whatsapp',
+                to,
+                type: 'template',
+                template: {
+                    name,
+                    language: { code: language },
+                    components: [{
+                        type: 'body',
+                        parameters: parameters.map(text => ({ type: 'text', text: String(text) }))
+                    }]
+                }
+            }, {
+                headers: { Authorization: `Bearer ${env.WHATSAPP_TOKEN}` },
+                timeout: 10000
+            });
+
+            return { messageId: data && data.messages && data.messages[0] ? data.messages[0].id : null };
+        }
+    };
+}
+
+async function getPreferences(db, email) {
+    const snapshot = await db.ref(`notificationPreferences/${registrantKey(email)}`).once('value');
+    const stored = snapshot.val() || {};
+
+    return Object.fromEntries(CHANNELS.map(channel => [
+        channel,
+        typeof stored[channel] === 'boolean' ? stored[channel] : DEFAULT_PREFERENCES[channel]
+    ]));
+}
+
+// Resolves to the full preferences after the change
+async function savePreferences(db, email, changes) {
+    const preferences = { ...(await getPreferences(db, email)), ...changes };
+
+    await db.ref(`notificationPreferences/${registrantKey(email)}`).set({
+        ...preferences,
+        updatedAt: new Date().toISOString()
+    });
+    return preferences;
+}
+
+function createNotifier({ db, mailer, whatsapp, env = process.env }) {
+    const templates = templateNames(env);
+    const language = env.WHATSAPP_TEMPLATE_LANGUAGE || 'en';
+    const adminNumbers = String(env.WHATSAPP_ADMIN_NUMBERS || '')
+        .split(',')
+        .map(toWhatsAppNumber)
+        .filter(Boolean);
+
+    // Send one template message and log the attempt. Failures are logged,
+    // not thrown, so WhatsApp trouble never holds up the email or the caller.
+    async function sendWhatsApp(phone, { kind, template, parameters, context }) {
+        const to = toWhatsAppNumber(phone);
+        const entry = {
+            kind,
+            template: templates[template],
+            to,
+            context: context || {},
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            const { messageId } = await whatsapp.sendTemplate(to, { name: templates[template], language, parameters });
+            await db.ref('whatsappMessages').push({ ...entry, status: 'sent', messageId });
+            return messageId;
+        } catch (error) {
+            const detail = error.response && error.response.data && error.response.data.error;
+            logger.error('WhatsApp message failed', { kind, template, providerError: detail || null, error: error.message });
+            await db.ref('whatsappMessages').push({ ...entry, status: 'failed', error: (detail && detail.message) || error.message });
+            return null;
+        }
+    }
+
+    return {
+        whatsappEnabled: whatsapp.enabled,
+
+        // A message for a registrant, on the channels they chose. Email is
+        // used whenever none of their choices can reach them.
+        // Resolves to { outboxId, whatsappMessageId }, null for a channel not used.
+        async notify({ kind, email, phone, mailOptions, whatsapp: message, context }) {
+            const preferences = await getPreferences(db, email);
+            const canWhatsApp = whatsapp.enabled && Boolean(message) && Boolean(toWhatsAppNumber(phone));
+            const useWhatsApp = preferences.whatsapp && canWhatsApp;
+            const useEmail = preferences.email || !useWhatsApp;
+
+            const outboxId = useEmail ? await queueAndDeliver(mailer, { kind, mailOptions, context }) : null;
+            const whatsappMessageId = useWhatsApp ? await sendWhatsApp(phone, { kind, ...message, context }) : null;
+
+            return { outboxId, whatsappMessageId };
+        },
+
+        // An alert for the team: the email as given, plus WhatsApp to the admin numbers
+        async notifyAdmin({ kind, mailOptions, whatsapp: message, context }) {
+            const outboxId = await queueAndDeliver(mailer, { kind, mailOptions, context });
+
+            if (whatsapp.enabled && message) {
+                for (const number of adminNumbers) {
+                    await sendWhatsApp(number, { kind, ...message, context });
+                }
+            }
+            return { outboxId };
+        }
+    };
+}
+
+module.exports = {
+    WHATSAPP_PROVIDERS,
+    CHANNELS,
+    TEMPLATE_DEFAULTS,
+    createWhatsAppProvider,
+    getPreferences,
+    savePreferences,
+    createNotifier
+};
@@ -0,0 +1,208 @@
+// Persistent email outbox. Every outgoing mail is written to
+// emailOutbox/<id> before any send is attempted, so an SMTP outage delays a
+// message instead of losing it. Delivery is retried with exponential backoff
+// until maxAttempts, after which the message is marked failed for an admin
+// to look at and resend.
+
+const { logger } = require('./logger');
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+// A message left in "sending" this long belongs to a crashed worker
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Attachments are stored with base64 content; RTDB can hand the list back
+// as an object keyed by index, which nodemailer does not accept
+function storedMailOptions(mailOptions) {
+    if (!mailOptions.attachments) {
+        return mailOptions;
+    }
+    return { ...mailOptions, attachments: Object.values(mailOptions.attachments) };
+}
+
+function backoffDelay(attempts) {
+    return Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+// Queue a message. `kind` says what it is (confirmation, adminNotice, ...)
+// and `context` holds ids that help find it again (registration, order).
+async function enqueueEmail(db, { kind, mailOptions, context = {} }) {
+    const now = new Date().toISOString();
+    const messageRef = db.ref('emailOutbox').push();
+
+    const message = {
+        kind,
+        to: mailOptions.to,
+        subject: mailOptions.subject,
+        // Round-trip through JSON to drop undefined fields, which RTDB rejects
+        mailOptions: JSON.parse(JSON.stringify(mailOptions)),
+        context: JSON.parse(JSON.stringify(context)),
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now,
+        nextAttemptAt: now
+    };
+
+    await messageRef.set(message);
+    return messageRef.key;
+}
+
+// Take a message for sending. Only one worker (or request) wins the claim.
+async function claimMessage(db, messageId, now) {
+    const result = await db.ref(`emailOutbox/${messageId}`).transaction((message) => {
+        if (!message) {
+            return message;
+        }
+
+        const claimable = (message.status === 'pending' && new Date(message.nextAttemptAt) <= now)
+            || (message.status === 'sending' && now - new Date(message.updatedAt) > STALE_SENDING_MS);
+
+        if (!claimable) {
+            return undefined;
+        }
+
+        return { ...message, status: 'sending', updatedAt: now.toISOString() };
+    });
+
+    return result.committed && result.snapshot.exists() ? result.snapshot.val() : null;
+}
+
+// Attempt delivery of one message. Resolves to true if it was sent now.
+async function deliverMessage({ db, transporter, maxAttempts = DEFAULT_MAX_ATTEMPTS }, messageId, now = new Date()) {
+    const message = await claimMessage(db, messageId, now);
+    if (!message) {
+        return false;
+    }
+
+    const attempts = (message.attempts || 0) + 1;
+    const messageRef = db.ref(`emailOutbox/${messageId}`);
+
+    try {
+        const info = await transporter.sendMail(storedMailOptions(message.mailOptions));
+
+        await messageRef.update({
+            status: 'sent',
+            attempts,
+            lastError: null,
+            messageId: (info && info.messageId) || null,
+            sentAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        const failed = attempts >= maxAttempts;
+        logger.warn('Email delivery attempt failed', { messageId, kind: message.kind, attempts, error: error.message });
+
+        await messageRef.update({
+            status: failed ? 'failed' : 'pending',
+            attempts,
+            lastError: error.message || String(error),
+            nextAttemptAt: new Date(now.getTime() + backoffDelay(attempts)).toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+        return false;
+    }
+}
+
+// Queue a message and try to send it straight away; the worker retries it
+// later if this first attempt fails. Resolves to the outbox id.
+async function queueAndDeliver(options, email) {
+    const messageId = await enqueueEmail(options.db, email);
+
+    try {
+        await deliverMessage(options, messageId);
+    } catch (error) {
+        // The message is safely queued; the worker will pick it up
+        logger.error('Immediate email delivery failed', { messageId, error });
+    }
+
+    return messageId;
+}
+
+// One worker pass: send every message that is due
+async function processOutbox(options, { now = new Date(), batchSize = 50 } = {}) {
+    const { db } = options;
+    const [pendingSnapshot, sendingSnapshot] = await Promise.all([
+        db.ref('emailOutbox').orderByChild('status').equalTo('pending').once('value'),
+        db.ref('emailOutbox').orderByChild('status').equalTo('sending').once('value')
+    ]);
+
+    const due = Object.entries({ ...(pendingSnapshot.val() || {}), ...(sendingSnapshot.val() || {}) })
+        .filter(([, message]) => (message.status === 'pending'
+            ? new Date(message.nextAttemptAt) <= now
+            : now - new Date(message.updatedAt) > STALE_SENDING_MS))
+        .sort(([, a], [, b]) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+        .slice(0, batchSize);
+
+    const summary = { due: due.length, sent: 0, failed: 0 };
+
+    for (const [messageId] of due) {
+        try {
+            if (await deliverMessage(options, messageId, now)) {
+                summary.sent++;
+            } else {
+                summary.failed++;
+            }
+        } catch (error) {
+            logger.error('Outbox worker could not process email', { messageId, error });
+            summary.failed++;
+        }
+    }
+
+    return summary;
+}
+
+async function listOutbox(db, { status, limit = 50 } = {}) {
+    const query = status
+        ? db.ref('emailOutbox').orderByChild('status').equalTo(status)
+        : db.ref('emailOutbox');
+    const snapshot = await query.once('value');
+
+    return Object.entries(snapshot.val() || {})
+        .map(([id, message]) => {
+            // The body is large and already summarised by kind/to/subject
+            const { mailOptions, ...summary } = message;
+            return { id, ...summary };
+        })
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+}
+
+// Put a message back in the queue with a fresh set of attempts
+async function requeueMessage(db, messageId) {
+    const result = await db.ref(`emailOutbox/${messageId}`).transaction((message) => {
+        if (!message) {
+            return message;
+        }
+        if (message.status === 'sending') {
+            return undefined;
+        }
+        const now = new Date().toISOString();
+        return {
+            ...message,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            updatedAt: now,
+            requeuedAt: now
+        };
+    });
+
+    return result.committed && result.snapshot.exists();
+}
+
+module.exports = {
+    OUTBOX_STATUSES,
+    backoffDelay,
+    enqueueEmail,
+    deliverMessage,
+    queueAndDeliver,
+    processOutbox,
+    listOutbox,
+    requeueMessage
+};
@@ -0,0 +1,195 @@
+// Request rate limits for the public endpoints, counted per client IP and per
+// email address in fixed windows.
+//
+// Each limited endpoint has a name (see DEFAULT_LIMITS) and its limits can be
+// changed with RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_CONTACT="ip:5/10m,email:3/1h"
+// or RATE_LIMIT_LOG_ERROR=off. Counters are kept by a store chosen with
+// RATE_LIMIT_STORE:
+//   memory    per process (default); fine for a single instance
+//   database  shared by every instance through the database:
+//             rateLimits/<name>/<ip|email>/<sha256 of the value>  { count, resetAt }
+
+const crypto = require('crypto');
+
+const DEFAULT_LIMITS = {
+    contact: 'ip:5/10m,email:3/1h',
+    registration: 'ip:20/10m,email:10/10m',
+    order: 'ip:20/10m,email:5/10m',
+    logError: 'ip:30/1m',
+    setup: 'ip:10/1h'
+};
+
+const RATE_LIMIT_STORES = ['memory', 'database'];
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+// The memory store clears out expired counters once it holds this many
+const MEMORY_PRUNE_SIZE = 10000;
+
+// "ip:5/10m,email:3/1h" -> { ip: { max: 5, windowMs }, email: { ... } }; "off" -> {}
+function parseLimits(value) {
+    const text = String(value).trim().toLowerCase();
+    const limits = {};
+
+    if (text === 'off') {
+        return limits;
+    }
+
+    for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+        const match = /^(ip|email):(\d+)\/(\d+)([smhd])$/.exec(part);
+        if (!match || Number(match[2]) === 0 || Number(match[3]) === 0) {
+            throw new Error(`Invalid rate limit "${part}" - use values like ip:5/10m, email:3/1h or off`);
+        }
+        limits[match[1]] = { max: Number(match[2]), windowMs: Number(match[3]) * UNIT_MS[match[4]] };
+    }
+
+    return limits;
+}
+
+// logError -> RATE_LIMIT_LOG_ERROR
+const envName = (name) => `RATE_LIMIT_${name.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+
+function createMemoryRateStore({ now = Date.now } = {}) {
+    const counters = new Map();
+
+    const prune = () => {
+        const time = now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= time) {
+                counters.delete(key);
+            }
+        }
+    };
+
+    return {
+        kind: 'memory',
+        async hit(key, windowMs) {
+            const time = now();
+            let counter = counters.get(key);
+
+            if (!counter || counter.resetAt <= time) {
+                if (counters.size >= MEMORY_PRUNE_SIZE) {
+                    prune();
+                }
+                counter = { count: 0, resetAt: time + windowMs };
+                counters.set(key, counter);
+            }
+
+            counter.count += 1;
+            return { count: counter.count, resetAt: counter.resetAt };
+        },
+        async prune() {
+            prune();
+        }
+    };
+}
+
+function createDatabaseRateStore(db, { now = Date.now } = {}) {
+    const ref = db.ref('rateLimits');
+
+    return {
+        kind: 'database',
+        async hit(key, windowMs) {
+            const time = now();
+            const result = await ref.child(key).transaction((current) => {
+                if (!current || current.resetAt <= time) {
+                    return { count: 1, resetAt: time + windowMs };
+                }
+                return { count: current.count + 1, resetAt: current.resetAt };
+            });
+            return result.snapshot.val();
+        },
+        // Drop expired counters in one multi-path update
+        async prune() {
+            const snapshot = await ref.once('value');
+            const time = now();
+            const updates = {};
+
+            for (const [name, scopes] of Object.entries(snapshot.val() || {})) {
+                for (const [scope, counters] of Object.entries(scopes)) {
+                    for (const [hash, counter] of Object.entries(counters)) {
+                        if (!counter || counter.resetAt <= time) {
+                            updates[`${name}/${scope}/${hash}`] = null;
+                        }
+                    }
+                }
+            }
+
+            if (Object.keys(updates).length > 0) {
+                await ref.update(updates);
+            }
+            return Object.keys(updates).length;
+        }
+    };
+}
+
+function createRateStore(db, env = process.env) {
+    const kind = (env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+    if (!RATE_LIMIT_STORES.includes(kind)) {
+        throw new Error(`RATE_LIMIT_STORE must be one of ${RATE_LIMIT_STORES.join(', ')}, got "${kind}"`);
+    }
+
+    return kind === 'database' ? createDatabaseRateStore(db) : createMemoryRateStore();
+}
+
+// Middleware factories for the configured limits:
+//   limiter.byIp('contact')     before validation, so floods of bad requests count
+//   limiter.byEmail('contact')  after validation, on the normalised body email
+function createRateLimiter({ store, env = process.env }) {
+    const limits = {};
+    for (const [name, defaults] of Object.entries(DEFAULT_LIMITS)) {
+        limits[name] = parseLimits(env[envName(name)] || defaults);
+    }
+
+    const middleware = (name, scope, valueOf) => {
+        if (!limits[name]) {
+            throw new Error(`Unknown rate limit "${name}"`);
+        }
+
+        return async (req, res, next) => {
+            const limit = limits[name][scope];
+            const value = limit ? valueOf(req) : null;
+
+            if (!value) {
+                return next();
+            }
+
+            let counter;
+            try {
+                const hash = crypto.createHash('sha256').update(String(value)).digest('hex');
+                counter = await store.hit(`${name}/${scope}/${hash}`, limit.windowMs);
+            } catch (error) {
+                // Better to serve the request than to fail because the counter store did
+                req.log.error('Rate limit store error', { limit: name, error: error.message });
+                return next();
+            }
+
+            if (counter.count > limit.max) {
+                const retryAfter = Math.max(Math.ceil((counter.resetAt - Date.now()) / 1000), 1);
+                res.setHeader('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    error: 'Too many requests. Please try again later.',
+                    retryAfter
+                });
+            }
+
+            next();
+        };
+    };
+
+    return {
+        limits,
+        byIp: (name) => middleware(name, 'ip', req => req.ip),
+        byEmail: (name) => middleware(name, 'email', req => req.body && req.body.email)
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    RATE_LIMIT_STORES,
+    parseLimits,
+    createMemoryRateStore,
+    createDatabaseRateStore,
+    createRateStore,
+    createRateLimiter
+};
@@ -0,0 +1,203 @@
+// Reconcile registrations against Razorpay.
+//
+// Pending orders older than `staleAfterMinutes` are looked up in Razorpay: a
+// captured payment is confirmed here (the browser closed and the webhook was
+// missed), and orders with no captured or authorized payment after
+// `expireAfterHours` are marked expired - failed attempts don't keep them open. Confirmed registrations that have not been verified yet are checked
+// against the Razorpay payment. Anything that cannot be fixed automatically
+// ends up in the report.
+
+const { releaseCoupon } = require('./coupons');
+const { createRepositories } = require('./repositories');
+const { logger } = require('./logger');
+
+const UNSETTLED_STATUSES = [undefined, null, 'Pending', 'Failed', 'Authorized'];
+
+const toMinor = (amount) => Math.round(amount * 100);
+
+const isNotFoundError = (error) => error && error.statusCode === 400
+    && error.error && error.error.code === 'BAD_REQUEST_ERROR';
+
+function createReport() {
+    return {
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        checked: 0,
+        fixed: [],
+        expired: [],
+        mismatches: {
+            paidNotConfirmed: [],
+            confirmedMissingInRazorpay: [],
+            amountMismatch: []
+        },
+        errors: []
+    };
+}
+
+async function reconcilePendingOrder(context, registrationId, registration) {
+    const { db, registrations, razorpay, confirmPayment, report, now, expireAfterHours } = context;
+    const paymentsResult = await razorpay.orders.fetchPayments(registration.orderId);
+    const payments = (paymentsResult && paymentsResult.items) || [];
+    const captured = payments.find(payment => payment.status === 'captured');
+    const authorized = payments.some(payment => payment.status === 'authorized');
+
+    if (captured) {
+        const entry = {
+            registrationId,
+            email: registration.email,
+            orderId: registration.orderId,
+            paymentId: captured.id,
+            expectedAmount: registration.orderAmount,
+            razorpayAmount: captured.amount / 100
+        };
+
+        if (captured.amount !== toMinor(registration.orderAmount)) {
+            report.mismatches.amountMismatch.push({ ...entry, source: 'pendingOrder' });
+            return;
+        }
+
+        // The webhook or the checkout callback may confirm it while this runs;
+        // then there is nothing to fix
+        if (await confirmPayment(registrationId, registration, registration.orderId, captured.id)) {
+            report.mismatches.paidNotConfirmed.push(entry);
+            report.fixed.push({ ...entry, action: 'confirmed' });
+        }
+        return;
+    }
+
+    const ageHours = (now - new Date(registration.orderTimestamp)) / (60 * 60 * 1000);
+    if (!authorized && ageHours >= expireAfterHours) {
+        await registrations.updateAndMirror(registrationId, {
+            orderStatus: 'expired',
+            orderExpiredTimestamp: now.toISOString()
+        });
+        await releaseCoupon(db, registration.couponCode, registration.orderId);
+        report.expired.push({ registrationId, email: registration.email, orderId: registration.orderId });
+    }
+}
+
+async function reconcileConfirmedPayment(context, registrationId, registration, confirmedPayment) {
+    const { registrations, payments, razorpay, report, now } = context;
+    const entry = {
+        registrationId,
+        email: registration.email,
+        orderId: registration.orderId,
+        paymentId: registration.transactionId
+    };
+
+    let payment;
+    try {
+        payment = await razorpay.payments.fetch(registration.transactionId);
+    } catch (error) {
+        if (isNotFoundError(error)) {
+            report.mismatches.confirmedMissingInRazorpay.push({ ...entry, reason: 'Payment does not exist in Razorpay' });
+            return;
+        }
+        throw error;
+    }
+
+    if (!['captured', 'refunded'].includes(payment.status) || payment.order_id !== registration.orderId) {
+        report.mismatches.confirmedMissingInRazorpay.push({
+            ...entry,
+            reason: `Razorpay payment is ${payment.status} for order ${payment.order_id}`
+        });
+        return;
+    }
+
+    if (payment.amount !== toMinor(registration.orderAmount)) {
+        report.mismatches.amountMismatch.push({
+            ...entry,
+            source: 'confirmedPayment',
+            expectedAmount: registration.orderAmount,
+            razorpayAmount: payment.amount / 100
+        });
+        return;
+    }
+
+    // Verified - repair the mirrors that a partial write may have missed
+    if (!confirmedPayment) {
+        await payments.saveConfirmed(registrationId, {
+            paymentId: payment.id,
+            orderId: registration.orderId,
+            timestamp: now.toISOString()
+        });
+        report.fixed.push({ ...entry, action: 'restoredConfirmedPayment' });
+    }
+
+    await registrations.updateHistory(registrationId, {
+        paymentConfirmed: true,
+        transactionId: payment.id,
+        paymentStatus: registration.paymentStatus
+    });
+    await registrations.update(registrationId, { paymentVerifiedAt: now.toISOString() });
+}
+
+// Run one reconciliation pass. `confirmPayment(registrationId, registration,
+// orderId, paymentId)` is the same routine the confirm-payment route uses; it
+// resolves to false when another caller confirmed the payment first.
+async function reconcilePayments({
+    db,
+    razorpay,
+    confirmPayment,
+    staleAfterMinutes = 30,
+    expireAfterHours = 24,
+    now = new Date()
+}) {
+    const report = createReport();
+    const context = { db, ...createRepositories(db), razorpay, confirmPayment, report, now, expireAfterHours };
+
+    const [registrationsSnapshot, confirmedSnapshot] = await Promise.all([
+        db.ref('registrations').once('value'),
+        db.ref('confirmedPayments').once('value')
+    ]);
+    const registrations = registrationsSnapshot.val() || {};
+    const confirmedPayments = confirmedSnapshot.val() || {};
+    const staleBefore = now.getTime() - staleAfterMinutes * 60 * 1000;
+
+    for (const [registrationId, registration] of Object.entries(registrations)) {
+        try {
+            const isStalePending = registration.orderId
+                && registration.orderStatus === 'created'
+                && UNSETTLED_STATUSES.includes(registration.paymentStatus)
+                && new Date(registration.orderTimestamp).getTime() < staleBefore;
+
+            if (isStalePending) {
+                report.checked++;
+                await reconcilePendingOrder(context, registrationId, registration);
+            } else if (registration.paymentStatus === 'Confirmed' && !registration.paymentVerifiedAt) {
+                report.checked++;
+                if (!registration.transactionId) {
+                    report.mismatches.confirmedMissingInRazorpay.push({
+                        registrationId,
+                        email: registration.email,
+                        orderId: registration.orderId,
+                        reason: 'Confirmed without a transaction id'
+                    });
+                    continue;
+                }
+                await reconcileConfirmedPayment(context, registrationId, registration, confirmedPayments[registrationId]);
+            }
+        } catch (error) {
+            logger.error('Reconciliation failed for registration', { registrationId, error });
+            report.errors.push({
+                registrationId,
+                orderId: registration.orderId,
+                error: (error.error && error.error.description) || error.message || String(error)
+            });
+        }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    return report;
+}
+
+async function saveReconciliationReport(db, report, trigger) {
+    const reportRef = db.ref('reconciliationReports').push();
+    await reportRef.set({ ...report, trigger });
+    return reportRef.key;
+}
+
+module.exports = {
+    reconcilePayments,
+    saveReconciliationReport
+};
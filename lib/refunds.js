@@ -0,0 +1,180 @@
+// Refund bookkeeping shared by the admin refund route and the Razorpay
+// refund.* webhooks. Every refund is stored under
+// registrations/<id>/refunds/<refundId>, and the summary fields on the
+// registration, the registrant's history copy and confirmedPayments/<id> are
+// always recomputed from that list, so applying the same update twice is safe.
+
+const { formatMoney } = require('./events');
+const { queueAndDeliver } = require('./outbox');
+const { createRepositories } = require('./repositories');
+
+const REFUND_STATUS_LABELS = {
+    pending: 'Pending',
+    processed: 'Processed',
+    failed: 'Failed'
+};
+
+// Map a refund.* webhook to the refund status it reports
+function refundStatusFromEvent(eventName, refundEntity) {
+    if (eventName === 'refund.processed') {
+        return 'processed';
+    }
+    if (eventName === 'refund.failed') {
+        return 'failed';
+    }
+    return refundEntity.status === 'processed' ? 'processed' : 'pending';
+}
+
+// Amount still available to refund, in the order currency's major unit
+function refundableAmount(registration) {
+    const committed = Object.values(registration.refunds || {})
+        .filter(refund => refund.status !== 'failed')
+        .reduce((total, refund) => total + refund.amount, 0);
+
+    return Math.max(Math.round((registration.orderAmount - committed) * 100) / 100, 0);
+}
+
+function summarizeRefunds(registration, refunds) {
+    const list = Object.values(refunds);
+    const sum = (status) => list
+        .filter(refund => refund.status === status)
+        .reduce((total, refund) => total + refund.amount, 0);
+
+    const refundedAmount = Math.round(sum('processed') * 100) / 100;
+    const pendingRefundAmount = Math.round(sum('pending') * 100) / 100;
+    const latest = list.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
+
+    let paymentStatus = 'Confirmed';
+    if (refundedAmount > 0) {
+        paymentStatus = refundedAmount >= registration.orderAmount ? 'Refunded' : 'Partially Refunded';
+    }
+
+    return {
+        paymentStatus,
+        paymentConfirmed: paymentStatus !== 'Refunded',
+        refundedAmount,
+        pendingRefundAmount,
+        refundStatus: latest ? REFUND_STATUS_LABELS[latest.status] : null,
+        refundTimestamp: new Date().toISOString()
+    };
+}
+
+// Settled refunds never go back to pending, whatever order the webhooks
+// arrive in
+const FINAL_REFUND_STATUSES = ['processed', 'failed'];
+
+// Record a refund's current state against a registration. Returns the
+// refund as stored and the updated registration.
+async function applyRefundUpdate(db, registrationId, registration, refundEntity, status) {
+    const refundsRef = db.ref(`registrations/${registrationId}/refunds`);
+
+    // In a transaction, so the admin route and refund.* webhooks arriving
+    // together each build on the other's write
+    const result = await refundsRef.child(refundEntity.id).transaction((current) => {
+        const now = new Date().toISOString();
+
+        return {
+            ...(current || {}),
+            refundId: refundEntity.id,
+            paymentId: refundEntity.payment_id,
+            amount: refundEntity.amount / 100,
+            currency: refundEntity.currency || registration.orderCurrency || 'INR',
+            status: current && FINAL_REFUND_STATUSES.includes(current.status) ? current.status : status,
+            reason: (refundEntity.notes && refundEntity.notes.reason) || (current && current.reason) || '',
+            createdBy: (current && current.createdBy) || (refundEntity.notes && refundEntity.notes.requestedBy) || null,
+            createdAt: (current && current.createdAt) || now,
+            updatedAt: now
+        };
+    });
+
+    const refund = result.snapshot.val();
+    const refunds = (await refundsRef.once('value')).val() || {};
+    const summary = summarizeRefunds(registration, refunds);
+
+    const { registrations, payments } = createRepositories(db);
+
+    await registrations.update(registrationId, summary);
+    await registrations.updateHistory(registrationId, { ...summary, refunds });
+
+    if (await payments.getConfirmed(registrationId)) {
+        await payments.updateConfirmed(registrationId, {
+            refundStatus: summary.refundStatus,
+            refundedAmount: summary.refundedAmount,
+            paymentStatus: summary.paymentStatus
+        });
+    }
+
+    return {
+        refund,
+        registration: { ...registration, ...summary, refunds }
+    };
+}
+
+function buildRefundEmail(userData, refund, from) {
+    const amount = formatMoney(refund.amount, refund.currency);
+    const eventName = userData.eventTitle || 'your registration';
+
+    const messages = {
+        pending: {
+            subject: `Your refund of ${amount} has been initiated`,
+            body: `<p>We have initiated a refund of <strong>${amount}</strong> for ${eventName}. It usually reaches your account within 5-7 working days, depending on your bank.</p>`
+        },
+        processed: {
+            subject: `Your refund of ${amount} has been processed`,
+            body: `<p>Your refund of <strong>${amount}</strong> for ${eventName} has been processed. Depending on your bank it may take a few days to show in your account.</p>`
+        },
+        failed: {
+            subject: `Update on your refund of ${amount}`,
+            body: `<p>Unfortunately the refund of <strong>${amount}</strong> for ${eventName} could not be completed. Our team has been notified and will get in touch with you to sort it out.</p>`
+        }
+    };
+
+    const message = messages[refund.status];
+
+    return {
+        from,
+        to: userData.email,
+        subject: message.subject,
+        html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+            <h2 style="color: #7C3AED; text-align: center;">Refund ${REFUND_STATUS_LABELS[refund.status]}</h2>
+            <p>Dear ${userData.fullName},</p>
+            ${message.body}
+            <div style="background-color: #F5F3FF; padding: 15px; border-radius: 10px; margin: 20px 0;">
+            <p>🧾 <strong>Refund ID:</strong> ${refund.refundId}</p>
+            <p>💳 <strong>Payment ID:</strong> ${refund.paymentId}</p>
+            </div>
+            <p>If you have any questions, feel free to reply to this email or reach out on WhatsApp: <a href="https://wa.me/919951611674">Click here to chat on WhatsApp</a></p>
+            <p style="margin-bottom: 0;">Warm regards,</p>
+            <p style="margin-top: 5px;"><strong>Inspiring Shereen</strong></p>
+        </div>
+        `
+    };
+}
+
+// Email the participant once per refund status. The admin route and the
+// refund.created webhook both report "pending", so whichever claims the
+// status first sends it. `from` is the sender address (EMAIL_USER).
+async function notifyRefund(mailer, registrationId, userData, refund, from) {
+    const claim = await mailer.db
+        .ref(`registrations/${registrationId}/refunds/${refund.refundId}/notified/${refund.status}`)
+        .transaction(notified => (notified ? undefined : new Date().toISOString()));
+
+    if (!claim.committed) {
+        return false;
+    }
+
+    await queueAndDeliver(mailer, {
+        kind: 'refund',
+        mailOptions: buildRefundEmail(userData, refund, from),
+        context: { refundId: refund.refundId, paymentId: refund.paymentId }
+    });
+    return true;
+}
+
+module.exports = {
+    refundStatusFromEvent,
+    refundableAmount,
+    applyRefundUpdate,
+    notifyRefund
+};
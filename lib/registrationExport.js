@@ -0,0 +1,160 @@
+// Registration export for admins: column selection, filters and CSV / XLSX
+// writers that stream straight into the HTTP response.
+
+const ExcelJS = require('exceljs');
+
+// Column key -> header. Order here is the default column order.
+const EXPORT_COLUMNS = {
+    id: 'Registration ID',
+    fullName: 'Full Name',
+    email: 'Email',
+    phone: 'Phone',
+    eventId: 'Event ID',
+    eventTitle: 'Event',
+    timestamp: 'Registered At',
+    orderId: 'Order ID',
+    orderAmount: 'Order Amount',
+    orderCurrency: 'Currency',
+    orderStatus: 'Order Status',
+    orderTimestamp: 'Order Created At',
+    couponCode: 'Coupon',
+    originalAmount: 'Original Amount',
+    discountAmount: 'Discount',
+    transactionId: 'Transaction ID',
+    paymentStatus: 'Payment Status',
+    paymentTimestamp: 'Paid At',
+    paymentFailureReason: 'Failure Reason',
+    refundedAmount: 'Refunded Amount',
+    refundStatus: 'Refund Status'
+};
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// Turn the query string into { errors, format, columns, filters }
+function parseExportQuery(query) {
+    const errors = [];
+    const format = (query.format || 'csv').toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        errors.push(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const columns = query.columns
+        ? String(query.columns).split(',').map(column => column.trim()).filter(Boolean)
+        : Object.keys(EXPORT_COLUMNS);
+    const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+
+    if (unknown.length > 0) {
+        errors.push(`Unknown columns: ${unknown.join(', ')}`);
+    }
+
+    for (const field of ['from', 'to']) {
+        if (query[field] && !isValidDate(query[field])) {
+            errors.push(`${field} must be an ISO 8601 date`);
+        }
+    }
+
+    const filters = {
+        paymentStatus: query.paymentStatus || null,
+        eventId: query.eventId || null,
+        from: query.from ? new Date(query.from) : null,
+        to: query.to ? new Date(query.to) : null
+    };
+
+    return { errors, format, columns, filters };
+}
+
+// Filter on payment status, event and registration date. "Pending" matches
+// registrations that have no payment status yet.
+function filterRegistrations(registrations, filters) {
+    return registrations.filter((registration) => {
+        if (filters.paymentStatus) {
+            const status = registration.paymentStatus || 'Pending';
+            if (status.toLowerCase() !== filters.paymentStatus.toLowerCase()) {
+                return false;
+            }
+        }
+
+        if (filters.eventId && registration.eventId !== filters.eventId) {
+            return false;
+        }
+
+        if (filters.from || filters.to) {
+            const registeredAt = new Date(registration.timestamp || registration.orderTimestamp);
+            if (Number.isNaN(registeredAt.getTime())) {
+                return false;
+            }
+            if (filters.from && registeredAt < filters.from) {
+                return false;
+            }
+            if (filters.to && registeredAt > filters.to) {
+                return false;
+            }
+        }
+
+        return true;
+    });
+}
+
+// Spreadsheet apps run cells starting with these as formulas. Neutralise them
+// unless the value is just a number, such as +91 phone numbers, or a "-"
+// followed by a single word with no call or operator in it, such as the
+// push ids registrations are keyed by (-OAbc123XYZ_def).
+function protectCell(value) {
+    if (typeof value !== 'string' || !/^[=+\-@\t\r]/.test(value) || /^[+-]?[\d\s().-]+$/.test(value) || /^-[\w-]+$/.test(value)) {
+        return value;
+    }
+    return `'${value}`;
+}
+
+function csvEscape(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = String(protectCell(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeCsv(res, registrations, columns) {
+    // BOM so Excel opens UTF-8 (names, ₹) correctly
+    res.write('\uFEFF');
+    res.write(columns.map(column => csvEscape(EXPORT_COLUMNS[column])).join(',') + '\r\n');
+
+    for (const registration of registrations) {
+        res.write(columns.map(column => csvEscape(registration[column])).join(',') + '\r\n');
+    }
+
+    res.end();
+}
+
+async function writeXlsx(res, registrations, columns) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Registrations');
+
+    sheet.columns = columns.map(column => ({ header: EXPORT_COLUMNS[column], key: column, width: 20 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for (const registration of registrations) {
+        const row = {};
+        for (const column of columns) {
+            row[column] = protectCell(registration[column] ?? null);
+        }
+        sheet.addRow(row).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    EXPORT_FORMATS,
+    parseExportQuery,
+    filterRegistrations,
+    csvEscape,
+    writeCsv,
+    writeXlsx
+};
@@ -0,0 +1,105 @@
+// One-off move from email-keyed registrations to registration ids.
+//
+// Before: registrations/<key>, users/<key>/registration, confirmedPayments/<key>
+//         and reminderLog/<eventId>/<offset>/<key>, where <key> is the email
+//         with every non-word character replaced by "_"
+// After:  registrations/<id> (a push id) carrying userKey and legacyKey, the
+//         history copy at users/<userKey>/registrations/<id>, and the
+//         confirmed payment and reminder log entries moved to <id>
+//
+// Each registration moves in one multi-path update that also deletes the old
+// paths, so a run that stops part way can simply be started again. Records
+// that already carry a userKey are in the new layout and are left alone.
+
+const { registrantKey } = require('./repositories');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Reminder log entries filed under an old key, with the path each sits under
+function reminderLogMoves(reminderLog, legacyKey) {
+    const moves = [];
+    for (const [eventId, offsets] of Object.entries(reminderLog)) {
+        for (const [offset, entries] of Object.entries(offsets || {})) {
+            if (entries && entries[legacyKey]) {
+                moves.push({ path: `reminderLog/${eventId}/${offset}`, entry: entries[legacyKey] });
+            }
+        }
+    }
+    return moves;
+}
+
+// Resolves to { scanned, migrated: [{ legacyKey, id }], skipped: [{ legacyKey, reason }] }.
+// With dryRun nothing is written; `migrated` lists what would move (id null).
+async function migrateRegistrations(db, { dryRun = false } = {}) {
+    const [registrationsSnapshot, usersSnapshot, confirmedSnapshot, reminderSnapshot] = await Promise.all([
+        db.ref('registrations').once('value'),
+        db.ref('users').once('value'),
+        db.ref('confirmedPayments').once('value'),
+        db.ref('reminderLog').once('value')
+    ]);
+    const registrations = registrationsSnapshot.val() || {};
+    const users = usersSnapshot.val() || {};
+    const confirmedPayments = confirmedSnapshot.val() || {};
+    const reminderLog = reminderSnapshot.val() || {};
+
+    // Old registrations, plus user copies whose main record has gone missing
+    const legacy = new Map();
+    for (const [key, registration] of Object.entries(registrations)) {
+        if (!registration.userKey) {
+            legacy.set(key, { ...((users[key] && users[key].registration) || {}), ...registration });
+        }
+    }
+    for (const [key, profile] of Object.entries(users)) {
+        if (profile && profile.registration && !registrations[key]) {
+            legacy.set(key, profile.registration);
+        }
+    }
+
+    const summary = { scanned: legacy.size, migrated: [], skipped: [] };
+
+    for (const [legacyKey, registration] of legacy) {
+        const email = normalizeEmail(registration.email);
+        if (!email) {
+            summary.skipped.push({ legacyKey, reason: 'Registration has no email address' });
+            continue;
+        }
+
+        if (dryRun) {
+            summary.migrated.push({ legacyKey, id: null });
+            continue;
+        }
+
+        const id = db.ref('registrations').push().key;
+        const { uid, ...fields } = registration;
+        const record = { ...fields, email, userKey: registrantKey(email), legacyKey };
+
+        const update = {
+            [`registrations/${id}`]: record,
+            [`users/${record.userKey}/registrations/${id}`]: record,
+            [`registrations/${legacyKey}`]: null,
+            [`users/${legacyKey}/registration`]: null
+        };
+
+        if (confirmedPayments[legacyKey]) {
+            update[`confirmedPayments/${id}`] = confirmedPayments[legacyKey];
+            update[`confirmedPayments/${legacyKey}`] = null;
+        }
+
+        for (const { path, entry } of reminderLogMoves(reminderLog, legacyKey)) {
+            update[`${path}/${id}`] = entry;
+            update[`${path}/${legacyKey}`] = null;
+        }
+
+        await db.ref().update(update);
+        summary.migrated.push({ legacyKey, id });
+    }
+
+    // Cached dashboards were computed against the old keys
+    if (!dryRun && summary.migrated.length > 0) {
+        await db.ref('analyticsCache').remove();
+    }
+
+    return summary;
+}
+
+module.exports = { migrateRegistrations };
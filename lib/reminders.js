@@ -0,0 +1,185 @@
+// Pre-event reminders. For every published event, each configured offset
+// (REMINDER_OFFSETS, e.g. "24h,1h") opens a window that lasts until the
+// event starts; confirmed participants get one reminder per offset, on the
+// channels they chose.
+//
+// Every send is claimed in reminderLog/<eventId>/<offset>/<registrationId>
+// before it is queued, so restarts and parallel instances never send the
+// same reminder twice.
+
+const { formatEventSchedule, describeEventLocation } = require('./events');
+
+const DEFAULT_OFFSETS = '24h,1h';
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+// A claim that never got as far as the outbox (crash) can be retried after this
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+// "24h,1h,30m" -> [{ label: '24h', ms }, ...], largest first
+function parseOffsets(value = DEFAULT_OFFSETS) {
+    return String(value)
+        .split(',')
+        .map(part => part.trim().toLowerCase())
+        .filter(Boolean)
+        .map((label) => {
+            const match = /^(\d+)([mhd])$/.exec(label);
+            if (!match || Number(match[1]) === 0) {
+                throw new Error(`Invalid reminder offset "${label}" - use values like 24h, 90m or 2d`);
+            }
+            return { label, ms: Number(match[1]) * UNIT_MS[match[2]] };
+        })
+        .sort((a, b) => b.ms - a.ms);
+}
+
+function describeOffset(ms) {
+    if (ms % UNIT_MS.d === 0 && ms >= UNIT_MS.d && ms !== UNIT_MS.d) {
+        return `${ms / UNIT_MS.d} days`;
+    }
+    if (ms % UNIT_MS.h === 0) {
+        const hours = ms / UNIT_MS.h;
+        return hours === 1 ? '1 hour' : `${hours} hours`;
+    }
+    const minutes = Math.round(ms / UNIT_MS.m);
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+// The offset whose window is open right now. When several are (e.g. the
+// server was down), only the closest to the start is sent; it supersedes
+// the earlier ones.
+function dueOffset(event, offsets, now) {
+    const startsAt = new Date(event.startsAt).getTime();
+    if (now.getTime() >= startsAt) {
+        return null;
+    }
+
+    const open = offsets.filter(offset => now.getTime() >= startsAt - offset.ms);
+    return open.length > 0 ? open[open.length - 1] : null;
+}
+
+// Time left until the start, rounded to something readable. Registrations
+// that arrive late are reminded inside a window, not at its start.
+function describeTimeUntil(event, now) {
+    const remaining = new Date(event.startsAt).getTime() - now.getTime();
+    const rounded = remaining >= UNIT_MS.h
+        ? Math.round(remaining / UNIT_MS.h) * UNIT_MS.h
+        : Math.max(Math.round(remaining / (5 * UNIT_MS.m)) * 5 * UNIT_MS.m, UNIT_MS.m);
+
+    return describeOffset(rounded);
+}
+
+function buildReminderEmail(event, registration, now, from) {
+    const schedule = formatEventSchedule(event);
+    const startsIn = describeTimeUntil(event, now);
+    const joinDetails = event.meetingLink
+        ? `<p>🔗 <strong>Join here:</strong> <a href="${event.meetingLink}">${event.meetingLink}</a></p>`
+        : '';
+
+    return {
+        from,
+        to: registration.email,
+        subject: `Reminder: ${event.title} starts in ${startsIn}`,
+        html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+            <h2 style="color: #7C3AED; text-align: center;">See You Soon!</h2>
+            <p>Dear ${registration.fullName},</p>
+            <p>This is a friendly reminder that <strong>${event.title}</strong> starts in ${startsIn}.</p>
+
+            <div style="background-color: #F5F3FF; padding: 15px; border-radius: 10px; margin: 20px 0;">
+            <h3 style="color: #7C3AED; margin-top: 0;">Event Details:</h3>
+            <p>📅 <strong>Date:</strong> ${schedule.date}</p>
+            <p>🕦 <strong>Time:</strong> ${schedule.time}</p>
+            <p>📍 <strong>Location:</strong> ${describeEventLocation(event)}</p>
+            ${joinDetails}
+            </div>
+
+            <p>Please join a few minutes early and keep a notebook handy for the exercises.</p>
+
+            <p>If you have any trouble joining, reach out on WhatsApp: <a href="https://wa.me/919951611674">Click here to chat on WhatsApp</a></p>
+
+            <p style="margin-bottom: 0;">Warm regards,</p>
+            <p style="margin-top: 5px;"><strong>Inspiring Shereen</strong></p>
+            <p style="color: #7C3AED;">Life Coach | Shaping Lives With Holistic Success</p>
+        </div>
+        `
+    };
+}
+
+async function claimReminder(db, path, now) {
+    const result = await db.ref(path).transaction((current) => {
+        if (current && !(current.status === 'claimed' && now - new Date(current.claimedAt) > STALE_CLAIM_MS)) {
+            return undefined;
+        }
+        return { status: 'claimed', claimedAt: now.toISOString() };
+    });
+
+    return result.committed;
+}
+
+// One scheduler pass; `from` is the sender address. Resolves to a summary
+// of what was queued.
+async function sendDueReminders({ db, notifier, offsets, from, now = new Date() }) {
+    const summary = { events: 0, queued: 0, skipped: 0 };
+    const eventsSnapshot = await db.ref('events').orderByChild('status').equalTo('published').once('value');
+
+    for (const [eventId, eventData] of Object.entries(eventsSnapshot.val() || {})) {
+        const event = { id: eventId, ...eventData };
+        const offset = dueOffset(event, offsets, now);
+
+        if (!offset) {
+            continue;
+        }
+
+        summary.events++;
+        const registrationsSnapshot = await db.ref('registrations').orderByChild('eventId').equalTo(eventId).once('value');
+
+        for (const [registrationId, registration] of Object.entries(registrationsSnapshot.val() || {})) {
+            if (registration.paymentStatus !== 'Confirmed' || !registration.email) {
+                continue;
+            }
+
+            const logPath = `reminderLog/${eventId}/${offset.label}/${registrationId}`;
+            if (!(await claimReminder(db, logPath, now))) {
+                summary.skipped++;
+                continue;
+            }
+
+            const schedule = formatEventSchedule(event);
+            const { outboxId, whatsappMessageId } = await notifier.notify({
+                kind: 'reminder',
+                email: registration.email,
+                phone: registration.phone,
+                mailOptions: buildReminderEmail(event, registration, now, from),
+                // WhatsApp-only participants get no email, so the message carries where to join
+                whatsapp: {
+                    template: 'reminder',
+                    parameters: [
+                        registration.fullName,
+                        event.title,
+                        describeTimeUntil(event, now),
+                        schedule.time,
+                        event.meetingLink || describeEventLocation(event)
+                    ]
+                },
+                context: { registrationId, eventId, offset: offset.label }
+            });
+
+            await db.ref(logPath).update({
+                status: 'queued',
+                outboxId,
+                whatsappMessageId,
+                email: registration.email,
+                queuedAt: new Date().toISOString()
+            });
+            summary.queued++;
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    parseOffsets,
+    describeOffset,
+    dueOffset,
+    buildReminderEmail,
+    sendDueReminders
+};
@@ -0,0 +1,192 @@
+// Data access for the server's own records. Routes go through these instead
+// of building database paths themselves; the same code runs against
+// Firebase RTDB or the memory / file backends, which implement the same
+// Reference API (see lib/dataBackend).
+//
+//   registrations  registrations/<id>, each copied to the registrant's history
+//                  at users/<userKey>/registrations/<id>
+//   users          users/<uid> profiles
+//   payments       confirmedPayments/<id>
+//   contacts       contactSubmissions/<id> (tickets; see contactTickets.js)
+//
+// Registration ids are push ids, so one person can hold any number of them.
+// Registrants do not sign in; their history lives under a key derived from
+// their email (registrantKey), the same encoding the coupon usage counts use.
+
+const { emailKey } = require('./coupons');
+
+const registrantKey = (email) => emailKey(email);
+
+// Payment states with money held against the registration
+const PAID_STATUSES = ['Confirmed', 'Partially Refunded'];
+
+// Payment states after which a registration is finished with; registering
+// for the same event again starts a new one
+const CLOSED_PAYMENT_STATUSES = ['Refunded'];
+
+function createRegistrationRepository(db) {
+    const ref = db.ref('registrations');
+    const historyRef = (userKey, id) => db.ref(`users/${userKey}/registrations/${id}`);
+
+    // First registration whose child equals value, as { id, registration }
+    async function findBy(child, value) {
+        const snapshot = await ref.orderByChild(child).equalTo(value).once('value');
+        const matches = snapshot.val();
+
+        if (!matches) {
+            return null;
+        }
+
+        const id = Object.keys(matches)[0];
+        return { id, registration: matches[id] };
+    }
+
+    async function getUserKey(id) {
+        const snapshot = await ref.child(`${id}/userKey`).once('value');
+        return snapshot.val();
+    }
+
+    // Every registration made with an email address, oldest first
+    async function listByEmail(email) {
+        const snapshot = await ref.orderByChild('email').equalTo(String(email).trim().toLowerCase()).once('value');
+        return Object.entries(snapshot.val() || {})
+            .map(([id, registration]) => ({ id, ...registration }))
+            .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)) || a.id.localeCompare(b.id));
+    }
+
+    const repository = {
+        async get(id) {
+            const snapshot = await ref.child(id).once('value');
+            return snapshot.val();
+        },
+
+        // Store a new registration and its history copy. Resolves to the new id.
+        // createdAt is set only here; timestamp moves each time the details
+        // are submitted again.
+        async create(registration) {
+            const id = ref.push().key;
+            const record = {
+                ...registration,
+                userKey: registrantKey(registration.email),
+                createdAt: new Date().toISOString()
+            };
+
+            await ref.child(id).set(record);
+            await historyRef(record.userKey, id).set(record);
+            return id;
+        },
+        update: (id, fields) => ref.child(id).update(fields),
+        remove: (id) => ref.child(id).remove(),
+
+        // The registrant sees their registrations from the history copy, so
+        // anything they should see changing is written to both
+        async updateAndMirror(id, fields) {
+            await ref.child(id).update(fields);
+            await repository.updateHistory(id, fields);
+        },
+        async updateHistory(id, fields) {
+            const userKey = await getUserKey(id);
+            if (userKey) {
+                await historyRef(userKey, id).update(fields);
+            }
+        },
+
+        // Record the payment that confirms the registration, atomically: resolves
+        // to true for the one caller that gets to confirm it, false for any other
+        async claimConfirmation(id, paymentId) {
+            const result = await ref.child(`${id}/confirmedPaymentId`).transaction(current => (current ? undefined : paymentId));
+            return result.committed;
+        },
+        // Undo a claim whose confirmation failed, so a retry can make it again
+        releaseConfirmation: (id) => ref.child(`${id}/confirmedPaymentId`).remove(),
+
+        findByOrderId: (orderId) => findBy('orderId', orderId),
+        findByPaymentId: (paymentId) => findBy('transactionId', paymentId),
+        listByEmail,
+
+        // The registration a new form submission or order for this event
+        // continues, as { id, registration }, or null to start a new one
+        async findCurrent(email, eventId) {
+            const current = (await listByEmail(email))
+                .filter(entry => entry.eventId === eventId && !CLOSED_PAYMENT_STATUSES.includes(entry.paymentStatus))
+                .pop();
+
+            if (!current) {
+                return null;
+            }
+
+            const { id, ...registration } = current;
+            return { id, registration };
+        }
+    };
+
+    return repository;
+}
+
+function createUserRepository(db) {
+    const ref = db.ref('users');
+
+    return {
+        async get(uid) {
+            const snapshot = await ref.child(uid).once('value');
+            return snapshot.val();
+        },
+        save: (uid, profile) => ref.child(uid).set(profile),
+        update: (uid, fields) => ref.child(uid).update(fields),
+        remove: (uid) => ref.child(uid).remove(),
+
+        // A registrant's registrations, newest first
+        async listRegistrations(userKey) {
+            const snapshot = await ref.child(`${userKey}/registrations`).once('value');
+            return Object.entries(snapshot.val() || {})
+                .map(([id, registration]) => ({ id, ...registration }))
+                .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)) || b.id.localeCompare(a.id));
+        }
+    };
+}
+
+function createPaymentRepository(db) {
+    const ref = db.ref('confirmedPayments');
+
+    return {
+        async getConfirmed(id) {
+            const snapshot = await ref.child(id).once('value');
+            return snapshot.val();
+        },
+        saveConfirmed: (id, payment) => ref.child(id).set(payment),
+        updateConfirmed: (id, fields) => ref.child(id).update(fields)
+    };
+}
+
+function createContactRepository(db) {
+    const ref = db.ref('contactSubmissions');
+
+    return {
+        // Resolves to the new submission's id; it starts as a new ticket
+        async create(submission) {
+            const submissionRef = ref.push();
+            await submissionRef.set({
+                ...submission,
+                status: 'new',
+                createdAt: new Date().toISOString()
+            });
+            return submissionRef.key;
+        },
+        async get(id) {
+            const snapshot = await ref.child(id).once('value');
+            return snapshot.exists() ? { id, ...snapshot.val() } : null;
+        },
+        update: (id, fields) => ref.child(id).update(fields)
+    };
+}
+
+function createRepositories(db) {
+    return {
+        registrations: createRegistrationRepository(db),
+        users: createUserRepository(db),
+        payments: createPaymentRepository(db),
+        contacts: createContactRepository(db)
+    };
+}
+
+module.exports = { PAID_STATUSES, createRepositories, registrantKey };
@@ -0,0 +1,209 @@
+// Staff roles and what each may do in the admin API.
+//
+// A user's role is a Firebase Auth custom claim ({ role, admin: true }; the
+// admin flag stays for the admin UI), with an index of everyone who has one:
+//   staff/<uid>        { email, role, grantedBy, grantedAt }
+//   adminBootstrap     { ownerUid, startedAt, completedAt } once setup has run
+// Accounts from before roles existed carry only admin: true and count as admin.
+
+const ROLES = ['owner', 'admin', 'finance', 'support'];
+
+const PERMISSIONS = [
+    'registrations:read',
+    'registrations:export',
+    'refunds:create',
+    'users:read',
+    'users:write',
+    'events:read',
+    'events:write',
+    'coupons:read',
+    'coupons:write',
+    'analytics:read',
+    'payments:read',
+    'payments:write',
+    'emails:read',
+    'emails:write',
+    'reminders:write',
+    'attendance:read',
+    'attendance:write',
+    'contacts:read',
+    'contacts:write',
+    'errors:read',
+    'errors:write',
+    'roles:read',
+    'roles:write',
+    'audit:read'
+];
+
+const ROLE_PERMISSIONS = {
+    owner: PERMISSIONS,
+    admin: PERMISSIONS.filter(permission => permission !== 'roles:write'),
+    finance: [
+        'registrations:read',
+        'registrations:export',
+        'refunds:create',
+        'analytics:read',
+        'payments:read',
+        'payments:write',
+        'events:read',
+        'coupons:read',
+        'attendance:read'
+    ],
+    support: [
+        'registrations:read',
+        'users:read',
+        'events:read',
+        'coupons:read',
+        'emails:read',
+        'emails:write',
+        'attendance:read',
+        'attendance:write',
+        'contacts:read',
+        'contacts:write',
+        'errors:read'
+    ]
+};
+
+// A setup that crashed half way can be retried after this
+const BOOTSTRAP_STALE_MS = 5 * 60 * 1000;
+
+function roleFromClaims(claims = {}) {
+    if (ROLES.includes(claims.role)) {
+        return claims.role;
+    }
+    return claims.admin ? 'admin' : null;
+}
+
+const hasPermission = (role, permission) => Boolean(role && ROLE_PERMISSIONS[role].includes(permission));
+
+// Middleware factory; runs after authenticateFirebase. Claims are read from
+// Auth on every request so a revoked role stops working straight away rather
+// than when the user's ID token expires. Sets req.staff = { uid, role }.
+function createPermissionGuard(auth) {
+    return function requirePermission(permission) {
+        if (!PERMISSIONS.includes(permission)) {
+            throw new Error(`Unknown permission "${permission}"`);
+        }
+
+        return async (req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Unauthorized: Authentication required' });
+            }
+
+            try {
+                const userRecord = await auth.getUser(req.user.uid);
+                const role = roleFromClaims(userRecord.customClaims || {});
+
+                if (!role) {
+                    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+                }
+                if (!hasPermission(role, permission)) {
+                    return res.status(403).json({ error: `Forbidden: the ${role} role cannot ${permission}` });
+                }
+
+                req.staff = { uid: req.user.uid, role };
+                next();
+            } catch (error) {
+                req.log.error('Admin verification error', { error });
+                return res.status(500).json({ error: 'Error verifying admin status' });
+            }
+        };
+    };
+}
+
+async function getStaffRole(auth, uid) {
+    const userRecord = await auth.getUser(uid);
+    return roleFromClaims(userRecord.customClaims || {});
+}
+
+async function listStaff(db) {
+    const snapshot = await db.ref('staff').once('value');
+    return Object.entries(snapshot.val() || {})
+        .map(([uid, value]) => ({ uid, ...value }))
+        .sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role) || String(a.email).localeCompare(String(b.email)));
+}
+
+async function countOwners(db) {
+    const snapshot = await db.ref('staff').orderByChild('role').equalTo('owner').once('value');
+    return Object.keys(snapshot.val() || {}).length;
+}
+
+// Give a user a role, replacing any role they had. Other custom claims are kept.
+async function grantRole({ auth, db }, uid, role, { grantedBy }) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    }
+
+    const userRecord = await auth.getUser(uid);
+    const claims = { ...(userRecord.customClaims || {}), role, admin: true };
+    const entry = {
+        email: userRecord.email || '',
+        role,
+        grantedBy,
+        grantedAt: new Date().toISOString()
+    };
+
+    await auth.setCustomUserClaims(uid, claims);
+    await db.ref(`staff/${uid}`).set(entry);
+
+    return { uid, ...entry };
+}
+
+async function revokeRole({ auth, db }, uid) {
+    const userRecord = await auth.getUser(uid);
+    const { role, admin, ...claims } = userRecord.customClaims || {};
+
+    await auth.setCustomUserClaims(uid, claims);
+    await db.ref(`staff/${uid}`).remove();
+}
+
+// Error message if taking the owner role away from uid would leave no owner
+async function checkOwnerRemains({ auth, db }, uid) {
+    if ((await getStaffRole(auth, uid)) === 'owner' && (await countOwners(db)) <= 1) {
+        return 'This is the only owner. Make someone else owner first.';
+    }
+    return null;
+}
+
+async function isBootstrapped(db) {
+    const snapshot = await db.ref('adminBootstrap/completedAt').once('value');
+    return snapshot.exists() || (await countOwners(db)) > 0;
+}
+
+// Claim the one-time setup. Resolves to false if it has been done or is
+// being done right now.
+async function claimBootstrap(db, now = Date.now()) {
+    const result = await db.ref('adminBootstrap').transaction((current) => {
+        if (current && (current.completedAt || now - current.startedAt < BOOTSTRAP_STALE_MS)) {
+            return undefined;
+        }
+        return { startedAt: now };
+    });
+    return result.committed;
+}
+
+const completeBootstrap = (db, ownerUid) => db.ref('adminBootstrap').set({
+    ownerUid,
+    completedAt: new Date().toISOString()
+});
+
+const abandonBootstrap = (db) => db.ref('adminBootstrap').remove();
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    roleFromClaims,
+    hasPermission,
+    createPermissionGuard,
+    getStaffRole,
+    listStaff,
+    countOwners,
+    grantRole,
+    revokeRole,
+    checkOwnerRemains,
+    isBootstrapped,
+    claimBootstrap,
+    completeBootstrap,
+    abandonBootstrap
+};
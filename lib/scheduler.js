@@ -0,0 +1,43 @@
+// Minimal interval scheduler for background jobs. Runs never overlap within
+// this process; jobs that must not overlap across instances take a lock too.
+
+const { logger } = require('./logger');
+
+const jobs = [];
+
+function scheduleJob(name, intervalMs, fn) {
+    let running = false;
+
+    const tick = async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await fn();
+        } catch (error) {
+            logger.error('Scheduled job failed', { job: name, error });
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    // Never keep the process alive just for background jobs
+    timer.unref();
+    jobs.push({ name, timer });
+
+    logger.info('Scheduled job', { job: name, intervalSeconds: Math.round(intervalMs / 1000) });
+    return timer;
+}
+
+function stopAllJobs() {
+    while (jobs.length > 0) {
+        clearInterval(jobs.pop().timer);
+    }
+}
+
+module.exports = {
+    scheduleJob,
+    stopAllJobs
+};
@@ -0,0 +1,275 @@
+// Event capacity: seat holds and the waitlist.
+//
+// Events with a `capacity` keep every seat in use under one node, so a single
+// transaction can count seats and claim one:
+//   seats/<eventId>/<registrationId>     { status: 'held' | 'taken', heldAt, expiresAt }
+// A seat is held while its order is being paid (SEAT_HOLD_MINUTES) and taken
+// once the payment is confirmed. Holds that run out are freed by the
+// seat-holds job. When an event is full, new sign-ups join
+//   waitlist/<eventId>/<registrationId>  { email, fullName, joinedAt, status, offerExpiresAt }
+// (status waiting -> offered -> accepted | expired) and every freed seat is
+// held for the longest-waiting person, who is emailed a link to pay before
+// the offer runs out (WAITLIST_OFFER_HOURS).
+//
+// A payment that arrives after its hold ran out still gets its seat, even if
+// that goes over capacity; the seat is marked overbooked for the team to see.
+
+const { formatEventSchedule } = require('./events');
+const { queueAndDeliver } = require('./outbox');
+const { createRepositories } = require('./repositories');
+const { logger } = require('./logger');
+
+const isInUse = (seat, now) => seat.status === 'taken' || new Date(seat.expiresAt) > now;
+
+const seatsInUse = (seats, now) => Object.values(seats || {}).filter(seat => isInUse(seat, now)).length;
+
+// Hold a seat for a registration, or extend the hold it already has. With
+// `extendOnly` a registration without a live hold is not given a new one.
+// Resolves to true if the registration has a seat (held or taken) afterwards.
+async function holdSeat(db, event, registrationId, { holdMs, extendOnly = false, now = new Date() }) {
+    const result = await db.ref(`seats/${event.id}`).transaction((current) => {
+        // RTDB may call this first with a stale null; returning it unchanged
+        // lets the server retry with the real value
+        if (current === null && extendOnly) {
+            return current;
+        }
+
+        const seats = current || {};
+        const mine = seats[registrationId];
+        const holding = Boolean(mine && isInUse(mine, now));
+
+        if (mine && mine.status === 'taken') {
+            return undefined;
+        }
+        if (!holding && (extendOnly || seatsInUse(seats, now) >= event.capacity)) {
+            return undefined;
+        }
+
+        const expiresAt = new Date(Math.max(now.getTime() + holdMs, mine ? new Date(mine.expiresAt).getTime() : 0));
+        return {
+            ...seats,
+            [registrationId]: { status: 'held', heldAt: now.toISOString(), expiresAt: expiresAt.toISOString() }
+        };
+    });
+
+    // Committing the unchanged null gives no seat either
+    const seat = (result.snapshot.val() || {})[registrationId];
+    return Boolean(seat && (result.committed || seat.status === 'taken'));
+}
+
+// Turn the registration's hold into a taken seat once it is paid. Resolves
+// to true if that put the event over capacity.
+async function takeSeat(db, event, registrationId, now = new Date()) {
+    let overbooked = false;
+
+    await db.ref(`seats/${event.id}`).transaction((current) => {
+        const seats = current || {};
+        const mine = seats[registrationId];
+
+        overbooked = !(mine && isInUse(mine, now)) && seatsInUse(seats, now) >= event.capacity;
+        return {
+            ...seats,
+            [registrationId]: { status: 'taken', takenAt: now.toISOString(), ...(overbooked ? { overbooked: true } : {}) }
+        };
+    });
+
+    if (overbooked) {
+        logger.warn('Event is over capacity: a registration paid after its hold ran out', { eventId: event.id, registrationId });
+    }
+    return overbooked;
+}
+
+const releaseSeat = (db, eventId, registrationId) => db.ref(`seats/${eventId}/${registrationId}`).remove();
+
+// Drop holds whose time is up. Resolves to the registration ids released.
+async function releaseExpiredHolds(db, eventId, now = new Date()) {
+    let released = [];
+
+    await db.ref(`seats/${eventId}`).transaction((current) => {
+        // A stale null is returned unchanged so the server retries
+        if (current === null) {
+            released = [];
+            return current;
+        }
+
+        released = Object.entries(current)
+            .filter(([, seat]) => !isInUse(seat, now))
+            .map(([registrationId]) => registrationId);
+
+        if (released.length === 0) {
+            return undefined;
+        }
+
+        const seats = { ...current };
+        released.forEach(registrationId => delete seats[registrationId]);
+        return seats;
+    });
+
+    return released;
+}
+
+async function seatsLeft(db, event, now = new Date()) {
+    const snapshot = await db.ref(`seats/${event.id}`).once('value');
+    return Math.max(event.capacity - seatsInUse(snapshot.val(), now), 0);
+}
+
+async function listWaitlist(db, eventId) {
+    const snapshot = await db.ref(`waitlist/${eventId}`).once('value');
+    return Object.entries(snapshot.val() || {})
+        .map(([registrationId, entry]) => ({ registrationId, ...entry }))
+        .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt) || a.registrationId.localeCompare(b.registrationId));
+}
+
+// A seat for someone placing an order. While people are waiting, seats that
+// free up are theirs, so only a registration already holding one (such as a
+// waitlist offer) or at the front of the queue gets one.
+async function requestSeat(db, event, registrationId, { holdMs, now = new Date() }) {
+    const waiting = (await listWaitlist(db, event.id)).filter(entry => entry.status === 'waiting');
+    const queued = waiting.length > 0 && waiting[0].registrationId !== registrationId;
+
+    return holdSeat(db, event, registrationId, { holdMs, extendOnly: queued, now });
+}
+
+// Put a registration on the event's waitlist (a no-op if it is already
+// waiting or has an offer). Resolves to its place in the queue.
+async function joinWaitlist(db, eventId, registrationId, { email, fullName, now = new Date() }) {
+    await db.ref(`waitlist/${eventId}/${registrationId}`).transaction((current) => {
+        if (current && ['waiting', 'offered'].includes(current.status)) {
+            return undefined;
+        }
+        return { email, fullName, joinedAt: now.toISOString(), status: 'waiting' };
+    });
+    await createRepositories(db).registrations.updateAndMirror(registrationId, { waitlistStatus: 'waiting' });
+
+    const waiting = (await listWaitlist(db, eventId)).filter(entry => entry.status === 'waiting');
+    return waiting.findIndex(entry => entry.registrationId === registrationId) + 1;
+}
+
+async function setWaitlistStatus(db, eventId, registrationId, status, fields = {}) {
+    const entryRef = db.ref(`waitlist/${eventId}/${registrationId}`);
+    if (!(await entryRef.once('value')).exists()) {
+        return false;
+    }
+
+    await entryRef.update({ status, ...fields, updatedAt: new Date().toISOString() });
+    await createRepositories(db).registrations.updateAndMirror(registrationId, { waitlistStatus: status, ...fields });
+    return true;
+}
+
+function buildOfferEmail(event, entry, paymentLink, offerExpiresAt, from) {
+    const schedule = formatEventSchedule(event);
+    const deadline = new Date(offerExpiresAt).toLocaleString('en-IN', {
+        timeZone: event.timezone || 'Asia/Kolkata',
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+
+    return {
+        from,
+        to: entry.email,
+        subject: `A seat has opened up - ${event.title}`,
+        html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+            <h2 style="color: #7C3AED; text-align: center;">Good News - A Seat Is Yours!</h2>
+            <p>Dear ${entry.fullName},</p>
+            <p>A seat has opened up in <strong>${event.title}</strong> (${schedule.date}, ${schedule.time}) and we are holding it for you.</p>
+
+            <div style="text-align: center; margin: 25px 0;">
+                <a href="${paymentLink}" style="display: inline-block; background-color: #7C3AED; color: white; text-decoration: none; padding: 12px 24px; border-radius: 5px; font-weight: bold;">
+                    Complete Your Registration
+                </a>
+            </div>
+
+            <p>The seat is held until <strong>${deadline}</strong>. After that it goes to the next person on the waitlist.</p>
+
+            <p style="margin-bottom: 0;">Warm regards,</p>
+            <p style="margin-top: 5px;"><strong>Inspiring Shereen</strong></p>
+            <p style="color: #7C3AED;">Life Coach | Shaping Lives With Holistic Success</p>
+        </div>
+        `
+    };
+}
+
+// Link to the registration page with the event and the person's details
+// filled in; paying there uses the seat held for them
+function offerLink(baseUrl, event, entry) {
+    const url = new URL(baseUrl);
+    url.searchParams.set('event', event.id);
+    url.searchParams.set('email', entry.email);
+    return url.toString();
+}
+
+// Hold every free seat for the people at the front of the waitlist and
+// email them from `from`. Resolves to the registration ids offered a seat.
+async function offerFreeSeats({ db, mailer, event, offerMs, paymentUrl, from, now = new Date() }) {
+    const offered = [];
+    const waiting = (await listWaitlist(db, event.id)).filter(entry => entry.status === 'waiting');
+
+    for (const entry of waiting) {
+        if (!(await holdSeat(db, event, entry.registrationId, { holdMs: offerMs, now }))) {
+            break;
+        }
+
+        const offerExpiresAt = new Date(now.getTime() + offerMs).toISOString();
+        await setWaitlistStatus(db, event.id, entry.registrationId, 'offered', { offerExpiresAt });
+        await queueAndDeliver(mailer, {
+            kind: 'waitlistOffer',
+            mailOptions: buildOfferEmail(event, entry, offerLink(paymentUrl, event, entry), offerExpiresAt, from),
+            context: { registrationId: entry.registrationId, eventId: event.id }
+        });
+        offered.push(entry.registrationId);
+    }
+
+    return offered;
+}
+
+// Free a seat (refund, failed payment) and pass it down the waitlist
+async function releaseSeatAndOffer(options, event, registrationId) {
+    await releaseSeat(options.db, event.id, registrationId);
+    return offerFreeSeats({ ...options, event });
+}
+
+// One pass of the seat-holds job over every event with a capacity
+async function processSeatHolds({ db, mailer, offerMs, paymentUrl, from, now = new Date() }) {
+    const summary = { events: 0, released: 0, expiredOffers: 0, offered: 0 };
+    const eventsSnapshot = await db.ref('events').orderByChild('status').equalTo('published').once('value');
+
+    for (const [eventId, eventData] of Object.entries(eventsSnapshot.val() || {})) {
+        if (!eventData.capacity) {
+            continue;
+        }
+
+        const event = { id: eventId, ...eventData };
+        summary.events++;
+
+        const released = await releaseExpiredHolds(db, eventId, now);
+        summary.released += released.length;
+
+        for (const registrationId of released) {
+            const entry = (await db.ref(`waitlist/${eventId}/${registrationId}`).once('value')).val();
+            if (entry && entry.status === 'offered') {
+                await setWaitlistStatus(db, eventId, registrationId, 'expired');
+                summary.expiredOffers++;
+            }
+        }
+
+        summary.offered += (await offerFreeSeats({ db, mailer, event, offerMs, paymentUrl, from, now })).length;
+    }
+
+    return summary;
+}
+
+module.exports = {
+    holdSeat,
+    requestSeat,
+    takeSeat,
+    releaseSeat,
+    releaseExpiredHolds,
+    seatsLeft,
+    listWaitlist,
+    joinWaitlist,
+    setWaitlistStatus,
+    offerFreeSeats,
+    releaseSeatAndOffer,
+    processSeatHolds
+};
@@ -0,0 +1,116 @@
+// Signed event tickets and attendance.
+//
+// A ticket is "<registrationId>.<eventId>.<signature>", the signature being
+// an HMAC of the two ids with TICKET_SECRET, so the door can tell a real
+// ticket from a made-up one without a lookup. The token is shown as a QR code
+// in the confirmation email. Without TICKET_SECRET no tickets are issued and
+// check-in is unavailable.
+//
+//   attendance/<eventId>/<registrationId>   { checkedInAt, checkedInBy, fullName, email }
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const TICKET_PATTERN = /^([\w-]+)\.([\w-]+)\.([\w-]{43})$/;
+
+function createTicketSigner(env = process.env) {
+    const secret = env.TICKET_SECRET || '';
+    const sign = (registrationId, eventId) => crypto
+        .createHmac('sha256', secret)
+        .update(`ticket:${registrationId}:${eventId}`)
+        .digest('base64url');
+
+    return {
+        enabled: Boolean(secret),
+
+        issue(registrationId, eventId) {
+            return `${registrationId}.${eventId}.${sign(registrationId, eventId)}`;
+        },
+
+        // { registrationId, eventId } for a genuine ticket, otherwise null
+        verify(token) {
+            const match = TICKET_PATTERN.exec(String(token || '').trim());
+            if (!secret || !match) {
+                return null;
+            }
+
+            const [, registrationId, eventId, signature] = match;
+            const expected = Buffer.from(sign(registrationId, eventId));
+            const given = Buffer.from(signature);
+
+            return crypto.timingSafeEqual(expected, given) ? { registrationId, eventId } : null;
+        }
+    };
+}
+
+// Inline image attachment for the confirmation email; the HTML shows it
+// with <img src="cid:..."> using the returned cid
+async function ticketQrAttachment(token, registrationId) {
+    const png = await QRCode.toBuffer(token, { errorCorrectionLevel: 'M', margin: 2, width: 240 });
+    const cid = `ticket-${registrationId}@inspiringshereen`;
+
+    return {
+        cid,
+        attachment: {
+            filename: 'ticket.png',
+            content: png.toString('base64'),
+            encoding: 'base64',
+            contentType: 'image/png',
+            cid
+        }
+    };
+}
+
+// Record an arrival. Resolves to { checkedIn: true, record } the first time
+// and { checkedIn: false, record } (the earlier check-in) on a repeat scan.
+async function recordCheckIn(db, { eventId, registrationId, registration, checkedInBy, now = new Date() }) {
+    const result = await db.ref(`attendance/${eventId}/${registrationId}`).transaction((current) => {
+        if (current) {
+            return undefined;
+        }
+        return {
+            checkedInAt: now.toISOString(),
+            checkedInBy,
+            fullName: registration.fullName || '',
+            email: registration.email || ''
+        };
+    });
+
+    return { checkedIn: result.committed, record: result.snapshot.val() };
+}
+
+// Who paid for the event and who turned up
+async function attendanceReport(db, eventId, paidStatuses) {
+    const [registrationsSnapshot, attendanceSnapshot] = await Promise.all([
+        db.ref('registrations').orderByChild('eventId').equalTo(eventId).once('value'),
+        db.ref(`attendance/${eventId}`).once('value')
+    ]);
+    const attendance = attendanceSnapshot.val() || {};
+
+    const attendees = Object.entries(registrationsSnapshot.val() || {})
+        .filter(([id, registration]) => paidStatuses.includes(registration.paymentStatus) || attendance[id])
+        .map(([id, registration]) => ({
+            registrationId: id,
+            fullName: registration.fullName || '',
+            email: registration.email || '',
+            phone: registration.phone || '',
+            paymentStatus: registration.paymentStatus || null,
+            checkedInAt: attendance[id] ? attendance[id].checkedInAt : null,
+            checkedInBy: attendance[id] ? attendance[id].checkedInBy : null
+        }))
+        .sort((a, b) => a.fullName.localeCompare(b.fullName) || a.registrationId.localeCompare(b.registrationId));
+
+    const checkedIn = attendees.filter(attendee => attendee.checkedInAt).length;
+
+    return {
+        totals: { registered: attendees.length, checkedIn, notArrived: attendees.length - checkedIn },
+        attendees
+    };
+}
+
+module.exports = {
+    createTicketSigner,
+    ticketQrAttachment,
+    recordCheckIn,
+    attendanceReport
+};
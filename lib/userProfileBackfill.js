@@ -0,0 +1,43 @@
+// Creates the users/<uid> profile for Auth accounts that have none, such as
+// people who signed up in the browser before profiles were written there.
+// The admin users list shows those accounts from their Auth record alone;
+// this fills the profile in from the same record, so edits and exports see
+// the name and sign-up date.
+//
+// Only field paths of missing profiles are written, so an existing profile
+// is never overwritten and a run can simply be started again.
+
+const { AUTH_BATCH_SIZE, readUserProfiles } = require('./adminLists');
+
+// Resolves to { scanned, created: [uid] }. With dryRun nothing is written;
+// `created` lists the profiles that would be.
+async function backfillUserProfiles({ auth, db }, { dryRun = false } = {}) {
+    const summary = { scanned: 0, created: [] };
+    let pageToken;
+
+    do {
+        const result = await auth.listUsers(AUTH_BATCH_SIZE, pageToken);
+        const profiles = await readUserProfiles(db, result.users.map(record => record.uid));
+        const missing = {};
+
+        for (const userRecord of result.users) {
+            summary.scanned++;
+            if (profiles[userRecord.uid]) {
+                continue;
+            }
+            missing[`${userRecord.uid}/fullName`] = userRecord.displayName || '';
+            missing[`${userRecord.uid}/email`] = userRecord.email || null;
+            missing[`${userRecord.uid}/createdAt`] = userRecord.metadata.creationTime;
+            summary.created.push(userRecord.uid);
+        }
+
+        if (!dryRun && Object.keys(missing).length > 0) {
+            await db.ref('users').update(missing);
+        }
+        pageToken = result.pageToken;
+    } while (pageToken);
+
+    return summary;
+}
+
+module.exports = { backfillUserProfiles };
@@ -0,0 +1,349 @@
+// Declarative request validation. Each route lists what it accepts in its
+// path params, query string and JSON body:
+//
+//   validateRequest({
+//       params: { eventId: rules.id({ required: true }) },
+//       body: { email: rules.email({ required: true }), phone: rules.phone() }
+//   })
+//
+// Values are normalised on the way in - strings trimmed, emails lowercased,
+// phone numbers in E.164, numbers and booleans parsed from the query string -
+// and the handler only sees the normalised values. Fields a schema does not
+// list are rejected. Every failure gets the same response:
+//
+//   400 { success: false, error: 'Invalid request',
+//         details: [{ location: 'body', field: 'phone', message: 'phone must be ...' }] }
+
+// Numbers written without a country code are taken to be Indian mobiles
+const DEFAULT_COUNTRY_CODE = '91';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Letters from any script plus the punctuation found in real names
+const NAME_PATTERN = /^[\p{L}\p{M}][\p{L}\p{M} .'-]*$/u;
+// Usable as an RTDB key: no . # $ [ ] /
+const ID_PATTERN = /^[\w-]+$/;
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// E.164 form of a phone number, or null if it cannot be one. Accepts
+// +<country><number>, 00<country><number>, a 10-digit national number
+// (optionally with a leading 0) and the usual separators.
+function normalizePhone(value, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+    const text = String(value).trim();
+
+    if (!/^\+?[\d\s().-]+$/.test(text)) {
+        return null;
+    }
+
+    let digits = text.replace(/\D/g, '');
+
+    if (!text.startsWith('+')) {
+        if (digits.startsWith('00')) {
+            digits = digits.slice(2);
+        } else if (digits.length === 10) {
+            digits = defaultCountryCode + digits;
+        } else if (digits.length === 11 && digits.startsWith('0')) {
+            digits = defaultCountryCode + digits.slice(1);
+        }
+    }
+
+    if (!/^[1-9]\d{7,14}$/.test(digits)) {
+        return null;
+    }
+
+    // Indian numbers are always ten digits after the country code
+    if (digits.startsWith('91') && digits.length !== 12) {
+        return null;
+    }
+
+    return `+${digits}`;
+}
+
+// A rule is { required, nullable, allowEmpty, check } where
+// check(value, field, location) returns { value }, { error } or { errors }.
+function rule(check, { required = false, nullable = false, allowEmpty = false } = {}) {
+    return { required, nullable, allowEmpty, check };
+}
+
+const rules = {
+    string({ min = 0, max = 1000, pattern, patternMessage, oneOf, trim = true, lowercase = false, uppercase = false, ...options } = {}) {
+        return rule((value, field) => {
+            if (typeof value !== 'string') {
+                return { error: `${field} must be a string` };
+            }
+
+            let text = trim ? value.trim() : value;
+            if (lowercase) {
+                text = text.toLowerCase();
+            }
+            if (uppercase) {
+                text = text.toUpperCase();
+            }
+
+            if (text.length < min) {
+                return { error: `${field} must be at least ${min} characters` };
+            }
+            if (text.length > max) {
+                return { error: `${field} must be at most ${max} characters` };
+            }
+            if (oneOf && !oneOf.includes(text)) {
+                return { error: `${field} must be one of ${oneOf.join(', ')}` };
+            }
+            if (text && pattern && !pattern.test(text)) {
+                return { error: `${field} ${patternMessage || 'has an invalid format'}` };
+            }
+
+            return { value: text };
+        }, options);
+    },
+
+    enumOf(values, options = {}) {
+        return rules.string({ oneOf: values, ...options });
+    },
+
+    // Database keys: event ids, order ids, push ids, uids
+    id(options = {}) {
+        return rules.string({
+            max: 128,
+            pattern: ID_PATTERN,
+            patternMessage: 'may only contain letters, digits, "-" and "_"',
+            ...options
+        });
+    },
+
+    email(options = {}) {
+        return rules.string({
+            max: 254,
+            lowercase: true,
+            pattern: EMAIL_PATTERN,
+            patternMessage: 'must be a valid email address',
+            ...options
+        });
+    },
+
+    name(options = {}) {
+        return rules.string({
+            max: 100,
+            pattern: NAME_PATTERN,
+            patternMessage: 'may only contain letters, spaces, ".", "\'" and "-"',
+            ...options
+        });
+    },
+
+    phone(options = {}) {
+        return rule((value, field) => {
+            const phone = typeof value === 'string' || typeof value === 'number' ? normalizePhone(value) : null;
+            return phone
+                ? { value: phone }
+                : { error: `${field} must be a valid phone number, e.g. +919876543210` };
+        }, options);
+    },
+
+    // Query string values arrive as text and are parsed here
+    number({ min, max, integer = false, positive = false, ...options } = {}) {
+        return rule((value, field, location) => {
+            const number = location === 'query' && typeof value === 'string' && value.trim() !== ''
+                ? Number(value)
+                : value;
+
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return { error: `${field} must be a number` };
+            }
+            if (integer && !Number.isInteger(number)) {
+                return { error: `${field} must be a whole number` };
+            }
+            if (positive && number <= 0) {
+                return { error: `${field} must be greater than 0` };
+            }
+            if (min !== undefined && number < min) {
+                return { error: `${field} must be at least ${min}` };
+            }
+            if (max !== undefined && number > max) {
+                return { error: `${field} must be at most ${max}` };
+            }
+
+            return { value: number };
+        }, options);
+    },
+
+    integer(options = {}) {
+        return rules.number({ integer: true, ...options });
+    },
+
+    boolean(options = {}) {
+        return rule((value, field, location) => {
+            if (location === 'query' && (value === 'true' || value === 'false')) {
+                return { value: value === 'true' };
+            }
+            return typeof value === 'boolean' ? { value } : { error: `${field} must be true or false` };
+        }, options);
+    },
+
+    // ISO 8601 date or date-time, normalised to a full UTC timestamp
+    date(options = {}) {
+        return rule((value, field) => {
+            const date = typeof value === 'string' ? new Date(value) : null;
+            return date && !Number.isNaN(date.getTime())
+                ? { value: date.toISOString() }
+                : { error: `${field} must be an ISO 8601 date` };
+        }, options);
+    },
+
+    array(itemRule, { max = 100, ...options } = {}) {
+        return rule((value, field, location) => {
+            if (!Array.isArray(value)) {
+                return { error: `${field} must be an array` };
+            }
+            if (value.length > max) {
+                return { error: `${field} must have at most ${max} items` };
+            }
+
+            const errors = [];
+            const items = [];
+            value.forEach((item, index) => {
+                const result = checkField(itemRule, item, `${field}[${index}]`, location);
+                if (result.errors.length > 0) {
+                    errors.push(...result.errors);
+                } else {
+                    items.push(result.value);
+                }
+            });
+
+            return errors.length > 0 ? { errors } : { value: items };
+        }, options);
+    },
+
+    object(shape, { allowUnknown = false, ...options } = {}) {
+        return rule((value, field, location) => {
+            const result = validateFields(shape, value, location, { prefix: field, allowUnknown });
+            return result.errors.length > 0 ? { errors: result.errors } : { value: result.value };
+        }, options);
+    },
+
+    // Free-form JSON, e.g. diagnostic context from the browser
+    any(options = {}) {
+        return rule(value => ({ value }), options);
+    }
+};
+
+const detail = (location, field, message) => ({ location, field, message });
+
+// Resolves to { value, errors } for one field. value is undefined when an
+// optional field was left out; blank strings count as left out unless the
+// rule sets allowEmpty, and null does unless it sets nullable.
+function checkField(fieldRule, raw, field, location) {
+    if (raw === null && fieldRule.nullable) {
+        return { value: null, errors: [] };
+    }
+
+    const missing = raw === undefined
+        || raw === null
+        || (typeof raw === 'string' && raw.trim() === '' && !fieldRule.allowEmpty);
+
+    if (missing) {
+        return {
+            value: undefined,
+            errors: fieldRule.required ? [detail(location, field, `${field} is required`)] : []
+        };
+    }
+
+    const result = fieldRule.check(raw, field, location);
+
+    if (result.errors) {
+        return { value: undefined, errors: result.errors };
+    }
+    if (result.error) {
+        return { value: undefined, errors: [detail(location, field, result.error)] };
+    }
+    return { value: result.value, errors: [] };
+}
+
+// Check an object against a schema. Resolves to { value, errors } where value
+// holds only the schema's fields, normalised.
+function validateFields(schema, input, location, { prefix = '', allowUnknown = false } = {}) {
+    if (!isPlainObject(input)) {
+        return { value: {}, errors: [detail(location, prefix || null, `${prefix || location} must be an object`)] };
+    }
+
+    const path = (key) => (prefix ? `${prefix}.${key}` : key);
+    const errors = [];
+    const value = {};
+
+    if (!allowUnknown) {
+        for (const key of Object.keys(input)) {
+            if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+                errors.push(detail(location, path(key), `${path(key)} is not an allowed field`));
+            }
+        }
+    }
+
+    for (const [key, fieldRule] of Object.entries(schema)) {
+        const result = checkField(fieldRule, input[key], path(key), location);
+        errors.push(...result.errors);
+        if (result.value !== undefined) {
+            value[key] = result.value;
+        }
+    }
+
+    return { value, errors };
+}
+
+function sendValidationError(res, details) {
+    return res.status(400).json({ success: false, error: 'Invalid request', details });
+}
+
+// Messages from the domain validators (validateEventInput, parseListQuery, ...)
+// in the same shape. The field is the message's first word when it names one.
+function fieldErrors(messages, location, fields = []) {
+    return messages.map((message) => {
+        const firstWord = message.split(' ')[0];
+        return detail(location, fields.includes(firstWord) ? firstWord : null, message);
+    });
+}
+
+// Express middleware for { params, query, body } schemas
+function validateRequest(schemas) {
+    return (req, res, next) => {
+        const details = [];
+        const values = {};
+
+        for (const location of LOCATIONS) {
+            if (!schemas[location]) {
+                continue;
+            }
+
+            // No body at all (e.g. no Content-Type) is the same as an empty one
+            const input = location === 'body' && req.body === undefined ? {} : req[location];
+            const result = validateFields(schemas[location], input, location);
+            details.push(...result.errors);
+            values[location] = result.value;
+        }
+
+        if (details.length > 0) {
+            return sendValidationError(res, details);
+        }
+
+        for (const [location, value] of Object.entries(values)) {
+            if (location === 'query') {
+                // Express 5 exposes req.query as a getter, so shadow it
+                Object.defineProperty(req, 'query', { value, writable: true, configurable: true, enumerable: true });
+            } else {
+                req[location] = value;
+            }
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    DEFAULT_COUNTRY_CODE,
+    rules,
+    normalizePhone,
+    validateFields,
+    validateRequest,
+    sendValidationError,
+    fieldErrors
+};
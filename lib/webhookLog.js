@@ -0,0 +1,121 @@
+// Persisted log of incoming Razorpay webhooks, keyed by Razorpay's event id.
+// Claiming an event before processing it is what makes retries idempotent:
+// an event that was already processed, or is being processed right now, is
+// skipped instead of running the side effects (emails) a second time.
+
+const crypto = require('crypto');
+
+// A claim older than this is assumed to belong to a crashed instance
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Razorpay sends a unique x-razorpay-event-id per event, repeated on retries.
+// Fall back to a hash of the body, which is also identical across retries.
+function webhookEventId(headers, rawBody) {
+    const headerId = headers['x-razorpay-event-id'];
+    if (typeof headerId === 'string' && /^[\w-]{1,100}$/.test(headerId)) {
+        return headerId;
+    }
+    return 'sha256_' + crypto.createHash('sha256').update(rawBody).digest('hex');
+}
+
+function verifyWebhookSignature(rawBody, signature, secret) {
+    if (!secret || typeof signature !== 'string') {
+        return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(signature);
+
+    return expectedBuffer.length === signatureBuffer.length
+        && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+// Try to take ownership of an event for processing. Returns
+// { claimed: true, record } or { claimed: false, record } with the stored
+// record explaining why not (already processed / in progress).
+async function claimWebhookEvent(db, eventId, details) {
+    const now = new Date();
+    const eventRef = db.ref(`webhookEvents/${eventId}`);
+
+    const result = await eventRef.transaction((current) => {
+        if (!current) {
+            return {
+                ...details,
+                eventId,
+                status: 'processing',
+                attempts: 1,
+                receivedAt: now.toISOString(),
+                lastAttemptAt: now.toISOString(),
+                error: null
+            };
+        }
+
+        if (current.status === 'processed') {
+            return undefined;
+        }
+
+        if (current.status === 'processing' && now - new Date(current.lastAttemptAt) < STALE_PROCESSING_MS) {
+            return undefined;
+        }
+
+        return {
+            ...current,
+            status: 'processing',
+            attempts: (current.attempts || 0) + 1,
+            lastAttemptAt: now.toISOString()
+        };
+    });
+
+    return { claimed: result.committed, record: result.snapshot.val() };
+}
+
+async function recordWebhookOutcome(db, eventId, error) {
+    await db.ref(`webhookEvents/${eventId}`).update({
+        status: error ? 'failed' : 'processed',
+        error: error ? (error.message || String(error)) : null,
+        processedAt: new Date().toISOString()
+    });
+}
+
+// Webhooks that fail the signature check are kept apart from the event log so
+// that a forged request can never overwrite the record of a genuine event
+async function recordRejectedWebhook(db, eventId, details, reason) {
+    await db.ref('webhookRejections').push({
+        ...details,
+        eventId,
+        status: 'rejected',
+        error: reason,
+        receivedAt: new Date().toISOString()
+    });
+}
+
+async function getWebhookEvent(db, eventId) {
+    if (!/^[\w-]{1,100}$/.test(eventId)) {
+        return null;
+    }
+
+    const snapshot = await db.ref(`webhookEvents/${eventId}`).once('value');
+    return snapshot.val();
+}
+
+async function listWebhookEvents(db, { status, limit = 50 } = {}) {
+    const query = status
+        ? db.ref('webhookEvents').orderByChild('status').equalTo(status)
+        : db.ref('webhookEvents');
+    const snapshot = await query.once('value');
+
+    return Object.values(snapshot.val() || {})
+        .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))
+        .slice(0, limit);
+}
+
+module.exports = {
+    webhookEventId,
+    verifyWebhookSignature,
+    claimWebhookEvent,
+    recordWebhookOutcome,
+    recordRejectedWebhook,
+    getWebhookEvent,
+    listWebhookEvents
+};
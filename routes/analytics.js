@@ -0,0 +1,47 @@
+const express = require('express');
+const { ANALYTICS_GROUPS, getAnalytics } = require('../lib/analytics');
+const { rules, validateRequest } = require('../lib/validation');
+
+// Admin analytics: funnel, revenue and failure breakdown
+module.exports = function createAnalyticsRouter({ db, authenticateFirebase, requirePermission, timezone, maxAgeSeconds }) {
+    const router = express.Router();
+
+    // ?groupBy=day|week|event|coupon&from=&to=&refresh=true
+    router.get('/api/admin/analytics', authenticateFirebase, requirePermission('analytics:read'), validateRequest({
+        query: {
+            groupBy: rules.enumOf(ANALYTICS_GROUPS),
+            from: rules.date(),
+            to: rules.date(),
+            refresh: rules.boolean()
+        }
+    }), async (req, res) => {
+        try {
+            const groupBy = req.query.groupBy || 'day';
+
+            const analytics = await getAnalytics(db, {
+                from: req.query.from ? new Date(req.query.from) : null,
+                to: req.query.to ? new Date(req.query.to) : null,
+                timezone,
+                maxAgeSeconds,
+                refresh: req.query.refresh === true
+            });
+
+            res.json({
+                success: true,
+                groupBy,
+                from: analytics.from,
+                to: analytics.to,
+                timezone: analytics.timezone,
+                computedAt: analytics.computedAt,
+                cached: analytics.cached,
+                totals: analytics.totals,
+                groups: analytics.groups[groupBy]
+            });
+        } catch (error) {
+            req.log.error('Error computing analytics', { error });
+            res.status(500).json({ success: false, error: 'Failed to compute analytics' });
+        }
+    });
+
+    return router;
+};
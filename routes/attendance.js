@@ -0,0 +1,109 @@
+const express = require('express');
+const { rules, validateRequest } = require('../lib/validation');
+const { getEvent } = require('../lib/events');
+const { PAID_STATUSES } = require('../lib/repositories');
+const { recordCheckIn, attendanceReport } = require('../lib/tickets');
+
+// Door check-in from ticket QR codes, and who came to each event
+module.exports = function createAttendanceRouter({ db, authenticateFirebase, requirePermission, tickets, audit }) {
+    const router = express.Router();
+
+    // { token, eventId? } - eventId is the event being scanned for, so a
+    // valid ticket for another session is turned away
+    router.post('/api/admin/check-in', authenticateFirebase, requirePermission('attendance:write'), validateRequest({
+        body: {
+            token: rules.string({ required: true, max: 300 }),
+            eventId: rules.id()
+        }
+    }), async (req, res) => {
+        try {
+            if (!tickets.enabled) {
+                return res.status(503).json({ success: false, error: 'Ticket check-in is not configured' });
+            }
+
+            const ticket = tickets.verify(req.body.token);
+            if (!ticket) {
+                return res.status(400).json({ success: false, error: 'Invalid ticket' });
+            }
+            if (req.body.eventId && req.body.eventId !== ticket.eventId) {
+                return res.status(409).json({ success: false, error: 'This ticket is for a different event' });
+            }
+
+            const snapshot = await db.ref(`registrations/${ticket.registrationId}`).once('value');
+            const registration = snapshot.val();
+
+            if (!registration || registration.eventId !== ticket.eventId) {
+                return res.status(404).json({ success: false, error: 'Registration not found' });
+            }
+            if (!PAID_STATUSES.includes(registration.paymentStatus)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'This registration is not paid',
+                    paymentStatus: registration.paymentStatus || null
+                });
+            }
+
+            const { checkedIn, record } = await recordCheckIn(db, {
+                eventId: ticket.eventId,
+                registrationId: ticket.registrationId,
+                registration,
+                checkedInBy: req.staff.uid
+            });
+
+            const attendee = {
+                registrationId: ticket.registrationId,
+                fullName: registration.fullName,
+                email: registration.email,
+                eventId: ticket.eventId,
+                eventTitle: registration.eventTitle
+            };
+
+            if (!checkedIn) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Already checked in',
+                    attendee,
+                    checkedInAt: record.checkedInAt,
+                    checkedInBy: record.checkedInBy
+                });
+            }
+
+            await audit(req, {
+                action: 'registration.checkin',
+                target: { type: 'registration', id: ticket.registrationId },
+                before: null,
+                after: record
+            });
+
+            res.json({ success: true, attendee, checkedInAt: record.checkedInAt });
+        } catch (error) {
+            req.log.error('Error checking in ticket', { error });
+            res.status(500).json({ success: false, error: 'Failed to check in' });
+        }
+    });
+
+    router.get('/api/admin/events/:eventId/attendance', authenticateFirebase, requirePermission('attendance:read'), validateRequest({
+        params: { eventId: rules.id({ required: true }) }
+    }), async (req, res) => {
+        try {
+            const event = await getEvent(db, req.params.eventId);
+
+            if (!event) {
+                return res.status(404).json({ success: false, error: 'Event not found' });
+            }
+
+            const report = await attendanceReport(db, event.id, PAID_STATUSES);
+
+            res.json({
+                success: true,
+                event: { id: event.id, title: event.title, startsAt: event.startsAt },
+                ...report
+            });
+        } catch (error) {
+            req.log.error('Error fetching attendance', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch attendance' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,40 @@
+const express = require('express');
+const { rules, validateRequest, sendValidationError } = require('../lib/validation');
+const { MAX_PAGE_SIZE, listAuditLog } = require('../lib/auditLog');
+const { decodeCursor } = require('../lib/adminLists');
+
+// Read side of the admin audit log; entries are written by the routes themselves
+module.exports = function createAuditLogRouter({ db, authenticateFirebase, requirePermission }) {
+    const router = express.Router();
+
+    // ?actor=&targetType=&targetId=&action=&from=&to=&limit=&cursor=
+    router.get('/api/admin/audit-log', authenticateFirebase, requirePermission('audit:read'), validateRequest({
+        query: {
+            actor: rules.id(),
+            targetType: rules.string({ max: 50, pattern: /^\w+$/ }),
+            targetId: rules.id(),
+            action: rules.string({ max: 50, pattern: /^[\w.]+$/ }),
+            from: rules.date(),
+            to: rules.date(),
+            limit: rules.integer({ min: 1, max: MAX_PAGE_SIZE }),
+            cursor: rules.string({ max: 500 })
+        }
+    }), async (req, res) => {
+        try {
+            const { cursor } = req.query;
+
+            if (cursor && !decodeCursor(cursor)) {
+                return sendValidationError(res, [{ location: 'query', field: 'cursor', message: 'cursor is invalid' }]);
+            }
+
+            const page = await listAuditLog(db, req.query);
+
+            res.json({ success: true, ...page });
+        } catch (error) {
+            req.log.error('Error fetching audit log', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch audit log' });
+        }
+    });
+
+    return router;
+};
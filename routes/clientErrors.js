@@ -0,0 +1,135 @@
+const express = require('express');
+const { rules, validateRequest } = require('../lib/validation');
+const {
+    ERROR_STATUSES,
+    parseSourceMap,
+    saveSourceMap,
+    listSourceMaps,
+    listErrorGroups,
+    getErrorGroup,
+    setErrorGroupStatus
+} = require('../lib/clientErrors');
+
+const groupParams = { fingerprint: rules.string({ required: true, pattern: /^[0-9a-f]{40}$/, patternMessage: 'must be an error fingerprint' }) };
+
+// Admin view of frontend errors, and source map uploads for new builds
+module.exports = function createClientErrorsRouter({ db, authenticateFirebase, requirePermission, frameResolver, audit }) {
+    const router = express.Router();
+
+    // Defaults to what needs attention: unresolved groups, latest first
+    router.get('/api/admin/client-errors', authenticateFirebase, requirePermission('errors:read'), validateRequest({
+        query: {
+            status: rules.enumOf(['all', ...ERROR_STATUSES]),
+            sort: rules.enumOf(['lastSeen', 'count']),
+            limit: rules.integer({ min: 1, max: 500 })
+        }
+    }), async (req, res) => {
+        try {
+            const status = req.query.status || 'unresolved';
+            const groups = await listErrorGroups(db, {
+                status: status === 'all' ? null : status,
+                sort: req.query.sort,
+                limit: req.query.limit || 50
+            });
+
+            res.json({ success: true, groups });
+        } catch (error) {
+            req.log.error('Error fetching client errors', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch client errors' });
+        }
+    });
+
+    // The group with its latest samples
+    router.get('/api/admin/client-errors/:fingerprint', authenticateFirebase, requirePermission('errors:read'), validateRequest({
+        params: groupParams
+    }), async (req, res) => {
+        try {
+            const found = await getErrorGroup(db, req.params.fingerprint);
+
+            if (!found) {
+                return res.status(404).json({ success: false, error: 'Error group not found' });
+            }
+
+            res.json({ success: true, ...found });
+        } catch (error) {
+            req.log.error('Error fetching client error group', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch error group' });
+        }
+    });
+
+    const changeStatus = (status, action) => async (req, res) => {
+        try {
+            const found = await getErrorGroup(db, req.params.fingerprint);
+
+            if (!found) {
+                return res.status(404).json({ success: false, error: 'Error group not found' });
+            }
+
+            await setErrorGroupStatus(db, req.params.fingerprint, status, req.staff.uid);
+            await audit(req, {
+                action,
+                target: { type: 'clientError', id: req.params.fingerprint },
+                before: { status: found.group.status },
+                after: { status }
+            });
+
+            res.json({ success: true, fingerprint: req.params.fingerprint, status });
+        } catch (error) {
+            req.log.error('Error updating client error group', { action, error });
+            res.status(500).json({ success: false, error: 'Failed to update error group' });
+        }
+    };
+
+    router.post('/api/admin/client-errors/:fingerprint/resolve', authenticateFirebase, requirePermission('errors:write'), validateRequest({
+        params: groupParams
+    }), changeStatus('resolved', 'clientError.resolve'));
+
+    router.post('/api/admin/client-errors/:fingerprint/unresolve', authenticateFirebase, requirePermission('errors:write'), validateRequest({
+        params: groupParams
+    }), changeStatus('unresolved', 'clientError.unresolve'));
+
+    router.get('/api/admin/source-maps', authenticateFirebase, requirePermission('errors:read'), validateRequest({ query: {} }), async (req, res) => {
+        try {
+            res.json({ success: true, sourceMaps: await listSourceMaps(db) });
+        } catch (error) {
+            req.log.error('Error fetching source maps', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch source maps' });
+        }
+    });
+
+    // { release, file, map } - file is the bundle's name as it appears in
+    // stack traces (e.g. index-4f9a2c1b.js), map the .map file's JSON
+    router.post('/api/admin/source-maps', authenticateFirebase, requirePermission('errors:write'), validateRequest({
+        body: {
+            release: rules.string({ required: true, max: 100 }),
+            file: rules.string({ required: true, max: 500 }),
+            map: rules.any({ required: true })
+        }
+    }), async (req, res) => {
+        try {
+            const { release, file, map } = req.body;
+            const { raw, sourceCount, error } = parseSourceMap(map);
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const saved = await saveSourceMap(db, { release, file, raw, sourceCount, uploadedBy: req.staff.uid });
+
+            frameResolver.forget(saved.release, saved.file);
+            await audit(req, {
+                action: 'sourceMap.upload',
+                target: { type: 'sourceMap', id: `${saved.release}/${saved.file}` },
+                before: null,
+                after: saved
+            });
+
+            res.status(201).json({ success: true, ...saved });
+        } catch (error) {
+            req.log.error('Error saving source map', { error });
+            res.status(500).json({ success: false, error: 'Failed to save source map' });
+        }
+    });
+
+    return router;
+};
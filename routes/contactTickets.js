@@ -0,0 +1,151 @@
+const express = require('express');
+const { rules, validateRequest } = require('../lib/validation');
+const { hasPermission } = require('../lib/roles');
+const {
+    TICKET_STATUSES,
+    getTicket,
+    listTickets,
+    assignTicket,
+    setTicketStatus,
+    replyToTicket
+} = require('../lib/contactTickets');
+
+const ticketParams = { ticketId: rules.id({ required: true }) };
+
+// The contact form inbox: tickets, assignment and email replies
+module.exports = function createContactTicketsRouter({ db, authenticateFirebase, requirePermission, mailer, audit, env }) {
+    const router = express.Router();
+
+    // Load the ticket into req.ticket, or answer 404
+    const loadTicket = async (req, res, next) => {
+        try {
+            req.ticket = await getTicket(db, req.params.ticketId);
+
+            if (!req.ticket) {
+                return res.status(404).json({ success: false, error: 'Ticket not found' });
+            }
+            next();
+        } catch (error) {
+            req.log.error('Error loading contact ticket', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch ticket' });
+        }
+    };
+
+    // What the audit log keeps about a ticket; the thread is in the ticket itself
+    const auditView = ticket => ({ status: ticket.status, assignedTo: ticket.assignedTo });
+
+    // assignedTo is a staff uid, "me" or "none"
+    router.get('/api/admin/contact-tickets', authenticateFirebase, requirePermission('contacts:read'), validateRequest({
+        query: {
+            status: rules.enumOf(TICKET_STATUSES),
+            assignedTo: rules.id(),
+            q: rules.string({ max: 200 }),
+            limit: rules.integer({ min: 1, max: 500 })
+        }
+    }), async (req, res) => {
+        try {
+            const { status, q, limit } = req.query;
+            const assignedTo = req.query.assignedTo === 'me' ? req.staff.uid : req.query.assignedTo;
+
+            const tickets = await listTickets(db, { status, assignedTo, q, limit: limit || 50 });
+
+            res.json({ success: true, tickets });
+        } catch (error) {
+            req.log.error('Error fetching contact tickets', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch tickets' });
+        }
+    });
+
+    router.get('/api/admin/contact-tickets/:ticketId', authenticateFirebase, requirePermission('contacts:read'), validateRequest({
+        params: ticketParams
+    }), loadTicket, (req, res) => {
+        res.json({ success: true, ticket: req.ticket });
+    });
+
+    // { assignedTo } - a staff uid, or null to unassign
+    router.post('/api/admin/contact-tickets/:ticketId/assign', authenticateFirebase, requirePermission('contacts:write'), validateRequest({
+        params: ticketParams,
+        body: { assignedTo: rules.id({ required: true, nullable: true }) }
+    }), loadTicket, async (req, res) => {
+        try {
+            const { assignedTo } = req.body;
+
+            // Only to someone who can work the ticket once it is theirs
+            if (assignedTo && assignedTo !== req.staff.uid) {
+                const assignee = (await db.ref(`staff/${assignedTo}`).once('value')).val();
+
+                if (!assignee || !hasPermission(assignee.role, 'contacts:write')) {
+                    return res.status(400).json({ success: false, error: 'Tickets can only be assigned to staff who handle contact tickets' });
+                }
+            }
+
+            const ticket = await assignTicket(db, req.ticket, assignedTo);
+            await audit(req, {
+                action: 'contact.assign',
+                target: { type: 'contactTicket', id: ticket.id },
+                before: auditView(req.ticket),
+                after: auditView(ticket)
+            });
+
+            res.json({ success: true, ticket });
+        } catch (error) {
+            req.log.error('Error assigning contact ticket', { error });
+            res.status(500).json({ success: false, error: 'Failed to assign ticket' });
+        }
+    });
+
+    // Email the requester and add the reply to the thread
+    router.post('/api/admin/contact-tickets/:ticketId/reply', authenticateFirebase, requirePermission('contacts:write'), validateRequest({
+        params: ticketParams,
+        body: { message: rules.string({ required: true, max: 10000 }) }
+    }), loadTicket, async (req, res) => {
+        try {
+            const ticket = await replyToTicket({
+                db,
+                mailer,
+                ticket: req.ticket,
+                body: req.body.message,
+                staffUid: req.staff.uid,
+                from: env.EMAIL_USER
+            });
+            await audit(req, {
+                action: 'contact.reply',
+                target: { type: 'contactTicket', id: ticket.id },
+                before: auditView(req.ticket),
+                after: { ...auditView(ticket), reply: req.body.message }
+            });
+
+            res.json({ success: true, ticket });
+        } catch (error) {
+            req.log.error('Error replying to contact ticket', { error });
+            res.status(500).json({ success: false, error: 'Failed to send reply' });
+        }
+    });
+
+    const changeStatus = (status, action) => async (req, res) => {
+        try {
+            const ticket = await setTicketStatus(db, req.ticket, status);
+            await audit(req, {
+                action,
+                target: { type: 'contactTicket', id: ticket.id },
+                before: auditView(req.ticket),
+                after: auditView(ticket)
+            });
+
+            res.json({ success: true, ticket });
+        } catch (error) {
+            req.log.error('Error updating contact ticket', { action, error });
+            res.status(500).json({ success: false, error: 'Failed to update ticket' });
+        }
+    };
+
+    router.post('/api/admin/contact-tickets/:ticketId/close', authenticateFirebase, requirePermission('contacts:write'), validateRequest({
+        params: ticketParams
+    }), loadTicket, changeStatus('closed', 'contact.close'));
+
+    router.post('/api/admin/contact-tickets/:ticketId/reopen', authenticateFirebase, requirePermission('contacts:write'), validateRequest({
+        params: ticketParams
+    }), loadTicket, changeStatus('open', 'contact.reopen'));
+
+    return router;
+};
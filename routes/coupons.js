@@ -0,0 +1,199 @@
+const express = require('express');
+const { getEvent, toMinorUnits } = require('../lib/events');
+const { COUPON_TYPES, validateCouponInput, getCoupon, previewCoupon } = require('../lib/coupons');
+const { rules, validateRequest, sendValidationError, fieldErrors } = require('../lib/validation');
+
+// Types and allowed fields; validateCouponInput checks the coupon rules.
+// null clears a limit or date on update.
+const couponFields = {
+    type: rules.enumOf(COUPON_TYPES),
+    value: rules.number(),
+    validFrom: rules.date({ nullable: true }),
+    validUntil: rules.date({ nullable: true }),
+    maxUses: rules.integer({ nullable: true }),
+    maxUsesPerEmail: rules.integer({ nullable: true }),
+    eventIds: rules.array(rules.id(), { nullable: true }),
+    active: rules.boolean(),
+    description: rules.string({ max: 500, allowEmpty: true })
+};
+
+const newCouponFields = { code: rules.string({ max: 32 }), ...couponFields };
+
+const couponParams = { code: rules.string({ required: true, max: 32, pattern: /^[\w-]+$/ }) };
+
+// Public coupon preview plus admin management of discount codes
+module.exports = function createCouponsRouter({ db, authenticateFirebase, requirePermission, audit }) {
+    const router = express.Router();
+    const couponsRef = db.ref('coupons');
+
+    // Check a code against an event and show the price it would give
+    router.post('/api/coupons/validate', validateRequest({
+        body: {
+            code: rules.string({ required: true, max: 32 }),
+            eventId: rules.id({ required: true }),
+            email: rules.email()
+        }
+    }), async (req, res) => {
+        try {
+            const { code, eventId, email } = req.body;
+
+            const event = await getEvent(db, eventId);
+            if (!event || event.status !== 'published') {
+                return res.status(404).json({ success: false, error: 'Event not found or not open for registration' });
+            }
+
+            const amount = toMinorUnits(event.price);
+            const preview = await previewCoupon(db, { code, event, email, amount });
+
+            if (!preview.valid) {
+                return res.json({ success: true, valid: false, error: preview.error });
+            }
+
+            res.json({
+                success: true,
+                valid: true,
+                code: preview.coupon.code,
+                originalAmount: amount / 100,
+                discountAmount: preview.discount / 100,
+                finalAmount: preview.finalAmount / 100,
+                currency: event.currency
+            });
+        } catch (error) {
+            req.log.error('Error validating coupon', { error });
+            res.status(500).json({ success: false, error: 'Failed to validate coupon' });
+        }
+    });
+
+    router.get('/api/admin/coupons', authenticateFirebase, requirePermission('coupons:read'), validateRequest({ query: {} }), async (req, res) => {
+        try {
+            const snapshot = await couponsRef.once('value');
+            const coupons = Object.entries(snapshot.val() || {}).map(([code, value]) => ({ code, ...value }));
+
+            res.json({ success: true, coupons });
+        } catch (error) {
+            req.log.error('Error fetching coupons', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch coupons' });
+        }
+    });
+
+    router.post('/api/admin/coupons', authenticateFirebase, requirePermission('coupons:write'), validateRequest({ body: newCouponFields }), async (req, res) => {
+        try {
+            const { errors, value } = validateCouponInput(req.body);
+
+            if (errors.length > 0) {
+                return sendValidationError(res, fieldErrors(errors, 'body', Object.keys(newCouponFields)));
+            }
+
+            if (await getCoupon(db, value.code)) {
+                return res.status(409).json({ success: false, error: 'A coupon with this code already exists' });
+            }
+
+            const now = new Date().toISOString();
+            const { code, ...fields } = value;
+            const coupon = {
+                ...fields,
+                usedCount: 0,
+                createdAt: now,
+                updatedAt: now,
+                createdBy: req.user.uid
+            };
+
+            await couponsRef.child(code).set(coupon);
+            await audit(req, { action: 'coupon.create', target: { type: 'coupon', id: code }, before: null, after: coupon });
+
+            res.status(201).json({ success: true, coupon: { code, ...coupon } });
+        } catch (error) {
+            req.log.error('Error creating coupon', { error });
+            res.status(500).json({ success: false, error: error.message || 'Failed to create coupon' });
+        }
+    });
+
+    router.put('/api/admin/coupons/:code', authenticateFirebase, requirePermission('coupons:write'), validateRequest({
+        params: couponParams,
+        body: couponFields
+    }), async (req, res) => {
+        try {
+            const existing = await getCoupon(db, req.params.code);
+
+            if (!existing) {
+                return res.status(404).json({ success: false, error: 'Coupon not found' });
+            }
+
+            let { errors, value } = validateCouponInput(req.body, { partial: true });
+
+            // The rules that tie fields together (the percentage cap, validFrom
+            // before validUntil) apply to the coupon as it will be stored
+            if (errors.length === 0) {
+                const { type, value: amount, validFrom, validUntil } = { ...existing, ...value };
+                ({ errors } = validateCouponInput({ type, value: amount, validFrom, validUntil }, { partial: true }));
+            }
+
+            if (errors.length > 0) {
+                return sendValidationError(res, fieldErrors(errors, 'body', Object.keys(newCouponFields)));
+            }
+
+            const updates = { ...value, updatedAt: new Date().toISOString() };
+            await couponsRef.child(existing.code).update(updates);
+            await audit(req, {
+                action: 'coupon.update',
+                target: { type: 'coupon', id: existing.code },
+                before: existing,
+                after: { ...existing, ...updates }
+            });
+
+            res.json({ success: true, coupon: { ...existing, ...updates } });
+        } catch (error) {
+            req.log.error('Error updating coupon', { error });
+            res.status(500).json({ success: false, error: error.message || 'Failed to update coupon' });
+        }
+    });
+
+    router.delete('/api/admin/coupons/:code', authenticateFirebase, requirePermission('coupons:write'), validateRequest({ params: couponParams }), async (req, res) => {
+        try {
+            const existing = await getCoupon(db, req.params.code);
+
+            if (!existing) {
+                return res.status(404).json({ success: false, error: 'Coupon not found' });
+            }
+
+            // Used coupons stay for the records; deactivate them instead
+            if (existing.usedCount > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Coupon has been used. Set "active" to false instead of deleting it.'
+                });
+            }
+
+            await couponsRef.child(existing.code).remove();
+            await db.ref(`couponRedemptions/${existing.code}`).remove();
+            await db.ref(`couponUsage/${existing.code}`).remove();
+            await audit(req, { action: 'coupon.delete', target: { type: 'coupon', id: existing.code }, before: existing, after: null });
+
+            res.json({ success: true, message: 'Coupon deleted successfully' });
+        } catch (error) {
+            req.log.error('Error deleting coupon', { error });
+            res.status(500).json({ success: false, error: error.message || 'Failed to delete coupon' });
+        }
+    });
+
+    router.get('/api/admin/coupons/:code/redemptions', authenticateFirebase, requirePermission('coupons:read'), validateRequest({ params: couponParams }), async (req, res) => {
+        try {
+            const existing = await getCoupon(db, req.params.code);
+
+            if (!existing) {
+                return res.status(404).json({ success: false, error: 'Coupon not found' });
+            }
+
+            const snapshot = await db.ref(`couponRedemptions/${existing.code}`).once('value');
+            const redemptions = Object.values(snapshot.val() || {})
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            res.json({ success: true, coupon: existing, redemptions });
+        } catch (error) {
+            req.log.error('Error fetching coupon redemptions', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch coupon redemptions' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,82 @@
+const express = require('express');
+const { OUTBOX_STATUSES, listOutbox, requeueMessage, deliverMessage } = require('../lib/outbox');
+const { rules, validateRequest } = require('../lib/validation');
+
+const messageParams = { messageId: rules.id({ required: true, max: 64 }) };
+
+// Admin view of the email outbox, with manual resend
+module.exports = function createEmailOutboxRouter({ db, authenticateFirebase, requirePermission, mailer, audit }) {
+    const router = express.Router();
+
+    // Defaults to what needs attention: failed messages
+    router.get('/api/admin/email-outbox', authenticateFirebase, requirePermission('emails:read'), validateRequest({
+        query: {
+            status: rules.enumOf(['all', ...OUTBOX_STATUSES]),
+            limit: rules.integer({ min: 1 })
+        }
+    }), async (req, res) => {
+        try {
+            const status = req.query.status || 'failed';
+            const limit = Math.min(req.query.limit || 50, 500);
+
+            const messages = await listOutbox(db, { status: status === 'all' ? null : status, limit });
+
+            res.json({ success: true, messages });
+        } catch (error) {
+            req.log.error('Error fetching email outbox', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch email outbox' });
+        }
+    });
+
+    router.get('/api/admin/email-outbox/:messageId', authenticateFirebase, requirePermission('emails:read'), validateRequest({ params: messageParams }), async (req, res) => {
+        try {
+            const { messageId } = req.params;
+            const snapshot = await db.ref(`emailOutbox/${messageId}`).once('value');
+
+            if (!snapshot.exists()) {
+                return res.status(404).json({ success: false, error: 'Message not found' });
+            }
+
+            res.json({ success: true, message: { id: messageId, ...snapshot.val() } });
+        } catch (error) {
+            req.log.error('Error fetching outbox message', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch message' });
+        }
+    });
+
+    // Reset the attempts and try to send again right away
+    router.post('/api/admin/email-outbox/:messageId/resend', authenticateFirebase, requirePermission('emails:write'), validateRequest({ params: messageParams }), async (req, res) => {
+        try {
+            const { messageId } = req.params;
+            const before = (await db.ref(`emailOutbox/${messageId}`).once('value')).val();
+
+            if (!(await requeueMessage(db, messageId))) {
+                return res.status(404).json({ success: false, error: 'Message not found or currently being sent' });
+            }
+
+            const sent = await deliverMessage(mailer, messageId);
+            const snapshot = await db.ref(`emailOutbox/${messageId}`).once('value');
+            const message = snapshot.val();
+
+            await audit(req, {
+                action: 'email.resend',
+                target: { type: 'emailOutbox', id: messageId },
+                before: { status: before.status, attempts: before.attempts },
+                after: { status: message.status, attempts: message.attempts }
+            });
+
+            res.json({
+                success: sent,
+                status: message.status,
+                attempts: message.attempts,
+                lastError: message.lastError || null,
+                nextAttemptAt: message.nextAttemptAt
+            });
+        } catch (error) {
+            req.log.error('Error resending outbox message', { error });
+            res.status(500).json({ success: false, error: 'Failed to resend message' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,202 @@
+const express = require('express');
+const { EVENT_STATUSES, validateEventInput, getEvent, toPublicEvent } = require('../lib/events');
+const { rules, validateRequest, sendValidationError, fieldErrors } = require('../lib/validation');
+const { seatsLeft, listWaitlist } = require('../lib/seats');
+
+// Types and allowed fields; validateEventInput checks the event rules
+const eventFields = {
+    title: rules.string({ max: 200 }),
+    description: rules.string({ max: 5000, allowEmpty: true }),
+    startsAt: rules.date(),
+    timezone: rules.string({ max: 64 }),
+    durationMinutes: rules.integer(),
+    price: rules.number(),
+    currency: rules.string({ max: 3 }),
+    venue: rules.string({ max: 500, allowEmpty: true }),
+    meetingLink: rules.string({ max: 2000, allowEmpty: true }),
+    capacity: rules.integer({ nullable: true }),
+    status: rules.enumOf(EVENT_STATUSES)
+};
+
+const eventParams = { eventId: rules.id({ required: true }) };
+
+// Public event listing plus admin CRUD for the event catalog
+module.exports = function createEventsRouter({ db, authenticateFirebase, requirePermission, audit }) {
+    const router = express.Router();
+    const eventsRef = db.ref('events');
+
+    const listEvents = async () => {
+        const snapshot = await eventsRef.once('value');
+        const eventsData = snapshot.val() || {};
+
+        return Object.entries(eventsData)
+            .map(([id, value]) => ({ id, ...value }))
+            .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+    };
+
+    // Published events, for the registration page
+    router.get('/api/events', async (req, res) => {
+        try {
+            const events = (await listEvents())
+                .filter(event => event.status === 'published')
+                .map(toPublicEvent);
+
+            res.json({ success: true, events });
+        } catch (error) {
+            req.log.error('Error fetching events', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch events' });
+        }
+    });
+
+    router.get('/api/events/:eventId', validateRequest({ params: eventParams }), async (req, res) => {
+        try {
+            const event = await getEvent(db, req.params.eventId);
+
+            if (!event || event.status === 'draft') {
+                return res.status(404).json({ success: false, error: 'Event not found' });
+            }
+
+            // seatsLeft is null for events without a capacity
+            res.json({
+                success: true,
+                event: toPublicEvent(event),
+                seatsLeft: event.capacity ? await seatsLeft(db, event) : null
+            });
+        } catch (error) {
+            req.log.error('Error fetching event', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch event' });
+        }
+    });
+
+    router.get('/api/admin/events', authenticateFirebase, requirePermission('events:read'), async (req, res) => {
+        try {
+            const events = await listEvents();
+            res.json({ success: true, events });
+        } catch (error) {
+            req.log.error('Error fetching events', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch events' });
+        }
+    });
+
+    // Seats left and the waitlist queue, oldest first
+    router.get('/api/admin/events/:eventId/waitlist', authenticateFirebase, requirePermission('events:read'), validateRequest({
+        params: eventParams
+    }), async (req, res) => {
+        try {
+            const event = await getEvent(db, req.params.eventId);
+
+            if (!event) {
+                return res.status(404).json({ success: false, error: 'Event not found' });
+            }
+
+            res.json({
+                success: true,
+                capacity: event.capacity || null,
+                seatsLeft: event.capacity ? await seatsLeft(db, event) : null,
+                waitlist: await listWaitlist(db, event.id)
+            });
+        } catch (error) {
+            req.log.error('Error fetching waitlist', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch waitlist' });
+        }
+    });
+
+    router.post('/api/admin/events', authenticateFirebase, requirePermission('events:write'), validateRequest({ body: eventFields }), async (req, res) => {
+        try {
+            const { errors, value } = validateEventInput(req.body);
+
+            if (errors.length > 0) {
+                return sendValidationError(res, fieldErrors(errors, 'body', Object.keys(eventFields)));
+            }
+
+            const eventRef = eventsRef.push();
+            const now = new Date().toISOString();
+            const event = {
+                ...value,
+                createdAt: now,
+                updatedAt: now,
+                createdBy: req.user.uid
+            };
+
+            await eventRef.set(event);
+            await audit(req, { action: 'event.create', target: { type: 'event', id: eventRef.key }, before: null, after: event });
+
+            res.status(201).json({ success: true, event: { id: eventRef.key, ...event } });
+        } catch (error) {
+            req.log.error('Error creating event', { error });
+            res.status(500).json({ success: false, error: error.message || 'Failed to create event' });
+        }
+    });
+
+    router.put('/api/admin/events/:eventId', authenticateFirebase, requirePermission('events:write'), validateRequest({
+        params: eventParams,
+        body: eventFields
+    }), async (req, res) => {
+        try {
+            const existing = await getEvent(db, req.params.eventId);
+
+            if (!existing) {
+                return res.status(404).json({ success: false, error: 'Event not found' });
+            }
+
+            const { errors, value } = validateEventInput(req.body, { partial: true });
+
+            // The rule create enforces, applied to the event as it will be stored
+            const updated = { ...existing, ...value };
+            if (errors.length === 0 && !updated.venue && !updated.meetingLink) {
+                errors.push('Either venue or meetingLink is required');
+            }
+
+            if (errors.length > 0) {
+                return sendValidationError(res, fieldErrors(errors, 'body', Object.keys(eventFields)));
+            }
+
+            const updates = { ...value, updatedAt: new Date().toISOString() };
+            await eventsRef.child(existing.id).update(updates);
+            await audit(req, {
+                action: 'event.update',
+                target: { type: 'event', id: existing.id },
+                before: existing,
+                after: { ...existing, ...updates }
+            });
+
+            res.json({ success: true, event: { ...existing, ...updates } });
+        } catch (error) {
+            req.log.error('Error updating event', { error });
+            res.status(500).json({ success: false, error: error.message || 'Failed to update event' });
+        }
+    });
+
+    router.delete('/api/admin/events/:eventId', authenticateFirebase, requirePermission('events:write'), validateRequest({ params: eventParams }), async (req, res) => {
+        try {
+            const existing = await getEvent(db, req.params.eventId);
+
+            if (!existing) {
+                return res.status(404).json({ success: false, error: 'Event not found' });
+            }
+
+            // Keep events that people have signed up for; cancel them instead
+            const registrationsSnapshot = await db.ref('registrations')
+                .orderByChild('eventId')
+                .equalTo(existing.id)
+                .once('value');
+
+            if (registrationsSnapshot.exists()) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Event has registrations. Set its status to "cancelled" instead of deleting it.'
+                });
+            }
+
+            await eventsRef.child(existing.id).remove();
+            await audit(req, { action: 'event.delete', target: { type: 'event', id: existing.id }, before: existing, after: null });
+
+            res.json({ success: true, message: 'Event deleted successfully' });
+        } catch (error) {
+            req.log.error('Error deleting event', { error });
+            res.status(500).json({ success: false, error: error.message || 'Failed to delete event' });
+        }
+    });
+
+    return router;
+};
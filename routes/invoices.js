@@ -0,0 +1,73 @@
+const express = require('express');
+const { rules, validateRequest } = require('../lib/validation');
+const { getEvent } = require('../lib/events');
+const { INVOICED_STATUSES, getInvoice, issueInvoice, renderInvoicePdf } = require('../lib/invoices');
+
+const invoiceParams = { registrationId: rules.id({ required: true }) };
+
+// Invoice PDFs, for the registrant (matched on their verified email) and for admins
+module.exports = function createInvoicesRouter({ db, authenticateFirebase, requirePermission, invoiceConfig }) {
+    const router = express.Router();
+
+    // Load the registration into req.registration, or answer 404
+    const loadRegistration = async (req, res, next) => {
+        try {
+            const snapshot = await db.ref(`registrations/${req.params.registrationId}`).once('value');
+
+            if (!snapshot.exists()) {
+                return res.status(404).json({ success: false, error: 'Registration not found' });
+            }
+
+            req.registration = snapshot.val();
+            next();
+        } catch (error) {
+            req.log.error('Error loading registration for invoice', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch invoice' });
+        }
+    };
+
+    const requireOwnRegistration = (req, res, next) => {
+        const email = String(req.user.email || '').toLowerCase();
+
+        if (!req.user.email_verified || email !== req.registration.email) {
+            return res.status(404).json({ success: false, error: 'Registration not found' });
+        }
+        next();
+    };
+
+    // Payments confirmed before invoices existed get theirs on first download
+    const sendInvoice = async (req, res) => {
+        try {
+            const { registrationId } = req.params;
+            let invoice = await getInvoice(db, registrationId);
+
+            if (!invoice && INVOICED_STATUSES.includes(req.registration.paymentStatus)) {
+                const event = await getEvent(db, req.registration.eventId);
+                invoice = await issueInvoice(db, { registrationId, registration: req.registration, event, config: invoiceConfig });
+            }
+
+            if (!invoice) {
+                return res.status(404).json({ success: false, error: 'No invoice has been issued for this registration' });
+            }
+
+            const pdf = await renderInvoicePdf(invoice);
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+            res.send(pdf);
+        } catch (error) {
+            req.log.error('Error generating invoice', { error });
+            res.status(500).json({ success: false, error: 'Failed to generate invoice' });
+        }
+    };
+
+    router.get('/api/user/registrations/:registrationId/invoice', authenticateFirebase, validateRequest({
+        params: invoiceParams
+    }), loadRegistration, requireOwnRegistration, sendInvoice);
+
+    router.get('/api/admin/registrations/:registrationId/invoice', authenticateFirebase, requirePermission('registrations:read'), validateRequest({
+        params: invoiceParams
+    }), loadRegistration, sendInvoice);
+
+    return router;
+};
@@ -0,0 +1,50 @@
+const express = require('express');
+const { rules, validateRequest } = require('../lib/validation');
+const { CHANNELS, getPreferences, savePreferences } = require('../lib/notifications');
+
+// Which channels a registrant hears from us on. Preferences are filed by
+// email, like registrations, so only a verified address can change them.
+module.exports = function createNotificationsRouter({ db, authenticateFirebase, notifier }) {
+    const router = express.Router();
+
+    const requireVerifiedEmail = (req, res, next) => {
+        if (!req.user.email || !req.user.email_verified) {
+            return res.status(403).json({ success: false, error: 'Verify your email address to manage notifications' });
+        }
+        next();
+    };
+
+    // `available` says which channels the server can send on right now
+    const available = () => ({ email: true, whatsapp: notifier.whatsappEnabled });
+
+    router.get('/api/user/notification-preferences', authenticateFirebase, requireVerifiedEmail, validateRequest({ query: {} }), async (req, res) => {
+        try {
+            const preferences = await getPreferences(db, req.user.email);
+            res.json({ success: true, preferences, available: available() });
+        } catch (error) {
+            req.log.error('Error fetching notification preferences', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch notification preferences' });
+        }
+    });
+
+    router.put('/api/user/notification-preferences', authenticateFirebase, requireVerifiedEmail, validateRequest({
+        body: Object.fromEntries(CHANNELS.map(channel => [channel, rules.boolean()]))
+    }), async (req, res) => {
+        try {
+            const current = await getPreferences(db, req.user.email);
+            const wanted = { ...current, ...req.body };
+
+            if (!CHANNELS.some(channel => wanted[channel])) {
+                return res.status(400).json({ success: false, error: 'Keep at least one channel on so we can reach you about your bookings' });
+            }
+
+            const preferences = await savePreferences(db, req.user.email, req.body);
+            res.json({ success: true, preferences, available: available() });
+        } catch (error) {
+            req.log.error('Error saving notification preferences', { error });
+            res.status(500).json({ success: false, error: 'Failed to save notification preferences' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,50 @@
+const express = require('express');
+const { rules, validateRequest } = require('../lib/validation');
+
+// Admin trigger and report history for payment reconciliation
+module.exports = function createReconciliationRouter({ db, authenticateFirebase, requirePermission, runReconciliation, audit }) {
+    const router = express.Router();
+
+    router.post('/api/admin/reconciliation/run', authenticateFirebase, requirePermission('payments:write'), validateRequest({ body: {} }), async (req, res) => {
+        try {
+            const outcome = await runReconciliation(`admin:${req.user.uid}`);
+
+            if (outcome.skipped) {
+                return res.status(409).json({ success: false, error: 'A reconciliation run is already in progress' });
+            }
+
+            await audit(req, {
+                action: 'reconciliation.run',
+                target: { type: 'reconciliationReport', id: outcome.result.id },
+                before: null,
+                after: { reportId: outcome.result.id }
+            });
+
+            res.json({ success: true, report: outcome.result });
+        } catch (error) {
+            req.log.error('Error running reconciliation', { error });
+            res.status(500).json({ success: false, error: error.message || 'Reconciliation failed' });
+        }
+    });
+
+    router.get('/api/admin/reconciliation/reports', authenticateFirebase, requirePermission('payments:read'), validateRequest({
+        query: { limit: rules.integer({ min: 1 }) }
+    }), async (req, res) => {
+        try {
+            const limit = Math.min(req.query.limit || 10, 100);
+            const snapshot = await db.ref('reconciliationReports').once('value');
+
+            const reports = Object.entries(snapshot.val() || {})
+                .map(([id, value]) => ({ id, ...value }))
+                .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+                .slice(0, limit);
+
+            res.json({ success: true, reports });
+        } catch (error) {
+            req.log.error('Error fetching reconciliation reports', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch reconciliation reports' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,56 @@
+const express = require('express');
+const { EXPORT_FORMATS, parseExportQuery, filterRegistrations, writeCsv, writeXlsx } = require('../lib/registrationExport');
+const { rules, validateRequest, sendValidationError, fieldErrors } = require('../lib/validation');
+
+const exportQuery = {
+    format: rules.enumOf(EXPORT_FORMATS, { lowercase: true }),
+    columns: rules.string({ max: 1000 }),
+    paymentStatus: rules.string({ max: 50 }),
+    eventId: rules.id(),
+    from: rules.date(),
+    to: rules.date()
+};
+
+// CSV / XLSX export of registrations for the ops team
+module.exports = function createRegistrationExportRouter({ db, authenticateFirebase, requirePermission }) {
+    const router = express.Router();
+
+    router.get('/api/admin/registrations/export', authenticateFirebase, requirePermission('registrations:export'), validateRequest({ query: exportQuery }), async (req, res) => {
+        try {
+            const { errors, format, columns, filters } = parseExportQuery(req.query);
+
+            if (errors.length > 0) {
+                return sendValidationError(res, fieldErrors(errors, 'query', Object.keys(exportQuery)));
+            }
+
+            const query = filters.eventId
+                ? db.ref('registrations').orderByChild('eventId').equalTo(filters.eventId)
+                : db.ref('registrations');
+            const snapshot = await query.once('value');
+
+            const registrations = filterRegistrations(
+                Object.entries(snapshot.val() || {}).map(([id, value]) => ({ id, ...value })),
+                filters
+            ).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+            const fileName = `registrations-${new Date().toISOString().slice(0, 10)}.${format}`;
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+            if (format === 'xlsx') {
+                res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                await writeXlsx(res, registrations, columns);
+            } else {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                writeCsv(res, registrations, columns);
+            }
+        } catch (error) {
+            req.log.error('Error exporting registrations', { error });
+            if (res.headersSent) {
+                return res.end();
+            }
+            res.status(500).json({ success: false, error: 'Failed to export registrations' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,53 @@
+const express = require('express');
+const { getEvent } = require('../lib/events');
+const { rules, validateRequest } = require('../lib/validation');
+
+// Admin trigger for reminder sends and the per-event reminder log
+module.exports = function createRemindersRouter({ db, authenticateFirebase, requirePermission, runReminders, audit }) {
+    const router = express.Router();
+
+    router.post('/api/admin/reminders/run', authenticateFirebase, requirePermission('reminders:write'), validateRequest({ body: {} }), async (req, res) => {
+        try {
+            const outcome = await runReminders();
+
+            if (outcome.skipped) {
+                return res.status(409).json({ success: false, error: 'A reminder run is already in progress' });
+            }
+
+            await audit(req, { action: 'reminders.run', target: { type: 'job', id: 'reminders' }, before: null, after: outcome.result });
+
+            res.json({ success: true, summary: outcome.result });
+        } catch (error) {
+            req.log.error('Error sending reminders', { error });
+            res.status(500).json({ success: false, error: error.message || 'Failed to send reminders' });
+        }
+    });
+
+    router.get('/api/admin/events/:eventId/reminders', authenticateFirebase, requirePermission('events:read'), validateRequest({
+        params: { eventId: rules.id({ required: true }) }
+    }), async (req, res) => {
+        try {
+            const event = await getEvent(db, req.params.eventId);
+
+            if (!event) {
+                return res.status(404).json({ success: false, error: 'Event not found' });
+            }
+
+            const snapshot = await db.ref(`reminderLog/${event.id}`).once('value');
+            const reminders = [];
+
+            for (const [offset, entries] of Object.entries(snapshot.val() || {})) {
+                for (const [registrationId, entry] of Object.entries(entries)) {
+                    reminders.push({ offset, registrationId, ...entry });
+                }
+            }
+
+            res.json({ success: true, reminders });
+        } catch (error) {
+            req.log.error('Error fetching reminder log', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch reminder log' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,101 @@
+const express = require('express');
+const { rules, validateRequest } = require('../lib/validation');
+const {
+    ROLES,
+    ROLE_PERMISSIONS,
+    getStaffRole,
+    listStaff,
+    grantRole,
+    revokeRole,
+    checkOwnerRemains
+} = require('../lib/roles');
+
+const staffParams = { uid: rules.id({ required: true }) };
+
+// Admin roles: who has which, granting and revoking
+module.exports = function createStaffRouter({ db, auth, authenticateFirebase, requirePermission, audit }) {
+    const router = express.Router();
+
+    router.get('/api/admin/roles', authenticateFirebase, requirePermission('roles:read'), validateRequest({ query: {} }), (req, res) => {
+        res.json({ success: true, roles: ROLE_PERMISSIONS, yourRole: req.staff.role });
+    });
+
+    router.get('/api/admin/staff', authenticateFirebase, requirePermission('roles:read'), validateRequest({ query: {} }), async (req, res) => {
+        try {
+            const staff = await listStaff(db);
+            res.json({ success: true, staff });
+        } catch (error) {
+            req.log.error('Error fetching staff', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch staff' });
+        }
+    });
+
+    // Grant a role, replacing the user's current one
+    router.put('/api/admin/staff/:uid', authenticateFirebase, requirePermission('roles:write'), validateRequest({
+        params: staffParams,
+        body: { role: rules.enumOf(ROLES, { required: true }) }
+    }), async (req, res) => {
+        try {
+            const { uid } = req.params;
+            const { role } = req.body;
+
+            if (role !== 'owner') {
+                const ownerError = await checkOwnerRemains({ auth, db }, uid);
+                if (ownerError) {
+                    return res.status(409).json({ success: false, error: ownerError });
+                }
+            }
+
+            const previousRole = await getStaffRole(auth, uid);
+            const member = await grantRole({ auth, db }, uid, role, { grantedBy: req.staff.uid });
+
+            await audit(req, {
+                action: 'role.grant',
+                target: { type: 'user', id: uid },
+                before: { role: previousRole },
+                after: { role }
+            });
+
+            res.json({ success: true, staff: member });
+        } catch (error) {
+            if (error.code === 'auth/user-not-found') {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            req.log.error('Error granting role', { error });
+            res.status(500).json({ success: false, error: error.message || 'Failed to grant role' });
+        }
+    });
+
+    router.delete('/api/admin/staff/:uid', authenticateFirebase, requirePermission('roles:write'), validateRequest({
+        params: staffParams
+    }), async (req, res) => {
+        try {
+            const { uid } = req.params;
+
+            const ownerError = await checkOwnerRemains({ auth, db }, uid);
+            if (ownerError) {
+                return res.status(409).json({ success: false, error: ownerError });
+            }
+
+            const previousRole = await getStaffRole(auth, uid);
+            await revokeRole({ auth, db }, uid);
+
+            await audit(req, {
+                action: 'role.revoke',
+                target: { type: 'user', id: uid },
+                before: { role: previousRole },
+                after: { role: null }
+            });
+
+            res.json({ success: true, message: 'Role revoked' });
+        } catch (error) {
+            if (error.code === 'auth/user-not-found') {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            req.log.error('Error revoking role', { error });
+            res.status(500).json({ success: false, error: error.message || 'Failed to revoke role' });
+        }
+    });
+
+    return router;
+};
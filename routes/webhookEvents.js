@@ -0,0 +1,109 @@
+const express = require('express');
+const { getWebhookEvent, listWebhookEvents } = require('../lib/webhookLog');
+const { rules, validateRequest } = require('../lib/validation');
+
+const WEBHOOK_STATUSES = ['processing', 'processed', 'failed'];
+
+const eventParams = { eventId: rules.id({ required: true }) };
+
+// Admin view of the Razorpay webhook event log, with replay of failed events
+module.exports = function createWebhookEventsRouter({ db, authenticateFirebase, requirePermission, runWebhookEvent, audit }) {
+    const router = express.Router();
+
+    router.get('/api/admin/webhook-events', authenticateFirebase, requirePermission('payments:read'), validateRequest({
+        query: {
+            status: rules.enumOf(['all', ...WEBHOOK_STATUSES]),
+            limit: rules.integer({ min: 1 })
+        }
+    }), async (req, res) => {
+        try {
+            const status = req.query.status || 'failed';
+            const limit = Math.min(req.query.limit || 50, 500);
+
+            const events = await listWebhookEvents(db, { status: status === 'all' ? null : status, limit });
+
+            res.json({ success: true, events });
+        } catch (error) {
+            req.log.error('Error fetching webhook events', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch webhook events' });
+        }
+    });
+
+    router.get('/api/admin/webhook-events/:eventId', authenticateFirebase, requirePermission('payments:read'), validateRequest({ params: eventParams }), async (req, res) => {
+        try {
+            const event = await getWebhookEvent(db, req.params.eventId);
+
+            if (!event) {
+                return res.status(404).json({ success: false, error: 'Webhook event not found' });
+            }
+
+            res.json({ success: true, event });
+        } catch (error) {
+            req.log.error('Error fetching webhook event', { error });
+            res.status(500).json({ success: false, error: 'Failed to fetch webhook event' });
+        }
+    });
+
+    // Run a failed event again from its stored raw body
+    router.post('/api/admin/webhook-events/:eventId/replay', authenticateFirebase, requirePermission('payments:write'), validateRequest({ params: eventParams }), async (req, res) => {
+        try {
+            const event = await getWebhookEvent(db, req.params.eventId);
+
+            if (!event) {
+                return res.status(404).json({ success: false, error: 'Webhook event not found' });
+            }
+
+            if (event.status !== 'failed') {
+                return res.status(409).json({
+                    success: false,
+                    error: `Only failed events can be replayed (this one is ${event.status})`
+                });
+            }
+
+            let webhookData;
+            try {
+                webhookData = JSON.parse(event.rawBody);
+            } catch (parseError) {
+                return res.status(422).json({ success: false, error: 'Stored webhook body is not valid JSON' });
+            }
+
+            try {
+                const result = await runWebhookEvent(event.eventId, webhookData, {});
+
+                if (result.skipped) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Webhook event is already ${result.status}`
+                    });
+                }
+
+                await audit(req, {
+                    action: 'webhook.replay',
+                    target: { type: 'webhookEvent', id: event.eventId },
+                    before: { status: event.status },
+                    after: { status: result.status }
+                });
+
+                res.json({ success: true, status: result.status });
+            } catch (processingError) {
+                await audit(req, {
+                    action: 'webhook.replay',
+                    target: { type: 'webhookEvent', id: event.eventId },
+                    before: { status: event.status },
+                    after: { status: 'failed', error: processingError.message || null }
+                });
+
+                res.status(502).json({
+                    success: false,
+                    status: 'failed',
+                    error: processingError.message || 'Replay failed'
+                });
+            }
+        } catch (error) {
+            req.log.error('Error replaying webhook event', { error });
+            res.status(500).json({ success: false, error: 'Failed to replay webhook event' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,28 @@
+// Create missing users/<uid> profiles from Firebase Auth (see
+// lib/userProfileBackfill). Uses the same DATA_BACKEND settings as the server.
+//
+//   npm run migrate:user-profiles -- --dry-run    report what would be created
+//   npm run migrate:user-profiles                 create them
+require('dotenv').config();
+const { createDataBackend } = require('../lib/dataBackend');
+const { backfillUserProfiles } = require('../lib/userProfileBackfill');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const { db, auth, description } = createDataBackend();
+
+    console.log(`${dryRun ? 'Dry run against' : 'Backfilling'} ${description}`);
+    const summary = await backfillUserProfiles({ auth, db }, { dryRun });
+
+    for (const uid of summary.created) {
+        console.log(`  ${uid}`);
+    }
+    console.log(`${summary.scanned} accounts, ${summary.created.length} profiles ${dryRun ? 'to create' : 'created'}`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('Backfill failed:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,31 @@
+// Move registrations from email keys to registration ids (see
+// lib/registrationMigration). Uses the same DATA_BACKEND settings as the server.
+//
+//   npm run migrate:registrations -- --dry-run    report what would move
+//   npm run migrate:registrations                 move it
+require('dotenv').config();
+const { createDataBackend } = require('../lib/dataBackend');
+const { migrateRegistrations } = require('../lib/registrationMigration');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const { db, description } = createDataBackend();
+
+    console.log(`${dryRun ? 'Dry run against' : 'Migrating'} ${description}`);
+    const summary = await migrateRegistrations(db, { dryRun });
+
+    for (const { legacyKey, id } of summary.migrated) {
+        console.log(`  ${legacyKey} -> ${id || '(new id)'}`);
+    }
+    for (const { legacyKey, reason } of summary.skipped) {
+        console.warn(`  skipped ${legacyKey}: ${reason}`);
+    }
+    console.log(`${summary.scanned} old registrations, ${summary.migrated.length} ${dryRun ? 'to move' : 'moved'}, ${summary.skipped.length} skipped`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    });
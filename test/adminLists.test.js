@@ -0,0 +1,170 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseListQuery, listRegistrations, listUsers, REGISTRATION_SORTS, USER_SORTS, USER_STATUSES } = require('../lib/adminLists');
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+
+const registrationQuery = (query) => parseListQuery(query, { sorts: REGISTRATION_SORTS, defaultSort: 'timestamp' });
+const userQuery = (query) => parseListQuery(query, { sorts: USER_SORTS, defaultSort: 'uid', defaultOrder: 'asc', statuses: USER_STATUSES });
+
+function seedRegistrations(count) {
+    const registrations = {};
+    for (let i = 0; i < count; i++) {
+        const day = String(i + 1).padStart(2, '0');
+        registrations[`uid${day}`] = {
+            fullName: `Person ${day}`,
+            email: `person${day}@example.com`,
+            phone: `+9198765000${day}`,
+            timestamp: `2026-03-${day}T10:00:00.000Z`,
+            paymentStatus: i % 3 === 0 ? 'Confirmed' : 'Failed'
+        };
+    }
+    return createMemoryDatabase({ registrations });
+}
+
+// Walk every page, feeding nextCursor back in the way the admin UI does
+async function collectPages(fetchPage, query) {
+    const pages = [];
+    let cursor;
+    do {
+        const { errors, options } = query({ ...(cursor ? { cursor } : {}) });
+        assert.deepEqual(errors, []);
+        const page = await fetchPage(options);
+        pages.push(page);
+        cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+}
+
+describe('admin registration list', () => {
+    it('pages newest first without repeating or skipping rows', async () => {
+        const db = seedRegistrations(7);
+        const pages = await collectPages(options => listRegistrations(db, options), q => registrationQuery({ limit: '3', ...q }));
+
+        assert.deepEqual(pages.map(page => page.registrations.length), [3, 3, 1]);
+        assert.deepEqual(pages.map(page => page.hasMore), [true, true, false]);
+        assert.deepEqual(
+            pages.flatMap(page => page.registrations.map(registration => registration.id)),
+            ['uid07', 'uid06', 'uid05', 'uid04', 'uid03', 'uid02', 'uid01']
+        );
+    });
+
+    it('filters by status and date range and searches name, email and phone digits', async () => {
+        const db = seedRegistrations(10);
+
+        const confirmed = await listRegistrations(db, registrationQuery({ status: 'confirmed', order: 'asc', limit: '2' }).options);
+        assert.deepEqual(confirmed.registrations.map(registration => registration.id), ['uid01', 'uid04']);
+        assert.equal(confirmed.hasMore, true);
+
+        const next = await listRegistrations(db, registrationQuery({ status: 'confirmed', order: 'asc', limit: '2', cursor: confirmed.nextCursor }).options);
+        assert.deepEqual(next.registrations.map(registration => registration.id), ['uid07', 'uid10']);
+        assert.equal(next.hasMore, false);
+
+        const ranged = await listRegistrations(db, registrationQuery({ from: '2026-03-03', to: '2026-03-05T23:59:59Z' }).options);
+        assert.deepEqual(ranged.registrations.map(registration => registration.id), ['uid05', 'uid04', 'uid03']);
+
+        const byPhone = await listRegistrations(db, registrationQuery({ q: '98765 00008' }).options);
+        assert.deepEqual(byPhone.registrations.map(registration => registration.id), ['uid08']);
+
+        const byName = await listRegistrations(db, registrationQuery({ q: 'PERSON 02' }).options);
+        assert.deepEqual(byName.registrations.map(registration => registration.id), ['uid02']);
+    });
+
+    it('rejects bad parameters and cursors issued for another sort', async () => {
+        assert.equal(registrationQuery({ limit: '0' }).errors.length, 1);
+        assert.equal(registrationQuery({ sort: 'password' }).errors.length, 1);
+        assert.equal(registrationQuery({ cursor: 'not-a-cursor' }).errors.length, 1);
+
+        const db = seedRegistrations(3);
+        const page = await listRegistrations(db, registrationQuery({ limit: '1' }).options);
+        assert.equal(registrationQuery({ sort: 'email', cursor: page.nextCursor }).errors.length, 1);
+    });
+});
+
+describe('admin user list', () => {
+    // Auth stand-in that pages in uid order like Firebase does, two per page
+    function createAuth(records) {
+        const calls = [];
+        return {
+            calls,
+            async listUsers(maxResults, pageToken) {
+                calls.push(pageToken || null);
+                const start = pageToken ? Number(pageToken) : 0;
+                const end = start + 2;
+                return { users: records.slice(start, end), pageToken: end < records.length ? String(end) : undefined };
+            }
+        };
+    }
+
+    const record = (uid, extra = {}) => ({
+        uid,
+        email: `${uid}@example.com`,
+        displayName: uid.toUpperCase(),
+        disabled: false,
+        emailVerified: true,
+        metadata: { creationTime: 'Sun, 01 Mar 2026 10:00:00 GMT', lastSignInTime: null },
+        ...extra
+    });
+
+    it('follows Auth page tokens and merges phone numbers, without writing missing profiles', async () => {
+        const db = createMemoryDatabase({ users: { b: { phone: '+919000000002', fullName: 'Bee' } } });
+        const auth = createAuth([record('a'), record('b'), record('c', { disabled: true }), record('d'), record('e')]);
+
+        const pages = await collectPages(options => listUsers({ auth, db }, options), q => userQuery({ limit: '2', ...q }));
+
+        assert.deepEqual(pages.map(page => page.users.map(user => user.id)), [['a', 'b'], ['c', 'd'], ['e']]);
+        assert.equal(pages[0].users[1].phone, '+919000000002');
+        assert.deepEqual(db.dump().users.b, { phone: '+919000000002', fullName: 'Bee' });
+        assert.equal(pages[2].users[0].createdAt, 'Sun, 01 Mar 2026 10:00:00 GMT');
+        assert.deepEqual(Object.keys(db.dump().users), ['b']);
+
+        const disabled = await listUsers({ auth, db }, userQuery({ status: 'disabled' }).options);
+        assert.deepEqual(disabled.users.map(user => user.id), ['c']);
+    });
+
+    it('reads only the profiles of the users listed, not the registrant histories beside them', async () => {
+        const db = createMemoryDatabase({
+            users: { a: { fullName: 'A' }, 'asha@example,com': { registrations: { r1: { eventId: 'ev1' } } }, b: { fullName: 'B' } }
+        });
+        const paths = [];
+        const watched = { ref: (path) => { paths.push(path); return db.ref(path); } };
+        const auth = createAuth([record('a'), record('b')]);
+
+        await listUsers({ auth, db: watched }, userQuery({}).options);
+
+        assert.deepEqual(paths.sort(), ['users/a', 'users/b']);
+    });
+
+    it('reads profiles only for the rows of the page asked for', async () => {
+        const db = createMemoryDatabase();
+        const paths = [];
+        const watched = { ref: (path) => { paths.push(path); return db.ref(path); } };
+        const auth = {
+            async listUsers() {
+                return { users: Array.from({ length: 500 }, (_, index) => record(`u${String(index).padStart(3, '0')}`)) };
+            }
+        };
+
+        const first = await listUsers({ auth, db: watched }, userQuery({ limit: '10' }).options);
+        assert.deepEqual([first.users.length, first.hasMore, paths.length], [10, true, 11]);
+
+        paths.length = 0;
+        const second = await listUsers({ auth, db: watched }, userQuery({ limit: '10', cursor: first.nextCursor }).options);
+        assert.equal(second.users[0].id, 'u010');
+        assert.deepEqual(paths.slice(0, 2), ['users/u010', 'users/u011']);
+        assert.equal(paths.length, 11);
+    });
+
+    it('sorts across every Auth page when asked for another order', async () => {
+        const db = createMemoryDatabase();
+        const auth = createAuth([
+            record('a', { metadata: { creationTime: 'Mon, 02 Mar 2026 10:00:00 GMT' } }),
+            record('b', { metadata: { creationTime: 'Wed, 04 Mar 2026 10:00:00 GMT' } }),
+            record('c', { metadata: { creationTime: 'Sun, 01 Mar 2026 10:00:00 GMT' } })
+        ]);
+
+        const pages = await collectPages(options => listUsers({ auth, db }, options), q => userQuery({ sort: 'createdAt', order: 'desc', limit: '2', ...q }));
+
+        assert.deepEqual(pages.map(page => page.users.map(user => user.id)), [['b', 'a'], ['c']]);
+    });
+});
@@ -0,0 +1,362 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestApp } = require('./support/testApp');
+
+describe('admin routes', () => {
+    let t;
+    let admin;
+    let member;
+    let paidOrder;
+    let startedId;
+
+    const participant = (n) => ({
+        email: `person${n}@example.com`,
+        fullName: `Person ${String.fromCharCode(64 + n)}`,
+        phone: `+91987654321${n}`,
+        eventId: 'ev1'
+    });
+
+    before(async () => {
+        t = await startTestApp();
+        admin = await t.signIn('owner@inspiringshereen.test', { admin: true });
+        member = await t.signIn('member@example.com');
+
+        // Three registrations: one paid, one with an order, one only started
+        paidOrder = (await t.request('POST', '/api/create-payment-order', { body: participant(1) })).body;
+        const payment = t.razorpay.simulatePayment(paidOrder.orderId);
+        await t.sendWebhook('payment.captured', { payment: { entity: payment } });
+        await t.request('POST', '/api/create-payment-order', { body: participant(2) });
+        startedId = (await t.request('POST', '/api/user/registrations', { body: participant(3) })).body.registrationId;
+    });
+    after(() => t.close());
+
+    const get = (path, token = admin.token) => t.request('GET', path, { token });
+
+    it('require a valid token and the admin claim', async () => {
+        assert.equal((await t.request('GET', '/api/admin/registrations')).status, 401);
+        assert.equal((await get('/api/admin/registrations', 'local.forged.token')).status, 401);
+        assert.equal((await get('/api/admin/registrations', member.token)).status, 403);
+    });
+
+    it('reject unknown query and body fields on routes that take none', async () => {
+        for (const path of ['/api/admin/coupons', '/api/admin/staff', '/api/admin/roles', '/api/admin/source-maps']) {
+            assert.equal((await get(`${path}?debug=1`)).status, 400, path);
+        }
+        for (const path of ['/api/admin/reminders/run', '/api/admin/reconciliation/run']) {
+            assert.equal((await t.request('POST', path, { token: admin.token, body: { force: true } })).status, 400, path);
+        }
+        assert.equal((await get('/api/user/registrations?debug=1', member.token)).status, 400);
+    });
+
+    it('list registrations page by page', async () => {
+        const first = await get('/api/admin/registrations?limit=2&sort=email&order=asc');
+        assert.equal(first.status, 200);
+        assert.deepEqual(first.body.registrations.map(registration => registration.email), ['person1@example.com', 'person2@example.com']);
+
+        const second = await get(`/api/admin/registrations?limit=2&sort=email&order=asc&cursor=${first.body.nextCursor}`);
+        assert.deepEqual(second.body.registrations.map(registration => registration.email), ['person3@example.com']);
+
+        const confirmed = await get('/api/admin/registrations?status=Confirmed');
+        assert.equal(confirmed.body.registrations.length, 1);
+
+        assert.equal((await get('/api/admin/registrations?limit=5000')).status, 400);
+    });
+
+    it('export registrations as CSV', async () => {
+        const response = await get('/api/admin/registrations/export?format=csv&columns=email,paymentStatus&paymentStatus=Confirmed');
+
+        // fetch drops the byte order mark when decoding the body
+        assert.equal(response.status, 200);
+        assert.equal(response.body, 'Email,Payment Status\r\nperson1@example.com,Confirmed\r\n');
+
+        // Registration ids are push ids starting with "-", exported as they are
+        assert.match(paidOrder.registrationId, /^-/);
+        const ids = await get('/api/admin/registrations/export?format=csv&columns=id&paymentStatus=Confirmed');
+        assert.equal(ids.body, `Registration ID\r\n${paidOrder.registrationId}\r\n`);
+    });
+
+    it('refund part of a payment and reject more than what is left', async () => {
+        const { registrationId } = paidOrder;
+
+        const refund = await t.request('POST', `/api/admin/registrations/${registrationId}/refund`, {
+            token: admin.token,
+            body: { amount: 40, reason: 'Could not attend' }
+        });
+        assert.equal(refund.status, 200);
+        assert.equal(refund.body.refund.amount, 40);
+        assert.equal(refund.body.pendingRefundAmount, 40);
+
+        const tooMuch = await t.request('POST', `/api/admin/registrations/${registrationId}/refund`, {
+            token: admin.token,
+            body: { amount: 60 }
+        });
+        assert.equal(tooMuch.status, 400);
+
+        const unpaid = await t.request('POST', `/api/admin/registrations/${startedId}/refund`, { token: admin.token, body: {} });
+        assert.equal(unpaid.status, 400);
+    });
+
+    it('check tickets in once and report attendance', async () => {
+        const confirmation = t.sentMail.find(mail => mail.to === 'person1@example.com');
+        const token = /Ticket code: ([\w.-]+)/.exec(confirmation.html)[1];
+        const checkIn = (body, who = admin) => t.request('POST', '/api/admin/check-in', { token: who.token, body });
+
+        assert.ok(confirmation.attachments.some(attachment => attachment.contentType === 'image/png'));
+        assert.equal((await checkIn({ token }, member)).status, 403);
+        assert.equal((await checkIn({ token: `${token.slice(0, -2)}xx` })).status, 400);
+        assert.equal((await checkIn({ token, eventId: 'ev2' })).status, 409);
+
+        const first = await checkIn({ token, eventId: 'ev1' });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.attendee.fullName, 'Person A');
+
+        const repeat = await checkIn({ token });
+        assert.equal(repeat.status, 409);
+        assert.equal(repeat.body.checkedInAt, first.body.checkedInAt);
+
+        const report = await get('/api/admin/events/ev1/attendance');
+        assert.equal(report.status, 200);
+        assert.deepEqual(report.body.totals, { registered: 1, checkedIn: 1, notArrived: 0 });
+        assert.equal((await get('/api/admin/events/nope/attendance')).status, 404);
+    });
+
+    it('download invoices for paid registrations only', async () => {
+        const paid = await get(`/api/admin/registrations/${paidOrder.registrationId}/invoice`);
+        assert.equal(paid.status, 200);
+        assert.equal(paid.headers.get('content-type'), 'application/pdf');
+
+        assert.equal((await get(`/api/admin/registrations/${startedId}/invoice`)).status, 404);
+        assert.equal((await get(`/api/admin/registrations/${paidOrder.registrationId}/invoice`, member.token)).status, 403);
+    });
+
+    it('create, list, disable and delete users', async () => {
+        const created = await t.request('POST', '/api/admin/users', {
+            token: admin.token,
+            body: { email: 'coach@example.com', password: 'secret123', fullName: 'Coach', phone: '+919000000001' }
+        });
+        assert.equal(created.status, 200);
+        const { userId } = created.body;
+
+        const listed = await get('/api/admin/users?q=coach');
+        assert.deepEqual(listed.body.users.map(user => [user.email, user.phone]), [['coach@example.com', '+919000000001']]);
+
+        const toggled = await t.request('PUT', `/api/admin/users/${userId}/toggle-status`, { token: admin.token, body: { disabled: true } });
+        assert.equal(toggled.status, 200);
+        assert.equal((await t.auth.getUser(userId)).disabled, true);
+
+        const deleted = await t.request('DELETE', `/api/admin/users/${userId}`, { token: admin.token });
+        assert.equal(deleted.status, 200);
+        await assert.rejects(t.auth.getUser(userId), { code: 'auth/user-not-found' });
+        assert.equal(t.db.dump().users[userId], undefined);
+
+        const audit = await get(`/api/admin/audit-log?targetType=user&targetId=${userId}`);
+        assert.deepEqual(audit.body.entries.map(entry => entry.action), ['user.delete', 'user.disable', 'user.create']);
+        const [deletion, disabling] = audit.body.entries;
+        assert.equal(deletion.actorUid, admin.uid);
+        assert.equal(deletion.before.email, 'coach@example.com');
+        assert.equal(deletion.after, null);
+        assert.equal(disabling.before.disabled, false);
+        assert.equal(disabling.after.disabled, true);
+        assert.ok(deletion.ip);
+    });
+
+    it('manage events, keeping drafts out of the public listing', async () => {
+        const created = await t.request('POST', '/api/admin/events', {
+            token: admin.token,
+            body: {
+                title: 'Evening Retreat',
+                description: '',
+                startsAt: '2030-06-01T13:30:00.000Z',
+                timezone: 'Asia/Kolkata',
+                durationMinutes: 90,
+                price: 499,
+                currency: 'INR',
+                venue: 'Hyderabad',
+                status: 'draft'
+            }
+        });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+        const eventId = created.body.event.id;
+
+        assert.equal((await t.request('GET', `/api/events/${eventId}`)).status, 404);
+        await t.request('PUT', `/api/admin/events/${eventId}`, { token: admin.token, body: { status: 'published' } });
+        const published = await t.request('GET', `/api/events/${eventId}`);
+        assert.equal(published.body.event.title, 'Evening Retreat');
+
+        // An update may not leave the event with neither a venue nor a link
+        const update = body => t.request('PUT', `/api/admin/events/${eventId}`, { token: admin.token, body });
+        assert.equal((await update({ venue: '', meetingLink: '' })).status, 400);
+        assert.equal((await update({ venue: '', meetingLink: 'https://meet.example.com/retreat' })).status, 200);
+        assert.equal((await update({ meetingLink: '' })).status, 400);
+
+        assert.equal((await t.request('DELETE', '/api/admin/events/ev1', { token: admin.token })).status, 409);
+        assert.equal((await t.request('DELETE', `/api/admin/events/${eventId}`, { token: admin.token })).status, 200);
+    });
+
+    it('manage coupons', async () => {
+        const created = await t.request('POST', '/api/admin/coupons', {
+            token: admin.token,
+            body: { code: 'friends', type: 'flat', value: 10, maxUses: 5 }
+        });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+
+        const validated = await t.request('POST', '/api/coupons/validate', {
+            body: { code: 'FRIENDS', eventId: 'ev1', email: 'person9@example.com' }
+        });
+        assert.equal(validated.body.finalAmount, 89);
+
+        const listed = await get('/api/admin/coupons');
+        assert.deepEqual(listed.body.coupons.map(coupon => coupon.code), ['FRIENDS']);
+
+        // Updates are checked against the coupon as it would be stored
+        const update = body => t.request('PUT', '/api/admin/coupons/FRIENDS', { token: admin.token, body });
+        assert.equal((await update({ value: 500 })).status, 200);
+        assert.equal((await update({ type: 'percentage' })).status, 400);
+        assert.equal((await update({ validFrom: '2030-02-01T00:00:00.000Z', validUntil: '2030-03-01T00:00:00.000Z' })).status, 200);
+        assert.equal((await update({ validUntil: '2030-01-01T00:00:00.000Z' })).status, 400);
+        assert.equal((await update({ type: 'percentage', value: 50 })).status, 200);
+    });
+
+    it('show analytics for the funnel', async () => {
+        const response = await get('/api/admin/analytics?groupBy=event&refresh=true');
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.totals.registrationsStarted, 3);
+        assert.equal(response.body.totals.ordersCreated, 2);
+        assert.equal(response.body.totals.paymentsConfirmed, 1);
+        assert.deepEqual(response.body.groups.map(group => group.key), ['ev1']);
+    });
+
+    it('show the email outbox and resend a message', async () => {
+        const sent = await get('/api/admin/email-outbox?status=sent');
+        assert.ok(sent.body.messages.length >= 2);
+
+        const resent = await t.request('POST', `/api/admin/email-outbox/${sent.body.messages[0].id}/resend`, { token: admin.token });
+        assert.equal(resent.status, 200);
+        assert.equal(resent.body.status, 'sent');
+    });
+
+    it('list webhook events and refuse to replay processed ones', async () => {
+        const broken = await t.sendWebhook('payment.captured', {}, { eventId: 'evt_broken' });
+        assert.equal(broken.status, 500);
+
+        const failed = await get('/api/admin/webhook-events?status=failed');
+        assert.deepEqual(failed.body.events.map(event => event.eventId), ['evt_broken']);
+
+        const all = await get('/api/admin/webhook-events?status=processed');
+        const processedId = all.body.events[0].eventId;
+        const replay = await t.request('POST', `/api/admin/webhook-events/${processedId}/replay`, { token: admin.token });
+        assert.equal(replay.status, 409);
+    });
+
+    it('run reconciliation and reminders on demand', async () => {
+        const reconciliation = await t.request('POST', '/api/admin/reconciliation/run', { token: admin.token });
+        assert.equal(reconciliation.status, 200);
+        assert.equal(reconciliation.body.report.errors.length, 0);
+
+        const reports = await get('/api/admin/reconciliation/reports');
+        assert.equal(reports.body.reports.length, 1);
+
+        const reminders = await t.request('POST', '/api/admin/reminders/run', { token: admin.token });
+        assert.equal(reminders.status, 200);
+    });
+});
+
+describe('setup and health', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp();
+    });
+    after(() => t.close());
+
+    it('report the services in use', async () => {
+        const health = await t.request('GET', '/api/health');
+
+        assert.equal(health.body.status, 'ok');
+        assert.equal(health.body.services.database, 'memory');
+        assert.equal(health.body.services.email, 'configured (capture)');
+    });
+
+    it('make the first owner with the one-time setup token', async () => {
+        const setup = (setupToken, adminEmail = 'owner@example.com') => t.request('POST', '/api/setup-admin', {
+            body: { adminEmail, password: 'secret123', setupToken }
+        });
+
+        assert.equal((await setup('wrong')).status, 403);
+        assert.equal((await setup('initial-setup-token')).status, 403);
+
+        const granted = await setup('test-setup-token');
+        assert.equal(granted.status, 200);
+        assert.equal((await t.auth.getUser(granted.body.uid)).customClaims.role, 'owner');
+
+        // Spent once an owner exists
+        assert.equal((await setup('test-setup-token', 'someone@example.com')).status, 409);
+    });
+});
+
+describe('admin roles', () => {
+    let t;
+    let owner;
+    let admin;
+    let finance;
+    let support;
+    let paidOrder;
+
+    before(async () => {
+        t = await startTestApp();
+        owner = await t.signIn('owner@inspiringshereen.test', { role: 'owner' });
+        admin = await t.signIn('admin@inspiringshereen.test', { role: 'admin' });
+        finance = await t.signIn('finance@inspiringshereen.test', { role: 'finance' });
+        support = await t.signIn('support@inspiringshereen.test', { role: 'support' });
+
+        paidOrder = (await t.request('POST', '/api/create-payment-order', {
+            body: { email: 'asha@example.com', fullName: 'Asha Rao', phone: '+919876543210', eventId: 'ev1' }
+        })).body;
+        const payment = t.razorpay.simulatePayment(paidOrder.orderId);
+        await t.sendWebhook('payment.captured', { payment: { entity: payment } });
+    });
+    after(() => t.close());
+
+    const as = (who, method, path, body) => t.request(method, path, { token: who.token, body });
+
+    it('let support view registrations but not refund or delete users', async () => {
+        assert.equal((await as(support, 'GET', '/api/admin/registrations')).status, 200);
+        assert.equal((await as(support, 'POST', `/api/admin/registrations/${paidOrder.registrationId}/refund`, { amount: 10 })).status, 403);
+        assert.equal((await as(support, 'DELETE', `/api/admin/users/${finance.uid}`)).status, 403);
+        assert.equal((await as(support, 'GET', '/api/admin/analytics')).status, 403);
+    });
+
+    it('let finance issue refunds but not manage events', async () => {
+        const refund = await as(finance, 'POST', `/api/admin/registrations/${paidOrder.registrationId}/refund`, { amount: 10 });
+        assert.equal(refund.status, 200);
+        assert.equal((await as(finance, 'POST', '/api/admin/events', { title: 'Nope' })).status, 403);
+    });
+
+    it('let only owners grant roles or touch staff accounts', async () => {
+        const member = await t.signIn('coach@example.com');
+
+        assert.equal((await as(admin, 'PUT', `/api/admin/staff/${member.uid}`, { role: 'support' })).status, 403);
+        assert.equal((await as(admin, 'PUT', `/api/admin/users/${owner.uid}/toggle-status`, { disabled: true })).status, 403);
+
+        const granted = await as(owner, 'PUT', `/api/admin/staff/${member.uid}`, { role: 'support' });
+        assert.equal(granted.status, 200);
+        assert.equal((await as(member, 'GET', '/api/admin/registrations')).status, 200);
+
+        const staff = await as(admin, 'GET', '/api/admin/staff');
+        assert.deepEqual(staff.body.staff.map(entry => entry.role), ['owner', 'admin', 'finance', 'support', 'support']);
+
+        assert.equal((await as(owner, 'DELETE', `/api/admin/staff/${member.uid}`)).status, 200);
+        assert.equal((await as(member, 'GET', '/api/admin/registrations')).status, 403);
+        assert.deepEqual((await t.auth.getUser(member.uid)).customClaims || {}, {});
+    });
+
+    it('never leave the system without an owner', async () => {
+        assert.equal((await as(owner, 'PUT', `/api/admin/staff/${owner.uid}`, { role: 'admin' })).status, 409);
+        assert.equal((await as(owner, 'DELETE', `/api/admin/staff/${owner.uid}`)).status, 409);
+
+        await as(owner, 'PUT', `/api/admin/staff/${admin.uid}`, { role: 'owner' });
+        assert.equal((await as(owner, 'DELETE', `/api/admin/staff/${owner.uid}`)).status, 200);
+    });
+});
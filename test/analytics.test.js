@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildAnalytics, getAnalytics, dayKey, weekKey } = require('../lib/analytics');
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+
+const registrations = {
+    paid: {
+        eventId: 'ev1',
+        eventTitle: 'Workshop',
+        timestamp: '2026-03-02T05:00:00.000Z',
+        orderId: 'order_1',
+        orderAmount: 999,
+        orderCurrency: 'INR',
+        orderTimestamp: '2026-03-02T05:01:00.000Z',
+        paymentStatus: 'Partially Refunded',
+        paymentTimestamp: '2026-03-02T05:03:00.000Z',
+        refunds: {
+            rfnd_1: { amount: 200, currency: 'INR', status: 'processed', updatedAt: '2026-03-10T08:00:00.000Z' },
+            rfnd_2: { amount: 100, currency: 'INR', status: 'pending', updatedAt: '2026-03-10T09:00:00.000Z' }
+        }
+    },
+    discounted: {
+        eventId: 'ev1',
+        eventTitle: 'Workshop',
+        timestamp: '2026-03-02T20:00:00.000Z',
+        orderId: 'order_2',
+        orderAmount: 799,
+        orderCurrency: 'INR',
+        orderTimestamp: '2026-03-02T20:01:00.000Z',
+        couponCode: 'EARLY20'
+    },
+    failed: {
+        eventId: 'ev2',
+        eventTitle: 'Retreat',
+        createdAt: '2026-03-04T10:00:00.000Z',
+        // Sent the form again later, which moves timestamp but not createdAt
+        timestamp: '2026-03-09T11:00:00.000Z',
+        orderId: 'order_3',
+        orderAmount: 5000,
+        orderCurrency: 'INR',
+        orderTimestamp: '2026-03-04T10:01:00.000Z',
+        paymentStatus: 'Failed',
+        paymentFailureReason: 'Payment declined by bank',
+        paymentFailureTimestamp: '2026-03-04T10:02:00.000Z'
+    },
+    browsing: {
+        eventId: 'ev2',
+        eventTitle: 'Retreat',
+        timestamp: '2026-03-09T10:00:00.000Z'
+    }
+};
+
+// Confirmed by the webhook; the registration itself still says Pending
+const confirmedPayments = {
+    discounted: { paymentId: 'pay_2', orderId: 'order_2', timestamp: '2026-03-03T02:00:00.000Z' }
+};
+
+describe('admin analytics', () => {
+    it('buckets days and Monday-based weeks in the configured timezone', () => {
+        // 20:00 UTC on the 2nd is already the 3rd in India
+        assert.equal(dayKey(new Date('2026-03-02T20:00:00Z'), 'Asia/Kolkata'), '2026-03-03');
+        assert.equal(dayKey(new Date('2026-03-02T20:00:00Z'), 'UTC'), '2026-03-02');
+        assert.equal(weekKey(new Date('2026-03-08T12:00:00Z'), 'UTC'), '2026-03-02');
+        assert.equal(weekKey(new Date('2026-03-09T12:00:00Z'), 'UTC'), '2026-03-09');
+    });
+
+    it('counts the funnel, revenue, refunds and failure reasons', () => {
+        const { totals, groups } = buildAnalytics({ registrations, confirmedPayments });
+
+        assert.equal(totals.registrationsStarted, 4);
+        assert.equal(totals.ordersCreated, 3);
+        assert.equal(totals.paymentsConfirmed, 2);
+        assert.equal(totals.paymentsFailed, 1);
+        assert.deepEqual(totals.failureReasons, [{ reason: 'Payment declined by bank', count: 1 }]);
+        assert.deepEqual(totals.grossRevenue, { INR: 1798 });
+        assert.equal(totals.refundsProcessed, 1);
+        assert.deepEqual(totals.refundedAmount, { INR: 200 });
+        assert.deepEqual(totals.netRevenue, { INR: 1598 });
+        assert.deepEqual(totals.conversion, { registrationToOrder: 0.75, orderToPayment: 0.6667, registrationToPayment: 0.5 });
+
+        const workshop = groups.event.find(group => group.key === 'ev1');
+        assert.equal(workshop.label, 'Workshop');
+        assert.equal(workshop.paymentsConfirmed, 2);
+
+        assert.deepEqual(groups.coupon.map(group => [group.key, group.paymentsConfirmed]), [['EARLY20', 1], ['none', 1]]);
+        assert.deepEqual(groups.week.map(group => [group.key, group.registrationsStarted]), [['2026-03-02', 3], ['2026-03-09', 1]]);
+
+        const refundDay = groups.day.find(group => group.key === '2026-03-10');
+        assert.deepEqual(refundDay.refundedAmount, { INR: 200 });
+        assert.equal(refundDay.conversion.orderToPayment, null);
+    });
+
+    it('limits every figure to the requested range', () => {
+        const { totals } = buildAnalytics(
+            { registrations, confirmedPayments },
+            { from: new Date('2026-03-04T00:00:00Z'), to: new Date('2026-03-09T23:59:59Z') }
+        );
+
+        assert.equal(totals.registrationsStarted, 2);
+        assert.equal(totals.paymentsConfirmed, 0);
+        assert.equal(totals.paymentsFailed, 1);
+        assert.equal(totals.refundsProcessed, 0);
+    });
+
+    it('serves from the cache until it expires or a refresh is asked for', async () => {
+        const db = createMemoryDatabase({ registrations, confirmedPayments });
+        const now = new Date('2026-03-12T00:00:00Z');
+
+        const first = await getAnalytics(db, { now });
+        assert.equal(first.cached, false);
+
+        await db.ref('registrations/late').set({ timestamp: '2026-03-11T00:00:00.000Z' });
+
+        const second = await getAnalytics(db, { now: new Date(now.getTime() + 60 * 1000) });
+        assert.equal(second.cached, true);
+        assert.equal(second.totals.registrationsStarted, 4);
+        assert.deepEqual(second.totals.conversion, first.totals.conversion);
+
+        const refreshed = await getAnalytics(db, { now: new Date(now.getTime() + 60 * 1000), refresh: true });
+        assert.equal(refreshed.cached, false);
+        assert.equal(refreshed.totals.registrationsStarted, 5);
+
+        const expired = await getAnalytics(db, { now: new Date(now.getTime() + 10 * 60 * 1000) });
+        assert.equal(expired.cached, false);
+    });
+});
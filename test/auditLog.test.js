@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const { recordAuditEvent, listAuditLog } = require('../lib/auditLog');
+
+// Entries with fixed timestamps, oldest first
+function seed(db, entries) {
+    const auditLog = {};
+    entries.forEach(([timestamp, actorUid, targetType, targetId, action], index) => {
+        auditLog[`e${index}`] = {
+            timestamp,
+            actorUid,
+            action,
+            targetType,
+            targetId,
+            targetKey: `${targetType}/${targetId}`,
+            before: null,
+            after: null
+        };
+    });
+    return db.ref('auditLog').set(auditLog);
+}
+
+describe('audit log', () => {
+    it('records snapshots with credentials masked', async () => {
+        const db = createMemoryDatabase();
+
+        await recordAuditEvent(db, {
+            actor: { uid: 'owner1', role: 'owner' },
+            action: 'user.create',
+            target: { type: 'user', id: 'u1' },
+            before: null,
+            after: { email: 'a@example.com', password: 'secret123', settings: { apiToken: 'x', tags: [] } },
+            ip: '10.0.0.1'
+        });
+
+        const { entries } = await listAuditLog(db);
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].actorRole, 'owner');
+        assert.equal(entries[0].ip, '10.0.0.1');
+        assert.equal(entries[0].before, null);
+        assert.deepEqual(entries[0].after, {
+            email: 'a@example.com',
+            password: '[redacted]',
+            settings: { apiToken: '[redacted]', tags: [] }
+        });
+    });
+
+    it('pages newest first and filters by actor, target and date', async () => {
+        const db = createMemoryDatabase();
+        await seed(db, [
+            ['2030-01-01T10:00:00.000Z', 'alice', 'user', 'u1', 'user.create'],
+            ['2030-01-02T10:00:00.000Z', 'bob', 'event', 'ev1', 'event.update'],
+            ['2030-01-03T10:00:00.000Z', 'alice', 'user', 'u1', 'user.disable'],
+            ['2030-01-04T10:00:00.000Z', 'alice', 'coupon', 'SAVE', 'coupon.create']
+        ]);
+
+        const first = await listAuditLog(db, { limit: 3 });
+        assert.deepEqual(first.entries.map(entry => entry.id), ['e3', 'e2', 'e1']);
+        const second = await listAuditLog(db, { limit: 3, cursor: first.nextCursor });
+        assert.deepEqual(second.entries.map(entry => entry.id), ['e0']);
+        assert.equal(second.hasMore, false);
+
+        const byActor = await listAuditLog(db, { actor: 'alice', to: '2030-01-03T23:59:59.000Z' });
+        assert.deepEqual(byActor.entries.map(entry => entry.action), ['user.disable', 'user.create']);
+
+        const byTarget = await listAuditLog(db, { targetType: 'user', targetId: 'u1', action: 'user.create' });
+        assert.deepEqual(byTarget.entries.map(entry => entry.id), ['e0']);
+
+        const byDate = await listAuditLog(db, { from: '2030-01-02T00:00:00.000Z', to: '2030-01-03T00:00:00.000Z' });
+        assert.deepEqual(byDate.entries.map(entry => entry.id), ['e1']);
+    });
+});
@@ -0,0 +1,125 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseLimits, createMemoryRateStore, createDatabaseRateStore } = require('../lib/rateLimit');
+const { createCaptchaVerifier } = require('../lib/botProtection');
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const { startTestApp } = require('./support/testApp');
+
+const contact = { name: 'Asha Rao', email: 'asha@example.com', subject: 'Workshop', message: 'Is there parking?' };
+
+describe('rate limit configuration and stores', () => {
+    it('parses limits per scope and rejects nonsense', () => {
+        assert.deepEqual(parseLimits('ip:5/10m, email:3/1h'), {
+            ip: { max: 5, windowMs: 10 * 60 * 1000 },
+            email: { max: 3, windowMs: 60 * 60 * 1000 }
+        });
+        assert.deepEqual(parseLimits('off'), {});
+        assert.throws(() => parseLimits('ip:0/1m'), /Invalid rate limit/);
+        assert.throws(() => parseLimits('phone:5/1m'), /Invalid rate limit/);
+    });
+
+    it('counts hits in fixed windows in memory', async () => {
+        let time = 0;
+        const store = createMemoryRateStore({ now: () => time });
+
+        assert.equal((await store.hit('k', 1000)).count, 1);
+        assert.equal((await store.hit('k', 1000)).count, 2);
+        time = 1000;
+        assert.deepEqual(await store.hit('k', 1000), { count: 1, resetAt: 2000 });
+    });
+
+    it('shares counters through the database and prunes expired ones', async () => {
+        let time = 0;
+        const db = createMemoryDatabase();
+        const store = createDatabaseRateStore(db, { now: () => time });
+
+        await store.hit('contact/ip/aaa', 1000);
+        await store.hit('contact/ip/aaa', 1000);
+        await store.hit('contact/email/bbb', 5000);
+        assert.equal(db.dump().rateLimits.contact.ip.aaa.count, 2);
+
+        time = 2000;
+        assert.equal(await store.prune(), 1);
+        assert.deepEqual(Object.keys(db.dump().rateLimits.contact), ['email']);
+    });
+
+    it('needs a secret for a CAPTCHA provider', () => {
+        assert.equal(createCaptchaVerifier({}).enabled, false);
+        assert.throws(() => createCaptchaVerifier({ CAPTCHA_PROVIDER: 'turnstile' }), /CAPTCHA_SECRET/);
+        assert.throws(() => createCaptchaVerifier({ CAPTCHA_PROVIDER: 'other', CAPTCHA_SECRET: 's' }), /CAPTCHA_PROVIDER/);
+    });
+
+    it('passes the token to the provider and applies the minimum score', async () => {
+        const posts = [];
+        const http = {
+            async post(url, body) {
+                posts.push({ url, body: new URLSearchParams(body) });
+                return { data: { success: true, score: 0.3 } };
+            }
+        };
+        const verifier = createCaptchaVerifier(
+            { CAPTCHA_PROVIDER: 'recaptcha', CAPTCHA_SECRET: 'shh', CAPTCHA_MIN_SCORE: '0.5' },
+            { http }
+        );
+
+        const outcome = await verifier.verify('token-1', { ip: '10.0.0.1' });
+
+        assert.equal(outcome.success, false);
+        assert.equal(posts[0].body.get('response'), 'token-1');
+        assert.equal(posts[0].body.get('remoteip'), '10.0.0.1');
+    });
+});
+
+describe('public endpoint protection', () => {
+    let t;
+    afterEach(() => t.close());
+
+    it('limits contact messages per email and per IP', async () => {
+        t = await startTestApp({ env: { RATE_LIMIT_CONTACT: 'ip:4/1h,email:2/1h' } });
+        const send = (body) => t.request('POST', '/api/contact-us', { body });
+
+        assert.equal((await send(contact)).status, 200);
+        assert.equal((await send(contact)).status, 200);
+
+        const limited = await send(contact);
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+        // Another address still gets through until the IP runs out
+        assert.equal((await send({ ...contact, email: 'ravi@example.com' })).status, 200);
+        assert.equal((await send({ ...contact, email: 'meera@example.com' })).status, 429);
+    });
+
+    it('answers honeypot submissions without storing or sending anything', async () => {
+        t = await startTestApp();
+
+        const response = await t.request('POST', '/api/contact-us', { body: { ...contact, website: 'http://spam.example' } });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, true);
+        assert.equal(t.db.dump().contactSubmissions, undefined);
+        assert.equal(t.sentMail.length, 0);
+    });
+
+    it('requires a valid CAPTCHA token when a verifier is enabled', async () => {
+        const captchaVerifier = {
+            enabled: true,
+            description: 'test',
+            verify: async (token) => ({ success: token === 'human' })
+        };
+        t = await startTestApp({ captchaVerifier });
+        const send = (extra) => t.request('POST', '/api/contact-us', { body: { ...contact, ...extra } });
+
+        const missing = await send({});
+        assert.equal(missing.status, 400);
+        assert.deepEqual(missing.body.details.map(detail => detail.field), ['captchaToken']);
+
+        assert.equal((await send({ captchaToken: 'robot' })).status, 403);
+        assert.equal((await send({ captchaToken: 'human' })).status, 200);
+
+        // The token is not kept with the submission
+        const [submission] = Object.values(t.db.dump().contactSubmissions);
+        assert.equal(submission.captchaToken, undefined);
+    });
+});
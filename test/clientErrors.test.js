@@ -0,0 +1,141 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SourceMapGenerator } = require('source-map-js');
+
+const { normalizeMessage, parseStack, computeFingerprint } = require('../lib/clientErrors');
+const { startTestApp } = require('./support/testApp');
+
+// The first three frames of a crash in a built bundle
+const bundleStack = (hash, line = 1) => [
+    'TypeError: Cannot read properties of undefined (reading \'map\')',
+    `    at r (https://inspiringshereen.com/assets/index-${hash}.js:${line}:120)`,
+    `    at Array.forEach (<anonymous>)`,
+    `    at https://inspiringshereen.com/assets/index-${hash}.js:${line}:300`
+].join('\n');
+
+// A map saying column 120 of line 1 is renderCoupons in src/Coupons.jsx
+function bundleMap(hash) {
+    const generator = new SourceMapGenerator({ file: `index-${hash}.js` });
+    generator.addMapping({
+        generated: { line: 1, column: 119 },
+        original: { line: 42, column: 8 },
+        source: 'src/Coupons.jsx',
+        name: 'renderCoupons'
+    });
+    return generator.toJSON();
+}
+
+describe('client error grouping', () => {
+    it('normalise messages and parse Chrome and Firefox stacks', () => {
+        assert.equal(
+            normalizeMessage('Request 4f3a9c21 failed with 503 at https://api.example.com/x?id=7'),
+            'Request <n> failed with <n> at <url>'
+        );
+
+        const chrome = parseStack(bundleStack('aaaa1111'));
+        assert.deepEqual(chrome[0], { function: 'r', file: 'https://inspiringshereen.com/assets/index-aaaa1111.js', line: 1, column: 120 });
+        assert.equal(chrome[1].function, '<anonymous>');
+
+        const firefox = parseStack('renderCoupons@https://site.test/app.js:10:5\n@https://site.test/app.js:3:1');
+        assert.deepEqual(firefox.map(frame => [frame.function, frame.line]), [['renderCoupons', 10], ['<anonymous>', 3]]);
+
+        // A rebuilt bundle (new hash, new line) is the same bug
+        assert.equal(
+            computeFingerprint('Failed 12', parseStack(bundleStack('aaaa1111', 1))),
+            computeFingerprint('Failed 99', parseStack(bundleStack('bbbb2222', 7)))
+        );
+    });
+});
+
+describe('client error reports', () => {
+    let t;
+    let admin;
+    let support;
+
+    const report = (body, headers) => t.request('POST', '/api/log-error', { body, headers });
+    const as = (who, method, path, body) => t.request(method, path, { token: who.token, body });
+
+    beforeEach(async () => {
+        t = await startTestApp();
+        admin = await t.signIn('admin@inspiringshereen.test', { role: 'admin' });
+        support = await t.signIn('support@inspiringshereen.test', { role: 'support' });
+    });
+    afterEach(() => t.close());
+
+    it('groups reports and counts occurrences and affected users', async () => {
+        const stack = bundleStack('aaaa1111');
+        const first = await report({ message: 'Order 1001 failed', stack, user: { id: 'u1', email: 'Asha@example.com' } });
+        await report({ message: 'Order 1002 failed', stack, user: { email: 'asha@example.com' } });
+        await report({
+            message: 'Order 1003 failed',
+            stack,
+            user: { id: 'u2' },
+            context: { page: '/register', 'window.location': 'https://inspiringshereen.com/register', steps: [] }
+        });
+        await report({ message: 'Something else', stack });
+
+        assert.deepEqual(first.body, { logged: true, fingerprint: first.body.fingerprint });
+
+        const list = await as(support, 'GET', '/api/admin/client-errors?sort=count');
+        assert.equal(list.status, 200);
+        assert.equal(list.body.groups.length, 2);
+
+        const [group] = list.body.groups;
+        assert.deepEqual([group.fingerprint, group.count, group.userCount, group.message], [first.body.fingerprint, 3, 2, 'Order <n> failed']);
+        assert.equal(group.users, undefined);
+        assert.ok(group.firstSeen <= group.lastSeen);
+
+        const detail = await as(support, 'GET', `/api/admin/client-errors/${group.fingerprint}`);
+        assert.equal(detail.body.samples.length, 3);
+        assert.deepEqual(detail.body.samples.map(sample => sample.message).sort(), ['Order 1001 failed', 'Order 1002 failed', 'Order 1003 failed']);
+        const withContext = detail.body.samples.find(sample => sample.context);
+        assert.deepEqual(withContext.context, {
+            page: '/register',
+            'window.location': 'https://inspiringshereen.com/register',
+            steps: []
+        });
+    });
+
+    it('resolves a group, which opens again when the error comes back', async () => {
+        const { fingerprint } = (await report({ message: 'Boom', stack: bundleStack('aaaa1111') })).body;
+        const path = `/api/admin/client-errors/${fingerprint}`;
+
+        assert.equal((await as(support, 'POST', `${path}/resolve`)).status, 403);
+        const resolved = await as(admin, 'POST', `${path}/resolve`);
+        assert.equal(resolved.body.status, 'resolved');
+        assert.equal((await as(admin, 'GET', '/api/admin/client-errors')).body.groups.length, 0);
+        assert.equal((await as(admin, 'GET', '/api/admin/client-errors?status=resolved')).body.groups[0].resolvedBy, admin.uid);
+
+        await report({ message: 'Boom', stack: bundleStack('aaaa1111') });
+        const [group] = (await as(admin, 'GET', '/api/admin/client-errors')).body.groups;
+        assert.deepEqual([group.status, group.count, Boolean(group.regressedAt)], ['unresolved', 2, true]);
+
+        assert.equal((await as(admin, 'POST', `/api/admin/client-errors/${'0'.repeat(40)}/resolve`)).status, 404);
+        assert.equal((await as(admin, 'GET', '/api/admin/client-errors/not-a-fingerprint')).status, 400);
+    });
+
+    it('maps stack frames through uploaded source maps', async () => {
+        const rejected = await as(admin, 'POST', '/api/admin/source-maps', { release: '1.4.0', file: 'index-aaaa1111.js', map: '{oops' });
+        assert.equal(rejected.status, 400);
+        assert.equal((await as(support, 'POST', '/api/admin/source-maps', { release: '1.4.0', file: 'x.js', map: bundleMap('x') })).status, 403);
+
+        // A map bigger than the default JSON body limit
+        const map = { ...bundleMap('aaaa1111'), sourcesContent: ['x'.repeat(200 * 1024)] };
+        const uploaded = await as(admin, 'POST', '/api/admin/source-maps', { release: '1.4.0', file: 'https://inspiringshereen.com/assets/index-aaaa1111.js', map });
+        assert.equal(uploaded.status, 201, JSON.stringify(uploaded.body));
+        assert.equal(uploaded.body.file, 'index-aaaa1111.js');
+
+        const listed = await as(support, 'GET', '/api/admin/source-maps');
+        assert.deepEqual(listed.body.sourceMaps.map(entry => [entry.release, entry.file, entry.map]), [['1.4.0', 'index-aaaa1111.js', undefined]]);
+
+        const { fingerprint } = (await report({ message: 'Boom', stack: bundleStack('aaaa1111'), release: '1.4.0' })).body;
+        const { group, samples } = (await as(admin, 'GET', `/api/admin/client-errors/${fingerprint}`)).body;
+
+        assert.deepEqual(group.frames[0], { function: 'renderCoupons', file: 'src/Coupons.jsx', line: 42 });
+        assert.equal(samples[0].frames[0].sourceColumn, 9);
+
+        // Without the release the bundle frames stay as they are
+        const unmapped = (await report({ message: 'Boom', stack: bundleStack('aaaa1111') })).body;
+        assert.notEqual(unmapped.fingerprint, fingerprint);
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTestApp } = require('./support/testApp');
+
+const contact = { name: 'Asha Rao', email: 'asha@example.com', subject: 'Workshop', message: 'Is there parking?\nThanks' };
+
+describe('contact tickets', () => {
+    let t;
+    let support;
+    let finance;
+
+    const as = (who, method, path, body) => t.request(method, path, { token: who.token, body });
+
+    beforeEach(async () => {
+        t = await startTestApp({
+            data: {
+                contactSubmissions: {
+                    legacy: { name: 'Ravi', email: 'ravi@example.com', subject: 'Old question', message: 'Hi', createdAt: '2024-01-01T00:00:00.000Z' }
+                }
+            }
+        });
+        support = await t.signIn('support@inspiringshereen.test', { role: 'support' });
+        finance = await t.signIn('finance@inspiringshereen.test', { role: 'finance' });
+    });
+    afterEach(() => t.close());
+
+    it('stores every submission as a new ticket and lists them with filters', async () => {
+        assert.equal((await t.request('POST', '/api/contact-us', { body: contact })).status, 200);
+
+        const all = await as(support, 'GET', '/api/admin/contact-tickets');
+        assert.deepEqual(all.body.tickets.map(ticket => [ticket.email, ticket.status]), [
+            ['asha@example.com', 'new'],
+            ['ravi@example.com', 'new']
+        ]);
+
+        const search = await as(support, 'GET', '/api/admin/contact-tickets?q=PARKING');
+        assert.equal(search.body.tickets.length, 0, 'q matches name, email and subject only');
+        assert.equal((await as(support, 'GET', '/api/admin/contact-tickets?q=asha')).body.tickets.length, 1);
+        assert.equal((await as(support, 'GET', '/api/admin/contact-tickets?status=pending')).status, 400);
+        assert.equal((await as(finance, 'GET', '/api/admin/contact-tickets')).status, 403);
+    });
+
+    it('assigns, replies by email with the thread kept, and closes', async () => {
+        await t.request('POST', '/api/contact-us', { body: contact });
+        const [id] = Object.keys(t.db.dump().contactSubmissions).filter(key => key !== 'legacy');
+        const path = `/api/admin/contact-tickets/${id}`;
+
+        assert.equal((await as(support, 'POST', `${path}/assign`, { assignedTo: 'nobody' })).status, 400);
+        // Finance staff cannot open contact tickets, so cannot be given one
+        assert.equal((await as(support, 'POST', `${path}/assign`, { assignedTo: finance.uid })).status, 400);
+
+        const colleague = await t.signIn('support2@inspiringshereen.test', { role: 'support' });
+        const assigned = await as(support, 'POST', `${path}/assign`, { assignedTo: colleague.uid });
+        assert.deepEqual([assigned.body.ticket.status, assigned.body.ticket.assignedTo], ['open', colleague.uid]);
+
+        const mine = await as(support, 'GET', '/api/admin/contact-tickets?assignedTo=me');
+        assert.equal(mine.body.tickets.length, 0);
+        assert.equal((await as(support, 'GET', '/api/admin/contact-tickets?assignedTo=none')).body.tickets[0].id, 'legacy');
+
+        t.sentMail.length = 0;
+        const replied = await as(support, 'POST', `${path}/reply`, { message: 'Yes, <free> parking.\nSee you!' });
+        assert.equal(replied.status, 200);
+        assert.equal(replied.body.ticket.status, 'replied');
+        assert.deepEqual(replied.body.ticket.thread.map(entry => [entry.from, entry.body]), [
+            ['requester', contact.message],
+            ['staff', 'Yes, <free> parking.\nSee you!']
+        ]);
+        assert.equal(replied.body.ticket.thread[1].staffUid, support.uid);
+
+        assert.equal(t.sentMail.length, 1);
+        assert.equal(t.sentMail[0].to, 'asha@example.com');
+        assert.equal(t.sentMail[0].subject, 'Re: Workshop');
+        assert.match(t.sentMail[0].html, /Yes, &lt;free&gt; parking\.<br>See you!/);
+        assert.match(t.sentMail[0].html, /Is there parking\?<br>Thanks/);
+
+        const closed = await as(support, 'POST', `${path}/close`);
+        assert.equal(closed.body.ticket.status, 'closed');
+        assert.ok(closed.body.ticket.closedAt);
+        assert.equal((await as(support, 'GET', '/api/admin/contact-tickets?status=closed')).body.tickets[0].replyCount, 1);
+
+        const reopened = await as(support, 'POST', `${path}/reopen`);
+        assert.equal(reopened.body.ticket.status, 'open');
+        assert.equal(reopened.body.ticket.closedAt, undefined);
+
+        const actions = Object.values(t.db.dump().auditLog || {}).map(entry => entry.action).sort();
+        assert.deepEqual(actions, ['contact.assign', 'contact.close', 'contact.reopen', 'contact.reply']);
+        assert.equal((await as(support, 'GET', '/api/admin/contact-tickets/missing')).status, 404);
+    });
+
+    it('keeps the submission when email is not configured and leaves the mail to the outbox', async () => {
+        const unconfigured = await startTestApp({ mailConfigured: false });
+
+        try {
+            assert.equal((await unconfigured.request('POST', '/api/contact-us', { body: contact })).status, 200);
+
+            const { contactSubmissions, emailOutbox } = unconfigured.db.dump();
+            assert.deepEqual(Object.values(contactSubmissions).map(ticket => [ticket.email, ticket.status]), [['asha@example.com', 'new']]);
+            assert.deepEqual(Object.values(emailOutbox).map(message => message.status), ['pending', 'pending']);
+        } finally {
+            await unconfigured.close();
+        }
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const {
+    emailKey,
+    validateCouponInput,
+    calculateDiscount,
+    checkCouponRules,
+    reserveCoupon,
+    recordRedemption,
+    releaseCoupon
+} = require('../lib/coupons');
+
+describe('coupon input', () => {
+    it('normalises a new coupon and fills in the defaults', () => {
+        const { errors, value } = validateCouponInput({ code: ' early-20 ', type: 'percentage', value: 20, maxUsesPerEmail: 1 });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value, { code: 'EARLY-20', type: 'percentage', value: 20, maxUsesPerEmail: 1, active: true });
+    });
+
+    it('checks the rules that tie fields together on whatever it is given', () => {
+        const errorsFor = (input) => validateCouponInput(input, { partial: true }).errors;
+
+        assert.deepEqual(errorsFor({ type: 'percentage', value: 150 }), ['percentage value cannot exceed 100']);
+        assert.deepEqual(errorsFor({ type: 'flat', value: 150 }), []);
+        assert.deepEqual(
+            errorsFor({ validFrom: '2030-03-01T00:00:00.000Z', validUntil: '2030-02-01T00:00:00.000Z' }),
+            ['validFrom must be before validUntil']
+        );
+
+        // Neither rule can be seen from one field alone, so updates validate
+        // the coupon merged with what is stored (see PUT /api/admin/coupons/:code)
+        assert.deepEqual(errorsFor({ value: 150 }), []);
+        assert.deepEqual(errorsFor({ validUntil: '2030-02-01T00:00:00.000Z' }), []);
+    });
+
+    it('rejects codes, caps and event lists it cannot use', () => {
+        const { errors } = validateCouponInput({ code: 'a b', type: 'bogo', value: 0, maxUses: 1.5, eventIds: 'ev1', active: 'yes' });
+
+        assert.deepEqual(errors, [
+            'code must be 3-32 characters of letters, digits, "-" or "_"',
+            'type must be one of percentage, flat',
+            'value must be a positive number',
+            'maxUses must be a positive integer',
+            'eventIds must be an array of event ids',
+            'active must be a boolean'
+        ]);
+    });
+});
+
+describe('coupon pricing and use', () => {
+    const coupon = { code: 'EARLY', type: 'percentage', value: 20, active: true, eventIds: ['ev1'], maxUses: 1 };
+
+    it('prices a discount in the smallest unit and never goes below the minimum order', () => {
+        assert.deepEqual(calculateDiscount(coupon, 9900), { discount: 1980, finalAmount: 7920 });
+        assert.deepEqual(calculateDiscount({ type: 'flat', value: 500 }, 9900), { discount: 9800, finalAmount: 100 });
+    });
+
+    it('explains why a coupon cannot be used', () => {
+        const now = new Date('2030-01-15T00:00:00.000Z');
+        const check = (changes, context = {}) => checkCouponRules({ ...coupon, ...changes }, { event: { id: 'ev1' }, now, ...context });
+
+        assert.equal(check({}), null);
+        assert.equal(check({ active: false }), 'Invalid coupon code');
+        assert.equal(check({ validFrom: '2030-02-01T00:00:00.000Z' }), 'This coupon is not active yet');
+        assert.equal(check({ validUntil: '2030-01-01T00:00:00.000Z' }), 'This coupon has expired');
+        assert.equal(check({}, { event: { id: 'ev2' } }), 'This coupon is not valid for this event');
+        assert.equal(check({ usedCount: 1 }), 'This coupon has reached its usage limit');
+        assert.equal(check({ maxUsesPerEmail: 1 }, { emailUsage: 1 }), 'You have already used this coupon');
+    });
+
+    it('hands out the last use once and takes it back when the order is released', async () => {
+        const { code, ...stored } = coupon;
+        const db = createMemoryDatabase({ coupons: { EARLY: stored } });
+
+        const [asha, ravi] = await Promise.all([
+            reserveCoupon(db, coupon, 'asha@example.com'),
+            reserveCoupon(db, coupon, 'ravi@example.com')
+        ]);
+        assert.deepEqual([asha, ravi], [null, 'This coupon has reached its usage limit']);
+        assert.equal(db.dump().coupons.EARLY.usedCount, 1);
+
+        await recordRedemption(db, code, 'order_1', { email: 'asha@example.com' });
+        assert.equal(await releaseCoupon(db, code, 'order_1'), true);
+        assert.equal(await releaseCoupon(db, code, 'order_1'), false);
+        assert.equal(db.dump().coupons.EARLY.usedCount, 0);
+        assert.equal(db.dump().couponUsage.EARLY[emailKey('asha@example.com')], 0);
+    });
+});
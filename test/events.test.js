@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateEventInput, toPublicEvent, toMinorUnits, describeEventLocation } = require('../lib/events');
+
+const event = {
+    title: ' Clarity Workshop ',
+    startsAt: '2030-05-04T11:00:00+05:30',
+    timezone: 'Asia/Kolkata',
+    price: 99.999,
+    currency: 'inr',
+    meetingLink: 'https://zoom.us/j/123'
+};
+
+describe('event input', () => {
+    it('normalises a new event and fills in the defaults', () => {
+        const { errors, value } = validateEventInput(event);
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value, {
+            title: 'Clarity Workshop',
+            startsAt: '2030-05-04T05:30:00.000Z',
+            timezone: 'Asia/Kolkata',
+            price: 100,
+            currency: 'INR',
+            meetingLink: 'https://zoom.us/j/123',
+            status: 'draft'
+        });
+    });
+
+    it('lists every problem with a new event, including a missing venue and link', () => {
+        const { errors } = validateEventInput({
+            startsAt: 'next Tuesday',
+            timezone: 'India/Hyderabad',
+            price: -1,
+            meetingLink: 'javascript:alert(1)',
+            capacity: 0,
+            status: 'live'
+        });
+
+        assert.deepEqual(errors, [
+            'title is required',
+            'startsAt must be an ISO 8601 date-time',
+            'timezone must be an IANA time zone such as Asia/Kolkata',
+            'price must be a non-negative number',
+            'meetingLink must be an http(s) URL',
+            'capacity must be a positive integer',
+            'status must be one of draft, published, cancelled, completed',
+            'Either venue or meetingLink is required'
+        ]);
+        assert.deepEqual(validateEventInput({ ...event, meetingLink: '', venue: '  ' }).errors, ['Either venue or meetingLink is required']);
+    });
+
+    it('checks only the fields an update sends', () => {
+        assert.deepEqual(validateEventInput({ price: 499 }, { partial: true }), { errors: [], value: { price: 499 } });
+        assert.deepEqual(validateEventInput({ capacity: null, meetingLink: '' }, { partial: true }).value, { capacity: null, meetingLink: '' });
+
+        // Whether the event keeps a venue or a link is up to the caller, which
+        // knows the stored event (see PUT /api/admin/events/:eventId)
+        assert.deepEqual(validateEventInput({ venue: '', meetingLink: '' }, { partial: true }).errors, []);
+        assert.deepEqual(validateEventInput({ title: ' ' }, { partial: true }).errors, ['title is required']);
+    });
+
+    it('keeps the meeting link out of the public view', () => {
+        const stored = { ...validateEventInput(event).value, venue: 'Banjara Hills Studio' };
+
+        assert.equal(toPublicEvent(stored).meetingLink, undefined);
+        assert.equal(toPublicEvent(stored).title, 'Clarity Workshop');
+        assert.equal(describeEventLocation(stored), 'Banjara Hills Studio');
+        assert.equal(describeEventLocation({ meetingLink: 'https://zoom.us/j/123' }), 'Live online');
+        assert.equal(toMinorUnits(99.99), 9999);
+    });
+});
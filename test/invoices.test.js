@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const {
+    createInvoiceConfig,
+    financialYear,
+    gstBreakdown,
+    issueInvoice,
+    renderInvoicePdf
+} = require('../lib/invoices');
+
+const registration = {
+    fullName: 'Asha Rao',
+    email: 'asha@example.com',
+    phone: '+919876543210',
+    eventId: 'ev1',
+    orderId: 'order_1',
+    orderAmount: 79.2,
+    originalAmount: 99,
+    discountAmount: 19.8,
+    couponCode: 'EARLY20',
+    transactionId: 'pay_1'
+};
+const event = { title: 'Clarity Workshop', startsAt: '2030-05-04T05:00:00.000Z', currency: 'INR' };
+
+describe('invoices', () => {
+    it('work the GST back out of the amount paid', () => {
+        assert.deepEqual(gstBreakdown(118, { gstRate: 18, gstType: 'intra' }), {
+            taxableAmount: 100,
+            cgst: 9,
+            sgst: 9,
+            igst: 0,
+            totalTax: 18
+        });
+
+        const inter = gstBreakdown(79.2, { gstRate: 18, gstType: 'inter' });
+        assert.equal(inter.taxableAmount, 67.12);
+        assert.equal(inter.igst, 12.08);
+        assert.equal(gstBreakdown(99, { gstRate: 0, gstType: 'intra' }).totalTax, 0);
+
+        assert.throws(() => createInvoiceConfig({ INVOICE_GST_TYPE: 'vat' }), /INVOICE_GST_TYPE/);
+        assert.throws(() => createInvoiceConfig({ INVOICE_GST_RATE: 'lots' }), /INVOICE_GST_RATE/);
+    });
+
+    it('number invoices in sequence within each financial year', async () => {
+        const db = createMemoryDatabase();
+        const config = createInvoiceConfig({ INVOICE_GSTIN: '36ABCDE1234F1Z5' });
+        const issue = (registrationId, now) => issueInvoice(db, { registrationId, registration, event, config, now });
+
+        // 31 March 2026 20:00 UTC is already 1 April in India
+        assert.equal(financialYear(new Date('2026-03-31T20:00:00.000Z')), '2627');
+
+        const first = await issue('r1', new Date('2026-03-30T10:00:00.000Z'));
+        const second = await issue('r2', new Date('2026-03-31T10:00:00.000Z'));
+        const nextYear = await issue('r3', new Date('2026-04-01T10:00:00.000Z'));
+        const again = await issue('r1', new Date('2026-05-01T10:00:00.000Z'));
+
+        assert.deepEqual(
+            [first, second, nextYear, again].map(invoice => invoice.invoiceNumber),
+            ['INV-2526-00001', 'INV-2526-00002', 'INV-2627-00001', 'INV-2526-00001']
+        );
+        assert.equal(first.cgst + first.sgst, 12.08);
+        assert.equal(first.listPrice, 99);
+        assert.equal(first.payment.transactionId, 'pay_1');
+    });
+
+    it('reuse the number taken by an issue that failed, leaving no gap', async () => {
+        const db = createMemoryDatabase();
+        const config = createInvoiceConfig({});
+        const now = new Date('2026-06-01T10:00:00.000Z');
+        let failWrite = true;
+
+        // The invoice write for r1 fails once, after its number was taken
+        const flaky = {
+            ref(path) {
+                const ref = db.ref(path);
+                return path !== 'invoices/r1' ? ref : {
+                    ...ref,
+                    async set(value) {
+                        if (failWrite) {
+                            failWrite = false;
+                            throw new Error('write failed');
+                        }
+                        return ref.set(value);
+                    }
+                };
+            }
+        };
+        const issue = registrationId => issueInvoice(flaky, { registrationId, registration, event, config, now });
+
+        await assert.rejects(issue('r1'), /write failed/);
+        const retried = await issue('r1');
+        const next = await issue('r2');
+
+        assert.deepEqual([retried.invoiceNumber, next.invoiceNumber], ['INV-2627-00001', 'INV-2627-00002']);
+        assert.equal(db.dump().invoices.r1.allocatedNumber, undefined);
+    });
+
+    it('render a PDF', async () => {
+        const db = createMemoryDatabase();
+        const config = createInvoiceConfig({ INVOICE_GST_TYPE: 'inter', INVOICE_BUSINESS_ADDRESS: 'Road 1|Hyderabad' });
+        await issueInvoice(db, { registrationId: 'r1', registration, event, config });
+
+        // Rendered from the stored copy, as a later download would be
+        const pdf = await renderInvoicePdf(db.dump().invoices.r1);
+
+        assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+        assert.ok(pdf.length > 1000);
+    });
+});
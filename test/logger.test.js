@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLogger } = require('../lib/logger');
+const { startTestApp } = require('./support/testApp');
+
+function capture(env) {
+    const lines = [];
+    const logger = createLogger(env, { stream: { write: line => lines.push(JSON.parse(line)) } });
+    return { logger, lines };
+}
+
+describe('structured logger', () => {
+    it('writes JSON lines at or above LOG_LEVEL', () => {
+        const { logger, lines } = capture({ LOG_LEVEL: 'warn' });
+
+        logger.info('ignored');
+        logger.warn('Slow query', { durationMs: 812 });
+        logger.child({ requestId: 'abc' }).error('Failed', { error: new TypeError('boom') });
+
+        assert.deepEqual(lines.map(line => [line.level, line.msg]), [['warn', 'Slow query'], ['error', 'Failed']]);
+        assert.equal(lines[0].durationMs, 812);
+        assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+        assert.equal(lines[1].requestId, 'abc');
+        assert.deepEqual([lines[1].error.name, lines[1].error.message], ['TypeError', 'boom']);
+        assert.match(lines[1].error.stack, /boom/);
+
+        assert.throws(() => createLogger({ LOG_LEVEL: 'verbose' }), /LOG_LEVEL/);
+    });
+
+    it('redacts listed fields at any depth, plus those in LOG_REDACT', () => {
+        const { logger, lines } = capture({ LOG_REDACT: 'couponCode, GSTIN' });
+
+        logger.info('Order', {
+            orderId: 'order_1',
+            registrant: { Email: 'asha@example.com', phone: '+91 98450 12345', fullName: 'Asha Rao' },
+            headers: { authorization: 'Bearer x' },
+            couponCode: 'EARLY10',
+            invoice: [{ gstin: '29ABCDE1234F1Z5' }],
+            phone: null
+        });
+
+        assert.deepEqual(lines[0].registrant, { Email: '[redacted]', phone: '[redacted]', fullName: '[redacted]' });
+        assert.deepEqual([lines[0].headers.authorization, lines[0].couponCode, lines[0].invoice[0].gstin], ['[redacted]', '[redacted]', '[redacted]']);
+        assert.equal(lines[0].orderId, 'order_1');
+        assert.equal(lines[0].phone, null);
+    });
+});
+
+describe('request logging', () => {
+    let t;
+
+    beforeEach(async () => {
+        t = await startTestApp();
+    });
+    afterEach(() => t.close());
+
+    // The access line is written once the response has gone out
+    async function accessLine(requestId) {
+        for (let tries = 0; tries < 50; tries++) {
+            const line = t.logs.find(entry => entry.msg === 'request' && entry.requestId === requestId);
+            if (line) {
+                return line;
+            }
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        return null;
+    }
+
+    it('gives every request an id and logs one access line for it', async () => {
+        const response = await t.request('GET', '/api/events/missing?email=asha@example.com');
+        const requestId = response.headers.get('x-request-id');
+        assert.match(requestId, /^[0-9a-f-]{36}$/);
+
+        const line = await accessLine(requestId);
+        assert.deepEqual([line.level, line.method, line.path, line.status], ['warn', 'GET', '/api/events/missing', 404]);
+        assert.equal(typeof line.durationMs, 'number');
+
+        // A caller's id is kept; a malformed one is replaced
+        const traced = await t.request('GET', '/api/events', { headers: { 'X-Request-Id': 'edge-42' } });
+        assert.equal(traced.headers.get('x-request-id'), 'edge-42');
+        assert.equal((await accessLine('edge-42')).status, 200);
+
+        const bad = await t.request('GET', '/api/events', { headers: { 'X-Request-Id': 'has spaces<>' } });
+        assert.notEqual(bad.headers.get('x-request-id'), 'has spaces<>');
+    });
+
+    it('keeps form contents and contact details out of the logs', async () => {
+        const response = await t.request('POST', '/api/contact-us', {
+            body: { name: 'Asha Rao', email: 'asha@example.com', subject: 'Parking', message: 'Call me on 98450 12345' }
+        });
+        assert.equal(response.status, 200);
+        await accessLine(response.headers.get('x-request-id'));
+
+        const written = JSON.stringify(t.logs);
+        assert.ok(t.logs.some(entry => entry.msg === 'Contact form emails queued'));
+        for (const detail of ['asha@example.com', 'Asha Rao', '98450 12345']) {
+            assert.ok(!written.includes(detail), `${detail} was logged`);
+        }
+    });
+});
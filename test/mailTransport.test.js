@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMailTransport } = require('../lib/mailTransport');
+
+describe('createMailTransport', () => {
+    const mail = { from: 'shop@example.com', to: 'a@example.com', subject: 'Receipt', html: '<p>Thanks</p>' };
+
+    it('writes .eml files in capture mode', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-capture-'));
+        const { kind, configured, transporter } = createMailTransport({ MAIL_TRANSPORT: 'capture', MAIL_CAPTURE_DIR: dir });
+
+        const info = await transporter.sendMail(mail);
+
+        assert.equal(kind, 'capture');
+        assert.equal(configured, true);
+        assert.ok(info.messageId);
+        assert.equal(path.dirname(info.capturedTo), dir);
+        assert.match(fs.readFileSync(info.capturedTo, 'utf8'), /Subject: Receipt/);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes JSON files when asked to', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-capture-'));
+        const { transporter } = createMailTransport({ MAIL_TRANSPORT: 'capture', MAIL_CAPTURE_DIR: dir, MAIL_CAPTURE_FORMAT: 'json' });
+
+        const info = await transporter.sendMail(mail);
+        const stored = JSON.parse(fs.readFileSync(info.capturedTo, 'utf8'));
+
+        assert.ok(info.capturedTo.endsWith('.json'));
+        assert.equal(stored.subject, 'Receipt');
+        assert.equal(stored.to[0].address, 'a@example.com');
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('builds a pooled SMTP transport from SMTP_* settings', () => {
+        const { kind, configured, transporter } = createMailTransport({
+            MAIL_TRANSPORT: 'smtp',
+            SMTP_HOST: 'smtp.example.com',
+            SMTP_PORT: '465',
+            SMTP_USER: 'mailer',
+            SMTP_PASSWORD: 'secret'
+        });
+
+        assert.equal(kind, 'smtp');
+        assert.equal(configured, true);
+        assert.equal(transporter.options.host, 'smtp.example.com');
+        assert.equal(transporter.options.secure, true);
+        assert.equal(transporter.options.pool, true);
+        transporter.close();
+    });
+
+    it('rejects an unknown transport', () => {
+        assert.throws(() => createMailTransport({ MAIL_TRANSPORT: 'pigeon' }), /MAIL_TRANSPORT must be one of/);
+    });
+});
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const { createWhatsAppProvider, createNotifier, savePreferences } = require('../lib/notifications');
+const { startTestApp } = require('./support/testApp');
+
+describe('notification channels', () => {
+    it('send WhatsApp template messages through the Cloud API', async () => {
+        const calls = [];
+        const http = {
+            post: async (url, body, options) => {
+                calls.push({ url, body, options });
+                return { data: { messages: [{ id: 'wamid.1' }] } };
+            }
+        };
+        const provider = createWhatsAppProvider({
+            WHATSAPP_PROVIDER: 'cloud',
+            WHATSAPP_TOKEN: 'token',
+            WHATSAPP_PHONE_NUMBER_ID: '1234'
+        }, { http });
+
+        const result = await provider.sendTemplate('919876543210', { name: 'event_reminder', language: 'en', parameters: ['Asha', 2] });
+
+        assert.equal(result.messageId, 'wamid.1');
+        assert.equal(calls[0].url, 'https://graph.facebook.com/v20.0/1234/messages');
+        assert.equal(calls[0].options.headers.Authorization, 'Bearer token');
+        assert.deepEqual(calls[0].body.template.components[0].parameters, [
+            { type: 'text', text: 'Asha' },
+            { type: 'text', text: '2' }
+        ]);
+
+        assert.equal(createWhatsAppProvider({}).enabled, false);
+        assert.throws(() => createWhatsAppProvider({ WHATSAPP_PROVIDER: 'cloud' }), /WHATSAPP_TOKEN/);
+        assert.throws(() => createWhatsAppProvider({ WHATSAPP_PROVIDER: 'pigeon' }), /WHATSAPP_PROVIDER must be one of/);
+    });
+
+    it('fall back to email when WhatsApp cannot reach someone, and log failed sends', async () => {
+        const db = createMemoryDatabase();
+        const sent = [];
+        const mailer = { db, transporter: { sendMail: async (mail) => { sent.push(mail); return { messageId: 'm1' }; } } };
+        const failing = { enabled: true, sendTemplate: async () => { throw new Error('template not approved'); } };
+        const message = (phone) => ({
+            kind: 'reminder',
+            email: 'asha@example.com',
+            phone,
+            mailOptions: { to: 'asha@example.com', subject: 'Reminder', html: '<p>Soon</p>' },
+            whatsapp: { template: 'reminder', parameters: ['Asha'] }
+        });
+
+        await savePreferences(db, 'asha@example.com', { email: false, whatsapp: true });
+        const notifier = createNotifier({ db, mailer, whatsapp: failing, env: { WHATSAPP_TEMPLATE_REMINDER: 'reminder_v2' } });
+
+        const noPhone = await notifier.notify(message(''));
+        assert.ok(noPhone.outboxId);
+        assert.equal(sent.length, 1);
+
+        const failed = await notifier.notify(message('+919876543210'));
+        assert.deepEqual(failed, { outboxId: null, whatsappMessageId: null });
+
+        const log = Object.values(db.dump().whatsappMessages);
+        assert.deepEqual([log[0].status, log[0].template, log[0].error], ['failed', 'reminder_v2', 'template not approved']);
+    });
+});
+
+describe('notification preferences and WhatsApp messages', () => {
+    let t;
+    const participant = { email: 'asha@example.com', fullName: 'Asha Rao', phone: '+919876543210', eventId: 'ev1' };
+
+    beforeEach(async () => {
+        t = await startTestApp();
+    });
+    afterEach(() => t.close());
+
+    const placeOrder = async () => (await t.request('POST', '/api/create-payment-order', { body: participant })).body;
+
+    it('sends the confirmation and the admin alert on WhatsApp too', async () => {
+        await savePreferences(t.db, participant.email, { whatsapp: true });
+        const order = await placeOrder();
+        const payment = t.razorpay.simulatePayment(order.orderId);
+        await t.sendWebhook('payment.captured', { payment: { entity: payment } });
+
+        assert.equal(t.sentMail.length, 2);
+        assert.deepEqual(t.whatsapp.sent.map(message => [message.to, message.name]), [
+            ['919876543210', 'registration_confirmed'],
+            ['919951611674', 'new_registration']
+        ]);
+        assert.deepEqual(t.whatsapp.sent[0].parameters.slice(0, 2), ['Asha Rao', 'Clarity Workshop']);
+    });
+
+    it('keeps WhatsApp off for registrants who have not opted in', async () => {
+        const order = await placeOrder();
+        await t.sendWebhook('payment.captured', { payment: { entity: t.razorpay.simulatePayment(order.orderId) } });
+
+        assert.equal(t.sentMail.length, 2);
+        assert.deepEqual(t.whatsapp.sent.map(message => [message.to, message.name]), [['919951611674', 'new_registration']]);
+    });
+
+    it('nudges once per order when a payment fails', async () => {
+        await savePreferences(t.db, participant.email, { whatsapp: true });
+        const order = await placeOrder();
+        const failed = t.razorpay.simulatePayment(order.orderId, { status: 'failed' });
+
+        await t.sendWebhook('payment.failed', { payment: { entity: failed } });
+        await t.sendWebhook('payment.failed', { payment: { entity: { ...failed, id: 'pay_retry' } } });
+
+        const nudges = t.sentMail.filter(mail => /didn't go through/.test(mail.subject));
+        assert.equal(nudges.length, 1);
+        assert.ok(nudges[0].html.includes('/register?event=ev1&email=asha%40example.com'));
+        assert.deepEqual(t.whatsapp.sent.map(message => message.name), ['payment_failed']);
+
+        const retry = await placeOrder();
+        await t.sendWebhook('payment.failed', { payment: { entity: t.razorpay.simulatePayment(retry.orderId, { status: 'failed' }) } });
+        assert.equal(t.whatsapp.sent.length, 2, 'a new order can be nudged again');
+    });
+
+    it('lets a verified registrant choose their channels', async () => {
+        const user = await t.signIn(participant.email);
+        const path = '/api/user/notification-preferences';
+
+        assert.equal((await t.request('GET', path, { token: user.token })).status, 403);
+        await t.auth.updateUser(user.uid, { emailVerified: true });
+
+        const current = await t.request('GET', path, { token: user.token });
+        assert.deepEqual(current.body.preferences, { email: true, whatsapp: false });
+        assert.deepEqual(current.body.available, { email: true, whatsapp: true });
+        assert.equal((await t.request('GET', `${path}?channel=sms`, { token: user.token })).status, 400);
+
+        const none = await t.request('PUT', path, { token: user.token, body: { email: false, whatsapp: false } });
+        assert.equal(none.status, 400);
+        assert.equal((await t.request('PUT', path, { token: user.token, body: { sms: true } })).status, 400);
+
+        const whatsappOnly = await t.request('PUT', path, { token: user.token, body: { email: false, whatsapp: true } });
+        assert.deepEqual(whatsappOnly.body.preferences, { email: false, whatsapp: true });
+
+        const order = await placeOrder();
+        await t.sendWebhook('payment.captured', { payment: { entity: t.razorpay.simulatePayment(order.orderId) } });
+
+        assert.deepEqual(t.sentMail.map(mail => mail.to), [t.env.EMAIL_USER], 'only the admin email goes out');
+        assert.equal(t.whatsapp.sent[0].to, '919876543210');
+    });
+});
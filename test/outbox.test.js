@@ -0,0 +1,85 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { enqueueEmail, deliverMessage, queueAndDeliver, processOutbox, requeueMessage, backoffDelay } = require('../lib/outbox');
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+
+describe('email outbox', () => {
+    let db;
+    let sent;
+    let failuresLeft;
+
+    const transporter = {
+        async sendMail(mailOptions) {
+            if (failuresLeft > 0) {
+                failuresLeft--;
+                throw new Error('SMTP unavailable');
+            }
+            sent.push(mailOptions);
+            return { messageId: `<msg-${sent.length}@test>` };
+        }
+    };
+
+    const mailer = () => ({ db, transporter, maxAttempts: 3 });
+    const email = { kind: 'confirmation', mailOptions: { to: 'a@example.com', subject: 'Hi', html: '<p>Hi</p>', replyTo: undefined } };
+    const stored = (id) => db.dump().emailOutbox[id];
+
+    beforeEach(() => {
+        db = createMemoryDatabase();
+        sent = [];
+        failuresLeft = 0;
+    });
+
+    it('stores the message before sending and marks it sent', async () => {
+        const id = await queueAndDeliver(mailer(), email);
+
+        assert.equal(sent.length, 1);
+        assert.equal(stored(id).status, 'sent');
+        assert.equal(stored(id).attempts, 1);
+        assert.equal(stored(id).messageId, '<msg-1@test>');
+    });
+
+    it('keeps a failed message pending with exponential backoff', async () => {
+        failuresLeft = 1;
+        const now = new Date(Date.now() + 1000);
+        const id = await enqueueEmail(db, email);
+
+        await deliverMessage(mailer(), id, now);
+
+        const message = stored(id);
+        assert.equal(message.status, 'pending');
+        assert.equal(message.lastError, 'SMTP unavailable');
+        assert.equal(new Date(message.nextAttemptAt) - now, backoffDelay(1));
+        assert.equal(backoffDelay(3), backoffDelay(1) * 4);
+    });
+
+    it('only sends messages that are due, and gives up after maxAttempts', async () => {
+        failuresLeft = 10;
+        const id = await enqueueEmail(db, email);
+        let now = new Date(Date.now() + 1000);
+
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            assert.equal((await processOutbox(mailer(), { now })).due, 1);
+            now = new Date(stored(id).nextAttemptAt);
+
+            // Just before the next attempt is due nothing is picked up
+            assert.equal((await processOutbox(mailer(), { now: new Date(now.getTime() - 1) })).due, 0);
+        }
+
+        assert.equal(stored(id).status, 'failed');
+        assert.equal(stored(id).attempts, 3);
+        assert.equal((await processOutbox(mailer(), { now: new Date(now.getTime() + 86400000) })).due, 0);
+    });
+
+    it('lets an admin requeue a failed message with fresh attempts', async () => {
+        failuresLeft = 3;
+        const id = await enqueueEmail(db, email);
+        await db.ref(`emailOutbox/${id}`).update({ status: 'failed', attempts: 3 });
+        failuresLeft = 0;
+
+        assert.equal(await requeueMessage(db, id), true);
+        assert.equal(await deliverMessage(mailer(), id), true);
+        assert.equal(stored(id).status, 'sent');
+        assert.equal(stored(id).attempts, 1);
+    });
+});
@@ -0,0 +1,343 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TEST_EVENT, startTestApp } = require('./support/testApp');
+const { registrantKey } = require('../lib/repositories');
+
+const participant = { email: 'asha@example.com', fullName: 'Asha Rao', phone: '+919876543210', eventId: 'ev1' };
+const USER_KEY = registrantKey(participant.email);
+
+// The one registration these tests create, as [id, registration]
+const onlyRegistration = (data) => {
+    const entries = Object.entries(data.registrations || {});
+    assert.equal(entries.length, 1);
+    return entries[0];
+};
+
+describe('registration and payment flow', () => {
+    let t;
+
+    beforeEach(async () => {
+        t = await startTestApp();
+    });
+    afterEach(() => t.close());
+
+    const registration = () => onlyRegistration(t.db.dump())[1];
+
+    async function placeOrder(extra = {}) {
+        const response = await t.request('POST', '/api/create-payment-order', { body: { ...participant, ...extra } });
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+        return response.body;
+    }
+
+    it('stores a registration for a published event only', async () => {
+        const created = await t.request('POST', '/api/user/registrations', { body: participant });
+        assert.equal(created.status, 200);
+        assert.equal(registration().eventTitle, 'Clarity Workshop');
+
+        const unknown = await t.request('POST', '/api/user/registrations', { body: { ...participant, eventId: 'nope' } });
+        assert.equal(unknown.status, 404);
+    });
+
+    it('normalises contact details and rejects invalid or unexpected fields', async () => {
+        await t.request('POST', '/api/user/registrations', {
+            body: { ...participant, email: ' Asha@Example.com ', phone: '098765 43210' }
+        });
+        assert.equal(registration().email, 'asha@example.com');
+        assert.equal(registration().phone, '+919876543210');
+
+        const invalid = await t.request('POST', '/api/user/registrations', {
+            body: { fullName: 'Asha Rao', phone: '12345', eventId: 'ev1', isAdmin: true }
+        });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(invalid.body.details.map(detail => detail.field), ['isAdmin', 'email', 'phone']);
+
+        // Used to throw on the missing email and answer 500
+        const noEmail = await t.request('POST', '/api/confirm-payment', { body: { razorpay_order_id: 'order_1' } });
+        assert.equal(noEmail.status, 400);
+        assert.equal(noEmail.body.error, 'Invalid request');
+    });
+
+    it('creates a Razorpay order in paise and records it on both registration copies', async () => {
+        const order = await placeOrder();
+
+        assert.equal(order.amount, 9900);
+        assert.equal(order.razorpayKey, 'rzp_test_key');
+        assert.equal((await t.razorpay.orders.fetch(order.orderId)).notes.email, participant.email);
+        assert.equal(registration().orderId, order.orderId);
+        assert.equal(registration().orderAmount, 99);
+        assert.equal(order.registrationId, onlyRegistration(t.db.dump())[0]);
+        assert.equal(t.db.dump().users[USER_KEY].registrations[order.registrationId].orderStatus, 'created');
+
+        const missing = await t.request('POST', '/api/create-payment-order', { body: { ...participant, eventId: undefined } });
+        assert.equal(missing.status, 400);
+    });
+
+    it('applies a coupon to the order amount and rejects unknown codes', async () => {
+        await t.db.ref('coupons/EARLY20').set({ type: 'percentage', value: 20, active: true, usedCount: 0 });
+
+        const order = await placeOrder({ couponCode: 'early20' });
+        assert.equal(order.amount, 7920);
+        assert.equal(registration().discountAmount, 19.8);
+
+        const unknown = await t.request('POST', '/api/create-payment-order', { body: { ...participant, couponCode: 'NOPE' } });
+        assert.equal(unknown.status, 400);
+    });
+
+    it('confirms a payment with a valid checkout signature and emails exactly once', async () => {
+        const order = await placeOrder();
+        const payment = t.razorpay.simulatePayment(order.orderId);
+
+        const confirmed = await t.request('POST', '/api/confirm-payment', {
+            body: { ...participant, ...t.checkoutResponse(order.orderId, payment.id) }
+        });
+
+        assert.equal(confirmed.status, 200);
+        assert.equal(confirmed.body.registrationId, order.registrationId);
+        assert.equal(registration().paymentStatus, 'Confirmed');
+        assert.equal(registration().transactionId, payment.id);
+        assert.equal(t.db.dump().confirmedPayments[order.registrationId].orderId, order.orderId);
+        assert.deepEqual(t.sentMail.map(mail => mail.to), [participant.email, t.env.EMAIL_USER]);
+
+        const [invoice] = t.sentMail[0].attachments;
+        const { invoiceNumber } = t.db.dump().invoices[order.registrationId];
+        assert.equal(invoice.filename, `${invoiceNumber}.pdf`);
+        assert.equal(Buffer.from(invoice.content, 'base64').subarray(0, 5).toString(), '%PDF-');
+
+        // Downloadable again by the registrant once their email is verified
+        const path = `/api/user/registrations/${order.registrationId}/invoice`;
+        const user = await t.signIn(participant.email);
+        assert.equal((await t.request('GET', path, { token: user.token })).status, 404);
+        await t.auth.updateUser(user.uid, { emailVerified: true });
+        const download = await t.request('GET', path, { token: user.token });
+        assert.equal(download.status, 200);
+        assert.equal(download.headers.get('content-type'), 'application/pdf');
+
+        // Razorpay's own notification of the same payment must not email again
+        await t.sendWebhook('payment.captured', { payment: { entity: payment } });
+        assert.equal(t.sentMail.length, 2);
+    });
+
+    it('confirms once when the checkout callback and the webhook arrive together', async () => {
+        const order = await placeOrder();
+        const payment = t.razorpay.simulatePayment(order.orderId);
+
+        const [confirmed, webhook] = await Promise.all([
+            t.request('POST', '/api/confirm-payment', { body: { ...participant, ...t.checkoutResponse(order.orderId, payment.id) } }),
+            t.sendWebhook('payment.captured', { payment: { entity: payment } })
+        ]);
+
+        assert.deepEqual([confirmed.status, webhook.status], [200, 200]);
+        assert.deepEqual(t.sentMail.map(mail => mail.to), [participant.email, t.env.EMAIL_USER]);
+        assert.equal(t.sentMail[0].attachments.filter(attachment => attachment.filename.endsWith('.pdf')).length, 1);
+        assert.equal(registration().confirmedPaymentId, payment.id);
+    });
+
+    it('rejects a forged signature without confirming or emailing', async () => {
+        const order = await placeOrder();
+        const payment = t.razorpay.simulatePayment(order.orderId);
+
+        const forged = await t.request('POST', '/api/confirm-payment', {
+            body: { ...participant, ...t.checkoutResponse(order.orderId, payment.id, 'guessed-secret') }
+        });
+        assert.equal(forged.status, 400);
+
+        const incomplete = await t.request('POST', '/api/confirm-payment', {
+            body: { ...participant, razorpay_order_id: order.orderId }
+        });
+        assert.equal(incomplete.status, 400);
+
+        assert.notEqual(registration().paymentStatus, 'Confirmed');
+        assert.equal(t.db.dump().confirmedPayments, undefined);
+        assert.equal(t.sentMail.length, 0);
+    });
+
+    it('keeps one registration per event and a history across events', async () => {
+        await t.db.ref('events/ev2').set({ ...TEST_EVENT, title: 'Purpose Retreat', price: 150 });
+
+        const started = await t.request('POST', '/api/user/registrations', { body: participant });
+        const first = await placeOrder({ fullName: 'Asha R' });
+        assert.equal(first.registrationId, started.body.registrationId);
+
+        const payment = t.razorpay.simulatePayment(first.orderId);
+        await t.request('POST', '/api/confirm-payment', { body: { ...participant, ...t.checkoutResponse(first.orderId, payment.id) } });
+
+        const again = await t.request('POST', '/api/create-payment-order', { body: participant });
+        assert.equal(again.status, 409);
+
+        const second = await placeOrder({ eventId: 'ev2' });
+        assert.notEqual(second.registrationId, first.registrationId);
+
+        const registrations = t.db.dump().registrations;
+        assert.equal(registrations[first.registrationId].paymentStatus, 'Confirmed');
+        assert.equal(registrations[second.registrationId].orderAmount, 150);
+
+        const unverified = await t.signIn('asha@example.com');
+        assert.equal((await t.request('GET', '/api/user/registrations', { token: unverified.token })).status, 403);
+
+        await t.auth.updateUser(unverified.uid, { emailVerified: true });
+        const history = await t.request('GET', '/api/user/registrations', { token: unverified.token });
+        assert.equal(history.status, 200);
+        assert.deepEqual(
+            history.body.registrations.map(entry => [entry.eventTitle, entry.paymentStatus || null]).sort(),
+            [['Clarity Workshop', 'Confirmed'], ['Purpose Retreat', null]]
+        );
+    });
+
+    it('reports payment status by order id', async () => {
+        const order = await placeOrder();
+
+        assert.equal((await t.request('GET', '/api/check-payment')).status, 400);
+        assert.equal((await t.request('GET', '/api/check-payment?reference_id=order_unknown')).status, 404);
+
+        const pending = await t.request('GET', `/api/check-payment?reference_id=${order.orderId}`);
+        assert.equal(pending.body.success, false);
+        assert.equal(pending.body.status, 'PENDING');
+
+        const payment = t.razorpay.simulatePayment(order.orderId);
+        await t.sendWebhook('payment.captured', { payment: { entity: payment } });
+
+        const paid = await t.request('GET', `/api/check-payment?reference_id=${order.orderId}`);
+        assert.equal(paid.body.success, true);
+        assert.equal(paid.body.status, 'Confirmed');
+    });
+});
+
+describe('Razorpay webhooks', () => {
+    let t;
+    let order;
+
+    beforeEach(async () => {
+        t = await startTestApp();
+        order = (await t.request('POST', '/api/create-payment-order', { body: participant })).body;
+    });
+    afterEach(() => t.close());
+
+    const registration = () => onlyRegistration(t.db.dump())[1];
+    const webhookLog = () => t.db.dump().webhookEvents || {};
+
+    it('payment.captured confirms the registration and sends the confirmation', async () => {
+        const payment = t.razorpay.simulatePayment(order.orderId);
+        const response = await t.sendWebhook('payment.captured', { payment: { entity: payment } }, { eventId: 'evt_captured' });
+
+        assert.deepEqual(response.body, { success: true, duplicate: false });
+        assert.equal(registration().paymentStatus, 'Confirmed');
+        assert.equal(t.sentMail.length, 2);
+        assert.equal(webhookLog().evt_captured.status, 'processed');
+    });
+
+    it('payment.authorized records the intermediate state', async () => {
+        const payment = t.razorpay.simulatePayment(order.orderId, { status: 'authorized' });
+        await t.sendWebhook('payment.authorized', { payment: { entity: payment } });
+
+        assert.equal(registration().paymentStatus, 'Authorized');
+        assert.equal(t.db.dump().users[USER_KEY].registrations[order.registrationId].paymentStatus, 'Authorized');
+    });
+
+    it('payment.failed records the reason but never downgrades a confirmed payment', async () => {
+        const failed = t.razorpay.simulatePayment(order.orderId, { status: 'failed' });
+        await t.sendWebhook('payment.failed', { payment: { entity: failed } });
+
+        assert.equal(registration().paymentStatus, 'Failed');
+        assert.equal(registration().paymentFailureReason, 'Payment was declined by the bank');
+
+        const captured = t.razorpay.simulatePayment(order.orderId);
+        await t.sendWebhook('payment.captured', { payment: { entity: captured } });
+        await t.sendWebhook('payment.failed', { payment: { entity: failed } });
+
+        assert.equal(registration().paymentStatus, 'Confirmed');
+    });
+
+    it('refund.created, refund.processed and refund.failed update the refund and email on each change', async () => {
+        const payment = t.razorpay.simulatePayment(order.orderId);
+        await t.sendWebhook('payment.captured', { payment: { entity: payment } });
+        const refund = await t.razorpay.payments.refund(payment.id, { amount: 4900 });
+
+        await t.sendWebhook('refund.created', { refund: { entity: refund } });
+        assert.equal(registration().refundStatus, 'Pending');
+        assert.equal(registration().pendingRefundAmount, 49);
+
+        await t.sendWebhook('refund.processed', { refund: { entity: { ...refund, status: 'processed' } } });
+        assert.equal(registration().paymentStatus, 'Partially Refunded');
+        assert.equal(registration().refundedAmount, 49);
+
+        const second = await t.razorpay.payments.refund(payment.id, { amount: 5000 });
+        await t.sendWebhook('refund.failed', { refund: { entity: { ...second, status: 'failed' } } });
+        assert.equal(registration().refunds[second.id].status, 'failed');
+
+        const refundMail = t.sentMail.filter(mail => /refund/i.test(mail.subject));
+        assert.equal(refundMail.length, 3);
+        assert.ok(refundMail.every(mail => mail.from === t.env.EMAIL_USER));
+    });
+
+    it('never moves a settled refund back to pending and emails each status once', async () => {
+        const payment = t.razorpay.simulatePayment(order.orderId);
+        await t.sendWebhook('payment.captured', { payment: { entity: payment } });
+        const refund = await t.razorpay.payments.refund(payment.id);
+
+        // The admin route and refund.created both report the new refund at once
+        await Promise.all([
+            t.sendWebhook('refund.created', { refund: { entity: refund } }, { eventId: 'evt_created_1' }),
+            t.sendWebhook('refund.created', { refund: { entity: refund } }, { eventId: 'evt_created_2' })
+        ]);
+        await t.sendWebhook('refund.processed', { refund: { entity: { ...refund, status: 'processed' } } });
+        await t.sendWebhook('refund.created', { refund: { entity: refund } }, { eventId: 'evt_created_late' });
+
+        assert.equal(registration().refunds[refund.id].status, 'processed');
+        assert.equal(registration().paymentStatus, 'Refunded');
+        assert.deepEqual(t.sentMail.filter(mail => /refund/i.test(mail.subject)).map(mail => mail.subject), [
+            'Your refund of ₹99 has been initiated',
+            'Your refund of ₹99 has been processed'
+        ]);
+    });
+
+    it('processes a redelivered event only once', async () => {
+        const payment = t.razorpay.simulatePayment(order.orderId);
+
+        const first = await t.sendWebhook('payment.captured', { payment: { entity: payment } }, { eventId: 'evt_same' });
+        const again = await t.sendWebhook('payment.captured', { payment: { entity: payment } }, { eventId: 'evt_same' });
+
+        assert.equal(first.body.duplicate, false);
+        assert.equal(again.body.duplicate, true);
+        assert.equal(t.sentMail.length, 2);
+    });
+
+    it('rejects unsigned or badly signed webhooks and logs them', async () => {
+        const payment = t.razorpay.simulatePayment(order.orderId);
+        const response = await t.sendWebhook('payment.captured', { payment: { entity: payment } }, { secret: 'wrong' });
+
+        assert.equal(response.status, 401);
+        assert.notEqual(registration().paymentStatus, 'Confirmed');
+        assert.equal(Object.keys(t.db.dump().webhookRejections).length, 1);
+
+        const unsigned = await t.request('POST', '/api/inspiringshereen-webhook', {
+            rawBody: JSON.stringify({ event: 'payment.captured', payload: { payment: { entity: payment } } })
+        });
+        assert.equal(unsigned.status, 401);
+        assert.equal(Object.keys(t.db.dump().webhookRejections).length, 2);
+    });
+
+    it('rejects every webhook while RAZORPAY_WEBHOOK_SECRET is not set', async () => {
+        const unconfigured = await startTestApp({ env: { RAZORPAY_WEBHOOK_SECRET: '' } });
+        try {
+            const pending = (await unconfigured.request('POST', '/api/create-payment-order', { body: participant })).body;
+            const payment = unconfigured.razorpay.simulatePayment(pending.orderId);
+
+            // Signed with the empty secret, which must not count as signed
+            const response = await unconfigured.sendWebhook('payment.captured', { payment: { entity: payment } });
+
+            assert.equal(response.status, 401);
+            assert.notEqual(onlyRegistration(unconfigured.db.dump())[1].paymentStatus, 'Confirmed');
+            assert.equal(Object.values(unconfigured.db.dump().webhookRejections)[0].error, 'RAZORPAY_WEBHOOK_SECRET is not configured');
+        } finally {
+            await unconfigured.close();
+        }
+    });
+
+    it('acknowledges events it does not handle', async () => {
+        const response = await t.sendWebhook('order.paid', { order: { entity: { id: order.orderId } } }, { eventId: 'evt_order' });
+
+        assert.equal(response.status, 200);
+        assert.equal(webhookLog().evt_order.status, 'processed');
+    });
+});
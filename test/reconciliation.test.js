@@ -0,0 +1,185 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { reconcilePayments } = require('../lib/reconciliation');
+const { emailKey } = require('../lib/coupons');
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const { registrantKey } = require('../lib/repositories');
+const { createFakeRazorpay } = require('./support/fakeRazorpay');
+
+const NOW = new Date('2025-04-18T12:00:00.000Z');
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+describe('reconcilePayments', () => {
+    let db;
+    let razorpay;
+    let confirmed;
+
+    const confirmPayment = async (id, registration, orderId, paymentId) => {
+        confirmed.push({ id, orderId, paymentId });
+        await db.ref(`registrations/${id}`).update({ paymentStatus: 'Confirmed', transactionId: paymentId });
+        return true;
+    };
+
+    const run = () => reconcilePayments({ db, razorpay, confirmPayment, now: NOW });
+
+    const addPendingOrder = async (id, { amount = 9900, placedHoursAgo = 2, extra = {} } = {}) => {
+        const order = await razorpay.orders.create({ amount, currency: 'INR', receipt: `rcpt_${id}` });
+        await db.ref(`registrations/${id}`).set({
+            email: `${id}@example.com`,
+            userKey: registrantKey(`${id}@example.com`),
+            orderId: order.id,
+            orderAmount: amount / 100,
+            orderStatus: 'created',
+            orderTimestamp: hoursAgo(placedHoursAgo),
+            ...extra
+        });
+        return order;
+    };
+
+    beforeEach(() => {
+        db = createMemoryDatabase();
+        razorpay = createFakeRazorpay();
+        confirmed = [];
+    });
+
+    it('confirms orders that were paid in Razorpay but never confirmed here', async () => {
+        const order = await addPendingOrder('alice');
+        const payment = razorpay.simulatePayment(order.id);
+
+        const report = await run();
+
+        assert.deepEqual(confirmed, [{ id: 'alice', orderId: order.id, paymentId: payment.id }]);
+        assert.equal(report.mismatches.paidNotConfirmed.length, 1);
+        assert.equal(report.fixed[0].action, 'confirmed');
+    });
+
+    it('leaves recent pending orders alone', async () => {
+        const order = await addPendingOrder('bob', { placedHoursAgo: 0.1 });
+        razorpay.simulatePayment(order.id);
+
+        const report = await run();
+
+        assert.equal(report.checked, 0);
+        assert.deepEqual(confirmed, []);
+    });
+
+    it('reports an amount mismatch instead of confirming', async () => {
+        const order = await addPendingOrder('carol');
+        razorpay.simulatePayment(order.id, { amount: 5000 });
+
+        const report = await run();
+
+        assert.deepEqual(confirmed, []);
+        assert.equal(report.mismatches.amountMismatch.length, 1);
+        assert.equal(report.mismatches.amountMismatch[0].razorpayAmount, 50);
+    });
+
+    it('expires old orders with no payment attempts and releases their coupon', async () => {
+        const order = await addPendingOrder('dave', { placedHoursAgo: 30, extra: { couponCode: 'EARLY' } });
+        await db.ref('coupons/EARLY').set({ type: 'percentage', value: 10, active: true, usedCount: 1 });
+        await db.ref(`couponUsage/EARLY/${emailKey('dave@example.com')}`).set(1);
+        await db.ref(`couponRedemptions/EARLY/${order.id}`).set({ email: 'dave@example.com', status: 'reserved' });
+
+        const report = await run();
+
+        assert.equal(report.expired.length, 1);
+        const data = db.dump();
+        assert.equal(data.registrations.dave.orderStatus, 'expired');
+        assert.equal(data.users[registrantKey('dave@example.com')].registrations.dave.orderStatus, 'expired');
+        assert.equal(data.coupons.EARLY.usedCount, 0);
+        assert.equal(data.couponRedemptions.EARLY[order.id].status, 'released');
+    });
+
+    it('expires old orders whose payment attempts all failed, but not authorized ones', async () => {
+        const failed = await addPendingOrder('frank', { placedHoursAgo: 30, extra: { couponCode: 'EARLY' } });
+        razorpay.simulatePayment(failed.id, { status: 'failed' });
+        razorpay.simulatePayment(failed.id, { status: 'failed' });
+        const authorized = await addPendingOrder('grace', { placedHoursAgo: 30 });
+        razorpay.simulatePayment(authorized.id, { status: 'authorized' });
+        await db.ref('coupons/EARLY').set({ type: 'percentage', value: 10, active: true, usedCount: 1 });
+        await db.ref(`couponRedemptions/EARLY/${failed.id}`).set({ email: 'frank@example.com', status: 'reserved' });
+
+        const report = await run();
+
+        assert.deepEqual(report.expired.map(entry => entry.registrationId), ['frank']);
+        const data = db.dump();
+        assert.equal(data.registrations.grace.orderStatus, 'created');
+        assert.equal(data.coupons.EARLY.usedCount, 0);
+        assert.equal(data.couponRedemptions.EARLY[failed.id].status, 'released');
+    });
+
+    it('reports confirmed registrations whose payment is missing in Razorpay', async () => {
+        await db.ref('registrations/erin').set({
+            email: 'erin@example.com',
+            orderId: 'order_unknown',
+            orderAmount: 99,
+            paymentStatus: 'Confirmed',
+            transactionId: 'pay_unknown'
+        });
+
+        const report = await run();
+
+        assert.equal(report.mismatches.confirmedMissingInRazorpay.length, 1);
+        assert.equal(report.mismatches.confirmedMissingInRazorpay[0].paymentId, 'pay_unknown');
+        assert.equal(db.dump().registrations.erin.paymentVerifiedAt, undefined);
+    });
+
+    it('verifies confirmed payments and restores a missing confirmedPayments entry', async () => {
+        const order = await razorpay.orders.create({ amount: 9900, currency: 'INR' });
+        const payment = razorpay.simulatePayment(order.id);
+        await db.ref('registrations/frank').set({
+            email: 'frank@example.com',
+            orderId: order.id,
+            orderAmount: 99,
+            orderStatus: 'paid',
+            paymentStatus: 'Confirmed',
+            transactionId: payment.id
+        });
+
+        const report = await run();
+        const data = db.dump();
+
+        assert.equal(report.fixed[0].action, 'restoredConfirmedPayment');
+        assert.equal(data.confirmedPayments.frank.paymentId, payment.id);
+        assert.equal(data.registrations.frank.paymentVerifiedAt, NOW.toISOString());
+
+        // Verified registrations are not fetched again on the next run
+        const second = await run();
+        assert.equal(second.checked, 0);
+    });
+
+    it('reports a confirmed payment whose amount differs from the order', async () => {
+        const order = await razorpay.orders.create({ amount: 9900, currency: 'INR' });
+        const payment = razorpay.simulatePayment(order.id, { amount: 100 });
+        await db.ref('registrations/gina').set({
+            email: 'gina@example.com',
+            orderId: order.id,
+            orderAmount: 99,
+            paymentStatus: 'Confirmed',
+            transactionId: payment.id
+        });
+
+        const report = await run();
+
+        assert.equal(report.mismatches.amountMismatch.length, 1);
+        assert.equal(report.mismatches.amountMismatch[0].source, 'confirmedPayment');
+    });
+
+    it('records Razorpay errors per registration without aborting the run', async () => {
+        await addPendingOrder('henry');
+        await db.ref('registrations/ivy').set({
+            email: 'ivy@example.com',
+            orderId: 'order_missing',
+            orderAmount: 99,
+            orderStatus: 'created',
+            orderTimestamp: hoursAgo(2)
+        });
+
+        const report = await run();
+
+        assert.equal(report.checked, 2);
+        assert.equal(report.errors.length, 1);
+        assert.equal(report.errors[0].registrationId, 'ivy');
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const { registrantKey } = require('../lib/repositories');
+const { refundStatusFromEvent, refundableAmount, applyRefundUpdate, notifyRefund } = require('../lib/refunds');
+
+const registration = {
+    email: 'asha@example.com',
+    fullName: 'Asha Rao',
+    eventTitle: 'Clarity Workshop',
+    userKey: registrantKey('asha@example.com'),
+    orderAmount: 999,
+    orderCurrency: 'INR',
+    paymentStatus: 'Confirmed',
+    transactionId: 'pay_1'
+};
+const refundEntity = (status, notes = {}) => ({ id: 'rfnd_1', payment_id: 'pay_1', amount: 20000, currency: 'INR', status, notes });
+
+describe('refunds', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createMemoryDatabase({ registrations: { r1: registration }, confirmedPayments: { r1: { paymentId: 'pay_1' } } });
+    });
+
+    it('read the refund status off each webhook and count only refunds that can still go through', () => {
+        assert.equal(refundStatusFromEvent('refund.created', { status: 'pending' }), 'pending');
+        assert.equal(refundStatusFromEvent('refund.created', { status: 'processed' }), 'processed');
+        assert.equal(refundStatusFromEvent('refund.processed', {}), 'processed');
+        assert.equal(refundStatusFromEvent('refund.failed', {}), 'failed');
+
+        const refunds = { a: { amount: 200, status: 'processed' }, b: { amount: 100, status: 'pending' }, c: { amount: 500, status: 'failed' } };
+        assert.equal(refundableAmount({ ...registration, refunds }), 699);
+        assert.equal(refundableAmount({ ...registration, refunds: { a: { amount: 999.5, status: 'processed' } } }), 0);
+    });
+
+    it('never move a settled refund back to pending when refund.created arrives late', async () => {
+        await applyRefundUpdate(db, 'r1', registration, refundEntity('processed'), 'processed');
+        const late = await applyRefundUpdate(db, 'r1', registration, refundEntity('pending'), 'pending');
+
+        assert.equal(late.refund.status, 'processed');
+        const { registrations, confirmedPayments, users } = db.dump();
+        assert.deepEqual(
+            [registrations.r1.paymentStatus, registrations.r1.refundedAmount, registrations.r1.refundStatus],
+            ['Partially Refunded', 200, 'Processed']
+        );
+        assert.equal(confirmedPayments.r1.paymentStatus, 'Partially Refunded');
+        assert.equal(users[registration.userKey].registrations.r1.refunds.rfnd_1.status, 'processed');
+    });
+
+    it('keep one record when the admin route and the webhook report a refund together', async () => {
+        await Promise.all([
+            applyRefundUpdate(db, 'r1', registration, refundEntity('pending', { requestedBy: 'admin-uid', reason: 'Cannot attend' }), 'pending'),
+            applyRefundUpdate(db, 'r1', registration, refundEntity('pending'), 'pending')
+        ]);
+
+        const { refunds } = db.dump().registrations.r1;
+        assert.deepEqual(Object.keys(refunds), ['rfnd_1']);
+        assert.deepEqual([refunds.rfnd_1.createdBy, refunds.rfnd_1.reason], ['admin-uid', 'Cannot attend']);
+        assert.equal(db.dump().registrations.r1.pendingRefundAmount, 200);
+    });
+
+    it('email each refund status once', async () => {
+        const sent = [];
+        const mailer = { db, transporter: { sendMail: async (mail) => { sent.push(mail); return { messageId: `m${sent.length}` }; } } };
+        const { refund } = await applyRefundUpdate(db, 'r1', registration, refundEntity('pending'), 'pending');
+
+        const claims = await Promise.all([
+            notifyRefund(mailer, 'r1', registration, refund, 'team@inspiringshereen.test'),
+            notifyRefund(mailer, 'r1', registration, refund, 'team@inspiringshereen.test')
+        ]);
+        assert.deepEqual(claims.sort(), [false, true]);
+        assert.equal(sent.length, 1);
+        assert.deepEqual([sent[0].from, sent[0].to], ['team@inspiringshereen.test', 'asha@example.com']);
+        assert.match(sent[0].subject, /refund of ₹200 has been initiated/);
+    });
+});
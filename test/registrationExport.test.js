@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseExportQuery, filterRegistrations, csvEscape } = require('../lib/registrationExport');
+
+describe('registration export', () => {
+    const registrations = [
+        { id: 'a', eventId: 'evt1', paymentStatus: 'Confirmed', timestamp: '2025-04-01T10:00:00.000Z' },
+        { id: 'b', eventId: 'evt1', timestamp: '2025-04-05T10:00:00.000Z' },
+        { id: 'c', eventId: 'evt2', paymentStatus: 'Failed', timestamp: '2025-04-10T10:00:00.000Z' }
+    ];
+
+    it('validates format, columns and dates', () => {
+        const { errors } = parseExportQuery({ format: 'pdf', columns: 'email,secret', from: 'yesterday' });
+
+        assert.deepEqual(errors, [
+            'format must be one of csv, xlsx',
+            'Unknown columns: secret',
+            'from must be an ISO 8601 date'
+        ]);
+    });
+
+    it('filters by payment status, event and date range', () => {
+        const ids = (query) => filterRegistrations(registrations, parseExportQuery(query).filters).map(r => r.id);
+
+        assert.deepEqual(ids({ paymentStatus: 'confirmed' }), ['a']);
+        assert.deepEqual(ids({ paymentStatus: 'Pending' }), ['b']);
+        assert.deepEqual(ids({ eventId: 'evt1' }), ['a', 'b']);
+        assert.deepEqual(ids({ from: '2025-04-02', to: '2025-04-30' }), ['b', 'c']);
+    });
+
+    it('escapes CSV cells and neutralises formulas but not phone numbers', () => {
+        assert.equal(csvEscape('Shereen, "Coach"'), '"Shereen, ""Coach"""');
+        assert.equal(csvEscape('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+        assert.equal(csvEscape('+91 99516 11674'), '+91 99516 11674');
+        assert.equal(csvEscape(undefined), '');
+    });
+
+    it('leaves push ids alone but still neutralises formulas starting with "-"', () => {
+        assert.equal(csvEscape('-OAbc123XYZ_def'), '-OAbc123XYZ_def');
+        assert.equal(csvEscape('-2+3+cmd|\' /C calc\'!A0'), '\'-2+3+cmd|\' /C calc\'!A0');
+        assert.equal(csvEscape('-SUM(A1:A9)'), '\'-SUM(A1:A9)');
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const { createRepositories, registrantKey } = require('../lib/repositories');
+const { migrateRegistrations } = require('../lib/registrationMigration');
+
+// The layout from before registration ids: everything keyed by the email
+// with non-word characters replaced by "_"
+const legacyData = () => ({
+    registrations: {
+        asha_example_com: {
+            uid: 'asha_example_com',
+            email: 'Asha@Example.com',
+            fullName: 'Asha Rao',
+            eventId: 'ev1',
+            orderId: 'order_1',
+            paymentStatus: 'Confirmed',
+            transactionId: 'pay_1'
+        },
+        ravi_example_com: { email: 'ravi@example.com', eventId: 'ev1', orderId: 'order_2' }
+    },
+    users: {
+        asha_example_com: { registration: { email: 'Asha@Example.com', paymentStatus: 'Confirmed' } },
+        meera_example_com: { registration: { email: 'meera@example.com', eventId: 'ev1' } },
+        nobody_example_com: { registration: { eventId: 'ev1' } },
+        authUid123: { fullName: 'Coach', email: 'coach@example.com' }
+    },
+    confirmedPayments: { asha_example_com: { paymentId: 'pay_1', orderId: 'order_1' } },
+    reminderLog: { ev1: { '24h': { asha_example_com: { status: 'sent' } } } },
+    analyticsCache: { all: { computedAt: '2030-01-01T00:00:00.000Z' } }
+});
+
+describe('registration id migration', () => {
+    it('moves email-keyed registrations and everything keyed by them to new ids', async () => {
+        const db = createMemoryDatabase(legacyData());
+
+        const summary = await migrateRegistrations(db);
+
+        assert.equal(summary.scanned, 4);
+        assert.equal(summary.migrated.length, 3);
+        assert.deepEqual(summary.skipped, [{ legacyKey: 'nobody_example_com', reason: 'Registration has no email address' }]);
+
+        const data = db.dump();
+        const ids = Object.fromEntries(summary.migrated.map(({ legacyKey, id }) => [legacyKey, id]));
+        const asha = data.registrations[ids.asha_example_com];
+
+        assert.deepEqual(Object.keys(data.registrations).sort(), Object.values(ids).sort());
+        assert.equal(asha.email, 'asha@example.com');
+        assert.equal(asha.uid, undefined);
+        assert.equal(asha.legacyKey, 'asha_example_com');
+        assert.deepEqual(data.users[registrantKey('asha@example.com')].registrations[ids.asha_example_com], asha);
+        assert.equal(data.registrations[ids.meera_example_com].eventId, 'ev1');
+        assert.deepEqual(data.confirmedPayments, { [ids.asha_example_com]: { paymentId: 'pay_1', orderId: 'order_1' } });
+        assert.deepEqual(data.reminderLog.ev1['24h'], { [ids.asha_example_com]: { status: 'sent' } });
+        assert.equal(data.users.asha_example_com, undefined);
+        assert.deepEqual(data.users.authUid123, { fullName: 'Coach', email: 'coach@example.com' });
+        assert.equal(data.analyticsCache, undefined);
+
+        // Lookups by order and by email work on the moved records
+        const { registrations } = createRepositories(db);
+        assert.equal((await registrations.findByOrderId('order_1')).id, ids.asha_example_com);
+        assert.equal((await registrations.findCurrent('ravi@example.com', 'ev1')).id, ids.ravi_example_com);
+
+        // A second run finds nothing left to move
+        const again = await migrateRegistrations(db);
+        assert.equal(again.migrated.length, 0);
+    });
+
+    it('writes nothing on a dry run', async () => {
+        const db = createMemoryDatabase(legacyData());
+
+        const summary = await migrateRegistrations(db, { dryRun: true });
+
+        assert.equal(summary.migrated.length, 3);
+        assert.deepEqual(db.dump(), createMemoryDatabase(legacyData()).dump());
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseOffsets, dueOffset, sendDueReminders } = require('../lib/reminders');
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const { createWhatsAppProvider, createNotifier, savePreferences } = require('../lib/notifications');
+
+const START = new Date('2025-04-19T06:00:00.000Z');
+const before = (hours) => new Date(START.getTime() - hours * 60 * 60 * 1000);
+
+describe('event reminders', () => {
+    let db;
+    let sent;
+    let whatsapp;
+    const offsets = parseOffsets('24h,1h');
+    const transporter = { sendMail: async (mail) => { sent.push(mail); return { messageId: `m${sent.length}` }; } };
+
+    const run = (now) => sendDueReminders({
+        db,
+        notifier: createNotifier({ db, mailer: { db, transporter }, whatsapp, env: {} }),
+        offsets,
+        from: 'team@inspiringshereen.test',
+        now
+    });
+
+    beforeEach(async () => {
+        db = createMemoryDatabase();
+        sent = [];
+        whatsapp = createWhatsAppProvider({ WHATSAPP_PROVIDER: 'stub' });
+        await db.ref('events/evt1').set({
+            title: 'Masterclass',
+            startsAt: START.toISOString(),
+            timezone: 'Asia/Kolkata',
+            price: 99,
+            currency: 'INR',
+            meetingLink: 'https://zoom.us/j/123',
+            status: 'published'
+        });
+        await db.ref('registrations').set({
+            paid: { email: 'paid@example.com', fullName: 'Paid', phone: '+919876543210', eventId: 'evt1', paymentStatus: 'Confirmed' },
+            unpaid: { email: 'unpaid@example.com', fullName: 'Unpaid', eventId: 'evt1', orderStatus: 'created' },
+            other: { email: 'other@example.com', fullName: 'Other', eventId: 'evt2', paymentStatus: 'Confirmed' }
+        });
+    });
+
+    it('parses offsets largest first and rejects bad values', () => {
+        assert.deepEqual(parseOffsets('1h, 2d ,30m').map(offset => offset.label), ['2d', '1h', '30m']);
+        assert.throws(() => parseOffsets('tomorrow'), /Invalid reminder offset/);
+    });
+
+    it('picks the open window closest to the start', () => {
+        const event = { startsAt: START.toISOString() };
+        assert.equal(dueOffset(event, offsets, before(30)), null);
+        assert.equal(dueOffset(event, offsets, before(23)).label, '24h');
+        assert.equal(dueOffset(event, offsets, before(0.5)).label, '1h');
+        assert.equal(dueOffset(event, offsets, START), null);
+    });
+
+    it('sends each reminder once, only to confirmed participants, with the meeting link', async () => {
+        const first = await run(before(23));
+        const second = await run(before(22));
+
+        assert.equal(first.queued, 1);
+        assert.equal(second.queued, 0);
+        assert.equal(second.skipped, 1);
+        assert.equal(sent.length, 1);
+        assert.deepEqual([sent[0].from, sent[0].to], ['team@inspiringshereen.test', 'paid@example.com']);
+        assert.match(sent[0].subject, /starts in 23 hours/);
+        assert.match(sent[0].html, /https:\/\/zoom\.us\/j\/123/);
+
+        await run(before(0.5));
+        assert.equal(sent.length, 2);
+        assert.match(sent[1].subject, /starts in 30 minutes/);
+        assert.equal(db.dump().reminderLog.evt1['1h'].paid.status, 'queued');
+    });
+
+    it('sends reminders on the channels each participant chose', async () => {
+        await savePreferences(db, 'paid@example.com', { whatsapp: true });
+        await run(before(23));
+        assert.equal(sent.length, 1);
+        assert.deepEqual(whatsapp.sent[0], {
+            to: '919876543210',
+            name: 'event_reminder',
+            language: 'en',
+            parameters: ['Paid', 'Masterclass', '23 hours', '11:30 am IST', 'https://zoom.us/j/123']
+        });
+        assert.equal(Object.values(db.dump().whatsappMessages)[0].status, 'sent');
+
+        await savePreferences(db, 'paid@example.com', { email: false });
+        await run(before(0.5));
+        assert.equal(sent.length, 1, 'no email once they turned email off');
+        assert.equal(whatsapp.sent.length, 2);
+        assert.ok(db.dump().reminderLog.evt1['1h'].paid.whatsappMessageId);
+        assert.equal(whatsapp.sent[1].parameters[4], 'https://zoom.us/j/123');
+    });
+
+    it('gives the venue in WhatsApp reminders for in-person events', async () => {
+        await db.ref('events/evt1').update({ meetingLink: null, venue: 'Banjara Hills Studio' });
+        await savePreferences(db, 'paid@example.com', { whatsapp: true });
+        await run(before(23));
+
+        assert.equal(whatsapp.sent[0].parameters[4], 'Banjara Hills Studio');
+    });
+});
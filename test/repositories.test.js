@@ -0,0 +1,135 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createRepositories, registrantKey } = require('../lib/repositories');
+const { createMemoryDatabase, createFileDatabase } = require('../lib/memoryDatabase');
+const { createLocalAuth } = require('../lib/localAuth');
+const { createDataBackend } = require('../lib/dataBackend');
+
+describe('repositories', () => {
+    it('find registrations by order and payment id and mirror payment state to the user copy', async () => {
+        const db = createMemoryDatabase();
+        const { registrations, users, payments } = createRepositories(db);
+
+        const id = await registrations.create({ email: 'a@example.com', eventId: 'ev1', orderId: 'order_1' });
+        await registrations.updateAndMirror(id, { paymentStatus: 'Confirmed', transactionId: 'pay_1' });
+        await payments.saveConfirmed(id, { paymentId: 'pay_1', orderId: 'order_1' });
+
+        assert.equal((await registrations.findByOrderId('order_1')).id, id);
+        assert.equal((await registrations.findByPaymentId('pay_1')).registration.paymentStatus, 'Confirmed');
+        assert.equal(await registrations.findByOrderId('order_missing'), null);
+        assert.equal((await users.listRegistrations(registrantKey('a@example.com')))[0].paymentStatus, 'Confirmed');
+        assert.equal((await payments.getConfirmed(id)).paymentId, 'pay_1');
+
+        const { createdAt } = await registrations.get(id);
+        assert.ok(createdAt);
+        await registrations.updateAndMirror(id, { timestamp: '2099-01-01T00:00:00.000Z' });
+        assert.equal((await registrations.get(id)).createdAt, createdAt);
+    });
+
+    it('let exactly one caller claim a registration\'s confirmation, and a released claim be made again', async () => {
+        const db = createMemoryDatabase();
+        const { registrations } = createRepositories(db);
+        const id = await registrations.create({ email: 'a@example.com', eventId: 'ev1', orderId: 'order_1' });
+
+        // The checkout callback and the webhook arriving together
+        const claims = await Promise.all([
+            registrations.claimConfirmation(id, 'pay_1'),
+            registrations.claimConfirmation(id, 'pay_1'),
+            registrations.claimConfirmation(id, 'pay_2')
+        ]);
+        assert.deepEqual(claims, [true, false, false]);
+        assert.equal((await registrations.get(id)).confirmedPaymentId, 'pay_1');
+
+        await registrations.releaseConfirmation(id);
+        assert.equal(await registrations.claimConfirmation(id, 'pay_2'), true);
+        assert.equal(await registrations.claimConfirmation(id, 'pay_1'), false);
+    });
+
+    it('keep every registration an email has made and find the one still open for an event', async () => {
+        const { registrations } = createRepositories(createMemoryDatabase());
+
+        const refunded = await registrations.create({ email: 'a@example.com', eventId: 'ev1', timestamp: '2030-01-01T00:00:00.000Z' });
+        await registrations.update(refunded, { paymentStatus: 'Refunded' });
+        const open = await registrations.create({ email: 'a@example.com', eventId: 'ev1', timestamp: '2030-02-01T00:00:00.000Z' });
+        await registrations.create({ email: 'a@example.com', eventId: 'ev2', timestamp: '2030-03-01T00:00:00.000Z' });
+        await registrations.create({ email: 'b@example.com', eventId: 'ev1', timestamp: '2030-03-01T00:00:00.000Z' });
+
+        assert.notEqual(refunded, open);
+        assert.equal((await registrations.listByEmail(' A@example.com')).length, 3);
+        assert.equal((await registrations.findCurrent('a@example.com', 'ev1')).id, open);
+        assert.equal(await registrations.findCurrent('a@example.com', 'ev3'), null);
+    });
+
+    it('stores contact submissions with an id and timestamp', async () => {
+        const { contacts } = createRepositories(createMemoryDatabase());
+
+        const id = await contacts.create({ name: 'A', email: 'a@example.com', subject: 'Hi', message: 'Hello' });
+        const stored = await contacts.get(id);
+
+        assert.equal(stored.id, id);
+        assert.equal(stored.subject, 'Hi');
+        assert.ok(stored.createdAt);
+    });
+});
+
+describe('file database', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inspiringshereen-test-'));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('keeps its data across instances', async () => {
+        const filePath = path.join(dir, 'data.json');
+
+        const first = createFileDatabase(filePath);
+        await first.ref('registrations/a').set({ email: 'a@example.com' });
+        await first.ref('coupons/SAVE10/usedCount').transaction(count => (count || 0) + 1);
+
+        const second = createFileDatabase(filePath);
+        assert.deepEqual(second.dump(), { registrations: { a: { email: 'a@example.com' } }, coupons: { SAVE10: { usedCount: 1 } } });
+    });
+});
+
+describe('local auth', () => {
+    it('issues tokens that carry custom claims and rejects tampered ones', async () => {
+        const auth = createLocalAuth(createMemoryDatabase(), { secret: 'test-secret' });
+        const user = await auth.createUser({ email: 'Admin@Example.com', password: 'secret123', displayName: 'Admin' });
+        await auth.setCustomUserClaims(user.uid, { admin: true });
+
+        const token = await auth.createCustomToken(user.uid);
+        const decoded = await auth.verifyIdToken(token);
+
+        assert.equal(decoded.uid, user.uid);
+        assert.equal(decoded.admin, true);
+        assert.equal((await auth.getUserByEmail('admin@example.com')).uid, user.uid);
+
+        const forged = token.replace(/\.[^.]+$/, '.AAAA');
+        await assert.rejects(auth.verifyIdToken(forged), { code: 'auth/argument-error' });
+        await assert.rejects(auth.createUser({ email: 'admin@example.com' }), { code: 'auth/email-already-exists' });
+        await assert.rejects(auth.getUser('nobody'), { code: 'auth/user-not-found' });
+    });
+
+    it('pages users in uid order', async () => {
+        const auth = createLocalAuth(createMemoryDatabase());
+        for (const uid of ['c', 'a', 'b']) {
+            await auth.createUser({ uid, email: `${uid}@example.com` });
+        }
+
+        const first = await auth.listUsers(2);
+        const second = await auth.listUsers(2, first.pageToken);
+
+        assert.deepEqual(first.users.map(user => user.uid), ['a', 'b']);
+        assert.deepEqual(second.users.map(user => user.uid), ['c']);
+        assert.equal(second.pageToken, undefined);
+    });
+});
+
+describe('data backend', () => {
+    it('falls back to memory in development and refuses to in production', () => {
+        assert.equal(createDataBackend({}).kind, 'memory');
+        assert.throws(() => createDataBackend({ NODE_ENV: 'production' }), /service account/);
+        assert.throws(() => createDataBackend({ DATA_BACKEND: 'mongo' }), /DATA_BACKEND/);
+    });
+});
@@ -0,0 +1,222 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const {
+    holdSeat,
+    requestSeat,
+    takeSeat,
+    releaseExpiredHolds,
+    seatsLeft,
+    joinWaitlist,
+    processSeatHolds
+} = require('../lib/seats');
+const { TEST_EVENT, startTestApp } = require('./support/testApp');
+
+const MINUTE = 60 * 1000;
+const event = { id: 'ev1', ...TEST_EVENT, capacity: 2 };
+const at = minutes => new Date(Date.parse('2030-01-01T10:00:00.000Z') + minutes * MINUTE);
+
+// Like RTDB: the callback runs first on the locally cached value, often a
+// stale null, and only reruns on the real value if it returned one to write
+function staleFirst(db) {
+    return {
+        ref(path) {
+            const ref = db.ref(path);
+            return {
+                ...ref,
+                async transaction(updateFn) {
+                    const actual = (await ref.once('value')).val();
+                    const first = updateFn(null);
+
+                    if (first === undefined) {
+                        return { committed: false, snapshot: { val: () => null, exists: () => false } };
+                    }
+                    return actual === null ? ref.transaction(() => first) : ref.transaction(updateFn);
+                }
+            };
+        }
+    };
+}
+
+describe('seats', () => {
+    it('hold seats up to the capacity and free holds that run out', async () => {
+        const db = createMemoryDatabase();
+        const hold = (id, minutes) => holdSeat(db, event, id, { holdMs: 15 * MINUTE, now: at(minutes) });
+
+        assert.equal(await hold('r1', 0), true);
+        assert.equal(await hold('r2', 5), true);
+        assert.equal(await hold('r3', 5), false);
+        assert.equal(await hold('r1', 10), true, 'an existing hold is extended, not counted twice');
+        assert.equal(await seatsLeft(db, event, at(10)), 0);
+
+        await takeSeat(db, event, 'r2', at(12));
+
+        // r1's extended hold runs to 25, r2 has paid
+        assert.deepEqual(await releaseExpiredHolds(db, 'ev1', at(20)), []);
+        assert.deepEqual(await releaseExpiredHolds(db, 'ev1', at(26)), ['r1']);
+        assert.equal(await seatsLeft(db, event, at(26)), 1);
+        assert.equal(await hold('r3', 26), true);
+    });
+
+    it('keep and release holds when the database first reports a stale null', async () => {
+        const db = createMemoryDatabase();
+        const stale = staleFirst(db);
+        await holdSeat(db, event, 'r1', { holdMs: 15 * MINUTE, now: at(0) });
+
+        assert.equal(await holdSeat(stale, event, 'r1', { holdMs: 15 * MINUTE, extendOnly: true, now: at(5) }), true);
+        assert.equal(await holdSeat(stale, event, 'r2', { holdMs: 15 * MINUTE, extendOnly: true, now: at(5) }), false);
+        assert.deepEqual(await releaseExpiredHolds(stale, 'ev1', at(30)), ['r1']);
+        assert.equal(db.dump().seats, undefined);
+    });
+
+    it('record an overbooking when a payment arrives after its hold ran out', async () => {
+        const db = createMemoryDatabase();
+        await holdSeat(db, event, 'r1', { holdMs: 15 * MINUTE, now: at(0) });
+        await takeSeat(db, event, 'r2', at(1));
+        await takeSeat(db, event, 'r3', at(2));
+
+        assert.equal(await takeSeat(db, event, 'r1', at(20)), true);
+        assert.equal(db.dump().seats.ev1.r1.overbooked, true);
+        assert.equal(await takeSeat(db, { ...event, capacity: 5 }, 'r4', at(21)), false);
+    });
+
+    it('keep freed seats for the waitlist ahead of new sign-ups', async () => {
+        const db = createMemoryDatabase({ registrations: { w1: {}, w2: {} } });
+        const small = { ...event, capacity: 1 };
+
+        await takeSeat(db, small, 'r1', at(0));
+        assert.equal(await joinWaitlist(db, 'ev1', 'w1', { email: 'w1@example.com', fullName: 'W One', now: at(1) }), 1);
+        assert.equal(await joinWaitlist(db, 'ev1', 'w2', { email: 'w2@example.com', fullName: 'W Two', now: at(2) }), 2);
+        assert.equal(await joinWaitlist(db, 'ev1', 'w1', { email: 'w1@example.com', fullName: 'W One', now: at(3) }), 1);
+
+        await db.ref('seats/ev1/r1').remove();
+        assert.equal(await requestSeat(db, small, 'new', { holdMs: 15 * MINUTE, now: at(4) }), false);
+        assert.equal(await requestSeat(db, small, 'w2', { holdMs: 15 * MINUTE, now: at(4) }), false);
+        assert.equal(await requestSeat(db, small, 'w1', { holdMs: 15 * MINUTE, now: at(4) }), true);
+    });
+});
+
+describe('event capacity and the waitlist', () => {
+    let t;
+
+    const participant = (name) => ({
+        email: `${name}@example.com`,
+        fullName: `${name[0].toUpperCase()}${name.slice(1)} Rao`,
+        phone: '+919876543210',
+        eventId: 'ev1'
+    });
+    const order = who => t.request('POST', '/api/create-payment-order', { body: participant(who) });
+    const registration = id => t.db.dump().registrations[id];
+
+    beforeEach(async () => {
+        t = await startTestApp({ data: { events: { ev1: { ...TEST_EVENT, capacity: 1 } } } });
+    });
+    afterEach(() => t.close());
+
+    it('waitlists sign-ups for a full event and offers a refunded seat to the first in line', async () => {
+        const paid = (await order('asha')).body;
+        const full = await order('bina');
+        const next = await order('chitra');
+
+        assert.equal(full.status, 202);
+        assert.deepEqual([full.body.waitlisted, full.body.position, next.body.position], [true, 1, 2]);
+        assert.equal(registration(full.body.registrationId).waitlistStatus, 'waiting');
+        assert.equal(registration(full.body.registrationId).orderId, undefined);
+        assert.equal((await t.request('GET', '/api/events/ev1')).body.seatsLeft, 0);
+
+        const payment = t.razorpay.simulatePayment(paid.orderId);
+        await t.sendWebhook('payment.captured', { payment: { entity: payment } });
+        assert.equal(t.db.dump().seats.ev1[paid.registrationId].status, 'taken');
+
+        const refund = await t.razorpay.payments.refund(payment.id);
+        t.sentMail.length = 0;
+        await t.sendWebhook('refund.processed', { refund: { entity: { ...refund, status: 'processed' } } });
+
+        const offer = t.sentMail.find(mail => mail.subject.startsWith('A seat has opened up'));
+        assert.deepEqual([offer.from, offer.to], [t.env.EMAIL_USER, 'bina@example.com']);
+        assert.ok(offer.html.includes('https://inspiringshereen.com/register?event=ev1&email=bina%40example.com'));
+        assert.equal(registration(full.body.registrationId).waitlistStatus, 'offered');
+
+        // Chitra is still queued; Bina's link gets her the held seat
+        assert.equal((await order('chitra')).status, 202);
+        const offered = await order('bina');
+        assert.equal(offered.status, 200);
+        assert.equal(offered.body.registrationId, full.body.registrationId);
+
+        await t.request('POST', '/api/confirm-payment', {
+            body: { ...participant('bina'), ...t.checkoutResponse(offered.body.orderId, t.razorpay.simulatePayment(offered.body.orderId).id) }
+        });
+        assert.equal(registration(full.body.registrationId).waitlistStatus, 'accepted');
+        assert.equal(t.db.dump().waitlist.ev1[full.body.registrationId].status, 'accepted');
+    });
+
+    it('keeps the hold through a failed payment so a retry on the same order gets the seat', async () => {
+        const held = (await order('asha')).body;
+        const waiting = (await order('bina')).body;
+
+        const failed = t.razorpay.simulatePayment(held.orderId, { status: 'failed' });
+        await t.sendWebhook('payment.failed', { payment: { entity: failed } });
+        assert.equal(t.db.dump().seats.ev1[held.registrationId].status, 'held');
+        assert.equal(registration(waiting.registrationId).waitlistStatus, 'waiting');
+
+        await t.sendWebhook('payment.captured', { payment: { entity: t.razorpay.simulatePayment(held.orderId) } });
+        const seat = t.db.dump().seats.ev1[held.registrationId];
+        assert.deepEqual([seat.status, seat.overbooked], ['taken', undefined]);
+        assert.ok(!t.sentMail.some(mail => mail.to === 'bina@example.com'));
+    });
+
+    it('frees holds that run out and passes an offer on when it expires', async () => {
+        const held = (await order('asha')).body;
+        const waiting = (await order('bina')).body;
+        const waitingLater = (await order('chitra')).body;
+        assert.equal(waitingLater.position, 2);
+
+        const run = minutes => processSeatHolds({
+            db: t.db,
+            mailer: t.mailer,
+            offerMs: 60 * MINUTE,
+            paymentUrl: 'https://example.com/pay',
+            from: t.env.EMAIL_USER,
+            now: new Date(Date.now() + minutes * MINUTE)
+        });
+
+        // Asha's hold runs out unpaid and Bina gets the offer
+        const first = await run(20);
+        assert.deepEqual([first.released, first.offered], [1, 1]);
+        assert.equal(t.db.dump().seats.ev1[held.registrationId], undefined);
+        assert.equal(registration(waiting.registrationId).waitlistStatus, 'offered');
+
+        // Past Bina's offer the job lets it lapse and offers the seat to Chitra
+        const second = await run(25 * 60);
+        assert.deepEqual([second.expiredOffers, second.offered], [1, 1]);
+        assert.equal(registration(waiting.registrationId).waitlistStatus, 'expired');
+        assert.equal(registration(waitingLater.registrationId).waitlistStatus, 'offered');
+        assert.ok(t.sentMail.some(mail => mail.to === 'chitra@example.com' && mail.html.includes('https://example.com/pay?event=ev1')));
+    });
+
+    it('does not hold a seat for an order with a rejected coupon', async () => {
+        const rejected = await t.request('POST', '/api/create-payment-order', { body: { ...participant('asha'), couponCode: 'NOPE' } });
+        assert.equal(rejected.status, 400);
+        assert.equal((await t.request('GET', '/api/events/ev1')).body.seatsLeft, 1);
+        assert.equal((await order('bina')).status, 200);
+    });
+
+    it('lets admins set a capacity and see the waitlist', async () => {
+        const admin = await t.signIn('admin@example.com', { role: 'admin' });
+        await order('asha');
+        await order('bina');
+
+        const invalid = await t.request('PUT', '/api/admin/events/ev1', { token: admin.token, body: { capacity: 0 } });
+        assert.equal(invalid.status, 400);
+
+        const list = await t.request('GET', '/api/admin/events/ev1/waitlist', { token: admin.token });
+        assert.equal(list.body.capacity, 1);
+        assert.deepEqual(list.body.waitlist.map(entry => [entry.email, entry.status]), [['bina@example.com', 'waiting']]);
+
+        const cleared = await t.request('PUT', '/api/admin/events/ev1', { token: admin.token, body: { capacity: null } });
+        assert.equal(cleared.status, 200);
+        assert.equal(t.db.dump().events.ev1.capacity, undefined);
+        assert.equal((await order('chitra')).status, 200);
+    });
+});
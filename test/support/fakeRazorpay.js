@@ -0,0 +1,129 @@
+// Local stand-in for the Razorpay SDK. It keeps orders, payments and refunds
+// in memory and answers with the same shapes (and error format) as the real
+// API, so the server code runs unchanged against it.
+
+function razorpayError(statusCode, description) {
+    const error = new Error(description);
+    error.statusCode = statusCode;
+    error.error = { code: 'BAD_REQUEST_ERROR', description };
+    return error;
+}
+
+function createFakeRazorpay() {
+    const orders = new Map();
+    const payments = new Map();
+    let counter = 0;
+    const nextId = (prefix) => `${prefix}_fake${(++counter).toString().padStart(8, '0')}`;
+    const unixNow = () => Math.floor(Date.now() / 1000);
+
+    const fake = {
+        orders: {
+            async create(options) {
+                if (!Number.isInteger(options.amount) || options.amount < 100) {
+                    throw razorpayError(400, 'Order amount less than minimum amount allowed');
+                }
+                const order = {
+                    id: nextId('order'),
+                    entity: 'order',
+                    amount: options.amount,
+                    amount_paid: 0,
+                    amount_due: options.amount,
+                    currency: options.currency,
+                    receipt: options.receipt,
+                    status: 'created',
+                    notes: options.notes || {},
+                    created_at: unixNow()
+                };
+                orders.set(order.id, order);
+                return { ...order };
+            },
+            async fetch(orderId) {
+                const order = orders.get(orderId);
+                if (!order) {
+                    throw razorpayError(400, 'The id provided does not exist');
+                }
+                return { ...order };
+            },
+            async fetchPayments(orderId) {
+                if (!orders.has(orderId)) {
+                    throw razorpayError(400, 'The id provided does not exist');
+                }
+                const items = [...payments.values()].filter(payment => payment.order_id === orderId);
+                return { entity: 'collection', count: items.length, items: items.map(item => ({ ...item })) };
+            }
+        },
+        payments: {
+            async fetch(paymentId) {
+                const payment = payments.get(paymentId);
+                if (!payment) {
+                    throw razorpayError(400, 'The id provided does not exist');
+                }
+                return { ...payment };
+            },
+            async refund(paymentId, options = {}) {
+                const payment = payments.get(paymentId);
+                if (!payment) {
+                    throw razorpayError(400, 'The id provided does not exist');
+                }
+                const amount = options.amount || payment.amount - payment.amount_refunded;
+                if (amount > payment.amount - payment.amount_refunded) {
+                    throw razorpayError(400, 'The refund amount provided is greater than amount captured');
+                }
+                payment.amount_refunded += amount;
+                if (payment.amount_refunded === payment.amount) {
+                    payment.status = 'refunded';
+                }
+                return {
+                    id: nextId('rfnd'),
+                    entity: 'refund',
+                    amount,
+                    currency: payment.currency,
+                    payment_id: paymentId,
+                    notes: options.notes || {},
+                    status: 'pending',
+                    created_at: unixNow()
+                };
+            },
+            async all() {
+                return { entity: 'collection', count: payments.size, items: [...payments.values()] };
+            }
+        },
+
+        // Test helper: simulate a customer paying (or failing to pay) an order
+        simulatePayment(orderId, { status = 'captured', amount } = {}) {
+            const order = orders.get(orderId);
+            if (!order) {
+                throw new Error(`Unknown order ${orderId}`);
+            }
+            const payment = {
+                id: nextId('pay'),
+                entity: 'payment',
+                amount: amount === undefined ? order.amount : amount,
+                currency: order.currency,
+                status,
+                order_id: orderId,
+                amount_refunded: 0,
+                error_description: status === 'failed' ? 'Payment was declined by the bank' : null,
+                created_at: unixNow()
+            };
+            payments.set(payment.id, payment);
+            if (status === 'captured') {
+                order.status = 'paid';
+                order.amount_paid = payment.amount;
+                order.amount_due = 0;
+            } else {
+                order.status = 'attempted';
+            }
+            return { ...payment };
+        },
+
+        // Test helper: forget a payment, as if it never reached Razorpay
+        removePayment(paymentId) {
+            payments.delete(paymentId);
+        }
+    };
+
+    return fake;
+}
+
+module.exports = { createFakeRazorpay };
@@ -0,0 +1,155 @@
+// Runs the real Express app on a random local port with every outside
+// service replaced: the memory database for RTDB, local auth for Firebase
+// Auth, the fake Razorpay SDK, a transporter that keeps sent mail in an
+// array and the stub WhatsApp provider. Requests go through Node's own fetch.
+
+const crypto = require('crypto');
+const { createApp } = require('../../app');
+const { createMemoryDatabase } = require('../../lib/memoryDatabase');
+const { createLocalAuth } = require('../../lib/localAuth');
+const { grantRole } = require('../../lib/roles');
+const { createWhatsAppProvider } = require('../../lib/notifications');
+const { createLogger } = require('../../lib/logger');
+const { createFakeRazorpay } = require('./fakeRazorpay');
+
+const TEST_ENV = {
+    RAZORPAY_KEY_ID: 'rzp_test_key',
+    RAZORPAY_KEY_SECRET: 'test_key_secret',
+    RAZORPAY_WEBHOOK_SECRET: 'test_webhook_secret',
+    EMAIL_USER: 'team@inspiringshereen.test',
+    ADMIN_SETUP_TOKEN: 'test-setup-token',
+    TICKET_SECRET: 'test-ticket-secret',
+    WHATSAPP_ADMIN_NUMBERS: '+91 99516 11674'
+};
+
+const TEST_EVENT = {
+    title: 'Clarity Workshop',
+    description: 'Two hours of holistic success coaching',
+    startsAt: '2030-05-04T05:00:00.000Z',
+    timezone: 'Asia/Kolkata',
+    durationMinutes: 120,
+    price: 99,
+    currency: 'INR',
+    venue: 'Online',
+    meetingLink: 'https://meet.example.com/clarity',
+    status: 'published',
+    createdAt: '2030-01-01T00:00:00.000Z'
+};
+
+// mailConfigured: false stands in for missing SMTP credentials: every send fails
+async function startTestApp({ data = {}, env = {}, captchaVerifier, mailConfigured = true } = {}) {
+    const db = createMemoryDatabase({ events: { ev1: TEST_EVENT }, ...data });
+    const auth = createLocalAuth(db, { secret: 'test-auth-secret' });
+    const razorpay = createFakeRazorpay();
+    const sentMail = [];
+    const mailTransport = {
+        kind: 'capture',
+        configured: mailConfigured,
+        description: 'test capture',
+        transporter: {
+            async sendMail(mailOptions) {
+                if (!mailConfigured) {
+                    throw new Error('Missing credentials for "PLAIN"');
+                }
+                sentMail.push(mailOptions);
+                return { messageId: `<test-${sentMail.length}@inspiringshereen.test>` };
+            }
+        }
+    };
+    const testEnv = { ...TEST_ENV, ...env };
+    const whatsapp = createWhatsAppProvider({ WHATSAPP_PROVIDER: 'stub' });
+    // Log lines are kept, parsed, instead of going to stdout
+    const logs = [];
+    const logger = createLogger({ LOG_LEVEL: 'debug', LOG_REDACT: testEnv.LOG_REDACT }, {
+        stream: { write: line => logs.push(JSON.parse(line)) }
+    });
+
+    const built = createApp({
+        dataBackend: { kind: 'memory', description: 'memory', db, auth },
+        razorpay,
+        mailTransport,
+        captchaVerifier,
+        whatsappProvider: whatsapp,
+        logger,
+        env: testEnv
+    });
+    const server = await new Promise((resolve) => {
+        const listening = built.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Resolves to { status, headers, body } with JSON bodies parsed
+    async function request(method, path, { body, token, headers = {}, rawBody } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(body !== undefined || rawBody !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: rawBody !== undefined ? rawBody : (body !== undefined ? JSON.stringify(body) : undefined)
+        });
+        const text = await response.text();
+        let parsed = text;
+        if ((response.headers.get('content-type') || '').includes('application/json')) {
+            parsed = JSON.parse(text);
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    // A signed-in user, optionally with a staff role or only the admin claim
+    // from before roles existed; resolves to { uid, token }
+    async function signIn(email, { admin = false, role = null } = {}) {
+        const user = await auth.createUser({ email, password: 'password123' });
+        if (role) {
+            await grantRole({ auth, db }, user.uid, role, { grantedBy: 'test' });
+        } else if (admin) {
+            await auth.setCustomUserClaims(user.uid, { admin: true });
+        }
+        return { uid: user.uid, token: await auth.createCustomToken(user.uid) };
+    }
+
+    // What Razorpay Checkout hands the browser after a successful payment
+    function checkoutResponse(orderId, paymentId, secret = testEnv.RAZORPAY_KEY_SECRET) {
+        return {
+            razorpay_order_id: orderId,
+            razorpay_payment_id: paymentId,
+            razorpay_signature: crypto.createHmac('sha256', secret).update(`${orderId}|${paymentId}`).digest('hex')
+        };
+    }
+
+    // Deliver a webhook the way Razorpay does: raw JSON body, HMAC header
+    function sendWebhook(event, payload, { eventId = crypto.randomUUID(), secret = testEnv.RAZORPAY_WEBHOOK_SECRET } = {}) {
+        const rawBody = JSON.stringify({ entity: 'event', event, payload, created_at: Math.floor(Date.now() / 1000) });
+        return request('POST', '/api/inspiringshereen-webhook', {
+            rawBody,
+            headers: {
+                'x-razorpay-event-id': eventId,
+                'x-razorpay-signature': crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+            }
+        });
+    }
+
+    function close() {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    }
+
+    return {
+        ...built,
+        db,
+        auth,
+        razorpay,
+        sentMail,
+        whatsapp,
+        logs,
+        env: testEnv,
+        request,
+        signIn,
+        checkoutResponse,
+        sendWebhook,
+        close
+    };
+}
+
+module.exports = { TEST_EVENT, startTestApp };
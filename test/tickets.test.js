@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const { createTicketSigner, ticketQrAttachment, recordCheckIn, attendanceReport } = require('../lib/tickets');
+
+describe('tickets', () => {
+    it('sign tickets and reject altered or unsigned ones', async () => {
+        const tickets = createTicketSigner({ TICKET_SECRET: 'secret' });
+        const token = tickets.issue('-Nabc_123', 'ev1');
+
+        assert.deepEqual(tickets.verify(token), { registrationId: '-Nabc_123', eventId: 'ev1' });
+        assert.equal(tickets.verify(token.replace('ev1', 'ev2')), null);
+        assert.equal(tickets.verify(createTicketSigner({ TICKET_SECRET: 'other' }).issue('-Nabc_123', 'ev1')), null);
+        assert.equal(tickets.verify('not a ticket'), null);
+
+        const disabled = createTicketSigner({});
+        assert.equal(disabled.enabled, false);
+        assert.equal(disabled.verify(token), null);
+
+        const { cid, attachment } = await ticketQrAttachment(token, '-Nabc_123');
+        assert.equal(attachment.cid, cid);
+        assert.equal(Buffer.from(attachment.content, 'base64').subarray(1, 4).toString(), 'PNG');
+    });
+
+    it('check each registration in once and report who came', async () => {
+        const db = createMemoryDatabase({
+            registrations: {
+                r1: { eventId: 'ev1', fullName: 'Asha', email: 'asha@example.com', paymentStatus: 'Confirmed' },
+                r2: { eventId: 'ev1', fullName: 'Ravi', email: 'ravi@example.com', paymentStatus: 'Partially Refunded' },
+                r3: { eventId: 'ev1', fullName: 'Meera', email: 'meera@example.com' },
+                r4: { eventId: 'ev2', fullName: 'Dev', email: 'dev@example.com', paymentStatus: 'Confirmed' }
+            }
+        });
+        const registration = db.dump().registrations.r1;
+
+        const first = await recordCheckIn(db, { eventId: 'ev1', registrationId: 'r1', registration, checkedInBy: 'staff1' });
+        const repeat = await recordCheckIn(db, { eventId: 'ev1', registrationId: 'r1', registration, checkedInBy: 'staff2' });
+
+        assert.equal(first.checkedIn, true);
+        assert.equal(repeat.checkedIn, false);
+        assert.equal(repeat.record.checkedInBy, 'staff1');
+
+        const report = await attendanceReport(db, 'ev1', ['Confirmed', 'Partially Refunded']);
+        assert.deepEqual(report.totals, { registered: 2, checkedIn: 1, notArrived: 1 });
+        assert.deepEqual(report.attendees.map(attendee => [attendee.registrationId, Boolean(attendee.checkedInAt)]), [
+            ['r1', true],
+            ['r2', false]
+        ]);
+    });
+});
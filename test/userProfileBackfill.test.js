@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryDatabase } = require('../lib/memoryDatabase');
+const { createLocalAuth } = require('../lib/localAuth');
+const { backfillUserProfiles } = require('../lib/userProfileBackfill');
+
+describe('user profile backfill', () => {
+    it('creates profiles for Auth accounts without one and leaves the rest alone', async () => {
+        const db = createMemoryDatabase({ users: { b: { phone: '+919000000002', fullName: 'Bee' } } });
+        const auth = createLocalAuth(db);
+        await auth.createUser({ uid: 'a', email: 'a@example.com', displayName: 'Asha' });
+        await auth.createUser({ uid: 'b', email: 'b@example.com', displayName: 'Bharat' });
+        await auth.createUser({ uid: 'c', email: 'c@example.com' });
+
+        const dryRun = await backfillUserProfiles({ auth, db }, { dryRun: true });
+        assert.deepEqual(dryRun, { scanned: 3, created: ['a', 'c'] });
+        assert.deepEqual(Object.keys(db.dump().users), ['b']);
+
+        await backfillUserProfiles({ auth, db });
+        const { users } = db.dump();
+        assert.deepEqual([users.a.fullName, users.a.email, users.c.fullName], ['Asha', 'a@example.com', '']);
+        assert.ok(users.a.createdAt);
+        assert.deepEqual(users.b, { phone: '+919000000002', fullName: 'Bee' });
+
+        assert.deepEqual((await backfillUserProfiles({ auth, db })).created, []);
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rules, normalizePhone, validateFields, fieldErrors } = require('../lib/validation');
+
+describe('normalizePhone', () => {
+    it('turns the usual ways of writing a number into E.164', () => {
+        assert.equal(normalizePhone('9876543210'), '+919876543210');
+        assert.equal(normalizePhone('09876543210'), '+919876543210');
+        assert.equal(normalizePhone('+91 98765-43210'), '+919876543210');
+        assert.equal(normalizePhone('0091 98765 43210'), '+919876543210');
+        assert.equal(normalizePhone('919876543210'), '+919876543210');
+        assert.equal(normalizePhone('+1 (415) 555-2671'), '+14155552671');
+    });
+
+    it('rejects numbers that cannot be dialled', () => {
+        assert.equal(normalizePhone('12345'), null);
+        assert.equal(normalizePhone('+91 98765 4321'), null);
+        assert.equal(normalizePhone('call me'), null);
+        assert.equal(normalizePhone('+0 123 456 789'), null);
+    });
+});
+
+describe('validateFields', () => {
+    const schema = {
+        email: rules.email({ required: true }),
+        fullName: rules.name({ required: true }),
+        phone: rules.phone(),
+        limit: rules.integer({ min: 1, max: 10 }),
+        refresh: rules.boolean(),
+        tags: rules.array(rules.id()),
+        user: rules.object({ id: rules.id() })
+    };
+
+    it('normalises values and leaves out blank optional fields', () => {
+        const { value, errors } = validateFields(schema, {
+            email: '  Asha@Example.COM ',
+            fullName: ' Asha Rao ',
+            phone: '',
+            limit: '5',
+            refresh: 'true'
+        }, 'query');
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value, { email: 'asha@example.com', fullName: 'Asha Rao', limit: 5, refresh: true });
+    });
+
+    it('lists every problem with its field, including unknown and nested fields', () => {
+        const { errors } = validateFields(schema, {
+            fullName: '<script>',
+            limit: '5',
+            tags: ['ok', 'not/ok'],
+            user: { id: 'u1', role: 'admin' },
+            isAdmin: true
+        }, 'body');
+
+        assert.deepEqual(errors.map(error => [error.location, error.field]), [
+            ['body', 'isAdmin'],
+            ['body', 'email'],
+            ['body', 'fullName'],
+            ['body', 'limit'],
+            ['body', 'tags[1]'],
+            ['body', 'user.role']
+        ]);
+        assert.equal(errors[1].message, 'email is required');
+        // Only query strings carry numbers as text
+        assert.equal(errors[3].message, 'limit must be a number');
+    });
+
+    it('rejects a body that is not an object', () => {
+        const { errors } = validateFields(schema, ['a'], 'body');
+        assert.deepEqual(errors, [{ location: 'body', field: null, message: 'body must be an object' }]);
+    });
+
+    it('keeps null only for nullable fields', () => {
+        const nullable = { validUntil: rules.date({ nullable: true }), note: rules.string() };
+        const { value } = validateFields(nullable, { validUntil: null, note: null }, 'body');
+        assert.deepEqual(value, { validUntil: null });
+    });
+});
+
+describe('fieldErrors', () => {
+    it('attributes domain validator messages to the field they start with', () => {
+        assert.deepEqual(fieldErrors(['title is required', 'Either venue or meetingLink is required'], 'body', ['title', 'venue']), [
+            { location: 'body', field: 'title', message: 'title is required' },
+            { location: 'body', field: null, message: 'Either venue or meetingLink is required' }
+        ]);
+    });
+});